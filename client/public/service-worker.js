@@ -0,0 +1,114 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker of the installable dashboard. It keeps the app shell, so the
+// dashboard opens without the server, and the last answer to every API GET,
+// so the panels and the history chart still have something to show. Pages
+// and API calls go to the network first; the caches are only a fallback.
+
+// Bump to drop the cached shell of older builds
+const SHELL_CACHE = "tuya-dashboard-shell-v1";
+// Also cleared by the dashboard on logout (src/offline.js)
+const API_CACHE = "tuya-dashboard-api";
+
+const SHELL = ["/", "/index.html", "/manifest.json", "/icon.svg"];
+
+// Never cached: sessions, the WebSocket and downloads
+const UNCACHED_API = [/^\/api\/auth\//, /^\/api\/ws$/, /\/csv$/];
+
+// Query parameters that move with the clock (the history chart asks for "the
+// last hour"), left out of the fallback key so a later, differently timed
+// request still finds the last answer
+const MOVING_PARAMS = ["from", "to"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== SHELL_CACHE && name !== API_CACHE)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function fallbackKey(url) {
+  const key = new URL(url);
+  MOVING_PARAMS.forEach((param) => key.searchParams.delete(param));
+  return key.href;
+}
+
+// Answer from the network and keep a copy under every key; without a
+// network, answer with the first key that is cached
+async function networkFirst(request, cacheName, keys) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await Promise.all(keys.map((key) => cache.put(key, response.clone())));
+    }
+    return response;
+  } catch (error) {
+    for (const key of keys) {
+      const cached = await cache.match(key);
+      if (cached) {
+        return cached;
+      }
+    }
+    throw error;
+  }
+}
+
+// Built assets have a content hash in their name, so a cached copy never
+// goes out of date
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname.startsWith("/api/")) {
+    if (!UNCACHED_API.some((pattern) => pattern.test(url.pathname))) {
+      event.respondWith(
+        networkFirst(request, API_CACHE, [request.url, fallbackKey(url)])
+      );
+    }
+    return;
+  }
+  // Every page of the dashboard is index.html
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, ["/index.html"]));
+    return;
+  }
+  event.respondWith(
+    url.pathname.startsWith("/static/")
+      ? cacheFirst(request)
+      : networkFirst(request, SHELL_CACHE, [request.url])
+  );
+});
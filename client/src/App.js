@@ -1,40 +1,203 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import DeviceCard from "./components/DeviceCard";
+import HistoryChart from "./components/HistoryChart";
+import CostCard from "./components/CostCard";
+import SchedulesPanel from "./components/SchedulesPanel";
+import RulesPanel from "./components/RulesPanel";
+import CyclesPanel from "./components/CyclesPanel";
+import GroupsPanel from "./components/GroupsPanel";
+import StandbyPanel from "./components/StandbyPanel";
+import Login from "./components/Login";
+import Onboarding from "./components/Onboarding";
+import StorageView from "./components/StorageView";
+import ImportView from "./components/ImportView";
+import ReportsView from "./components/ReportsView";
+import OverviewView from "./components/OverviewView";
+import CommandQueue from "./components/CommandQueue";
+import { fetchJson, onUnauthorized } from "./api";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
+  loadSnapshot,
+  saveSnapshot,
+  clearOfflineData,
+  lastReadingTime,
+  queuedCommand,
+  enqueue,
+  expireCommands,
+} from "./offline";
+
+// WebSocket protocol spoken by the server (see "WebSocket Protocol" in the
+// README). The socket lives on the same host as the page, under /api/ws.
+const PROTOCOL_VERSION = 1;
+const WS_PATH = "/api/ws";
+
+// A request the server has not answered by then is treated as failed
+const REQUEST_TIMEOUT = 10000;
+
+// How often the dashboard checks the connection is still alive
+const PING_INTERVAL = 25000;
+
+const socketUrl = () =>
+  `${window.location.protocol === "https:" ? "wss" : "ws"}://${
+    window.location.host
+  }${WS_PATH}`;
 
 const App = () => {
-  const [deviceData, setDeviceData] = useState({
-    timestamp: new Date().toISOString(),
-    power_state: false,
-    current: 0,
-    power: 0,
-    voltage: 0,
-    energy: 0,
-    connected: false,
-  });
-
-  const [historicalData, setHistoricalData] = useState([]);
-  const [ws, setWs] = useState(null);
+  // Logged-in user ({ username, role }); undefined while the session is checked
+  const [user, setUser] = useState(undefined);
+
+  // Latest reading per device, keyed by device id
+  const [devices, setDevices] = useState({});
+  const [selectedDeviceId, setSelectedDeviceId] = useState(null);
+  // True until the socket is open, and again whenever it drops. The readings
+  // on screen are then the last known ones.
   const [connecting, setConnecting] = useState(true);
 
+  // Control commands made while not connected (see offline.js)
+  const [commands, setCommands] = useState([]);
+
+  // Bumped whenever the server reports a schedule run, to reload the list
+  const [scheduleVersion, setScheduleVersion] = useState(0);
+
+  // Latest triggered alert (shown as a banner) and a counter to reload the log
+  const [latestAlert, setLatestAlert] = useState(null);
+  const [alertVersion, setAlertVersion] = useState(0);
+
+  // Bumped whenever an appliance cycle starts or finishes; the last finished
+  // cycle of a plug that asked to be notified is shown as a banner
+  const [cycleVersion, setCycleVersion] = useState(0);
+  const [finishedCycle, setFinishedCycle] = useState(null);
+  // Bumped when a group or scene has run, to reload group energy
+  const [groupVersion, setGroupVersion] = useState(0);
+  // The latest group or scene run broadcast, for results that come in late
+  const [groupRun, setGroupRun] = useState(null);
+  // Bumped when the standby killer has switched a plug off
+  const [standbyVersion, setStandbyVersion] = useState(0);
+
+  // Bumped whenever the server flags an anomaly or one ends, to reload the
+  // chart's markers
+  const [anomalyVersion, setAnomalyVersion] = useState(0);
+
+  // Last request the server refused (shown as a dismissable banner)
+  const [notice, setNotice] = useState(null);
+
+  const wsRef = useRef(null);
+  // Requests waiting for their ack/nack, keyed by request id
+  const pendingRef = useRef(new Map());
+  const nextIdRef = useRef(1);
+  const pingTimerRef = useRef(null);
+
+  // "dashboard", "reports", or for admins "onboarding" (adding a plug) and
+  // "storage"
+  const [view, setView] = useState("dashboard");
+
+  // Resume an existing session, and fall back to the login screen whenever
+  // the API says the session has ended. Without a server, the last user and
+  // readings this browser saw are shown until it is back.
+  useEffect(() => {
+    onUnauthorized(() => setUser(null));
+    const snapshot = loadSnapshot();
+    const restore = () => {
+      setDevices(snapshot.devices);
+      setSelectedDeviceId(Object.keys(snapshot.devices)[0] || null);
+    };
+    fetchJson("/api/auth/me")
+      .then((me) => {
+        if (snapshot && snapshot.user.username === me.username) {
+          restore();
+        }
+        setUser(me);
+      })
+      .catch((error) => {
+        if (!error.status && snapshot) {
+          restore();
+          setUser(snapshot.user);
+        } else {
+          setUser(null);
+        }
+      });
+  }, []);
+
+  // Keep what the server last sent for the next time it cannot be reached
+  useEffect(() => {
+    if (user && !connecting) {
+      saveSnapshot(user, devices);
+    }
+  }, [user, devices, connecting]);
+
+  // Send a request and resolve with the ack's data; rejects with the nack's
+  // message (error.code holds its code), on timeout or when the socket closes
+  const request = useCallback((type, fields = {}) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error("Not connected to the server"));
+    }
+    const id = nextIdRef.current++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRef.current.delete(id);
+        reject(new Error("The server did not answer"));
+      }, REQUEST_TIMEOUT);
+      pendingRef.current.set(id, { resolve, reject, timer });
+      ws.send(JSON.stringify({ v: PROTOCOL_VERSION, type, id, ...fields }));
+    });
+  }, []);
+
+  const settleRequest = (message) => {
+    const pending = pendingRef.current.get(message.id);
+    if (!pending) {
+      return;
+    }
+    pendingRef.current.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.type === "nack") {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      pending.reject(error);
+    } else {
+      pending.resolve(message.data);
+    }
+  };
+
+  const rejectPending = () => {
+    for (const pending of pendingRef.current.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error("Connection to the server was lost"));
+    }
+    pendingRef.current.clear();
+  };
+
+  const stopPinging = () => {
+    clearInterval(pingTimerRef.current);
+    pingTimerRef.current = null;
+  };
+
   const connectWebSocket = useCallback(() => {
-    if (ws) {
-      ws.close();
+    if (wsRef.current) {
+      wsRef.current.close();
     }
 
-    const websocket = new WebSocket("ws://localhost:8080");
+    // A rejected handshake looks like any other dropped connection, so check
+    // the session before trying again
+    const reconnect = () =>
+      fetchJson("/api/auth/me").then(connectWebSocket, (error) => {
+        if (error.status !== 401) {
+          setTimeout(reconnect, 3000);
+        }
+      });
+
+    const websocket = new WebSocket(socketUrl());
 
     websocket.onopen = () => {
       console.log("Connected to WebSocket");
       setConnecting(false);
+      // A connection that silently died only shows up as a missing pong
+      stopPinging();
+      pingTimerRef.current = setInterval(() => {
+        request("ping").catch(() => {
+          console.log("No pong from the server, reconnecting...");
+          websocket.close();
+        });
+      }, PING_INTERVAL);
     };
 
     websocket.onmessage = (event) => {
@@ -42,203 +205,536 @@ const App = () => {
         const message = JSON.parse(event.data);
         console.log("Received message:", message);
 
-        if (message.type === "data") {
-          setDeviceData(message.data);
-
-          // Add to historical data (keep last 50 points)
-          setHistoricalData((prev) => {
-            const newData = [
-              ...prev,
-              {
-                time: new Date(message.data.timestamp).toLocaleTimeString(),
-                power: parseFloat(message.data.power) || 0,
-                current: parseFloat(message.data.current) || 0,
-                voltage: parseFloat(message.data.voltage) || 0,
-              },
-            ];
-            return newData.slice(-50);
+        if (
+          message.type === "ack" ||
+          message.type === "nack" ||
+          message.type === "pong"
+        ) {
+          settleRequest(message);
+          if (message.type === "nack" && message.id === null) {
+            console.error("Server rejected a message:", message.error);
+          }
+          return;
+        }
+
+        if (message.type === "hello") {
+          console.log(
+            `Server speaks protocol version ${message.data.protocol}`
+          );
+        }
+
+        if (message.type === "devices") {
+          const byId = {};
+          message.data.forEach((device) => {
+            byId[device.id] = device;
           });
+          setDevices(byId);
+          setSelectedDeviceId(
+            (current) =>
+              current || (message.data[0] ? message.data[0].id : null)
+          );
+        }
+
+        if (message.type === "data") {
+          const { deviceId, data } = message;
+          setDevices((prev) => ({
+            ...prev,
+            [deviceId]: { ...prev[deviceId], ...data },
+          }));
         }
 
         if (message.type === "connection") {
-          setDeviceData((prev) => ({
+          const { deviceId, data } = message;
+          setDevices((prev) => ({
             ...prev,
-            connected: message.data.connected,
+            [deviceId]: { ...prev[deviceId], connected: data.connected },
           }));
         }
 
+        if (message.type === "state") {
+          const { deviceId, data } = message;
+          setDevices((prev) => ({
+            ...prev,
+            [deviceId]: {
+              ...prev[deviceId],
+              state: data.state,
+              stateReason: data.reason,
+              retryAt: data.retryAt,
+              connected: data.state === "online" || data.state === "degraded",
+            },
+          }));
+        }
+
+        if (message.type === "schedule") {
+          setScheduleVersion((version) => version + 1);
+          if (!message.data.ok) {
+            console.error("Schedule failed:", message.data.error);
+          }
+        }
+
+        if (message.type === "alert") {
+          setAlertVersion((version) => version + 1);
+          setLatestAlert((current) => {
+            if (message.data.state === "triggered") return message.data;
+            // Clear the banner once the alert it shows has resolved
+            return current && current.ruleId === message.data.ruleId
+              ? null
+              : current;
+          });
+        }
+
+        if (message.type === "cycle") {
+          setCycleVersion((version) => version + 1);
+          if (message.data.state === "finished" && message.data.notify) {
+            setFinishedCycle(message.data);
+          }
+        }
+
+        if (message.type === "group" || message.type === "scene") {
+          setGroupVersion((version) => version + 1);
+          setGroupRun({ type: message.type, ...message.data });
+        }
+
+        if (message.type === "standby") {
+          setStandbyVersion((version) => version + 1);
+        }
+
+        if (message.type === "anomaly") {
+          setAnomalyVersion((version) => version + 1);
+        }
+
         if (message.type === "error") {
-          console.error("Server error:", message.data.error);
+          console.error(
+            "Server error:",
+            message.deviceId || "",
+            message.data.error
+          );
         }
       } catch (error) {
         console.error("Error parsing WebSocket message:", error);
       }
     };
 
-    websocket.onclose = () => {
-      console.log("WebSocket disconnected, attempting to reconnect...");
+    websocket.onclose = (event) => {
+      stopPinging();
+      rejectPending();
       setConnecting(true);
-      setTimeout(connectWebSocket, 3000);
+      if (event.code === 4001) {
+        console.log("WebSocket closed: logged out");
+        setUser(null);
+        return;
+      }
+      console.log("WebSocket disconnected, attempting to reconnect...");
+      setTimeout(reconnect, 3000);
     };
 
     websocket.onerror = (error) => {
       console.error("WebSocket error:", error);
     };
 
-    setWs(websocket);
-  }, []); // Remove ws dependency to fix the warning
+    wsRef.current = websocket;
+  }, [request]);
 
   useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
     connectWebSocket();
 
     return () => {
-      if (ws) {
-        ws.close();
+      stopPinging();
+      if (wsRef.current) {
+        wsRef.current.onclose = null;
+        wsRef.current.close();
+        wsRef.current = null;
       }
     };
-  }, [connectWebSocket]);
+  }, [user, connectWebSocket]);
+
+  // Send queued commands once connected again; those that waited too long
+  // are marked expired instead
+  useEffect(() => {
+    if (
+      connecting ||
+      !commands.some((command) => command.status === "pending")
+    ) {
+      return;
+    }
+    const now = Date.now();
+    const ready = commands.filter(
+      (command) => command.status === "pending" && command.expiresAt > now
+    );
+    const readyIds = new Set(ready.map((command) => command.id));
+    setCommands((queue) =>
+      expireCommands(queue, now).map((command) =>
+        readyIds.has(command.id) ? { ...command, status: "sending" } : command
+      )
+    );
+    for (const command of ready) {
+      request(command.type, command.fields).then(
+        () =>
+          setCommands((queue) =>
+            queue.filter((entry) => entry.id !== command.id)
+          ),
+        (error) =>
+          setCommands((queue) =>
+            queue.map((entry) =>
+              entry.id === command.id
+                ? { ...entry, status: "failed", error: error.message }
+                : entry
+            )
+          )
+      );
+    }
+  }, [connecting, commands, request]);
+
+  // While offline, mark commands expired as their time runs out
+  useEffect(() => {
+    const pending = commands.filter((command) => command.status === "pending");
+    if (pending.length === 0) {
+      return undefined;
+    }
+    const next = Math.min(...pending.map((command) => command.expiresAt));
+    const timer = setTimeout(
+      () => setCommands((queue) => expireCommands(queue)),
+      Math.max(0, next - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [commands]);
+
+  const queueCommand = (command) =>
+    setCommands((queue) => enqueue(queue, queuedCommand(command)));
+
+  const dismissCommand = (id) =>
+    setCommands((queue) => queue.filter((command) => command.id !== id));
 
-  const toggleDevice = () => {
-    if (ws && ws.readyState === WebSocket.OPEN && deviceData.connected) {
-      console.log("Sending toggle command");
-      ws.send(JSON.stringify({ type: "toggle" }));
+  // Asks for the opposite of what the card shows rather than a blind toggle,
+  // so a click on a stale card cannot switch the plug the wrong way. Offline,
+  // the command waits in the queue.
+  const toggleDevice = (deviceId) => {
+    const device = devices[deviceId];
+    if (device && connecting) {
+      const type = device.power_state ? "off" : "on";
+      queueCommand({
+        key: `power:${deviceId}`,
+        type,
+        fields: { deviceId },
+        label: `Switch ${device.name} ${type}`,
+      });
+    } else if (device && device.connected) {
+      const type = device.power_state ? "off" : "on";
+      console.log(`Sending ${type} command for`, deviceId);
+      request(type, { deviceId }).catch((error) =>
+        setNotice(`Could not switch ${device.name}: ${error.message}`)
+      );
     } else {
       console.log("Cannot toggle: WebSocket not ready or device not connected");
     }
   };
 
-  const refreshData = () => {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type: "refresh" }));
+  const setDeviceValue = (deviceId, metric, value) => {
+    const fields = { deviceId, dp: metric.dp, value };
+    if (connecting) {
+      queueCommand({
+        key: `set:${deviceId}:${metric.dp}`,
+        type: "set",
+        fields,
+        label: `Set ${metric.label} on ${devices[deviceId].name} to ${value}`,
+      });
+      return;
     }
+    request("set", fields).catch((error) =>
+      setNotice(
+        `Could not change ${metric.label} on ${devices[deviceId].name}: ${error.message}`
+      )
+    );
+  };
+
+  const logout = () => {
+    fetchJson("/api/auth/logout", { method: "POST" })
+      .catch((error) => console.error("Error logging out:", error))
+      .finally(() => {
+        clearOfflineData();
+        setUser(null);
+        setDevices({});
+        setSelectedDeviceId(null);
+        setCommands([]);
+      });
+  };
+
+  const refreshData = () => {
+    request("refresh").catch((error) =>
+      setNotice(`Could not refresh: ${error.message}`)
+    );
   };
 
   const downloadCSV = () => {
-    window.open("/api/data/csv", "_blank");
+    if (selectedDeviceId) {
+      window.open(`/api/devices/${selectedDeviceId}/data/csv`, "_blank");
+    }
   };
 
-  if (connecting) {
+  if (user === undefined) {
     return (
       <div className="loading">
-        <h2>Connecting to Tuya Smart Plug...</h2>
-        <p>Please wait while we establish connection</p>
+        <h2>Loading...</h2>
       </div>
     );
   }
 
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
+  const deviceList = Object.values(devices);
+  const lastReading = lastReadingTime(devices);
+  const onlineCount = deviceList.filter((device) => device.connected).length;
+  const selectedDevice = devices[selectedDeviceId];
+  // Viewers can look but not switch plugs or edit schedules and rules
+  const canControl = user.role !== "viewer";
+
   return (
     <div className="dashboard">
       <div className="header">
         <h1>Tuya Smart Plug Dashboard</h1>
-        <div
-          className={`connection-status ${
-            deviceData.connected ? "connected" : "disconnected"
-          }`}
-        >
+        {connecting ? (
+          <div className="connection-status connecting">
+            <div className="status-dot connecting"></div>
+            Server offline
+          </div>
+        ) : (
           <div
-            className={`status-dot ${
-              deviceData.connected ? "connected" : "disconnected"
+            className={`connection-status ${
+              onlineCount > 0 ? "connected" : "disconnected"
             }`}
-          ></div>
-          {deviceData.connected ? "Connected" : "Disconnected"}
+          >
+            <div
+              className={`status-dot ${
+                onlineCount > 0 ? "connected" : "disconnected"
+              }`}
+            ></div>
+            {onlineCount} of {deviceList.length} plugs connected
+          </div>
+        )}
+        <div className="user-bar">
+          {user.username} ({user.role})
+          {view === "dashboard" && (
+            <button className="link-button" onClick={() => setView("reports")}>
+              Reports
+            </button>
+          )}
+          {view === "dashboard" && (
+            <button className="link-button" onClick={() => setView("overview")}>
+              Overview
+            </button>
+          )}
+          {user.role === "admin" && view === "dashboard" && (
+            <button
+              className="link-button"
+              onClick={() => setView("onboarding")}
+            >
+              Add plug
+            </button>
+          )}
+          {user.role === "admin" && view === "dashboard" && (
+            <button className="link-button" onClick={() => setView("storage")}>
+              Storage
+            </button>
+          )}
+          {user.role === "admin" && view === "dashboard" && (
+            <button className="link-button" onClick={() => setView("import")}>
+              Import
+            </button>
+          )}
+          <button className="link-button" onClick={logout}>
+            Log out
+          </button>
         </div>
       </div>
 
-      <div className="dashboard-grid">
-        {/* Device Control */}
-        <div className="card control-card">
-          <h3>Device Control</h3>
+      {connecting && (
+        <div className="alert-banner connection-banner">
+          <span>
+            {lastReading
+              ? `Not connected to the server. Showing readings from ${new Date(
+                  lastReading
+                ).toLocaleString()}; reconnecting...`
+              : "Connecting to the server..."}
+          </span>
+        </div>
+      )}
+
+      {latestAlert && (
+        <div className="alert-banner">
+          <span>{latestAlert.message}</span>
+          <button className="link-button" onClick={() => setLatestAlert(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {finishedCycle && (
+        <div className="alert-banner">
+          <span>{finishedCycle.message}</span>
           <button
-            className={`power-button ${deviceData.power_state ? "on" : "off"}`}
-            onClick={toggleDevice}
-            disabled={!deviceData.connected}
+            className="link-button"
+            onClick={() => setFinishedCycle(null)}
           >
-            {deviceData.power_state ? "ON" : "OFF"}
+            Dismiss
           </button>
-          <p>Click to toggle power state</p>
         </div>
+      )}
 
-        {/* Real-time Metrics */}
-        <div className="card">
-          <h3>Real-time Metrics</h3>
-          <div className="metrics-grid">
-            <div className="metric">
-              <div className="metric-value">{deviceData.power.toFixed(1)}</div>
-              <div className="metric-label">Power (W)</div>
-            </div>
-            <div className="metric">
-              <div className="metric-value">
-                {deviceData.current.toFixed(0)}
-              </div>
-              <div className="metric-label">Current (mA)</div>
-            </div>
-            <div className="metric">
-              <div className="metric-value">
-                {deviceData.voltage.toFixed(1)}
-              </div>
-              <div className="metric-label">Voltage (V)</div>
-            </div>
-            <div className="metric">
-              <div className="metric-value">{deviceData.energy.toFixed(3)}</div>
-              <div className="metric-label">Energy (kWh)</div>
-            </div>
-          </div>
+      {notice && (
+        <div className="alert-banner">
+          <span>{notice}</span>
+          <button className="link-button" onClick={() => setNotice(null)}>
+            Dismiss
+          </button>
         </div>
+      )}
 
-        {/* Historical Chart */}
-        <div className="card chart-card">
-          <h3>Historical Data</h3>
-          <div className="chart-container">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={historicalData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="time" />
-                <YAxis yAxisId="left" />
-                <YAxis yAxisId="right" orientation="right" />
-                <Tooltip />
-                <Legend />
-                <Line
-                  yAxisId="left"
-                  type="monotone"
-                  dataKey="power"
-                  stroke="#8884d8"
-                  strokeWidth={2}
-                  name="Power (W)"
-                />
-                <Line
-                  yAxisId="right"
-                  type="monotone"
-                  dataKey="voltage"
-                  stroke="#82ca9d"
-                  strokeWidth={2}
-                  name="Voltage (V)"
-                />
-                <Line
-                  yAxisId="right"
-                  type="monotone"
-                  dataKey="current"
-                  stroke="#ffc658"
-                  strokeWidth={2}
-                  name="Current (mA)"
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+      {commands.length > 0 && (
+        <CommandQueue commands={commands} onDismiss={dismissCommand} />
+      )}
+
+      {view === "onboarding" && (
+        <Onboarding onDone={() => setView("dashboard")} />
+      )}
+
+      {view === "reports" && (
+        <ReportsView devices={deviceList} onDone={() => setView("dashboard")} />
+      )}
+
+      {view === "overview" && (
+        <OverviewView
+          devices={deviceList}
+          onDone={() => setView("dashboard")}
+        />
+      )}
+
+      {view === "import" && (
+        <ImportView devices={deviceList} onDone={() => setView("dashboard")} />
+      )}
+
+      {view === "storage" && (
+        <StorageView devices={deviceList} onDone={() => setView("dashboard")} />
+      )}
+
+      {view === "dashboard" && !connecting && deviceList.length === 0 && (
+        <div className="card empty-state">
+          <h3>No plugs configured</h3>
+          <p>
+            {user.role === "admin"
+              ? 'Use "Add plug" above to find and set up your plugs.'
+              : "Ask an admin to add your plugs."}
+          </p>
         </div>
-      </div>
+      )}
 
-      <div className="actions">
-        <button className="action-button" onClick={downloadCSV}>
-          Download CSV Data
-        </button>
-        <button className="action-button" onClick={refreshData}>
-          Refresh Data
-        </button>
-      </div>
+      {view === "dashboard" && (
+        <>
+          <div className="dashboard-grid">
+            {deviceList.map((device) => (
+              <DeviceCard
+                key={device.id}
+                device={device}
+                selected={device.id === selectedDeviceId}
+                onToggle={toggleDevice}
+                onSet={setDeviceValue}
+                canToggle={canControl}
+                stale={connecting}
+                onSelect={setSelectedDeviceId}
+              />
+            ))}
 
-      <div className="timestamp">
-        Last updated: {new Date(deviceData.timestamp).toLocaleString()}
-      </div>
+            {/* Groups & Scenes, once there is more than one plug */}
+            {deviceList.length > 1 && (
+              <GroupsPanel
+                devices={deviceList}
+                refreshKey={groupVersion}
+                latestRun={groupRun}
+                canEdit={canControl}
+              />
+            )}
+
+            {/* Energy Cost */}
+            {selectedDevice && <CostCard deviceId={selectedDeviceId} />}
+
+            {/* Schedules */}
+            {selectedDevice && (
+              <SchedulesPanel
+                deviceId={selectedDeviceId}
+                refreshKey={scheduleVersion}
+                canEdit={canControl}
+              />
+            )}
+
+            {/* Alerts & Rules */}
+            {selectedDevice && (
+              <RulesPanel
+                device={selectedDevice}
+                refreshKey={alertVersion}
+                canEdit={canControl}
+              />
+            )}
+
+            {/* Appliance Cycles */}
+            {selectedDevice && (
+              <CyclesPanel
+                deviceId={selectedDeviceId}
+                refreshKey={cycleVersion}
+                canEdit={canControl}
+              />
+            )}
+
+            {/* Standby Killer, for plugs that measure power */}
+            {selectedDevice &&
+              selectedDevice.profile.metrics.some(
+                (metric) => metric.metric === "power"
+              ) && (
+                <StandbyPanel
+                  deviceId={selectedDeviceId}
+                  refreshKey={standbyVersion}
+                  canEdit={canControl}
+                />
+              )}
+
+            {/* Historical Chart */}
+            {selectedDevice && (
+              <HistoryChart
+                device={selectedDevice}
+                refreshKey={anomalyVersion}
+                stale={connecting}
+              >
+                <select
+                  value={selectedDeviceId}
+                  onChange={(e) => setSelectedDeviceId(e.target.value)}
+                >
+                  {deviceList.map((device) => (
+                    <option key={device.id} value={device.id}>
+                      {device.name}
+                    </option>
+                  ))}
+                </select>
+              </HistoryChart>
+            )}
+          </div>
+
+          <div className="actions">
+            <button
+              className="action-button"
+              onClick={downloadCSV}
+              disabled={!selectedDevice}
+            >
+              Download CSV Data
+            </button>
+            <button className="action-button" onClick={refreshData}>
+              Refresh Data
+            </button>
+          </div>
+        </>
+      )}
     </div>
   );
 };
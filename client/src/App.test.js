@@ -0,0 +1,753 @@
+import React from "react";
+import {
+  render,
+  screen,
+  fireEvent,
+  act,
+  cleanup,
+  waitFor,
+} from "@testing-library/react";
+import App from "./App";
+
+// The chart needs layout (ResizeObserver) that jsdom does not have
+jest.mock("./components/HistoryChart", () => () => (
+  <div data-testid="history-chart" />
+));
+
+const DEVICES = [
+  {
+    id: "plug-1",
+    name: "Desk",
+    connected: true,
+    power_state: false,
+    power: 112.1,
+    relay_status: "last",
+    timestamp: "2024-01-01T00:00:00.000Z",
+    profile: {
+      name: "standard",
+      metrics: [
+        {
+          dp: "1",
+          metric: "power_state",
+          label: "Power State",
+          type: "boolean",
+          writable: true,
+        },
+        {
+          dp: "19",
+          metric: "power",
+          label: "Power",
+          unit: "W",
+          type: "number",
+        },
+        {
+          dp: "38",
+          metric: "relay_status",
+          label: "After power loss",
+          type: "string",
+          writable: true,
+          values: [
+            { value: "power_off", label: "Stay off" },
+            { value: "last", label: "Restore last state" },
+          ],
+        },
+        {
+          dp: "41",
+          metric: "child_lock",
+          label: "Child lock",
+          type: "boolean",
+          writable: true,
+          optional: true,
+        },
+      ],
+    },
+  },
+  {
+    id: "plug-2",
+    name: "Kettle",
+    connected: false,
+    power_state: false,
+    power: 0,
+    timestamp: "2024-01-01T00:00:00.000Z",
+    profile: {
+      name: "switch",
+      metrics: [
+        { metric: "power_state", label: "Power State", type: "boolean" },
+      ],
+    },
+  },
+];
+
+// Fake WebSocket the tests drive by hand: open(), receive() and
+// serverClose() play the server's part
+class MockWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = MockWebSocket.CONNECTING;
+    this.sent = [];
+    MockWebSocket.instances.push(this);
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.readyState = MockWebSocket.CLOSED;
+  }
+
+  open() {
+    act(() => {
+      this.readyState = MockWebSocket.OPEN;
+      this.onopen();
+    });
+  }
+
+  receive(message) {
+    act(() => {
+      this.onmessage({ data: JSON.stringify(message) });
+    });
+  }
+
+  serverClose(code = 1006) {
+    act(() => {
+      this.readyState = MockWebSocket.CLOSED;
+      this.onclose({ code });
+    });
+  }
+}
+
+const latestSocket = () =>
+  MockWebSocket.instances[MockWebSocket.instances.length - 1];
+
+const jsonResponse = (status, body) =>
+  Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+
+// Answers the REST calls the dashboard makes. `user` is who /api/auth/me
+// reports (null for no session).
+const mockApi = (user) => {
+  global.fetch = jest.fn((url, options = {}) => {
+    if (url === "/api/auth/me") {
+      return user
+        ? jsonResponse(200, user)
+        : jsonResponse(401, { error: "Login required" });
+    }
+    if (url === "/api/auth/login") {
+      const { username } = JSON.parse(options.body);
+      return jsonResponse(200, {
+        token: "token",
+        user: { id: 1, username, role: "operator" },
+      });
+    }
+    if (
+      url.startsWith("/api/schedules") ||
+      url.startsWith("/api/rules") ||
+      url.startsWith("/api/alerts")
+    ) {
+      return jsonResponse(200, []);
+    }
+    if (/^\/api\/devices\/[^/]+\/cycles/.test(url)) {
+      return jsonResponse(200, {
+        settings: {
+          appliance: null,
+          idleWatts: 5,
+          idleSeconds: 120,
+          minSeconds: 60,
+          notify: false,
+        },
+        running: null,
+        cycles: [],
+      });
+    }
+    if (/^\/api\/devices\/[^/]+\/standby/.test(url)) {
+      const saved = { cutoffs: 0, hours: 0, kwh: 0, cost: 0, currency: "" };
+      return jsonResponse(200, {
+        settings: {
+          enabled: false,
+          maxWatts: 10,
+          idleMinutes: 30,
+          activeFrom: null,
+          activeTo: null,
+        },
+        band: { watts: 0.8, low: 0.3, high: 1.3, samples: 240 },
+        idleSince: null,
+        cutoff: null,
+        saved: {
+          today: saved,
+          total: { ...saved, cutoffs: 3, kwh: 1.25, cost: 0.4 },
+        },
+        cutoffs: [],
+      });
+    }
+    if (url === "/api/groups") {
+      return jsonResponse(200, [
+        {
+          id: 1,
+          name: "Office desk",
+          deviceIds: ["plug-1", "plug-2"],
+          connected: 1,
+          power: 112.1,
+          today: { kwh: 0.42, cost: 0.12 },
+        },
+      ]);
+    }
+    if (url === "/api/scenes") {
+      return jsonResponse(200, [
+        {
+          id: 3,
+          name: "Bench on",
+          staggerSeconds: 60,
+          actions: [
+            { deviceId: "plug-1", values: { power_state: true } },
+            { deviceId: "plug-2", values: { power_state: true } },
+          ],
+        },
+      ]);
+    }
+    if (url === "/api/scenes/3/activate") {
+      return jsonResponse(200, {
+        sceneId: 3,
+        results: [
+          { deviceId: "plug-1", ok: true, values: { power_state: true } },
+          { deviceId: "plug-2", pending: true, at: Date.now() + 60000 },
+        ],
+      });
+    }
+    if (url === "/api/groups/1/off") {
+      return jsonResponse(200, {
+        groupId: 1,
+        action: "off",
+        results: [
+          { deviceId: "plug-1", ok: true, power_state: false },
+          { deviceId: "plug-2", ok: false, error: "Kettle is not connected" },
+        ],
+      });
+    }
+    if (url.startsWith("/api/reports/power")) {
+      return jsonResponse(200, {
+        bucket: 3600000,
+        devices: [
+          { deviceId: "plug-1", name: "Desk" },
+          { deviceId: "plug-2", name: "Kettle" },
+        ],
+        points: [{ t: 0, total: 112.1, values: { "plug-1": 112.1 } }],
+      });
+    }
+    if (url.startsWith("/api/reports/breakdown")) {
+      return jsonResponse(200, {
+        currency: "EUR",
+        totals: { kwh: 2, cost: 0.6 },
+        devices: [
+          {
+            rank: 1,
+            deviceId: "plug-2",
+            name: "Kettle",
+            kwh: 1.5,
+            cost: 0.45,
+            share: 75,
+            estimated: false,
+          },
+          {
+            rank: 2,
+            deviceId: "plug-1",
+            name: "Desk",
+            kwh: 0.5,
+            cost: 0.15,
+            share: 25,
+            estimated: true,
+          },
+        ],
+      });
+    }
+    if (url.startsWith("/api/reports/compare")) {
+      const devices = url.includes("devices=");
+      const series = (label, kwh) => ({
+        label,
+        totals: { kwh, cost: 0 },
+        points: [{ offset: 0, watts: 10 }],
+      });
+      return jsonResponse(200, {
+        mode: devices ? "devices" : "periods",
+        bucket: 3600000,
+        series: devices
+          ? [series("Desk", 0.5), series("Kettle", 1.5)]
+          : [series("This period", 2), series("Compared period", 3)],
+      });
+    }
+    if (url.startsWith("/api/devices/plug-1/import")) {
+      const dryRun = url.includes("dryRun=true");
+      return jsonResponse(200, {
+        format: "csv",
+        layout: "wide",
+        timeColumn: "Timestamp",
+        columns: [
+          { name: "Power (W)", example: "112.1" },
+          { name: "Notes", example: "kettle" },
+        ],
+        mapping: { "Power (W)": { metric: "power", scale: 0 } },
+        rows: 2,
+        preview: [{ timestamp: "2023-06-01T12:00:00.000Z", power: 112.1 }],
+        from: "2023-06-01T12:00:00.000Z",
+        to: "2023-06-01T12:01:00.000Z",
+        counts: { samples: 2, duplicates: 0, existing: 1, errors: 0 },
+        errors: [],
+        dryRun,
+        imported: dryRun ? 0 : 2,
+      });
+    }
+    if (url === "/api/storage") {
+      return jsonResponse(200, {
+        tiers: [
+          { name: "raw", rows: 1200, first: 0, last: 60000 },
+          { name: "minute", rows: 0, first: null, last: null },
+          { name: "hour", rows: 0, first: null, last: null },
+        ],
+        usedBytes: 4096,
+        freeBytes: 0,
+        fileBytes: 2 * 1024 * 1024,
+        config: { rawDays: 7, minuteDays: 90, hourDays: 0 },
+        lastRun: null,
+        archives: [],
+        archiveBytes: 0,
+      });
+    }
+    return jsonResponse(404, { error: "Not found" });
+  });
+};
+
+// Render as `user` and get the dashboard on screen with DEVICES
+const openDashboard = async (user) => {
+  mockApi(user);
+  render(<App />);
+  await screen.findByText("Connecting to the server...");
+  const socket = latestSocket();
+  socket.open();
+  socket.receive({
+    v: 1,
+    type: "hello",
+    data: { protocol: 1, user, heartbeatInterval: 30000 },
+  });
+  socket.receive({ v: 1, type: "devices", data: DEVICES });
+  await screen.findByText("Desk");
+  return socket;
+};
+
+const OPERATOR = { id: 1, username: "olga", role: "operator" };
+
+beforeEach(() => {
+  MockWebSocket.instances = [];
+  global.WebSocket = MockWebSocket;
+  localStorage.clear();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+test("shows the login form without a session", async () => {
+  mockApi(null);
+  render(<App />);
+
+  expect(await screen.findByText("Log in")).toBeInTheDocument();
+  expect(MockWebSocket.instances).toHaveLength(0);
+});
+
+test("logs in and connects to the server", async () => {
+  mockApi(null);
+  render(<App />);
+
+  fireEvent.change(await screen.findByPlaceholderText("Username"), {
+    target: { value: "olga" },
+  });
+  fireEvent.change(screen.getByPlaceholderText("Password"), {
+    target: { value: "secret-password" },
+  });
+  fireEvent.click(screen.getByText("Log in"));
+
+  await screen.findByText("Connecting to the server...");
+  expect(latestSocket().url).toBe("ws://localhost/api/ws");
+});
+
+test("renders a card per device from the server", async () => {
+  await openDashboard(OPERATOR);
+
+  expect(screen.getByText("Desk")).toBeInTheDocument();
+  expect(screen.getByText("Kettle")).toBeInTheDocument();
+  expect(screen.getByText("1 of 2 plugs connected")).toBeInTheDocument();
+  expect(screen.getByText("olga (operator)")).toBeInTheDocument();
+});
+
+test("updates a card when a reading arrives", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  socket.receive({
+    type: "data",
+    deviceId: "plug-1",
+    data: { power_state: true, power: 18.4 },
+  });
+
+  expect(screen.getByText("ON")).toBeInTheDocument();
+  socket.receive({
+    type: "connection",
+    deviceId: "plug-2",
+    data: { connected: true },
+  });
+  expect(screen.getByText("2 of 2 plugs connected")).toBeInTheDocument();
+});
+
+test("shows connection state changes", async () => {
+  const socket = await openDashboard(OPERATOR);
+  expect(screen.getAllByText("Online")).toHaveLength(1);
+
+  socket.receive({
+    type: "state",
+    deviceId: "plug-1",
+    data: { state: "degraded", reason: "3 polls failed", retryAt: null },
+  });
+
+  expect(screen.getByText("Degraded")).toHaveAttribute(
+    "title",
+    "3 polls failed"
+  );
+  expect(screen.getByText("1 of 2 plugs connected")).toBeInTheDocument();
+});
+
+test("switches a connected plug to the opposite of what it shows", async () => {
+  const socket = await openDashboard(OPERATOR);
+  const [desk, kettle] = screen.getAllByText("OFF");
+
+  fireEvent.click(desk);
+
+  expect(socket.sent).toEqual([
+    { v: 1, type: "on", id: 1, deviceId: "plug-1" },
+  ]);
+  // The kettle is offline, so its button is disabled
+  expect(kettle).toBeDisabled();
+});
+
+test("shows why the server refused to switch a plug", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  fireEvent.click(screen.getAllByText("OFF")[0]);
+  const { id } = socket.sent[0];
+  socket.receive({
+    v: 1,
+    type: "nack",
+    id,
+    error: {
+      code: "device_error",
+      message: "Failed to toggle device: Timeout",
+    },
+  });
+
+  expect(
+    await screen.findByText(
+      "Could not switch Desk: Failed to toggle device: Timeout"
+    )
+  ).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Dismiss"));
+  expect(screen.queryByText(/Could not switch/)).not.toBeInTheDocument();
+});
+
+test("tells the user when a watched appliance has finished", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  socket.receive({
+    type: "cycle",
+    deviceId: "plug-1",
+    data: { state: "started", notify: true, message: "Washer started" },
+  });
+  expect(screen.queryByText("Washer started")).not.toBeInTheDocument();
+
+  socket.receive({
+    type: "cycle",
+    deviceId: "plug-1",
+    data: {
+      state: "finished",
+      notify: true,
+      message: "Washer finished after 1 h 32 min (0.85 kWh)",
+    },
+  });
+
+  expect(
+    await screen.findByText("Washer finished after 1 h 32 min (0.85 kWh)")
+  ).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Dismiss"));
+  expect(screen.queryByText(/Washer finished/)).not.toBeInTheDocument();
+});
+
+test("switches a group and shows how each plug fared", async () => {
+  await openDashboard(OPERATOR);
+
+  expect(await screen.findByText("Office desk")).toBeInTheDocument();
+  expect(screen.getByText("112.1 W")).toBeInTheDocument();
+  expect(screen.getByText("0.42 kWh")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "Off" }));
+
+  expect(
+    await screen.findByText("Office desk: Kettle Kettle is not connected")
+  ).toBeInTheDocument();
+  expect(screen.getByText("Office desk: Desk done")).toBeInTheDocument();
+});
+
+test("shows staggered scene plugs as pending until their result arrives", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  fireEvent.click(await screen.findByRole("button", { name: "Activate" }));
+
+  expect(await screen.findByText("Bench on: Desk done")).toBeInTheDocument();
+  expect(screen.getByText(/Bench on: Kettle starts at/)).toBeInTheDocument();
+
+  socket.receive({
+    type: "scene",
+    data: {
+      id: 3,
+      name: "Bench on",
+      action: "activate",
+      results: [
+        { deviceId: "plug-2", ok: true, values: { power_state: true } },
+      ],
+    },
+  });
+
+  expect(screen.getByText("Bench on: Kettle done")).toBeInTheDocument();
+});
+
+test("shows admins how much storage the readings take", async () => {
+  await openDashboard({ id: 2, username: "ada", role: "admin" });
+
+  fireEvent.click(screen.getByRole("button", { name: "Storage" }));
+
+  expect(await screen.findByText("2.0 MB")).toBeInTheDocument();
+  expect(screen.getByText("Full resolution")).toBeInTheDocument();
+  expect(screen.getByText("1200")).toBeInTheDocument();
+  expect(screen.getAllByText("forever")).toHaveLength(1);
+});
+
+test("breaks the household's energy down by plug and compares", async () => {
+  await openDashboard(OPERATOR);
+
+  fireEvent.click(screen.getByRole("button", { name: "Overview" }));
+
+  expect(await screen.findByText("1. Kettle")).toBeInTheDocument();
+  expect(screen.getByText("2. Desk *")).toBeInTheDocument();
+  expect(screen.getByText("75%")).toBeInTheDocument();
+  expect(await screen.findByText("3.00 kWh")).toBeInTheDocument();
+  expect(screen.getByText("Yesterday (€0.00)")).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Compare"), {
+    target: { value: "devices" },
+  });
+
+  expect(await screen.findByText("Kettle (€0.00)")).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(
+    "/api/reports/compare?range=day&devices=plug-1%2Cplug-2",
+    expect.anything()
+  );
+});
+
+test("lets admins check an old CSV before importing it", async () => {
+  await openDashboard({ id: 2, username: "ada", role: "admin" });
+
+  fireEvent.click(screen.getByRole("button", { name: "Import" }));
+  fireEvent.change(screen.getByLabelText("File to import"), {
+    target: {
+      files: [new File(["Timestamp,Power (W)\n"], "device_data.csv")],
+    },
+  });
+
+  expect(await screen.findByText(/2 new samples/)).toBeInTheDocument();
+  expect(screen.getByText(/1 already stored/)).toBeInTheDocument();
+  expect(screen.getByLabelText("Metric for Power (W)")).toHaveValue("power");
+  expect(screen.getByLabelText("Metric for Notes")).toHaveValue("");
+  expect(
+    screen.getByLabelText("Power (W) is added since the previous row")
+  ).not.toBeChecked();
+  expect(global.fetch).toHaveBeenCalledWith(
+    "/api/devices/plug-1/import?dryRun=true&name=device_data.csv",
+    expect.objectContaining({ method: "POST" })
+  );
+
+  fireEvent.click(screen.getByRole("button", { name: "Import" }));
+
+  expect(
+    await screen.findByText(/Imported 2 samples into Desk/)
+  ).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenLastCalledWith(
+    expect.stringContaining("dryRun=false&mapping="),
+    expect.objectContaining({ body: "Timestamp,Power (W)\n" })
+  );
+});
+
+test("reconnects when the server stops answering pings", async () => {
+  jest.useFakeTimers();
+  const socket = await openDashboard(OPERATOR);
+
+  await act(async () => {
+    jest.advanceTimersByTime(25000);
+  });
+  expect(socket.sent).toEqual([{ v: 1, type: "ping", id: 1 }]);
+
+  // No pong within the request timeout: the socket is closed
+  const close = jest.spyOn(socket, "close");
+  await act(async () => {
+    jest.advanceTimersByTime(10000);
+  });
+  expect(close).toHaveBeenCalled();
+});
+
+test("renders controls for the writable DPs a plug reported", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  // The plug has not reported its child lock, so there is no control for it
+  expect(screen.queryByLabelText("Child lock")).not.toBeInTheDocument();
+  const relay = screen.getByLabelText("After power loss");
+  expect(relay).toHaveValue("last");
+
+  fireEvent.change(relay, { target: { value: "power_off" } });
+
+  expect(socket.sent).toEqual([
+    {
+      v: 1,
+      type: "set",
+      id: 1,
+      deviceId: "plug-1",
+      dp: "38",
+      value: "power_off",
+    },
+  ]);
+});
+
+test("does not let viewers switch plugs", async () => {
+  await openDashboard({ id: 2, username: "vic", role: "viewer" });
+
+  for (const button of screen.getAllByText("OFF")) {
+    expect(button).toBeDisabled();
+  }
+  expect(screen.getByLabelText("After power loss")).toBeDisabled();
+});
+
+test("reconnects after the connection drops", async () => {
+  jest.useFakeTimers();
+  const socket = await openDashboard(OPERATOR);
+
+  socket.serverClose(1006);
+  expect(screen.getByText(/^Not connected to the server/)).toBeInTheDocument();
+
+  // Waits 3 seconds, checks the session is still valid, then reconnects
+  await act(async () => {
+    jest.advanceTimersByTime(3000);
+  });
+  expect(MockWebSocket.instances).toHaveLength(2);
+
+  const reconnected = latestSocket();
+  reconnected.open();
+  reconnected.receive({ type: "devices", data: DEVICES });
+  expect(screen.getByText("Desk")).toBeInTheDocument();
+});
+
+test("returns to the login form when the session is closed", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  socket.serverClose(4001);
+
+  expect(await screen.findByText("Log in")).toBeInTheDocument();
+});
+
+test("keeps the last readings on screen while the server is away", async () => {
+  const socket = await openDashboard(OPERATOR);
+
+  socket.serverClose(1006);
+
+  expect(screen.getByText("Server offline")).toBeInTheDocument();
+  expect(screen.getByText("Desk")).toBeInTheDocument();
+  expect(screen.getAllByText("Last known")).toHaveLength(2);
+});
+
+test("opens with the last readings when the server cannot be reached", async () => {
+  mockApi(OPERATOR);
+  render(<App />);
+  await screen.findByText("Connecting to the server...");
+  const socket = latestSocket();
+  socket.open();
+  socket.receive({ v: 1, type: "devices", data: DEVICES });
+  await screen.findByText("Desk");
+  cleanup();
+
+  global.fetch = jest.fn(() =>
+    Promise.reject(new TypeError("Failed to fetch"))
+  );
+  render(<App />);
+
+  expect(await screen.findByText("Desk")).toBeInTheDocument();
+  expect(screen.getByText("olga (operator)")).toBeInTheDocument();
+  expect(screen.getByText(/^Not connected to the server/)).toBeInTheDocument();
+});
+
+test("queues a switch made offline and sends it on reconnect", async () => {
+  jest.useFakeTimers();
+  const socket = await openDashboard(OPERATOR);
+  socket.serverClose(1006);
+
+  fireEvent.click(screen.getAllByText("OFF")[0]);
+
+  expect(screen.getByText("Switch Desk on")).toBeInTheDocument();
+  expect(
+    screen.getByText(/^Pending, sent when the server is back/)
+  ).toBeInTheDocument();
+
+  await act(async () => {
+    jest.advanceTimersByTime(3000);
+  });
+  const reconnected = latestSocket();
+  reconnected.open();
+  expect(reconnected.sent).toEqual([
+    { v: 1, type: "on", id: 1, deviceId: "plug-1" },
+  ]);
+
+  reconnected.receive({ v: 1, type: "ack", id: 1, data: {} });
+  await waitFor(() =>
+    expect(screen.queryByText("Switch Desk on")).not.toBeInTheDocument()
+  );
+});
+
+test("expires queued commands instead of sending them late", async () => {
+  jest.useFakeTimers();
+  const socket = await openDashboard(OPERATOR);
+  socket.serverClose(4000);
+
+  fireEvent.change(screen.getByLabelText("After power loss"), {
+    target: { value: "power_off" },
+  });
+  await act(async () => {
+    jest.advanceTimersByTime(5 * 60 * 1000);
+  });
+
+  expect(screen.getByText("Expired, not sent")).toBeInTheDocument();
+  const reconnected = latestSocket();
+  reconnected.open();
+  expect(reconnected.sent).toEqual([]);
+});
+
+test("shows the learned standby band and what cutoffs saved", async () => {
+  await openDashboard(OPERATOR);
+
+  expect(
+    await screen.findByText("Standby draw 0.3-1.3 W (usually 0.8 W)")
+  ).toBeInTheDocument();
+  expect(screen.getByText(/In total: 1.25 kWh \(0.40\)/)).toBeInTheDocument();
+  expect(screen.getByLabelText("Switch off in standby")).not.toBeChecked();
+});
@@ -0,0 +1,42 @@
+let unauthorizedHandler = null;
+
+// Called whenever the API answers 401, i.e. the session has ended
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Small fetch wrapper for the REST API. Rejects with the server's error
+// message ({ error }) when the response is not ok; the error's `status` is
+// the HTTP status.
+export const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+      ...options.headers,
+    },
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    if (response.status === 401 && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    const error = new Error(
+      body.error || `Request failed (${response.status})`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+};
+
+export const buildQuery = (params) =>
+  Object.entries(params)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+    )
+    .join("&");
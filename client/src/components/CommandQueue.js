@@ -0,0 +1,41 @@
+import React from "react";
+
+const describe = (command) => {
+  switch (command.status) {
+    case "pending":
+      return `Pending, sent when the server is back (until ${new Date(
+        command.expiresAt
+      ).toLocaleTimeString()})`;
+    case "sending":
+      return "Sending...";
+    case "expired":
+      return "Expired, not sent";
+    default:
+      return `Failed: ${command.error}`;
+  }
+};
+
+// Control commands made while the server was out of reach
+const CommandQueue = ({ commands, onDismiss }) => (
+  <div className="card command-queue">
+    <h3>Queued commands</h3>
+    <div className="alert-log">
+      {commands.map((command) => (
+        <div key={command.id} className={`alert-entry ${command.status}`}>
+          <span>{command.label}</span>
+          {describe(command)}
+          {command.status !== "sending" && (
+            <button
+              className="link-button"
+              onClick={() => onDismiss(command.id)}
+            >
+              {command.status === "pending" ? "Cancel" : "Dismiss"}
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default CommandQueue;
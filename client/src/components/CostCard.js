@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from "react";
+import { fetchJson } from "../api";
+
+const REFRESH_INTERVAL = 60000;
+
+const formatMoney = (value, currency) => {
+  if (value === null || value === undefined) return "-";
+  if (/^[A-Z]{3}$/.test(currency || "")) {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+      maximumFractionDigits: 2,
+    }).format(value);
+  }
+  return `${value.toFixed(2)}${currency ? ` ${currency}` : ""}`;
+};
+
+const CostCard = ({ deviceId }) => {
+  const [cost, setCost] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = () => {
+      fetchJson(`/api/devices/${encodeURIComponent(deviceId)}/cost`)
+        .then((result) => {
+          if (!cancelled) {
+            setCost(result);
+            setError(null);
+          }
+        })
+        .catch((err) => {
+          if (!cancelled) setError(err.message);
+        });
+    };
+
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [deviceId]);
+
+  return (
+    <div className="card cost-card">
+      <h3>Energy Cost</h3>
+      {error && <div className="chart-message error">{error}</div>}
+      {cost && (
+        <>
+          <div className="metrics-grid">
+            <div className="metric">
+              <div className="metric-value">
+                {formatMoney(cost.today.cost, cost.currency)}
+              </div>
+              <div className="metric-label">
+                Today ({cost.today.kwh.toFixed(2)} kWh)
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {formatMoney(cost.thisMonth.cost, cost.currency)}
+              </div>
+              <div className="metric-label">
+                This month ({cost.thisMonth.kwh.toFixed(2)} kWh)
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {formatMoney(cost.costPerHour, cost.currency)}
+              </div>
+              <div className="metric-label">Running cost per hour</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {formatMoney(cost.currentRate, cost.currency)}
+              </div>
+              <div className="metric-label">Current rate per kWh</div>
+            </div>
+          </div>
+
+          {cost.days.length > 0 && (
+            <table className="cost-table">
+              <thead>
+                <tr>
+                  <th>Day</th>
+                  <th>kWh</th>
+                  <th>Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cost.days
+                  .slice(-7)
+                  .reverse()
+                  .map((day) => (
+                    <tr key={day.date}>
+                      <td>{day.date}</td>
+                      <td>{day.kwh.toFixed(2)}</td>
+                      <td>{formatMoney(day.cost, cost.currency)}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CostCard;
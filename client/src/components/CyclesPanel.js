@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchJson } from "../api";
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+};
+
+const toForm = (settings) => ({
+  appliance: settings.appliance || "",
+  idleWatts: String(settings.idleWatts),
+  idleSeconds: String(settings.idleSeconds),
+  minSeconds: String(settings.minSeconds),
+  notify: settings.notify,
+});
+
+const CyclesPanel = ({ deviceId, refreshKey, canEdit }) => {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [labels, setLabels] = useState({});
+  const [error, setError] = useState(null);
+  const base = `/api/devices/${encodeURIComponent(deviceId)}/cycles`;
+
+  const load = useCallback(() => {
+    fetchJson(`${base}?limit=20`)
+      .then((result) => {
+        setData(result);
+        setForm((current) => current || toForm(result.settings));
+      })
+      .catch((err) => setError(err.message));
+  }, [base]);
+
+  // Start from the new plug's settings when the selection changes
+  useEffect(() => {
+    setForm(null);
+    setLabels({});
+  }, [deviceId]);
+
+  // Reload when the device changes or a cycle starts or finishes
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const run = (promise) =>
+    promise
+      .then(() => {
+        setError(null);
+        load();
+      })
+      .catch((err) => setError(err.message));
+
+  const saveSettings = (e) => {
+    e.preventDefault();
+    run(
+      fetchJson(`${base}/settings`, {
+        method: "PUT",
+        body: JSON.stringify({
+          appliance: form.appliance,
+          idleWatts: Number(form.idleWatts),
+          idleSeconds: Number(form.idleSeconds),
+          minSeconds: Number(form.minSeconds),
+          notify: form.notify,
+        }),
+      })
+    );
+  };
+
+  const saveLabel = (cycle) =>
+    run(
+      fetchJson(`${base}/${cycle.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ label: labels[cycle.id] }),
+      }).then(() =>
+        setLabels((prev) => {
+          const next = { ...prev };
+          delete next[cycle.id];
+          return next;
+        })
+      )
+    );
+
+  const remove = (cycle) =>
+    run(fetchJson(`${base}/${cycle.id}`, { method: "DELETE" }));
+
+  return (
+    <div className="card cycles-card">
+      <h3>Appliance Cycles</h3>
+      {error && <div className="chart-message error">{error}</div>}
+
+      {data && data.running && (
+        <div className="chart-message">
+          Running since {new Date(data.running.start).toLocaleTimeString()} (
+          {formatDuration(data.running.durationSeconds)}, peak{" "}
+          {data.running.peakWatts} W, {data.running.kwh.toFixed(2)} kWh so far)
+        </div>
+      )}
+
+      {data && data.cycles.length === 0 && (
+        <p className="panel-empty">No cycles recorded for this plug yet.</p>
+      )}
+      {data && data.cycles.length > 0 && (
+        <table className="cost-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>Duration</th>
+              <th>Peak</th>
+              <th>kWh</th>
+              <th>Label</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.cycles.map((cycle) => (
+              <tr key={cycle.id}>
+                <td>{new Date(cycle.start).toLocaleString()}</td>
+                <td>{formatDuration(cycle.durationSeconds)}</td>
+                <td>{cycle.peakWatts} W</td>
+                <td>{cycle.kwh.toFixed(2)}</td>
+                <td>
+                  {canEdit ? (
+                    <input
+                      type="text"
+                      value={labels[cycle.id] ?? cycle.label ?? ""}
+                      onChange={(e) =>
+                        setLabels((prev) => ({
+                          ...prev,
+                          [cycle.id]: e.target.value,
+                        }))
+                      }
+                      onBlur={() =>
+                        cycle.id in labels ? saveLabel(cycle) : null
+                      }
+                      placeholder="Label"
+                    />
+                  ) : (
+                    cycle.label
+                  )}
+                </td>
+                <td>
+                  {canEdit && (
+                    <button
+                      className="link-button"
+                      onClick={() => remove(cycle)}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && form && (
+        <form className="panel-form" onSubmit={saveSettings}>
+          <input
+            type="text"
+            value={form.appliance}
+            onChange={update("appliance")}
+            placeholder="Appliance (e.g. Washer)"
+          />
+          <label>
+            idle at or below
+            <input
+              type="number"
+              min="0"
+              value={form.idleWatts}
+              onChange={update("idleWatts")}
+            />
+            W
+          </label>
+          <label>
+            ends after
+            <input
+              type="number"
+              min="0"
+              value={form.idleSeconds}
+              onChange={update("idleSeconds")}
+            />
+            s idle
+          </label>
+          <label>
+            ignore runs under
+            <input
+              type="number"
+              min="0"
+              value={form.minSeconds}
+              onChange={update("minSeconds")}
+            />
+            s
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={form.notify}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, notify: e.target.checked }))
+              }
+            />
+            Notify when finished
+          </label>
+          <button type="submit" className="action-button">
+            Save
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CyclesPanel;
@@ -0,0 +1,94 @@
+import React from "react";
+import { formatMetric, metricLabel, numericMetrics } from "../metrics";
+import DeviceControls from "./DeviceControls";
+
+// Label and status colour per connection state
+const STATES = {
+  online: { label: "Online", className: "connected" },
+  degraded: { label: "Degraded", className: "degraded" },
+  discovering: { label: "Discovering...", className: "connecting" },
+  connecting: { label: "Connecting...", className: "connecting" },
+  disconnected: { label: "Disconnected", className: "disconnected" },
+  stale: { label: "Last known", className: "stale" },
+};
+
+// Why the plug is in its state, and when the next reconnect is due
+const stateDetails = (device) =>
+  [
+    device.stateReason,
+    device.retryAt &&
+      `Retrying at ${new Date(device.retryAt).toLocaleTimeString()}`,
+  ]
+    .filter(Boolean)
+    .join(". ");
+
+// A stale card shows the last reading received before the server went out of
+// reach; what is done on it is queued rather than sent
+const DeviceCard = ({
+  device,
+  selected,
+  onToggle,
+  onSet,
+  onSelect,
+  canToggle,
+  stale,
+}) => {
+  const status = stale
+    ? STATES.stale
+    : STATES[device.state] ||
+      (device.connected ? STATES.online : STATES.disconnected);
+  const disabled = !(device.connected || stale) || !canToggle;
+
+  return (
+    <div
+      className={`card device-card ${selected ? "selected" : ""} ${
+        stale ? "stale" : ""
+      }`}
+    >
+      <div className="device-card-header">
+        <h3 onClick={() => onSelect(device.id)}>
+          {device.name}
+          {device.simulated && (
+            <span className="simulated-badge">Simulated</span>
+          )}
+        </h3>
+        <div
+          className={`connection-status ${status.className}`}
+          title={stateDetails(device)}
+        >
+          <div className={`status-dot ${status.className}`}></div>
+          {status.label}
+        </div>
+      </div>
+
+      <div className="device-card-body">
+        <button
+          className={`power-button ${device.power_state ? "on" : "off"}`}
+          onClick={() => onToggle(device.id)}
+          disabled={disabled}
+        >
+          {device.power_state ? "ON" : "OFF"}
+        </button>
+
+        <div className="metrics-grid">
+          {numericMetrics(device).map((metric) => (
+            <div className="metric" key={metric.metric}>
+              <div className="metric-value">
+                {formatMetric(device[metric.metric], metric)}
+              </div>
+              <div className="metric-label">{metricLabel(metric)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <DeviceControls device={device} disabled={disabled} onSet={onSet} />
+
+      <div className="timestamp">
+        Last updated: {new Date(device.timestamp).toLocaleString()}
+      </div>
+    </div>
+  );
+};
+
+export default DeviceCard;
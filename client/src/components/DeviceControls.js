@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from "react";
+import { controlMetrics, metricLabel } from "../metrics";
+
+// A number setting is edited as text and sent when submitted, so typing
+// "120" does not write 1 and 12 on the way
+const NumberControl = ({ metric, value, disabled, onSet }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSet(Number(draft));
+  };
+
+  return (
+    <form onSubmit={submit}>
+      <input
+        type="number"
+        aria-label={metric.label}
+        value={draft}
+        min={metric.min}
+        max={metric.max}
+        step={metric.step || Math.pow(10, -metric.scale)}
+        onChange={(e) => setDraft(e.target.value)}
+        disabled={disabled}
+      />
+      <button
+        type="submit"
+        className="link-button"
+        disabled={disabled || draft === String(value) || draft === ""}
+      >
+        Set
+      </button>
+    </form>
+  );
+};
+
+const Control = ({ metric, value, disabled, onSet }) => {
+  if (metric.type === "boolean") {
+    return (
+      <input
+        type="checkbox"
+        aria-label={metric.label}
+        checked={Boolean(value)}
+        onChange={(e) => onSet(e.target.checked)}
+        disabled={disabled}
+      />
+    );
+  }
+  if (metric.type === "string" && metric.values) {
+    return (
+      <select
+        aria-label={metric.label}
+        value={value}
+        onChange={(e) => onSet(e.target.value)}
+        disabled={disabled}
+      >
+        {metric.values.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  if (metric.type === "number") {
+    return (
+      <NumberControl
+        metric={metric}
+        value={value}
+        disabled={disabled}
+        onSet={onSet}
+      />
+    );
+  }
+  return <span>{value}</span>;
+};
+
+// Settings of a plug (child lock, LED mode, power-on behaviour, ...) built
+// from the writable DPs in its profile
+const DeviceControls = ({ device, disabled, onSet }) => {
+  const metrics = controlMetrics(device);
+  if (metrics.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="device-controls">
+      {metrics.map((metric) => (
+        <label className="device-control" key={metric.metric}>
+          <span>{metricLabel(metric)}</span>
+          <Control
+            metric={metric}
+            value={device[metric.metric]}
+            disabled={disabled}
+            onSet={(value) => onSet(device.id, metric, value)}
+          />
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default DeviceControls;
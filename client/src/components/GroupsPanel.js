@@ -0,0 +1,381 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchJson } from "../api";
+
+const REFRESH_INTERVAL = 60000;
+
+const EMPTY_GROUP = { name: "", deviceIds: [] };
+const EMPTY_SCENE = { name: "", staggerSeconds: "0", states: {} };
+
+// Live power of a group, added up from the readings the dashboard already
+// has; energy comes from the server
+const groupPower = (group, devices) =>
+  group.deviceIds.reduce((total, deviceId) => {
+    const device = devices.find((entry) => entry.id === deviceId);
+    return device && device.connected ? total + (device.power || 0) : total;
+  }, 0);
+
+const describeScene = (scene, devices) =>
+  scene.actions
+    .map(({ deviceId, values }) => {
+      const device = devices.find((entry) => entry.id === deviceId);
+      const settings = Object.entries(values)
+        .map(([metric, value]) =>
+          metric === "power_state"
+            ? value
+              ? "on"
+              : "off"
+            : `${metric} ${value}`
+        )
+        .join(", ");
+      return `${device ? device.name : deviceId} ${settings}`;
+    })
+    .join("; ");
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString();
+
+// Groups of plugs switched together and scenes applied in one go. Each run
+// lists how every member fared; the staggered plugs of a scene show as
+// pending until their result is broadcast.
+const GroupsPanel = ({ devices, refreshKey, latestRun, canEdit }) => {
+  const [groups, setGroups] = useState([]);
+  const [scenes, setScenes] = useState([]);
+  const [groupForm, setGroupForm] = useState(EMPTY_GROUP);
+  const [sceneForm, setSceneForm] = useState(EMPTY_SCENE);
+  // Which form is open: "group", "scene" or null
+  const [adding, setAdding] = useState(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    Promise.all([fetchJson("/api/groups"), fetchJson("/api/scenes")])
+      .then(([groupList, sceneList]) => {
+        setGroups(groupList);
+        setScenes(sceneList);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Reload on a timer (for today's energy) and whenever a run is broadcast
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [load, refreshKey]);
+
+  useEffect(() => {
+    if (!latestRun || latestRun.type !== "scene") {
+      return;
+    }
+    setLastRun((prev) =>
+      prev && prev.sceneId === latestRun.id
+        ? {
+            ...prev,
+            results: prev.results.map(
+              (result) =>
+                latestRun.results.find(
+                  (update) => update.deviceId === result.deviceId
+                ) || result
+            ),
+          }
+        : prev
+    );
+  }, [latestRun]);
+
+  const nameOf = (deviceId) => {
+    const device = devices.find((entry) => entry.id === deviceId);
+    return device ? device.name : deviceId;
+  };
+
+  const run = (promise) =>
+    promise
+      .then(() => {
+        setError(null);
+        load();
+      })
+      .catch((err) => setError(err.message));
+
+  const post = (url, body) =>
+    fetchJson(url, {
+      method: "POST",
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+  const switchGroup = (group, action) =>
+    run(
+      post(`/api/groups/${group.id}/${action}`).then((result) =>
+        setLastRun({ name: group.name, results: result.results })
+      )
+    );
+
+  const activate = (scene) =>
+    run(
+      post(`/api/scenes/${scene.id}/activate`).then((result) =>
+        setLastRun({
+          sceneId: scene.id,
+          name: scene.name,
+          results: result.results,
+        })
+      )
+    );
+
+  const remove = (kind, entry) =>
+    run(fetchJson(`/api/${kind}/${entry.id}`, { method: "DELETE" }));
+
+  const toggleMember = (deviceId) =>
+    setGroupForm((prev) => ({
+      ...prev,
+      deviceIds: prev.deviceIds.includes(deviceId)
+        ? prev.deviceIds.filter((id) => id !== deviceId)
+        : [...prev.deviceIds, deviceId],
+    }));
+
+  const createGroup = (e) => {
+    e.preventDefault();
+    run(
+      post("/api/groups", groupForm).then(() => {
+        setGroupForm(EMPTY_GROUP);
+        setAdding(null);
+      })
+    );
+  };
+
+  const setSceneState = (deviceId, state) =>
+    setSceneForm((prev) => ({
+      ...prev,
+      states: { ...prev.states, [deviceId]: state },
+    }));
+
+  const createScene = (e) => {
+    e.preventDefault();
+    const actions = Object.entries(sceneForm.states)
+      .filter(([, state]) => state)
+      .map(([deviceId, state]) => ({
+        deviceId,
+        values: { power_state: state === "on" },
+      }));
+    run(
+      post("/api/scenes", {
+        name: sceneForm.name,
+        staggerSeconds: Number(sceneForm.staggerSeconds),
+        actions,
+      }).then(() => {
+        setSceneForm(EMPTY_SCENE);
+        setAdding(null);
+      })
+    );
+  };
+
+  return (
+    <div className="card groups-card">
+      <h3>Groups &amp; Scenes</h3>
+      {error && <div className="chart-message error">{error}</div>}
+
+      {lastRun && (
+        <div className="alert-log">
+          {lastRun.results.map((result) => (
+            <div
+              key={result.deviceId}
+              className={`alert-entry ${result.ok ? "resolved" : ""}`}
+            >
+              {lastRun.name}: {nameOf(result.deviceId)}{" "}
+              {result.pending
+                ? `starts at ${formatTime(result.at)}`
+                : result.ok
+                ? "done"
+                : result.error}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <p className="panel-empty">No groups yet.</p>
+      ) : (
+        <table className="cost-table">
+          <thead>
+            <tr>
+              <th>Group</th>
+              <th>Plugs</th>
+              <th>Power</th>
+              <th>Today</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map((group) => (
+              <tr key={group.id}>
+                <td>{group.name}</td>
+                <td>{group.deviceIds.map(nameOf).join(", ")}</td>
+                <td>{groupPower(group, devices).toFixed(1)} W</td>
+                <td>{group.today.kwh.toFixed(2)} kWh</td>
+                <td>
+                  {canEdit && (
+                    <>
+                      <button
+                        className="link-button"
+                        onClick={() => switchGroup(group, "on")}
+                      >
+                        On
+                      </button>
+                      <button
+                        className="link-button"
+                        onClick={() => switchGroup(group, "off")}
+                      >
+                        Off
+                      </button>
+                      <button
+                        className="link-button"
+                        onClick={() => remove("groups", group)}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && adding !== "group" && (
+        <button className="link-button" onClick={() => setAdding("group")}>
+          New group
+        </button>
+      )}
+
+      {canEdit && adding === "group" && (
+        <form className="panel-form" onSubmit={createGroup}>
+          <input
+            type="text"
+            value={groupForm.name}
+            onChange={(e) =>
+              setGroupForm((prev) => ({ ...prev, name: e.target.value }))
+            }
+            placeholder="Group name"
+          />
+          <span className="day-picker">
+            {devices.map((device) => (
+              <label key={device.id}>
+                <input
+                  type="checkbox"
+                  checked={groupForm.deviceIds.includes(device.id)}
+                  onChange={() => toggleMember(device.id)}
+                />
+                {device.name}
+              </label>
+            ))}
+          </span>
+          <button type="submit" className="action-button">
+            Add group
+          </button>
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setAdding(null)}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <h4 className="panel-subtitle">Scenes</h4>
+      {scenes.length === 0 ? (
+        <p className="panel-empty">No scenes yet.</p>
+      ) : (
+        <table className="cost-table">
+          <tbody>
+            {scenes.map((scene) => (
+              <tr key={scene.id}>
+                <td>{scene.name}</td>
+                <td>
+                  {describeScene(scene, devices)}
+                  {scene.staggerSeconds > 0 &&
+                    ` (${scene.staggerSeconds} s apart)`}
+                </td>
+                <td>
+                  {canEdit && (
+                    <>
+                      <button
+                        className="link-button"
+                        onClick={() => activate(scene)}
+                      >
+                        Activate
+                      </button>
+                      <button
+                        className="link-button"
+                        onClick={() => remove("scenes", scene)}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && adding !== "scene" && (
+        <button className="link-button" onClick={() => setAdding("scene")}>
+          New scene
+        </button>
+      )}
+
+      {canEdit && adding === "scene" && (
+        <form className="panel-form" onSubmit={createScene}>
+          <input
+            type="text"
+            value={sceneForm.name}
+            onChange={(e) =>
+              setSceneForm((prev) => ({ ...prev, name: e.target.value }))
+            }
+            placeholder="Scene name"
+          />
+          {devices.map((device) => (
+            <label key={device.id}>
+              {device.name}
+              <select
+                value={sceneForm.states[device.id] || ""}
+                onChange={(e) => setSceneState(device.id, e.target.value)}
+              >
+                <option value="">unchanged</option>
+                <option value="on">on</option>
+                <option value="off">off</option>
+              </select>
+            </label>
+          ))}
+          <label>
+            stagger
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={sceneForm.staggerSeconds}
+              onChange={(e) =>
+                setSceneForm((prev) => ({
+                  ...prev,
+                  staggerSeconds: e.target.value,
+                }))
+              }
+            />
+            s
+          </label>
+          <button type="submit" className="action-button">
+            Add scene
+          </button>
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setAdding(null)}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GroupsPanel;
@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  Brush,
+  ReferenceArea,
+  ResponsiveContainer,
+} from "recharts";
+import { buildQuery, fetchJson } from "../api";
+import { metricLabel, numericMetrics } from "../metrics";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const PRESETS = [
+  { id: "1h", label: "1h", span: HOUR },
+  { id: "24h", label: "24h", span: DAY },
+  { id: "7d", label: "7d", span: 7 * DAY },
+  { id: "30d", label: "30d", span: 30 * DAY },
+  { id: "custom", label: "Custom" },
+];
+
+const CHART_COLORS = ["#8884d8", "#82ca9d", "#ffc658", "#ff7f50", "#00bcd4"];
+
+const ANOMALY_LABELS = {
+  voltage_sag: "Voltage sag",
+  voltage_swell: "Voltage swell",
+  current_spike: "Current spike",
+  standby_draw: "Standby draw",
+  power_factor_drift: "Power factor drift",
+};
+
+// Cumulative counters only ever climb, so they are hidden by default
+const defaultVisible = (metrics) =>
+  metrics.filter((m) => m.metric !== "energy").map((m) => m.metric);
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (ms) => {
+  const date = new Date(ms);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+const formatTick = (span) => (t) =>
+  span > DAY
+    ? new Date(t).toLocaleDateString([], { month: "short", day: "numeric" })
+    : new Date(t).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+
+// Turn { metric: [{ t, avg, ... }] } into one point per bucket for recharts
+const toPoints = (series) => {
+  const byTime = new Map();
+  Object.entries(series).forEach(([metric, buckets]) => {
+    buckets.forEach(({ t, avg, count }) => {
+      const point = byTime.get(t) || { t, count: 0 };
+      point[metric] = avg;
+      point.count = Math.max(point.count, count);
+      byTime.set(t, point);
+    });
+  });
+  return Array.from(byTime.values()).sort((a, b) => a.t - b.t);
+};
+
+// `refreshKey` changes whenever the server flags or closes an anomaly. While
+// `stale`, the series is what the service worker cached last.
+const HistoryChart = ({ device, refreshKey, stale, children }) => {
+  const { profile } = device;
+  const metrics = useMemo(() => numericMetrics({ profile }), [profile]);
+  const [preset, setPreset] = useState("1h");
+  const [custom, setCustom] = useState(() => ({
+    from: toLocalInput(Date.now() - DAY),
+    to: toLocalInput(Date.now()),
+  }));
+  const [range, setRange] = useState(null);
+  const [visible, setVisible] = useState(() => defaultVisible(metrics));
+  const [points, setPoints] = useState([]);
+  const [bucket, setBucket] = useState(null);
+  const [anomalies, setAnomalies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const deviceId = device.id;
+  const isLive = preset !== "custom";
+
+  // Reset the visible series when switching to a device with another profile
+  useEffect(() => {
+    setVisible(defaultVisible(metrics));
+  }, [metrics]);
+
+  // Load the initial series from the server whenever the range changes
+  useEffect(() => {
+    const selected = PRESETS.find((p) => p.id === preset);
+    const to = isLive ? Date.now() : new Date(custom.to).getTime();
+    const from = isLive ? to - selected.span : new Date(custom.from).getTime();
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+      setError("Pick a start time before the end time");
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchJson(
+      `/api/devices/${encodeURIComponent(deviceId)}/history?${buildQuery({
+        from,
+        to,
+      })}`
+    )
+      .then((result) => {
+        if (cancelled) return;
+        setPoints(toPoints(result.series));
+        setBucket(result.bucket);
+        setRange({ from: result.from, to: result.to });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, preset, isLive, custom]);
+
+  // Anomalies flagged in the range, drawn as shaded markers over the series
+  useEffect(() => {
+    if (!range) return undefined;
+    let cancelled = false;
+    fetchJson(
+      `/api/anomalies?${buildQuery({
+        deviceId,
+        from: range.from,
+        to: isLive ? undefined : range.to,
+        limit: 200,
+      })}`
+    )
+      .then((result) => {
+        if (!cancelled) setAnomalies(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, range, isLive, refreshKey]);
+
+  // Live readings keep extending the right edge of a relative range. A reading
+  // that falls inside the last bucket is folded into its average. The effect
+  // also runs when the range or metrics change, so each reading is only
+  // appended once, by its timestamp.
+  const appended = useRef(null);
+  useEffect(() => {
+    if (!isLive || !bucket || !range) return;
+    const t = new Date(device.timestamp).getTime();
+    if (!Number.isFinite(t) || t < range.from) return;
+    if (appended.current !== null && t <= appended.current) return;
+    appended.current = t;
+
+    setPoints((prev) => {
+      const last = prev[prev.length - 1];
+      if (last && t < last.t) return prev;
+
+      const start = t - (t % bucket);
+      const kept = prev.filter(
+        (point) => point.t >= t - (range.to - range.from)
+      );
+
+      if (last && last.t === start) {
+        const merged = { ...last, count: last.count + 1 };
+        metrics.forEach(({ metric }) => {
+          if (typeof device[metric] === "number") {
+            merged[metric] =
+              last[metric] === undefined
+                ? device[metric]
+                : (last[metric] * last.count + device[metric]) / merged.count;
+          }
+        });
+        return [...kept.slice(0, -1), merged];
+      }
+
+      const point = { t: start, count: 1 };
+      metrics.forEach(({ metric }) => {
+        if (typeof device[metric] === "number") point[metric] = device[metric];
+      });
+      return [...kept, point];
+    });
+  }, [device, isLive, bucket, range, metrics]);
+
+  const toggleMetric = (metric) => {
+    setVisible((prev) =>
+      prev.includes(metric)
+        ? prev.filter((m) => m !== metric)
+        : [...prev, metric]
+    );
+  };
+
+  const span = range ? range.to - range.from : HOUR;
+  const shown = metrics.filter((m) => visible.includes(m.metric));
+
+  return (
+    <div className="card chart-card">
+      <div className="chart-header">
+        <h3>Historical Data</h3>
+        {children}
+      </div>
+
+      <div className="chart-toolbar">
+        <div className="range-presets">
+          {PRESETS.map((p) => (
+            <button
+              key={p.id}
+              className={`preset-button ${preset === p.id ? "active" : ""}`}
+              onClick={() => setPreset(p.id)}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+
+        {preset === "custom" && (
+          <form
+            className="custom-range"
+            onSubmit={(e) => {
+              e.preventDefault();
+              const form = new FormData(e.target);
+              setCustom({ from: form.get("from"), to: form.get("to") });
+            }}
+          >
+            <input
+              type="datetime-local"
+              name="from"
+              defaultValue={custom.from}
+            />
+            <span>to</span>
+            <input type="datetime-local" name="to" defaultValue={custom.to} />
+            <button type="submit" className="preset-button">
+              Apply
+            </button>
+          </form>
+        )}
+
+        <div className="metric-toggles">
+          {metrics.map((m) => (
+            <label key={m.metric}>
+              <input
+                type="checkbox"
+                checked={visible.includes(m.metric)}
+                onChange={() => toggleMetric(m.metric)}
+              />
+              {metricLabel(m)}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {stale && (
+        <div className="chart-message">
+          Offline: showing the last history loaded
+        </div>
+      )}
+      {error && <div className="chart-message error">{error}</div>}
+      {!error && !loading && points.length === 0 && (
+        <div className="chart-message">No data recorded in this range</div>
+      )}
+
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={points}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="t"
+              type="number"
+              scale="time"
+              domain={["dataMin", "dataMax"]}
+              tickFormatter={formatTick(span)}
+            />
+            <YAxis yAxisId="left" />
+            <YAxis yAxisId="right" orientation="right" />
+            <Tooltip labelFormatter={(t) => new Date(t).toLocaleString()} />
+            <Legend />
+            {shown.map((m) => (
+              <Line
+                key={m.metric}
+                yAxisId={m.metric === "power" ? "left" : "right"}
+                type="monotone"
+                dataKey={m.metric}
+                stroke={CHART_COLORS[metrics.indexOf(m) % CHART_COLORS.length]}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+                name={metricLabel(m)}
+              />
+            ))}
+            {anomalies.map((anomaly) => (
+              <ReferenceArea
+                key={anomaly.id}
+                yAxisId="left"
+                x1={anomaly.start}
+                // Give single-reading anomalies the width of one bucket
+                x2={Math.max(anomaly.end, anomaly.start + (bucket || 0))}
+                fill="#f44336"
+                fillOpacity={0.15}
+                stroke="#f44336"
+                strokeOpacity={0.5}
+                ifOverflow="hidden"
+              />
+            ))}
+            {points.length > 1 && (
+              <Brush
+                dataKey="t"
+                height={24}
+                stroke="#667eea"
+                tickFormatter={formatTick(span)}
+              />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {anomalies.length > 0 && (
+        <>
+          <h4 className="panel-subtitle">Anomalies in this range</h4>
+          <ul className="alert-log">
+            {anomalies.map((anomaly) => (
+              <li key={anomaly.id} className="alert-entry">
+                <span>{new Date(anomaly.start).toLocaleString()}</span>
+                {ANOMALY_LABELS[anomaly.type] || anomaly.type}: {anomaly.metric}{" "}
+                {anomaly.value} (baseline {anomaly.baseline})
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HistoryChart;
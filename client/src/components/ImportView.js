@@ -0,0 +1,331 @@
+import React, { useState } from "react";
+import { buildQuery, fetchJson } from "../api";
+
+const SCALES = [
+  { value: 0, label: "as is" },
+  { value: 1, label: "÷ 10" },
+  { value: 2, label: "÷ 100" },
+  { value: 3, label: "÷ 1000" },
+];
+
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "-");
+
+// Admin view for importing old readings (the dashboard's own CSV, Tuya and
+// Smart Life logs, archives) into a plug's history: pick a file, check how
+// its columns map to metrics in a dry run, then import
+const ImportView = ({ devices, onDone }) => {
+  const [deviceId, setDeviceId] = useState(devices[0] ? devices[0].id : "");
+  const [file, setFile] = useState(null);
+  const [sourceDevice, setSourceDevice] = useState("");
+  const [mapping, setMapping] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const device = devices.find((entry) => entry.id === deviceId);
+  const metrics = device
+    ? device.profile.metrics.filter((metric) => metric.type !== "string")
+    : [];
+
+  // Without a mapping the server suggests one from the column names
+  const send = ({
+    dryRun,
+    target = deviceId,
+    content = file,
+    map = mapping,
+  }) => {
+    setBusy(true);
+    setMessage(null);
+    const query = buildQuery({
+      dryRun,
+      mapping:
+        map && Object.keys(map).length > 0 ? JSON.stringify(map) : undefined,
+      sourceDevice,
+      name: content.name,
+    });
+    return fetchJson(
+      `/api/devices/${encodeURIComponent(target)}/import?${query}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "text/plain" },
+        body: content.text,
+      }
+    )
+      .then((result) => {
+        setError(null);
+        if (dryRun) {
+          setPlan(result);
+          setMapping(result.mapping);
+          setChecked(true);
+        } else {
+          setPlan(null);
+          setFile(null);
+          setMessage(
+            `Imported ${result.imported} samples into ${
+              device.name
+            } (${formatDate(result.from)} to ${formatDate(result.to)})`
+          );
+        }
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  const pickFile = (e) => {
+    const picked = e.target.files[0];
+    if (!picked) return;
+    readFile(picked)
+      .then((text) => {
+        const content = { name: picked.name, text };
+        setFile(content);
+        setPlan(null);
+        send({ dryRun: true, content, map: null });
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  const pickDevice = (id) => {
+    setDeviceId(id);
+    if (file) {
+      send({ dryRun: true, target: id, map: null });
+    }
+  };
+
+  // A new metric starts over as readings, not increments
+  const mapColumn = (column, changes) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      const entry = { metric: "", scale: 0, ...prev[column], ...changes };
+      if (changes.metric !== undefined || !entry.increments) {
+        delete entry.increments;
+      }
+      if (entry.metric) {
+        next[column] = entry;
+      } else {
+        delete next[column];
+      }
+      return next;
+    });
+    setChecked(false);
+  };
+
+  const mapped = plan
+    ? Object.values(mapping || {}).map((entry) => entry.metric)
+    : [];
+
+  return (
+    <div className="card import-card">
+      <div className="chart-header">
+        <h3>Import Readings</h3>
+        <button className="link-button" onClick={onDone}>
+          Back to dashboard
+        </button>
+      </div>
+
+      <div className="chart-toolbar">
+        <select
+          value={deviceId}
+          onChange={(e) => pickDevice(e.target.value)}
+          aria-label="Import into"
+        >
+          {devices.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="file"
+          accept=".csv,.json,.txt,text/csv,application/json"
+          onChange={pickFile}
+          aria-label="File to import"
+        />
+        <input
+          type="text"
+          placeholder="Device in the file (logs of several)"
+          value={sourceDevice}
+          onChange={(e) => {
+            setSourceDevice(e.target.value);
+            setChecked(false);
+          }}
+        />
+      </div>
+
+      {error && <div className="chart-message error">{error}</div>}
+      {message && <div className="chart-message">{message}</div>}
+
+      {plan && (
+        <>
+          <p className="panel-empty">
+            {file.name}: {plan.rows} {plan.format.toUpperCase()} rows
+            {plan.layout === "long" ? " (one value per row)" : ""}, times from
+            the "{plan.timeColumn}" column
+          </p>
+
+          <table className="cost-table">
+            <thead>
+              <tr>
+                <th>Column</th>
+                <th>Example</th>
+                <th>Metric</th>
+                <th>Raw value</th>
+                <th>Adds up</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.columns.map((column) => {
+                const entry = (mapping || {})[column.name];
+                const target =
+                  entry &&
+                  metrics.find((metric) => metric.metric === entry.metric);
+                return (
+                  <tr key={column.name}>
+                    <td>{column.name}</td>
+                    <td>{String(column.example ?? "")}</td>
+                    <td>
+                      <select
+                        value={entry ? entry.metric : ""}
+                        onChange={(e) =>
+                          mapColumn(column.name, { metric: e.target.value })
+                        }
+                        aria-label={`Metric for ${column.name}`}
+                      >
+                        <option value="">Skip</option>
+                        {metrics.map((metric) => (
+                          <option
+                            key={metric.metric}
+                            value={metric.metric}
+                            disabled={
+                              mapped.includes(metric.metric) &&
+                              (!entry || entry.metric !== metric.metric)
+                            }
+                          >
+                            {metric.label}
+                            {metric.unit ? ` (${metric.unit})` : ""}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        value={entry ? entry.scale : 0}
+                        disabled={!entry}
+                        onChange={(e) =>
+                          mapColumn(column.name, {
+                            scale: Number(e.target.value),
+                          })
+                        }
+                        aria-label={`Scale for ${column.name}`}
+                      >
+                        {SCALES.map((scale) => (
+                          <option key={scale.value} value={scale.value}>
+                            {scale.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(entry && entry.increments)}
+                        disabled={!target || target.type !== "number"}
+                        onChange={(e) =>
+                          mapColumn(column.name, {
+                            increments: e.target.checked,
+                          })
+                        }
+                        aria-label={`${column.name} is added since the previous row`}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {checked && (
+            <>
+              <p>
+                {plan.counts.samples} new samples
+                {plan.from
+                  ? ` from ${formatDate(plan.from)} to ${formatDate(plan.to)}`
+                  : ""}
+                ; {plan.counts.duplicates} repeated in the file,{" "}
+                {plan.counts.existing} already stored, {plan.counts.errors} rows
+                with errors.
+              </p>
+              {plan.errors.length > 0 && (
+                <ul className="alert-log">
+                  {plan.errors.map((entry) => (
+                    <li key={entry.row}>
+                      Row {entry.row}: {entry.error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {plan.preview.length > 0 && (
+                <table className="cost-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      {metrics
+                        .filter((metric) => mapped.includes(metric.metric))
+                        .map((metric) => (
+                          <th key={metric.metric}>{metric.label}</th>
+                        ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.preview.map((reading, i) => (
+                      <tr key={i}>
+                        <td>{formatDate(reading.timestamp)}</td>
+                        {metrics
+                          .filter((metric) => mapped.includes(metric.metric))
+                          .map((metric) => (
+                            <td key={metric.metric}>
+                              {reading[metric.metric] ?? "-"}
+                            </td>
+                          ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      {file && (
+        <div className="chart-toolbar">
+          <button
+            className="action-button"
+            onClick={() => send({ dryRun: true })}
+            disabled={busy}
+          >
+            Dry run
+          </button>
+          <button
+            className="action-button"
+            onClick={() => send({ dryRun: false })}
+            disabled={busy || !plan || !checked || plan.counts.samples === 0}
+          >
+            Import
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportView;
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { fetchJson } from "../api";
+
+const Login = ({ onLogin }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setBusy(true);
+    fetchJson("/api/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username, password }),
+    })
+      .then(({ user }) => onLogin(user))
+      .catch((err) => {
+        setError(err.message);
+        setBusy(false);
+      });
+  };
+
+  return (
+    <div className="loading">
+      <form className="card login-card" onSubmit={submit}>
+        <h2>Tuya Smart Plug Dashboard</h2>
+        {error && <div className="chart-message error">{error}</div>}
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+        />
+        <button type="submit" className="action-button" disabled={busy}>
+          Log in
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
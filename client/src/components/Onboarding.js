@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchJson } from "../api";
+
+const EMPTY_FORM = { id: "", ip: "", key: "", name: "", version: "" };
+
+// How often the list of plugs seen on the network is refreshed
+const DISCOVERY_REFRESH = 5000;
+
+const Onboarding = ({ onDone }) => {
+  const [discovered, setDiscovered] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [probe, setProbe] = useState(null);
+  const [profile, setProfile] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDiscovered = useCallback(() => {
+    fetchJson("/api/onboarding/discovered")
+      .then(setDiscovered)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    loadDiscovered();
+    const timer = setInterval(loadDiscovered, DISCOVERY_REFRESH);
+    return () => clearInterval(timer);
+  }, [loadDiscovered]);
+
+  useEffect(() => {
+    fetchJson("/api/profiles")
+      .then(setProfiles)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const update = (field) => (e) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+    // Any change invalidates the last probe
+    setProbe(null);
+  };
+
+  const pick = (device) => {
+    setForm((prev) => ({
+      ...prev,
+      id: device.id,
+      ip: device.ip,
+      version: device.version || "",
+    }));
+    setProbe(null);
+    setMessage(null);
+  };
+
+  const runProbe = (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    fetchJson("/api/onboarding/probe", {
+      method: "POST",
+      body: JSON.stringify({
+        id: form.id,
+        ip: form.ip || undefined,
+        key: form.key,
+        version: form.version || undefined,
+      }),
+    })
+      .then((result) => {
+        setProbe(result);
+        setProfile(result.profile || "standard");
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  const save = () => {
+    setBusy(true);
+    fetchJson("/api/onboarding/devices", {
+      method: "POST",
+      body: JSON.stringify({
+        id: form.id,
+        ip: form.ip,
+        key: form.key,
+        name: form.name || undefined,
+        version: probe.version,
+        profile,
+      }),
+    })
+      .then(({ device, restartRequired }) => {
+        setMessage(
+          restartRequired
+            ? `Saved ${device.name}. Restart the server to apply the new settings.`
+            : `Added ${device.name}.`
+        );
+        setForm(EMPTY_FORM);
+        setProbe(null);
+        loadDiscovered();
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <div className="card onboarding-card">
+      <div className="chart-header">
+        <h3>Add a plug</h3>
+        <button className="link-button" onClick={onDone}>
+          Back to dashboard
+        </button>
+      </div>
+      {error && <div className="chart-message error">{error}</div>}
+      {message && <div className="chart-message">{message}</div>}
+
+      <h4 className="panel-subtitle">Plugs on the network</h4>
+      {discovered.length === 0 ? (
+        <p className="panel-empty">
+          No broadcasts seen yet. Plugs announce themselves every few seconds on
+          UDP ports 6666/6667; you can also enter the details by hand.
+        </p>
+      ) : (
+        <table className="cost-table">
+          <thead>
+            <tr>
+              <th>Device ID</th>
+              <th>IP</th>
+              <th>Version</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {discovered.map((device) => (
+              <tr key={device.id}>
+                <td>{device.id}</td>
+                <td>{device.ip}</td>
+                <td>{device.version || "-"}</td>
+                <td>
+                  {device.configured ? (
+                    <em>configured</em>
+                  ) : (
+                    <button
+                      className="link-button"
+                      onClick={() => pick(device)}
+                    >
+                      Set up
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4 className="panel-subtitle">Device details</h4>
+      <form className="panel-form" onSubmit={runProbe}>
+        <input
+          type="text"
+          value={form.id}
+          onChange={update("id")}
+          placeholder="Device ID"
+          required
+        />
+        <input
+          type="text"
+          value={form.ip}
+          onChange={update("ip")}
+          placeholder="IP address"
+        />
+        <input
+          type="text"
+          value={form.key}
+          onChange={update("key")}
+          placeholder="Local key"
+          required
+        />
+        <input
+          type="text"
+          value={form.name}
+          onChange={update("name")}
+          placeholder="Name (optional)"
+        />
+        <button type="submit" className="action-button" disabled={busy}>
+          {busy && !probe ? "Probing..." : "Find protocol version"}
+        </button>
+      </form>
+
+      {probe && (
+        <div className="probe-results">
+          <ul className="alert-log">
+            {probe.results.map((result) => (
+              <li
+                key={result.version}
+                className={`alert-entry ${result.ok ? "resolved" : ""}`}
+              >
+                <span>v{result.version}</span>
+                {result.ok ? "works" : result.error}
+              </li>
+            ))}
+          </ul>
+
+          {probe.version ? (
+            <div className="panel-form">
+              <label>
+                Profile
+                <select
+                  value={profile}
+                  onChange={(e) => setProfile(e.target.value)}
+                >
+                  {profiles.map((p) => (
+                    <option key={p.name} value={p.name}>
+                      {p.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button
+                className="action-button"
+                onClick={save}
+                disabled={busy || !form.ip}
+              >
+                Save plug (v{probe.version})
+              </button>
+              {!form.ip && <span>An IP address is needed to save.</span>}
+            </div>
+          ) : (
+            <p className="panel-empty">
+              No protocol version answered. Check the local key and make sure no
+              other app (e.g. Smart Life) is connected to the plug locally.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Onboarding;
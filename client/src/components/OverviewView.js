@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from "react";
+import {
+  AreaChart,
+  Area,
+  LineChart,
+  Line,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { buildQuery, fetchJson } from "../api";
+
+const RANGES = [
+  { id: "day", label: "Today", previous: "Yesterday" },
+  { id: "week", label: "This week", previous: "Last week" },
+  { id: "month", label: "This month", previous: "Last month" },
+  { id: "year", label: "This year", previous: "Last year" },
+];
+
+const REFRESH_INTERVAL = 60000;
+
+const COLORS = [
+  "#667eea",
+  "#82ca9d",
+  "#ffc658",
+  "#ff7f50",
+  "#00bcd4",
+  "#8884d8",
+  "#e91e63",
+  "#9e9e9e",
+];
+
+const formatKwh = (kwh) => `${kwh.toFixed(kwh < 10 ? 2 : 1)} kWh`;
+
+const formatMoney = (value, currency) =>
+  /^[A-Z]{3}$/.test(currency || "")
+    ? new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 2,
+      }).format(value)
+    : `${value.toFixed(2)}${currency ? ` ${currency}` : ""}`;
+
+const formatWatts = (value) =>
+  value === null || value === undefined ? "-" : `${Math.round(value)} W`;
+
+// Time of day over a day, the date over anything longer
+const timeLabel = (range, ms) => {
+  const date = new Date(ms);
+  return range === "day"
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+// "2h 30m" into the period, for the overlaid compare series
+const offsetLabel = (ms) => {
+  const hours = Math.floor(ms / 3600000);
+  const days = Math.floor(hours / 24);
+  if (days > 0) return `day ${days + 1}`;
+  const minutes = Math.round((ms % 3600000) / 60000);
+  return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+};
+
+// Keep fetching `url` while it is shown, as the reports do
+const useRefreshed = (url) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!url) {
+      setData(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const load = () => {
+      fetchJson(url)
+        .then((result) => {
+          if (!cancelled) {
+            setData(result);
+            setError(null);
+          }
+        })
+        .catch((err) => {
+          if (!cancelled) setError(err.message);
+        });
+    };
+
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [url]);
+
+  return [data, error];
+};
+
+// Whole-house view: every plug's power stacked, the share of the energy
+// each used, the biggest consumers, and two plugs or two periods overlaid.
+// The server does the adding up.
+const OverviewView = ({ devices, onDone }) => {
+  const [range, setRange] = useState("day");
+  const [compareMode, setCompareMode] = useState("periods");
+  const [compareDevice, setCompareDevice] = useState("");
+  const [pair, setPair] = useState(() =>
+    devices.slice(0, 2).map((device) => device.id)
+  );
+
+  // The same colour for a plug in every chart
+  const colorFor = (deviceId) =>
+    COLORS[
+      Math.max(
+        devices.findIndex((device) => device.id === deviceId),
+        0
+      ) % COLORS.length
+    ];
+
+  const rangeInfo = RANGES.find((entry) => entry.id === range);
+  const compareQuery =
+    compareMode === "devices"
+      ? pair[0] && pair[1] && pair[0] !== pair[1]
+        ? buildQuery({ range, devices: pair.join(",") })
+        : null
+      : buildQuery({ range, deviceId: compareDevice });
+
+  const [power, powerError] = useRefreshed(
+    `/api/reports/power?${buildQuery({ range })}`
+  );
+  const [breakdown, breakdownError] = useRefreshed(
+    `/api/reports/breakdown?${buildQuery({ range })}`
+  );
+  const [comparison, compareError] = useRefreshed(
+    compareQuery && `/api/reports/compare?${compareQuery}`
+  );
+
+  // Plugs with no reading in a bucket stack as zero
+  const stacked = power
+    ? power.points.map((point) => {
+        const row = { t: point.t };
+        for (const device of power.devices) {
+          row[device.deviceId] = point.values[device.deviceId] || 0;
+        }
+        return row;
+      })
+    : [];
+
+  const overlaid = comparison
+    ? comparison.series[0].points.map((point, i) => {
+        const row = { offset: point.offset };
+        comparison.series.forEach((series, s) => {
+          row[`s${s}`] = series.points[i] ? series.points[i].watts : null;
+        });
+        return row;
+      })
+    : [];
+
+  const seriesName = (series) =>
+    comparison.mode === "devices"
+      ? series.label
+      : series === comparison.series[0]
+      ? rangeInfo.label
+      : rangeInfo.previous;
+
+  const error = powerError || breakdownError || compareError;
+  const shared =
+    breakdown && breakdown.devices.filter((device) => device.kwh > 0);
+
+  return (
+    <div className="card overview-card">
+      <div className="chart-header">
+        <h3>Household Overview</h3>
+        <button className="link-button" onClick={onDone}>
+          Back to dashboard
+        </button>
+      </div>
+
+      <div className="chart-toolbar">
+        <div className="range-presets">
+          {RANGES.map((entry) => (
+            <button
+              key={entry.id}
+              className={`preset-button ${range === entry.id ? "active" : ""}`}
+              onClick={() => setRange(entry.id)}
+            >
+              {entry.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div className="chart-message error">{error}</div>}
+
+      <h4 className="panel-subtitle">Power by plug</h4>
+      {power && power.devices.length === 0 && (
+        <p className="panel-empty">No plug measures power.</p>
+      )}
+      {power && power.devices.length > 0 && (
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={stacked}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="t"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={(t) => timeLabel(range, t)}
+              />
+              <YAxis unit=" W" />
+              <Tooltip
+                labelFormatter={(t) => new Date(t).toLocaleString()}
+                formatter={(value) => formatWatts(value)}
+              />
+              <Legend />
+              {power.devices.map((device) => (
+                <Area
+                  key={device.deviceId}
+                  type="monotone"
+                  dataKey={device.deviceId}
+                  name={device.name}
+                  stackId="power"
+                  stroke={colorFor(device.deviceId)}
+                  fill={colorFor(device.deviceId)}
+                  isAnimationActive={false}
+                />
+              ))}
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {breakdown && (
+        <>
+          <h4 className="panel-subtitle">
+            Energy share, {rangeInfo.label.toLowerCase()}:{" "}
+            {formatKwh(breakdown.totals.kwh)} (
+            {formatMoney(breakdown.totals.cost, breakdown.currency)})
+          </h4>
+          {shared.length === 0 ? (
+            <p className="panel-empty">No energy used yet.</p>
+          ) : (
+            <div className="overview-share">
+              <div className="overview-pie">
+                <ResponsiveContainer width="100%" height="100%">
+                  <PieChart>
+                    <Pie
+                      data={shared}
+                      dataKey="kwh"
+                      nameKey="name"
+                      outerRadius="80%"
+                      isAnimationActive={false}
+                    >
+                      {shared.map((device) => (
+                        <Cell
+                          key={device.deviceId}
+                          fill={colorFor(device.deviceId)}
+                        />
+                      ))}
+                    </Pie>
+                    <Tooltip formatter={(value) => formatKwh(value)} />
+                  </PieChart>
+                </ResponsiveContainer>
+              </div>
+              <table className="cost-table">
+                <thead>
+                  <tr>
+                    <th>Top consumers</th>
+                    <th>kWh</th>
+                    <th>Cost</th>
+                    <th>Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breakdown.devices.map((device) => (
+                    <tr key={device.deviceId}>
+                      <td>
+                        {device.rank}. {device.name}
+                        {device.estimated ? " *" : ""}
+                      </td>
+                      <td>{device.kwh.toFixed(2)}</td>
+                      <td>{formatMoney(device.cost, breakdown.currency)}</td>
+                      <td>{device.share}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {breakdown.devices.some((device) => device.estimated) && (
+            <div className="chart-message">
+              * Includes consumption estimated across gaps in the readings.
+            </div>
+          )}
+        </>
+      )}
+
+      <h4 className="panel-subtitle">Compare</h4>
+      <div className="chart-toolbar">
+        <select
+          value={compareMode}
+          onChange={(e) => setCompareMode(e.target.value)}
+          aria-label="Compare"
+        >
+          <option value="periods">
+            {rangeInfo.label} with {rangeInfo.previous.toLowerCase()}
+          </option>
+          <option value="devices">Two plugs</option>
+        </select>
+        {compareMode === "periods" ? (
+          <select
+            value={compareDevice}
+            onChange={(e) => setCompareDevice(e.target.value)}
+            aria-label="Plug to compare"
+          >
+            <option value="">Whole house</option>
+            {devices.map((device) => (
+              <option key={device.id} value={device.id}>
+                {device.name}
+              </option>
+            ))}
+          </select>
+        ) : (
+          [0, 1].map((slot) => (
+            <select
+              key={slot}
+              value={pair[slot] || ""}
+              onChange={(e) =>
+                setPair((prev) =>
+                  slot === 0
+                    ? [e.target.value, prev[1]]
+                    : [prev[0], e.target.value]
+                )
+              }
+              aria-label={`Plug ${slot + 1}`}
+            >
+              <option value="">Pick a plug</option>
+              {devices.map((device) => (
+                <option key={device.id} value={device.id}>
+                  {device.name}
+                </option>
+              ))}
+            </select>
+          ))
+        )}
+      </div>
+
+      {!compareQuery && (
+        <p className="panel-empty">Pick two different plugs to compare.</p>
+      )}
+      {compareQuery && comparison && (
+        <>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={overlaid}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="offset" tickFormatter={offsetLabel} />
+                <YAxis unit=" W" />
+                <Tooltip
+                  labelFormatter={offsetLabel}
+                  formatter={(value) => formatWatts(value)}
+                />
+                <Legend />
+                {comparison.series.map((series, s) => (
+                  <Line
+                    key={s}
+                    type="monotone"
+                    dataKey={`s${s}`}
+                    name={seriesName(series)}
+                    stroke={s === 0 ? "#667eea" : "#ff7f50"}
+                    dot={false}
+                    connectNulls={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="metrics-grid">
+            {comparison.series.map((series, s) => (
+              <div className="metric" key={s}>
+                <div className="metric-value">
+                  {formatKwh(series.totals.kwh)}
+                </div>
+                <div className="metric-label">
+                  {seriesName(series)} (
+                  {formatMoney(
+                    series.totals.cost,
+                    breakdown && breakdown.currency
+                  )}
+                  )
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OverviewView;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { buildQuery, fetchJson } from "../api";
+
+const RANGES = [
+  { id: "day", label: "Today", previous: "Yesterday" },
+  { id: "week", label: "This week", previous: "Last week" },
+  { id: "month", label: "This month", previous: "Last month" },
+  { id: "year", label: "This year", previous: "Last year" },
+];
+
+const REFRESH_INTERVAL = 60000;
+
+const formatKwh = (kwh) => `${kwh.toFixed(kwh < 10 ? 2 : 1)} kWh`;
+
+const formatMoney = (value, currency) =>
+  /^[A-Z]{3}$/.test(currency || "")
+    ? new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 2,
+      }).format(value)
+    : `${value.toFixed(2)}${currency ? ` ${currency}` : ""}`;
+
+const formatChange = (change) => {
+  if (!change || change.percent === null) return "-";
+  return `${change.percent > 0 ? "+" : ""}${change.percent}%`;
+};
+
+// Short x-axis labels: the hour, the weekday or day, or the month
+const bucketLabel = (bucket, start) => {
+  const date = new Date(start);
+  if (bucket === "hour") return `${date.getHours()}:00`;
+  if (bucket === "month") {
+    return date.toLocaleDateString([], { month: "short" });
+  }
+  if (bucket === "day") {
+    return date.toLocaleDateString([], { weekday: "short", day: "numeric" });
+  }
+  return date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+// Pair each bucket with the previous period's bucket at the same position
+// (Monday with last Monday, and so on) for the comparison chart
+const toBars = (report) =>
+  report.buckets.map((bucket, i) => ({
+    label: bucketLabel(report.bucket, bucket.start),
+    current: bucket.kwh,
+    previous:
+      report.previous && report.previous.buckets[i]
+        ? report.previous.buckets[i].kwh
+        : null,
+  }));
+
+const ReportsView = ({ devices, onDone }) => {
+  const [range, setRange] = useState("week");
+  const [deviceId, setDeviceId] = useState("");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const query = buildQuery({ range, deviceId });
+  const rangeInfo = RANGES.find((entry) => entry.id === range);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = () => {
+      fetchJson(`/api/reports/energy?${query}`)
+        .then((result) => {
+          if (!cancelled) {
+            setReport(result);
+            setError(null);
+          }
+        })
+        .catch((err) => {
+          if (!cancelled) setError(err.message);
+        });
+    };
+
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [query]);
+
+  const bars = useMemo(() => (report ? toBars(report) : []), [report]);
+
+  return (
+    <div className="card reports-card">
+      <div className="chart-header">
+        <h3>Energy Reports</h3>
+        <button className="link-button" onClick={onDone}>
+          Back to dashboard
+        </button>
+      </div>
+
+      <div className="chart-toolbar">
+        <div className="range-presets">
+          {RANGES.map((entry) => (
+            <button
+              key={entry.id}
+              className={`preset-button ${range === entry.id ? "active" : ""}`}
+              onClick={() => setRange(entry.id)}
+            >
+              {entry.label}
+            </button>
+          ))}
+        </div>
+        <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+          <option value="">All plugs</option>
+          {devices.map((device) => (
+            <option key={device.id} value={device.id}>
+              {device.name}
+            </option>
+          ))}
+        </select>
+        <a
+          className="preset-button"
+          href={`/api/reports/energy/csv?${query}`}
+          download
+        >
+          Export CSV
+        </a>
+        <a
+          className="preset-button"
+          href={`/api/reports/energy/html?${query}`}
+          target="_blank"
+          rel="noreferrer"
+        >
+          Printable report
+        </a>
+      </div>
+
+      {error && <div className="chart-message error">{error}</div>}
+
+      {report && (
+        <>
+          <div className="metrics-grid">
+            <div className="metric">
+              <div className="metric-value">{formatKwh(report.totals.kwh)}</div>
+              <div className="metric-label">
+                {rangeInfo.label} (
+                {formatMoney(report.totals.cost, report.currency)})
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {formatKwh(report.previous.toDate.kwh)}
+              </div>
+              <div className="metric-label">
+                {rangeInfo.previous}, same point in time
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {formatKwh(report.previous.totals.kwh)}
+              </div>
+              <div className="metric-label">
+                {rangeInfo.previous}, whole period (
+                {formatMoney(report.previous.totals.cost, report.currency)})
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{formatChange(report.change)}</div>
+              <div className="metric-label">Change so far</div>
+            </div>
+          </div>
+
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={bars}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis unit=" kWh" />
+                <Tooltip formatter={(value) => formatKwh(value)} />
+                <Legend />
+                <Bar
+                  dataKey="previous"
+                  name={rangeInfo.previous}
+                  fill="#cccccc"
+                  isAnimationActive={false}
+                />
+                <Bar
+                  dataKey="current"
+                  name={rangeInfo.label}
+                  fill="#667eea"
+                  isAnimationActive={false}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {report.devices.length > 1 && (
+            <table className="cost-table">
+              <thead>
+                <tr>
+                  <th>Plug</th>
+                  <th>kWh</th>
+                  <th>Cost</th>
+                  <th>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.devices.map((device) => (
+                  <tr key={device.deviceId}>
+                    <td>{device.name}</td>
+                    <td>{device.totals.kwh.toFixed(2)}</td>
+                    <td>{formatMoney(device.totals.cost, report.currency)}</td>
+                    <td>
+                      {report.totals.kwh > 0
+                        ? `${Math.round(
+                            (device.totals.kwh / report.totals.kwh) * 100
+                          )}%`
+                        : "-"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {report.buckets.some((bucket) => bucket.estimated) && (
+            <div className="chart-message">
+              Some periods include consumption estimated across gaps in the
+              readings; the printable report lists them.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReportsView;
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { buildQuery, fetchJson } from "../api";
+import { metricLabel, numericMetrics } from "../metrics";
+
+const EMPTY_FORM = {
+  name: "",
+  scope: "device",
+  type: "above",
+  metric: "power",
+  value: "1500",
+  min: "210",
+  max: "250",
+  forSeconds: "60",
+  hysteresis: "0",
+  cooldownSeconds: "300",
+  actions: ["broadcast", "log"],
+  webhookUrl: "",
+};
+
+const ACTIONS = [
+  { id: "broadcast", label: "Notify dashboard" },
+  { id: "log", label: "Alert log" },
+  { id: "webhook", label: "Webhook" },
+  { id: "switchOff", label: "Switch plug off" },
+];
+
+const describeCondition = (condition) => {
+  const after = condition.forSeconds ? ` for ${condition.forSeconds} s` : "";
+  if (condition.type === "disconnected") return `disconnected${after}`;
+  if (condition.type === "outside") {
+    return `${condition.metric} outside ${condition.min}-${condition.max}${after}`;
+  }
+  return `${condition.metric} ${condition.type} ${condition.value}${after}`;
+};
+
+const toRequest = (deviceId, form) => {
+  const condition = {
+    type: form.type,
+    forSeconds: Number(form.forSeconds) || 0,
+  };
+  if (form.type !== "disconnected") {
+    condition.metric = form.metric;
+    condition.hysteresis = Number(form.hysteresis) || 0;
+    if (form.type === "outside") {
+      condition.min = Number(form.min);
+      condition.max = Number(form.max);
+    } else {
+      condition.value = Number(form.value);
+    }
+  }
+  return {
+    name: form.name || describeCondition(condition),
+    deviceId: form.scope === "device" ? deviceId : null,
+    condition,
+    cooldownSeconds: Number(form.cooldownSeconds) || 0,
+    actions: form.actions.map((type) =>
+      type === "webhook" ? { type, url: form.webhookUrl } : { type }
+    ),
+  };
+};
+
+const RulesPanel = ({ device, refreshKey, canEdit }) => {
+  const [rules, setRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const deviceId = device.id;
+
+  const load = useCallback(() => {
+    Promise.all([
+      fetchJson("/api/rules"),
+      fetchJson(`/api/alerts?${buildQuery({ deviceId, limit: 20 })}`),
+    ])
+      .then(([ruleList, alertList]) => {
+        setRules(
+          ruleList.filter(
+            (rule) => !rule.deviceId || rule.deviceId === deviceId
+          )
+        );
+        setAlerts(alertList);
+      })
+      .catch((err) => setError(err.message));
+  }, [deviceId]);
+
+  // Reload when the device changes or a new alert comes in
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const toggleAction = (action) =>
+    setForm((prev) => ({
+      ...prev,
+      actions: prev.actions.includes(action)
+        ? prev.actions.filter((a) => a !== action)
+        : [...prev.actions, action],
+    }));
+
+  const run = (promise) =>
+    promise
+      .then(() => {
+        setError(null);
+        load();
+      })
+      .catch((err) => setError(err.message));
+
+  const create = (e) => {
+    e.preventDefault();
+    run(
+      fetchJson("/api/rules", {
+        method: "POST",
+        body: JSON.stringify(toRequest(deviceId, form)),
+      }).then(() => setForm(EMPTY_FORM))
+    );
+  };
+
+  const setEnabled = (rule, enabled) =>
+    run(
+      fetchJson(`/api/rules/${rule.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ enabled }),
+      })
+    );
+
+  const remove = (rule) =>
+    run(fetchJson(`/api/rules/${rule.id}`, { method: "DELETE" }));
+
+  return (
+    <div className="card rules-card">
+      <h3>Alerts &amp; Rules</h3>
+      {error && <div className="chart-message error">{error}</div>}
+
+      {rules.length === 0 ? (
+        <p className="panel-empty">No rules apply to this plug yet.</p>
+      ) : (
+        <table className="cost-table">
+          <thead>
+            <tr>
+              <th>Rule</th>
+              <th>Condition</th>
+              <th>Actions</th>
+              <th>Enabled</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule) => (
+              <tr key={rule.id}>
+                <td>
+                  {rule.name}
+                  {!rule.deviceId && <em> (all plugs)</em>}
+                </td>
+                <td>{describeCondition(rule.condition)}</td>
+                <td>{rule.actions.map((a) => a.type).join(", ")}</td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    disabled={!canEdit}
+                    onChange={(e) => setEnabled(rule, e.target.checked)}
+                  />
+                </td>
+                <td>
+                  {canEdit && (
+                    <button
+                      className="link-button"
+                      onClick={() => remove(rule)}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <form className="panel-form" onSubmit={create}>
+          <input
+            type="text"
+            value={form.name}
+            onChange={update("name")}
+            placeholder="Rule name (optional)"
+          />
+          <select value={form.scope} onChange={update("scope")}>
+            <option value="device">This plug</option>
+            <option value="all">All plugs</option>
+          </select>
+          <select value={form.type} onChange={update("type")}>
+            <option value="above">Above</option>
+            <option value="below">Below</option>
+            <option value="outside">Outside range</option>
+            <option value="disconnected">Disconnected</option>
+          </select>
+
+          {form.type !== "disconnected" && (
+            <select value={form.metric} onChange={update("metric")}>
+              {numericMetrics(device).map((metric) => (
+                <option key={metric.metric} value={metric.metric}>
+                  {metricLabel(metric)}
+                </option>
+              ))}
+            </select>
+          )}
+          {(form.type === "above" || form.type === "below") && (
+            <input
+              type="number"
+              value={form.value}
+              onChange={update("value")}
+            />
+          )}
+          {form.type === "outside" && (
+            <>
+              <input type="number" value={form.min} onChange={update("min")} />
+              <span>to</span>
+              <input type="number" value={form.max} onChange={update("max")} />
+            </>
+          )}
+
+          <label>
+            for
+            <input
+              type="number"
+              min="0"
+              value={form.forSeconds}
+              onChange={update("forSeconds")}
+            />
+            s
+          </label>
+          {form.type !== "disconnected" && (
+            <label>
+              hysteresis
+              <input
+                type="number"
+                min="0"
+                value={form.hysteresis}
+                onChange={update("hysteresis")}
+              />
+            </label>
+          )}
+          <label>
+            cooldown
+            <input
+              type="number"
+              min="0"
+              value={form.cooldownSeconds}
+              onChange={update("cooldownSeconds")}
+            />
+            s
+          </label>
+
+          <span className="day-picker">
+            {ACTIONS.map((action) => (
+              <label key={action.id}>
+                <input
+                  type="checkbox"
+                  checked={form.actions.includes(action.id)}
+                  onChange={() => toggleAction(action.id)}
+                />
+                {action.label}
+              </label>
+            ))}
+          </span>
+          {form.actions.includes("webhook") && (
+            <input
+              type="text"
+              value={form.webhookUrl}
+              onChange={update("webhookUrl")}
+              placeholder="https://example.com/hook"
+            />
+          )}
+
+          <button type="submit" className="action-button">
+            Add rule
+          </button>
+        </form>
+      )}
+
+      <h4 className="panel-subtitle">Recent alerts</h4>
+      {alerts.length === 0 ? (
+        <p className="panel-empty">No alerts logged.</p>
+      ) : (
+        <ul className="alert-log">
+          {alerts.map((alert) => (
+            <li key={alert.id} className={`alert-entry ${alert.state}`}>
+              <span>{new Date(alert.ts).toLocaleString()}</span>
+              {alert.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RulesPanel;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchJson } from "../api";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const EMPTY_FORM = {
+  type: "timer",
+  action: "off",
+  name: "",
+  inMinutes: "30",
+  cron: "0 7 * * 1-5",
+  event: "sunset",
+  offsetMinutes: "0",
+  days: [],
+};
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : "-");
+
+const describe = (schedule) => {
+  if (schedule.type === "timer") return `once at ${formatTime(schedule.at)}`;
+  if (schedule.type === "cron") return `cron "${schedule.cron}"`;
+  const offset = schedule.offsetMinutes
+    ? ` ${schedule.offsetMinutes > 0 ? "+" : ""}${schedule.offsetMinutes} min`
+    : "";
+  const days = schedule.days
+    ? ` on ${schedule.days.map((d) => DAYS[d]).join(", ")}`
+    : "";
+  return `${schedule.event}${offset}${days}`;
+};
+
+// Build the POST body for the selected schedule type
+const toRequest = (deviceId, form) => {
+  const body = {
+    deviceId,
+    type: form.type,
+    action: form.action,
+    name: form.name || undefined,
+  };
+  if (form.type === "timer") body.inMinutes = Number(form.inMinutes);
+  if (form.type === "cron") body.cron = form.cron;
+  if (form.type === "sun") {
+    body.event = form.event;
+    body.offsetMinutes = Number(form.offsetMinutes);
+    if (form.days.length > 0) body.days = form.days;
+  }
+  return body;
+};
+
+const SchedulesPanel = ({ deviceId, refreshKey, canEdit }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    fetchJson(`/api/schedules?deviceId=${encodeURIComponent(deviceId)}`)
+      .then(setSchedules)
+      .catch((err) => setError(err.message));
+  }, [deviceId]);
+
+  // Reload when the device changes or the server reports a schedule run
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const toggleDay = (day) =>
+    setForm((prev) => ({
+      ...prev,
+      days: prev.days.includes(day)
+        ? prev.days.filter((d) => d !== day)
+        : [...prev.days, day],
+    }));
+
+  const run = (promise) =>
+    promise
+      .then(() => {
+        setError(null);
+        load();
+      })
+      .catch((err) => setError(err.message));
+
+  const create = (e) => {
+    e.preventDefault();
+    run(
+      fetchJson("/api/schedules", {
+        method: "POST",
+        body: JSON.stringify(toRequest(deviceId, form)),
+      }).then(() => setForm(EMPTY_FORM))
+    );
+  };
+
+  const setEnabled = (schedule, enabled) =>
+    run(
+      fetchJson(`/api/schedules/${schedule.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ enabled }),
+      })
+    );
+
+  const remove = (schedule) =>
+    run(fetchJson(`/api/schedules/${schedule.id}`, { method: "DELETE" }));
+
+  return (
+    <div className="card schedules-card">
+      <h3>Schedules</h3>
+      {error && <div className="chart-message error">{error}</div>}
+
+      {schedules.length === 0 ? (
+        <p className="panel-empty">No schedules for this plug yet.</p>
+      ) : (
+        <table className="cost-table schedule-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>When</th>
+              <th>Next run</th>
+              <th>Last result</th>
+              <th>Enabled</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map((schedule) => (
+              <tr key={schedule.id}>
+                <td>
+                  {schedule.name} <strong>{schedule.action}</strong>
+                </td>
+                <td>{describe(schedule)}</td>
+                <td>{formatTime(schedule.nextRun)}</td>
+                <td>
+                  {schedule.lastResult
+                    ? schedule.lastResult.ok
+                      ? `ok (${formatTime(schedule.lastRun)})`
+                      : schedule.lastResult.error
+                    : "-"}
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    disabled={!canEdit}
+                    onChange={(e) => setEnabled(schedule, e.target.checked)}
+                  />
+                </td>
+                <td>
+                  {canEdit && (
+                    <button
+                      className="link-button"
+                      onClick={() => remove(schedule)}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <form className="panel-form" onSubmit={create}>
+          <select value={form.type} onChange={update("type")}>
+            <option value="timer">Timer</option>
+            <option value="cron">Recurring (cron)</option>
+            <option value="sun">Sunrise / sunset</option>
+          </select>
+          <select value={form.action} onChange={update("action")}>
+            <option value="on">Turn on</option>
+            <option value="off">Turn off</option>
+            <option value="toggle">Toggle</option>
+          </select>
+
+          {form.type === "timer" && (
+            <label>
+              in
+              <input
+                type="number"
+                min="1"
+                value={form.inMinutes}
+                onChange={update("inMinutes")}
+              />
+              min
+            </label>
+          )}
+
+          {form.type === "cron" && (
+            <input
+              type="text"
+              value={form.cron}
+              onChange={update("cron")}
+              placeholder="min hour day month weekday"
+            />
+          )}
+
+          {form.type === "sun" && (
+            <>
+              <select value={form.event} onChange={update("event")}>
+                <option value="sunrise">Sunrise</option>
+                <option value="sunset">Sunset</option>
+                <option value="dawn">Dawn</option>
+                <option value="dusk">Dusk</option>
+              </select>
+              <label>
+                offset
+                <input
+                  type="number"
+                  value={form.offsetMinutes}
+                  onChange={update("offsetMinutes")}
+                />
+                min
+              </label>
+              <span className="day-picker">
+                {DAYS.map((day) => (
+                  <label key={day}>
+                    <input
+                      type="checkbox"
+                      checked={form.days.includes(day)}
+                      onChange={() => toggleDay(day)}
+                    />
+                    {day}
+                  </label>
+                ))}
+              </span>
+            </>
+          )}
+
+          <input
+            type="text"
+            value={form.name}
+            onChange={update("name")}
+            placeholder="Name (optional)"
+          />
+          <button type="submit" className="action-button">
+            Add schedule
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SchedulesPanel;
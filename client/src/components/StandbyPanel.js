@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchJson } from "../api";
+
+const formatMoney = (value, currency) =>
+  /^[A-Z]{3}$/.test(currency || "")
+    ? new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 2,
+      }).format(value)
+    : `${value.toFixed(2)}${currency ? ` ${currency}` : ""}`;
+
+const formatSaved = ({ kwh, cost, currency }) =>
+  `${kwh.toFixed(2)} kWh (${formatMoney(cost, currency)})`;
+
+const toForm = (settings) => ({
+  enabled: settings.enabled,
+  maxWatts: String(settings.maxWatts),
+  idleMinutes: String(settings.idleMinutes),
+  activeFrom: settings.activeFrom || "",
+  activeTo: settings.activeTo || "",
+});
+
+// The standby killer of the selected plug: the standby band learned from
+// its readings, what cutoffs have saved, and its settings
+const StandbyPanel = ({ deviceId, refreshKey, canEdit }) => {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+  const base = `/api/devices/${encodeURIComponent(deviceId)}/standby`;
+
+  const load = useCallback(() => {
+    fetchJson(base)
+      .then((result) => {
+        setData(result);
+        setForm((current) => current || toForm(result.settings));
+      })
+      .catch((err) => setError(err.message));
+  }, [base]);
+
+  // Start from the new plug's settings when the selection changes
+  useEffect(() => {
+    setForm(null);
+  }, [deviceId]);
+
+  // Reload when the device changes or a plug has been switched off
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const save = (e) => {
+    e.preventDefault();
+    fetchJson(`${base}/settings`, {
+      method: "PUT",
+      body: JSON.stringify({
+        enabled: form.enabled,
+        maxWatts: Number(form.maxWatts),
+        idleMinutes: Number(form.idleMinutes),
+        activeFrom: form.activeFrom || null,
+        activeTo: form.activeTo || null,
+      }),
+    })
+      .then(() => {
+        setError(null);
+        load();
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  return (
+    <div className="card standby-card">
+      <h3>Standby Killer</h3>
+      {error && <div className="chart-message error">{error}</div>}
+
+      {data && (
+        <>
+          <p className="panel-empty">
+            {data.band
+              ? `Standby draw ${data.band.low}-${data.band.high} W (usually ${data.band.watts} W)`
+              : "Still learning this plug's standby draw"}
+          </p>
+          {data.cutoff && (
+            <div className="chart-message">
+              Switched off in standby at{" "}
+              {new Date(data.cutoff.ts).toLocaleString()}
+            </div>
+          )}
+          {!data.cutoff && data.settings.enabled && data.idleSince && (
+            <div className="chart-message">
+              In standby since {new Date(data.idleSince).toLocaleTimeString()}
+            </div>
+          )}
+          <p>
+            Saved today: {formatSaved(data.saved.today)}. In total:{" "}
+            {formatSaved(data.saved.total)} over {data.saved.total.cutoffs}{" "}
+            cutoffs.
+          </p>
+        </>
+      )}
+
+      {canEdit && form && (
+        <form className="panel-form" onSubmit={save}>
+          <label>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, enabled: e.target.checked }))
+              }
+            />
+            Switch off in standby
+          </label>
+          <label>
+            standby at or below
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={form.maxWatts}
+              onChange={update("maxWatts")}
+            />
+            W
+          </label>
+          <label>
+            after
+            <input
+              type="number"
+              min="1"
+              value={form.idleMinutes}
+              onChange={update("idleMinutes")}
+            />
+            min
+          </label>
+          <label>
+            only from
+            <input
+              type="time"
+              value={form.activeFrom}
+              onChange={update("activeFrom")}
+            />
+            to
+            <input
+              type="time"
+              value={form.activeTo}
+              onChange={update("activeTo")}
+            />
+          </label>
+          <button type="submit" className="action-button">
+            Save
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default StandbyPanel;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchJson } from "../api";
+
+const TIER_LABELS = {
+  raw: "Full resolution",
+  minute: "1-minute aggregates",
+  hour: "1-hour aggregates",
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const formatDate = (ms) => (ms === null ? "-" : new Date(ms).toLocaleString());
+
+const formatDays = (days) => (days > 0 ? `${days} days` : "forever");
+
+// Admin view of the reading store: rows per retention tier, database size,
+// archives, and buttons to compact or purge
+const StorageView = ({ devices, onDone }) => {
+  const [usage, setUsage] = useState(null);
+  const [before, setBefore] = useState("");
+  const [deviceId, setDeviceId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    fetchJson("/api/storage")
+      .then((result) => {
+        setUsage(result);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = (url, body, describe) => {
+    setBusy(true);
+    setMessage(null);
+    fetchJson(url, { method: "POST", body: JSON.stringify(body) })
+      .then((result) => {
+        setMessage(describe(result));
+        setError(null);
+        load();
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  const compact = () =>
+    run(
+      "/api/storage/compact",
+      { vacuum: true },
+      ({ compacted, purged }) =>
+        `Rolled up ${compacted.raw + compacted.minute} rows, deleted ${
+          compacted.hour + purged
+        }`
+    );
+
+  const purge = (e) => {
+    e.preventDefault();
+    const target = deviceId
+      ? devices.find((device) => device.id === deviceId).name
+      : "all plugs";
+    if (!window.confirm(`Delete every sample of ${target} before ${before}?`)) {
+      return;
+    }
+    run(
+      "/api/storage/purge",
+      { before: new Date(before).toISOString(), deviceId },
+      ({ deleted }) => `Deleted ${deleted} rows`
+    );
+  };
+
+  return (
+    <div className="card storage-card">
+      <div className="chart-header">
+        <h3>Storage</h3>
+        <button className="link-button" onClick={onDone}>
+          Back to dashboard
+        </button>
+      </div>
+
+      {error && <div className="chart-message error">{error}</div>}
+      {message && <div className="chart-message">{message}</div>}
+
+      {usage && (
+        <>
+          <div className="metrics-grid">
+            <div className="metric">
+              <div className="metric-value">
+                {formatBytes(usage.fileBytes || usage.usedBytes)}
+              </div>
+              <div className="metric-label">
+                Database ({formatBytes(usage.freeBytes)} reusable)
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {formatBytes(usage.archiveBytes)}
+              </div>
+              <div className="metric-label">
+                {usage.archives.length} daily archives
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">
+                {usage.lastRun ? formatDate(usage.lastRun.at) : "-"}
+              </div>
+              <div className="metric-label">Last compaction</div>
+            </div>
+          </div>
+
+          <table className="cost-table">
+            <thead>
+              <tr>
+                <th>Tier</th>
+                <th>Kept for</th>
+                <th>Rows</th>
+                <th>Oldest</th>
+                <th>Newest</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usage.tiers.map((tier) => (
+                <tr key={tier.name}>
+                  <td>{TIER_LABELS[tier.name]}</td>
+                  <td>
+                    {formatDays(
+                      {
+                        raw: usage.config.rawDays,
+                        minute: usage.config.minuteDays,
+                        hour: usage.config.hourDays,
+                      }[tier.name]
+                    )}
+                  </td>
+                  <td>{tier.rows}</td>
+                  <td>{formatDate(tier.first)}</td>
+                  <td>{formatDate(tier.last)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div className="chart-toolbar">
+        <button className="action-button" onClick={compact} disabled={busy}>
+          Compact now
+        </button>
+      </div>
+
+      <form className="panel-form" onSubmit={purge}>
+        <label>
+          Delete samples before
+          <input
+            type="date"
+            value={before}
+            onChange={(e) => setBefore(e.target.value)}
+            required
+          />
+        </label>
+        <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+          <option value="">All plugs</option>
+          {devices.map((device) => (
+            <option key={device.id} value={device.id}>
+              {device.name}
+            </option>
+          ))}
+        </select>
+        <button className="action-button" type="submit" disabled={busy}>
+          Purge
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default StorageView;
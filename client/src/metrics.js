@@ -0,0 +1,28 @@
+// Helpers for rendering readings according to the device's DPS profile
+// (see GET /api/profiles). Each metric carries its label, unit and scale.
+
+// Measurements to show and chart; writable numbers (a countdown) are settings
+export const numericMetrics = (device) =>
+  ((device.profile && device.profile.metrics) || []).filter(
+    (metric) => metric.type === "number" && !metric.writable
+  );
+
+// Writable DPs besides the power switch that the plug has reported, each
+// rendered as a control from its schema (type, range or allowed values)
+export const controlMetrics = (device) =>
+  ((device.profile && device.profile.metrics) || []).filter(
+    (metric) =>
+      metric.writable &&
+      metric.metric !== "power_state" &&
+      device[metric.metric] !== undefined
+  );
+
+export const metricLabel = (metric) =>
+  metric.unit ? `${metric.label} (${metric.unit})` : metric.label;
+
+// The scale is the number of decimals the device reports, so use it as the
+// display precision too.
+export const formatMetric = (value, metric) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number.toFixed(metric.scale) : "-";
+};
@@ -0,0 +1,78 @@
+// What the dashboard keeps for when it cannot reach the server: the last
+// readings of every plug, in localStorage so they survive a reload, and the
+// control commands waiting to be sent. History and panel data are cached by
+// the service worker (public/service-worker.js).
+
+const SNAPSHOT_KEY = "tuya-dashboard:snapshot";
+
+// Cache the service worker keeps API answers in
+const API_CACHE = "tuya-dashboard-api";
+
+// A command still waiting after this long is dropped rather than sent late:
+// switching a plug minutes after the click is more surprising than useful
+export const COMMAND_TTL = 5 * 60 * 1000;
+
+// The last user and readings, or null
+export const loadSnapshot = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SNAPSHOT_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSnapshot = (user, devices) => {
+  try {
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify({ user, devices }));
+  } catch (error) {
+    console.error("Could not keep the readings for offline use:", error);
+  }
+};
+
+// On logout nothing of the session is left behind
+export const clearOfflineData = () => {
+  localStorage.removeItem(SNAPSHOT_KEY);
+  if (window.caches) {
+    window.caches.delete(API_CACHE).catch(() => {});
+  }
+};
+
+// The time of the newest reading among the devices, or null
+export const lastReadingTime = (devices) => {
+  const times = Object.values(devices)
+    .map((device) => new Date(device.timestamp).getTime())
+    .filter(Number.isFinite);
+  return times.length > 0 ? Math.max(...times) : null;
+};
+
+// A request to send once the server is back. `key` names what it changes
+// (a plug's power, one DP): a newer command for the same key replaces a
+// pending one. Status goes from "pending" to "sending", then the command is
+// dropped once acked, or ends "failed" or "expired".
+export const queuedCommand = (
+  { key, type, fields, label },
+  now = Date.now()
+) => ({
+  id: `${key}@${now}`,
+  key,
+  type,
+  fields,
+  label,
+  status: "pending",
+  queuedAt: now,
+  expiresAt: now + COMMAND_TTL,
+});
+
+export const enqueue = (queue, command) => [
+  ...queue.filter(
+    (entry) => !(entry.key === command.key && entry.status === "pending")
+  ),
+  command,
+];
+
+export const expireCommands = (queue, now = Date.now()) =>
+  queue.map((command) =>
+    command.status === "pending" && command.expiresAt <= now
+      ? { ...command, status: "expired" }
+      : command
+  );
@@ -0,0 +1,18 @@
+// Register the service worker that makes the dashboard installable and lets
+// it open without the server (public/service-worker.js). Development builds
+// go without, so a cached shell never hides a code change.
+export const registerServiceWorker = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) =>
+        console.error("Service worker registration failed:", error)
+      );
+  });
+};
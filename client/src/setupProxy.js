@@ -0,0 +1,13 @@
+const { createProxyMiddleware } = require("http-proxy-middleware");
+
+// In development the dashboard runs on the CRA dev server. The "proxy" field
+// in package.json forwards REST calls to the API server, but not WebSocket
+// upgrades, so those are proxied here.
+module.exports = function setupProxy(app) {
+  app.use(
+    createProxyMiddleware("/api/ws", {
+      target: "http://localhost:5000",
+      ws: true,
+    })
+  );
+};
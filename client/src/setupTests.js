@@ -0,0 +1,10 @@
+// Loaded by react-scripts before every test file
+import "@testing-library/jest-dom";
+
+// jsdom has no ResizeObserver, which recharts' ResponsiveContainer needs;
+// charts simply render at zero size
+global.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
@@ -0,0 +1,333 @@
+const { EventEmitter } = require("events");
+const { findMetric } = require("./profiles");
+
+const TYPES = [
+  "voltage_sag",
+  "voltage_swell",
+  "current_spike",
+  "standby_draw",
+  "power_factor_drift",
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS anomalies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    start INTEGER NOT NULL,
+    end INTEGER NOT NULL,
+    value REAL NOT NULL,
+    baseline REAL NOT NULL,
+    message TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS anomalies_device_start ON anomalies (device_id, start);
+`;
+
+// Tuning, overridable per detector (tests use shorter warm-ups)
+const DEFAULT_OPTIONS = {
+  // Weight of each new reading in a baseline, and how many readings a
+  // baseline needs before anything is flagged against it
+  alpha: 0.02,
+  warmup: 30,
+  // Sag or swell: voltage more than this fraction off its baseline
+  voltageTolerance: 0.1,
+  // Spike: current more than `currentSigma` deviations above its baseline
+  // and at least `currentRatio` times it
+  currentSigma: 4,
+  currentRatio: 2,
+  // Standby: idle power more than `standbySigma` deviations and
+  // `standbyMinWatts` above its baseline
+  standbySigma: 4,
+  standbyMinWatts: 2,
+  // Power factor drift: the recent power factor (fast baseline) this far
+  // from the long-term one (slow baseline). Only measured above
+  // `powerFactorMinWatts`, where the plug's readings are precise enough.
+  powerFactorDrift: 0.1,
+  powerFactorMinWatts: 20,
+  powerFactorFastAlpha: 0.2,
+  powerFactorSlowAlpha: 0.005,
+};
+
+// Current readings per ampere, by the unit a profile gives them in
+const CURRENT_UNITS = { A: 1, mA: 1000 };
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// Exponentially weighted mean and variance of a metric
+class Baseline {
+  constructor(alpha) {
+    this.alpha = alpha;
+    this.mean = null;
+    this.variance = 0;
+    this.count = 0;
+  }
+
+  get sd() {
+    return Math.sqrt(this.variance);
+  }
+
+  update(value) {
+    this.count += 1;
+    if (this.mean === null) {
+      this.mean = value;
+      return;
+    }
+    const diff = value - this.mean;
+    this.mean += this.alpha * diff;
+    this.variance =
+      (1 - this.alpha) * (this.variance + this.alpha * diff * diff);
+  }
+
+  toJSON() {
+    return this.mean === null
+      ? null
+      : { mean: round(this.mean), sd: round(this.sd), count: this.count };
+  }
+}
+
+function toAnomaly(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    type: row.type,
+    metric: row.metric,
+    start: row.start,
+    end: row.end,
+    value: row.value,
+    baseline: row.baseline,
+    message: row.message,
+  };
+}
+
+// Keeps rolling baselines of voltage, current, standby power and power
+// factor per plug and flags readings that stray from them. An anomaly lasts
+// from the first flagged reading to the last one before the metric is back
+// to normal; flagged readings do not move the baseline (except the slow
+// power factor one). Emits "anomaly" with { state: "started" | "ended",
+// anomaly } so the server can broadcast it.
+class AnomalyDetector extends EventEmitter {
+  constructor({ db, devices, standbyWatts = () => 5, options = {} }) {
+    super();
+    this.db = db;
+    this.devices = devices;
+    // Power at or below which a plug counts as in standby
+    this.standbyWatts = standbyWatts;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // Per device: { baselines: { name: Baseline }, open: Map(type -> anomaly) }
+    this.states = new Map();
+    this.db.exec(SCHEMA);
+  }
+
+  stateFor(deviceId) {
+    let state = this.states.get(deviceId);
+    if (!state) {
+      const { alpha, powerFactorFastAlpha, powerFactorSlowAlpha } =
+        this.options;
+      state = {
+        baselines: {
+          voltage: new Baseline(alpha),
+          current: new Baseline(alpha),
+          standby: new Baseline(alpha),
+          powerFactorFast: new Baseline(powerFactorFastAlpha),
+          powerFactorSlow: new Baseline(powerFactorSlowAlpha),
+        },
+        open: new Map(),
+      };
+      this.states.set(deviceId, state);
+    }
+    return state;
+  }
+
+  baselines(deviceId) {
+    const { baselines } = this.stateFor(deviceId);
+    const described = {};
+    for (const [name, baseline] of Object.entries(baselines)) {
+      described[name] = baseline.toJSON();
+    }
+    return described;
+  }
+
+  list({ deviceId, type, from = 0, to = Date.now() + 1, limit = 100 } = {}) {
+    const where = ["start < ?", "end >= ?"];
+    const params = [to, from];
+    if (deviceId) {
+      where.push("device_id = ?");
+      params.push(deviceId);
+    }
+    if (type) {
+      where.push("type = ?");
+      params.push(type);
+    }
+    return this.db
+      .prepare(
+        `SELECT * FROM anomalies WHERE ${where.join(" AND ")}
+          ORDER BY start DESC LIMIT ?`
+      )
+      .all(...params, limit)
+      .map(toAnomaly);
+  }
+
+  // Called with every processed reading
+  process(deviceId, reading, now = Date.now()) {
+    const ts = Date.parse(reading.timestamp) || now;
+    const state = this.stateFor(deviceId);
+    const { baselines } = state;
+    const o = this.options;
+    const ready = (baseline) => baseline.count >= o.warmup;
+    const { voltage, current, power } = reading;
+    const flagged = new Map();
+
+    if (typeof voltage === "number" && voltage > 0) {
+      const baseline = baselines.voltage;
+      const deviation = ready(baseline)
+        ? (voltage - baseline.mean) / baseline.mean
+        : 0;
+      if (deviation < -o.voltageTolerance) {
+        flagged.set("voltage_sag", { metric: "voltage", value: voltage });
+      } else if (deviation > o.voltageTolerance) {
+        flagged.set("voltage_swell", { metric: "voltage", value: voltage });
+      } else {
+        baseline.update(voltage);
+      }
+    }
+
+    // A plug that is switched off draws nothing, in standby or otherwise
+    const on = typeof power === "number" && reading.power_state !== false;
+    const standby = on && power <= this.standbyWatts(deviceId);
+
+    // Current only has a stable baseline while the appliance is running
+    if (typeof current === "number" && on && !standby) {
+      const baseline = baselines.current;
+      if (
+        ready(baseline) &&
+        current > baseline.mean + o.currentSigma * baseline.sd &&
+        current > baseline.mean * o.currentRatio
+      ) {
+        flagged.set("current_spike", { metric: "current", value: current });
+      } else {
+        baseline.update(current);
+      }
+    }
+
+    if (standby) {
+      const baseline = baselines.standby;
+      if (
+        ready(baseline) &&
+        power > baseline.mean + o.standbySigma * baseline.sd &&
+        power - baseline.mean >= o.standbyMinWatts
+      ) {
+        flagged.set("standby_draw", { metric: "power", value: power });
+      } else {
+        baseline.update(power);
+      }
+    }
+
+    // Power factor = real power / apparent power (V x A). Skipped when the
+    // profile gives current in a unit it cannot be converted from.
+    const perAmp = this.currentPerAmp(deviceId);
+    if (
+      perAmp &&
+      typeof power === "number" &&
+      power >= o.powerFactorMinWatts &&
+      voltage > 0 &&
+      current > 0
+    ) {
+      // The slow baseline always moves, so a lasting change is eventually
+      // taken as the new normal
+      const powerFactor = Math.min(power / ((voltage * current) / perAmp), 1);
+      const fast = baselines.powerFactorFast;
+      const slow = baselines.powerFactorSlow;
+      fast.update(powerFactor);
+      if (ready(slow) && Math.abs(fast.mean - slow.mean) > o.powerFactorDrift) {
+        flagged.set("power_factor_drift", {
+          metric: "power_factor",
+          value: round(fast.mean),
+        });
+      }
+      slow.update(powerFactor);
+    }
+
+    for (const type of TYPES) {
+      const flag = flagged.get(type);
+      const open = state.open.get(type);
+      if (flag && open) {
+        this.extend(open, flag.value, ts);
+      } else if (flag) {
+        state.open.set(type, this.open(deviceId, type, flag, ts));
+      } else if (open) {
+        state.open.delete(type);
+        this.emit("anomaly", { state: "ended", anomaly: open });
+      }
+    }
+  }
+
+  currentPerAmp(deviceId) {
+    const connection = this.devices.get(deviceId);
+    const entry =
+      connection && connection.profile
+        ? findMetric(connection.profile, "current")
+        : null;
+    return entry ? CURRENT_UNITS[entry.unit] : undefined;
+  }
+
+  baselineFor(deviceId, type) {
+    const { baselines } = this.stateFor(deviceId);
+    if (type === "voltage_sag" || type === "voltage_swell") {
+      return baselines.voltage.mean;
+    }
+    if (type === "current_spike") return baselines.current.mean;
+    if (type === "standby_draw") return baselines.standby.mean;
+    return baselines.powerFactorSlow.mean;
+  }
+
+  open(deviceId, type, { metric, value }, ts) {
+    const baseline = round(this.baselineFor(deviceId, type));
+    const connection = this.devices.get(deviceId);
+    const name = connection ? connection.name : deviceId;
+    const message = `${type.replace(/_/g, " ")} on ${name}: ${metric} ${round(
+      value
+    )} against a baseline of ${baseline}`;
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO anomalies (device_id, type, metric, start, end, value, baseline, message)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(deviceId, type, metric, ts, ts, value, baseline, message);
+    const anomaly = {
+      id: Number(lastInsertRowid),
+      deviceId,
+      type,
+      metric,
+      start: ts,
+      end: ts,
+      value,
+      baseline,
+      message,
+    };
+    console.log(`Anomaly: ${message}`);
+    this.emit("anomaly", { state: "started", anomaly });
+    return anomaly;
+  }
+
+  // A further flagged reading: the anomaly lasts longer, and keeps the value
+  // furthest from the baseline
+  extend(anomaly, value, ts) {
+    anomaly.end = ts;
+    if (
+      Math.abs(value - anomaly.baseline) >
+      Math.abs(anomaly.value - anomaly.baseline)
+    ) {
+      anomaly.value = value;
+    }
+    this.db
+      .prepare("UPDATE anomalies SET end = ?, value = ? WHERE id = ?")
+      .run(anomaly.end, anomaly.value, anomaly.id);
+  }
+}
+
+module.exports = {
+  AnomalyDetector,
+  TYPES,
+};
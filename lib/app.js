@@ -0,0 +1,545 @@
+const express = require("express");
+const cors = require("cors");
+const http = require("http");
+const path = require("path");
+
+const { loadDeviceConfigs } = require("./deviceRegistry");
+const DeviceConnection = require("./deviceConnection");
+const { loadProfiles } = require("./profiles");
+const ReadingStore = require("./store");
+const createHistoryRouter = require("./routes/history");
+const createCostRouter = require("./routes/cost");
+const { loadTariff, describeTariff } = require("./tariff");
+const { openDatabase } = require("./db");
+const { Scheduler, locationFromEnv } = require("./scheduler");
+const createSchedulesRouter = require("./routes/schedules");
+const { RuleEngine } = require("./rules");
+const createRulesRouter = require("./routes/rules");
+const { MqttBridge, mqttConfigFromEnv } = require("./mqtt");
+const createMetrics = require("./metrics");
+const { AuthService, requireRole } = require("./auth");
+const AuditLog = require("./audit");
+const createAuthRouter = require("./routes/auth");
+const createUsersRouter = require("./routes/users");
+const handle = require("./routes/handle");
+const { ValidationError } = require("./errors");
+const { parseTime } = require("./time");
+const { DiscoveryListener } = require("./discovery");
+const createOnboardingRouter = require("./routes/onboarding");
+const createSimulatorRouter = require("./routes/simulator");
+const createControlsRouter = require("./routes/controls");
+const createReportsRouter = require("./routes/reports");
+const createImportRouter = require("./routes/import");
+const { CycleTracker } = require("./cycles");
+const createCyclesRouter = require("./routes/cycles");
+const { AnomalyDetector } = require("./anomalies");
+const createAnomaliesRouter = require("./routes/anomalies");
+const { RetentionManager, retentionConfigFromEnv } = require("./retention");
+const createStorageRouter = require("./routes/storage");
+const { GroupManager } = require("./groups");
+const createGroupsRouter = require("./routes/groups");
+const createScenesRouter = require("./routes/scenes");
+const { StandbyKiller } = require("./standby");
+const createStandbyRouter = require("./routes/standby");
+const { createSocketServer } = require("./websocket");
+
+const CLIENT_BUILD = path.join(__dirname, "..", "client/build");
+
+function corsOriginsFromEnv(env = process.env) {
+  return (env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+}
+
+// Builds the Express app, the WebSocket server and every service behind
+// them. Each dependency defaults to what server.js uses (config files, .env
+// and data/); tests pass in-memory databases and fixed device configs
+// instead. The caller listens on the returned HTTP server; nothing connects
+// or starts ticking until start() is called.
+function createApp({
+  profiles = loadProfiles(),
+  deviceConfigs = loadDeviceConfigs(),
+  createConnection = (config, profile) => new DeviceConnection(config, profile),
+  store = new ReadingStore(),
+  tariff = loadTariff(),
+  appDb = openDatabase("dashboard.db"),
+  location = locationFromEnv(),
+  mqttConfig = mqttConfigFromEnv(),
+  discovery = new DiscoveryListener(),
+  corsOrigins = corsOriginsFromEnv(),
+  retentionConfig = retentionConfigFromEnv(),
+  heartbeatInterval,
+} = {}) {
+  const app = express();
+
+  // Middleware
+  // Cross-origin requests are only allowed from corsOrigins; the dashboard
+  // itself is served from this server.
+  if (corsOrigins.length > 0) {
+    app.use(cors({ origin: corsOrigins, credentials: true }));
+  }
+  app.use(express.json());
+  app.use(express.static(CLIENT_BUILD));
+
+  // Tuya Device Registry
+  const devices = new Map();
+  for (const config of deviceConfigs) {
+    const profile = profiles.get(config.profile);
+    if (!profile) {
+      throw new Error(
+        `Device ${config.id} uses unknown profile "${config.profile}"`
+      );
+    }
+    devices.set(config.id, createConnection(config, profile));
+  }
+
+  if (devices.size === 0) {
+    console.warn(
+      "No devices configured. Create devices.json or set TUYA_DEVICE_* in .env"
+    );
+  }
+
+  // User accounts, sessions and the audit log of control actions
+  const auth = new AuthService({ db: appDb });
+  const auditLog = new AuditLog({ db: appDb });
+
+  // Device groups and scenes for switching several plugs at once
+  const groups = new GroupManager({ db: appDb, devices, store, tariff });
+
+  // WebSocket endpoint on the same HTTP server as the REST API
+  const server = http.createServer(app);
+  const sockets = createSocketServer({
+    server,
+    auth,
+    devices,
+    groups,
+    auditLog,
+    listDevices,
+    heartbeatInterval,
+  });
+
+  // On/off timers, cron rules and sunrise/sunset rules
+  const scheduler = new Scheduler({
+    db: appDb,
+    devices,
+    location,
+  });
+
+  scheduler.on("run", ({ schedule, ranAt, ok, error }) => {
+    auditLog.record({
+      username: "scheduler",
+      source: "schedule",
+      action: schedule.action,
+      deviceId: schedule.deviceId,
+      detail: { scheduleId: schedule.id, name: schedule.name, ok, error },
+    });
+    sockets.broadcast({
+      type: "schedule",
+      deviceId: schedule.deviceId,
+      data: { schedule, ranAt, ok, error },
+    });
+  });
+
+  // Every member of a group or scene run is audited on its own
+  groups.on("run", ({ kind, target, action, results, username, source }) => {
+    for (const { deviceId, ok, error, values } of results) {
+      auditLog.record({
+        username,
+        source,
+        action: kind === "scene" ? "set" : action,
+        deviceId,
+        detail: {
+          [`${kind}Id`]: target.id,
+          name: target.name,
+          values,
+          ok,
+          error,
+        },
+      });
+    }
+    sockets.broadcast({
+      type: kind,
+      data: { id: target.id, name: target.name, action, results },
+    });
+  });
+
+  // Threshold alerts and automation rules on live readings
+  const ruleEngine = new RuleEngine({ db: appDb, devices });
+
+  ruleEngine.on("alert", (alert) => {
+    sockets.broadcast({
+      type: "alert",
+      deviceId: alert.deviceId,
+      data: alert,
+    });
+  });
+
+  ruleEngine.on("switchOff", (alert) => {
+    auditLog.record({
+      username: "rules",
+      source: "rule",
+      action: "off",
+      deviceId: alert.deviceId,
+      detail: { ruleId: alert.ruleId, ruleName: alert.ruleName },
+    });
+  });
+
+  // Appliance runs (a wash, a kettle boil) segmented from the power readings
+  const cycleTracker = new CycleTracker({ db: appDb, devices });
+
+  cycleTracker.on("cycle", (event) => {
+    sockets.broadcast({
+      type: "cycle",
+      deviceId: event.deviceId,
+      data: event,
+    });
+  });
+
+  // Voltage, current, standby and power factor anomalies against rolling
+  // baselines. A plug is in standby at or below its cycle idle threshold.
+  const anomalyDetector = new AnomalyDetector({
+    db: appDb,
+    devices,
+    standbyWatts: (deviceId) => cycleTracker.settingsFor(deviceId).idleWatts,
+  });
+
+  anomalyDetector.on("anomaly", (event) => {
+    sockets.broadcast({
+      type: "anomaly",
+      deviceId: event.anomaly.deviceId,
+      data: event,
+    });
+  });
+
+  // Switches plugs off once they have idled in standby long enough
+  const standbyKiller = new StandbyKiller({ db: appDb, devices, tariff });
+
+  standbyKiller.on("cutoff", (event) => {
+    auditLog.record({
+      username: "standby",
+      source: "standby",
+      action: "off",
+      deviceId: event.deviceId,
+      detail: { cutoffId: event.cutoff.id, watts: event.cutoff.watts },
+    });
+    sockets.broadcast({
+      type: "standby",
+      deviceId: event.deviceId,
+      data: event,
+    });
+  });
+
+  // Rolls old samples up into coarser tiers and enforces the retention limits
+  const retention = new RetentionManager({ store, config: retentionConfig });
+
+  // Optional MQTT bridge with Home Assistant discovery (MQTT_URL in .env)
+  const mqttBridge = mqttConfig
+    ? new MqttBridge({ ...mqttConfig, devices })
+    : null;
+
+  if (mqttBridge) {
+    mqttBridge.on("command", ({ deviceId, command, ok, error }) => {
+      auditLog.record({
+        username: "mqtt",
+        source: "mqtt",
+        action: command === "toggle" ? "toggle" : command ? "on" : "off",
+        deviceId,
+        detail: { ok, error },
+      });
+    });
+  }
+
+  // Prometheus metrics for GET /metrics
+  const metrics = createMetrics({ devices, wss: sockets.wss });
+
+  // Wire a device into the store, the rules, MQTT and the WebSocket broadcast
+  function wireDevice(connection) {
+    const deviceId = connection.id;
+
+    connection.on("data", (deviceData) => {
+      try {
+        store.insertReading(deviceId, deviceData);
+      } catch (err) {
+        console.error(`Error storing reading for ${deviceId}:`, err);
+        metrics.writeFailures.inc({ device: deviceId });
+      }
+
+      ruleEngine.evaluate(deviceId, deviceData);
+      cycleTracker.process(deviceId, deviceData);
+      anomalyDetector.process(deviceId, deviceData);
+      standbyKiller.process(deviceId, deviceData);
+
+      if (mqttBridge) {
+        mqttBridge.publishReading(deviceId, deviceData);
+      }
+
+      sockets.broadcast({ type: "data", deviceId, data: deviceData });
+    });
+
+    connection.on("connection", (status) => {
+      if (mqttBridge) {
+        mqttBridge.publishAvailability(deviceId, status.connected);
+      }
+      sockets.broadcast({ type: "connection", deviceId, data: status });
+    });
+
+    connection.on("state", (state) => {
+      sockets.broadcast({ type: "state", deviceId, data: state });
+    });
+
+    connection.on("timeout", () => {
+      metrics.pollTimeouts.inc({ device: deviceId });
+    });
+
+    connection.on("reconnect", () => {
+      metrics.reconnectAttempts.inc({ device: deviceId });
+    });
+
+    connection.on("error", (error) => {
+      sockets.broadcast({
+        type: "error",
+        deviceId,
+        data: { error: error.message },
+      });
+    });
+  }
+
+  for (const connection of devices.values()) {
+    wireDevice(connection);
+  }
+
+  // Add a plug at runtime (from onboarding) and connect to it right away
+  function addDevice(config) {
+    const connection = createConnection(config, profiles.get(config.profile));
+    devices.set(config.id, connection);
+    wireDevice(connection);
+    connection.connect();
+    if (mqttBridge) {
+      mqttBridge.publishDiscovery(connection);
+    }
+    sockets.broadcast({ type: "devices", data: listDevices() });
+    return connection;
+  }
+
+  function listDevices() {
+    return Array.from(devices.values()).map((connection) =>
+      connection.toJSON()
+    );
+  }
+
+  // REST API endpoints
+  // Everything under /api needs a session, except logging in. Reading is open
+  // to every user; anything that changes state needs at least an operator.
+  app.use(
+    "/api/auth",
+    createAuthRouter({
+      auth,
+      auditLog,
+      onLogout: sockets.closeSession,
+      onSessionsEnded: sockets.closeUser,
+    })
+  );
+  app.use("/api", auth.requireUser());
+  app.use("/api", (req, res, next) =>
+    req.method === "GET" ? next() : requireRole("operator")(req, res, next)
+  );
+
+  app.use(
+    "/api/users",
+    requireRole("admin"),
+    createUsersRouter({ auth, auditLog, onSessionsEnded: sockets.closeUser })
+  );
+
+  // GET /api/audit?deviceId=&username=&limit=
+  app.get(
+    "/api/audit",
+    requireRole("admin"),
+    handle((req, res) => {
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      res.json(
+        auditLog.list({
+          deviceId: req.query.deviceId,
+          username: req.query.username,
+          limit,
+        })
+      );
+    })
+  );
+
+  app.use(
+    "/api/onboarding",
+    requireRole("admin"),
+    createOnboardingRouter({
+      discovery,
+      devices,
+      profiles,
+      addDevice,
+      auditLog,
+    })
+  );
+
+  app.param("deviceId", (req, res, next, deviceId) => {
+    const connection = devices.get(deviceId);
+    if (!connection) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    req.device = connection;
+    next();
+  });
+
+  app.get("/api/profiles", (req, res) => {
+    res.json(Array.from(profiles.values()));
+  });
+
+  app.get("/api/devices", (req, res) => {
+    res.json(listDevices());
+  });
+
+  app.get("/api/devices/:deviceId/status", (req, res) => {
+    res.json(req.device.toJSON());
+  });
+
+  // Connection state, with the most recent state changes first
+  app.get("/api/devices/:deviceId/connection", (req, res) => {
+    res.json({
+      ...req.device.describeState(),
+      history: [...req.device.history].reverse(),
+    });
+  });
+
+  app.use("/api/devices/:deviceId", createHistoryRouter({ store }));
+  app.use("/api/devices/:deviceId", createCostRouter({ store, tariff }));
+  app.use("/api/devices/:deviceId", createControlsRouter({ auditLog }));
+  app.use("/api/devices/:deviceId", createSimulatorRouter({ auditLog }));
+  app.use(
+    "/api/devices/:deviceId",
+    createCyclesRouter({ cycleTracker, auditLog })
+  );
+  app.use(
+    "/api/devices/:deviceId",
+    createStandbyRouter({ standbyKiller, auditLog })
+  );
+  app.use(
+    "/api/devices/:deviceId/import",
+    requireRole("admin"),
+    createImportRouter({ store, auditLog })
+  );
+
+  // GET /api/standby/savings?from=&to= - what standby cutoffs saved, per
+  // plug and in total
+  app.get(
+    "/api/standby/savings",
+    handle((req, res) => {
+      let from;
+      let to;
+      try {
+        from = parseTime(req.query.from, 0);
+        to = parseTime(req.query.to, undefined);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+      res.json({
+        devices: Array.from(devices.keys()).map((deviceId) => ({
+          deviceId,
+          ...standbyKiller.savings({ deviceId, from, to }),
+        })),
+        total: standbyKiller.savings({ from, to }),
+      });
+    })
+  );
+
+  app.use("/api/reports", createReportsRouter({ devices, store, tariff }));
+  app.use(
+    "/api/anomalies",
+    createAnomaliesRouter({ anomalyDetector, devices })
+  );
+
+  app.use(
+    "/api/storage",
+    requireRole("admin"),
+    createStorageRouter({ retention, devices, auditLog })
+  );
+
+  app.get("/api/tariff", (req, res) => {
+    res.json(describeTariff(tariff));
+  });
+
+  app.use("/api/groups", createGroupsRouter({ groups, auditLog }));
+  app.use("/api/scenes", createScenesRouter({ groups, auditLog }));
+  app.use("/api/schedules", createSchedulesRouter({ scheduler, auditLog }));
+  app.use("/api", createRulesRouter({ ruleEngine, auditLog }));
+
+  // Prometheus scrape endpoint
+  app.get("/metrics", async (req, res) => {
+    try {
+      res.set("Content-Type", metrics.register.contentType);
+      res.end(await metrics.register.metrics());
+    } catch (error) {
+      res.status(500).end(error.message);
+    }
+  });
+
+  // Serve React app
+  app.get("*", (req, res) => {
+    res.sendFile(path.join(CLIENT_BUILD, "index.html"));
+  });
+
+  // Connect to every configured plug and start the background services
+  function start() {
+    auth.ensureAdmin().catch((error) => {
+      console.error("Error creating the admin user:", error);
+    });
+
+    for (const connection of devices.values()) {
+      connection.connect();
+    }
+
+    scheduler.start();
+    ruleEngine.start();
+    discovery.start();
+    retention.start();
+    if (mqttBridge) {
+      mqttBridge.start();
+    }
+  }
+
+  function stop() {
+    for (const connection of devices.values()) {
+      connection.disconnect();
+    }
+    scheduler.stop();
+    groups.stop();
+    ruleEngine.stop();
+    discovery.stop();
+    retention.stop();
+    if (mqttBridge) {
+      mqttBridge.stop();
+    }
+    sockets.close();
+    server.close();
+    store.close();
+    appDb.close();
+  }
+
+  return {
+    app,
+    server,
+    wss: sockets.wss,
+    devices,
+    auth,
+    auditLog,
+    scheduler,
+    ruleEngine,
+    cycleTracker,
+    anomalyDetector,
+    standbyKiller,
+    retention,
+    groups,
+    store,
+    start,
+    stop,
+  };
+}
+
+module.exports = createApp;
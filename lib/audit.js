@@ -0,0 +1,91 @@
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    username TEXT NOT NULL,
+    source TEXT NOT NULL,
+    action TEXT NOT NULL,
+    device_id TEXT,
+    detail TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS audit_log_ts ON audit_log (ts);
+`;
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    ts: row.ts,
+    username: row.username,
+    source: row.source,
+    action: row.action,
+    deviceId: row.device_id,
+    detail: row.detail ? JSON.parse(row.detail) : null,
+  };
+}
+
+// Who did what, and when: every control action (switching a plug, changing
+// schedules, rules or users) is recorded here. `source` tells how it came in
+// (rest, websocket, mqtt, schedule, rule); for automated actions `username`
+// names the component instead of a person.
+class AuditLog {
+  constructor({ db }) {
+    this.db = db;
+    this.db.exec(SCHEMA);
+  }
+
+  record({ username, source, action, deviceId = null, detail = null }) {
+    try {
+      this.db
+        .prepare(
+          `INSERT INTO audit_log (ts, username, source, action, device_id, detail)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          Date.now(),
+          username,
+          source,
+          action,
+          deviceId,
+          detail === null ? null : JSON.stringify(detail)
+        );
+    } catch (error) {
+      // Never let auditing break the action itself
+      console.error("Error writing audit log:", error);
+    }
+  }
+
+  // Shorthand for REST handlers behind requireUser()
+  recordRequest(req, action, { deviceId = null, detail = null } = {}) {
+    this.record({
+      username: req.user.username,
+      source: "rest",
+      action,
+      deviceId,
+      detail,
+    });
+  }
+
+  list({ deviceId, username, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (deviceId) {
+      where.push("device_id = ?");
+      params.push(deviceId);
+    }
+    if (username) {
+      where.push("username = ?");
+      params.push(username);
+    }
+    return this.db
+      .prepare(
+        `SELECT * FROM audit_log
+          ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+          ORDER BY ts DESC, id DESC LIMIT ?`
+      )
+      .all(...params, limit)
+      .map(toEntry);
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,327 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { ValidationError } = require("./errors");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the roles before it can:
+//   viewer   - read readings, history, cost, schedules and rules
+//   operator - switch plugs and change schedules and rules
+//   admin    - manage users and read the audit log
+const ROLES = ["viewer", "operator", "admin"];
+
+const SESSION_COOKIE = "tuya_session";
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+`;
+
+// "scrypt$<salt>$<key>", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !key) {
+    return false;
+  }
+  const expected = Buffer.from(key, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), KEY_LENGTH);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so that a login takes as
+// long for a missing user as for a wrong password
+const DUMMY_HASH = `scrypt$${"00".repeat(16)}$${"00".repeat(KEY_LENGTH)}`;
+
+// Only a hash of each session token is stored, so a copy of the database
+// cannot be used to take over a session.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Cookies that are not validly encoded are skipped
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(
+          part.slice(index + 1).trim()
+        );
+      } catch (error) {
+        // Malformed percent-encoding
+      }
+    }
+  }
+  return cookies;
+}
+
+// Session token from "Authorization: Bearer <token>" (scripts) or the
+// session cookie (the dashboard, including its WebSocket upgrade)
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at,
+  };
+}
+
+// Local user accounts with scrypt-hashed passwords and server-side sessions,
+// stored in the application database.
+class AuthService {
+  constructor({ db }) {
+    this.db = db;
+    this.db.exec(SCHEMA);
+  }
+
+  // Make sure there is a way in: with no users at all, create an admin from
+  // ADMIN_USERNAME / ADMIN_PASSWORD, or with a random password that is
+  // printed once.
+  async ensureAdmin(env = process.env) {
+    const { count } = this.db
+      .prepare("SELECT COUNT(*) AS count FROM users")
+      .get();
+    if (count > 0) {
+      return;
+    }
+    const username = env.ADMIN_USERNAME || "admin";
+    const password =
+      env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64");
+    await this.createUser({ username, password, role: "admin" });
+    if (env.ADMIN_PASSWORD) {
+      console.log(`Created admin user "${username}"`);
+    } else {
+      console.log(
+        `Created admin user "${username}" with password: ${password}\n` +
+          "Change it after logging in, or set ADMIN_PASSWORD before first start."
+      );
+    }
+  }
+
+  listUsers() {
+    return this.db.prepare("SELECT * FROM users ORDER BY id").all().map(toUser);
+  }
+
+  getUser(id) {
+    const row = this.db.prepare("SELECT * FROM users WHERE id = ?").get(id);
+    return row ? toUser(row) : null;
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`role must be one of ${ROLES.join(", ")}`);
+    }
+    return role;
+  }
+
+  validatePassword(password) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(
+        `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+    }
+    return password;
+  }
+
+  async createUser({ username, password, role = "viewer" }) {
+    if (typeof username !== "string" || !/^[\w.@-]{1,64}$/.test(username)) {
+      throw new ValidationError(
+        "username must be 1-64 letters, digits or . _ @ -"
+      );
+    }
+    this.validateRole(role);
+    const hash = await hashPassword(this.validatePassword(password));
+    const exists = this.db
+      .prepare("SELECT 1 FROM users WHERE username = ?")
+      .get(username);
+    if (exists) {
+      throw new ValidationError(`User ${username} already exists`);
+    }
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO users (username, password_hash, role, created_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(username, hash, role, Date.now());
+    return this.getUser(Number(lastInsertRowid));
+  }
+
+  // Change the role and/or password. Both are checked before either is
+  // written, so a rejected request changes nothing. A new password ends
+  // every session of that user.
+  async updateUser(id, { password, role }) {
+    const user = this.getUser(id);
+    if (!user) {
+      return null;
+    }
+    const roleChanged = role !== undefined && role !== user.role;
+    if (roleChanged) {
+      this.validateRole(role);
+    }
+    const hash =
+      password === undefined
+        ? null
+        : await hashPassword(this.validatePassword(password));
+
+    this.db.transaction(() => {
+      if (roleChanged) {
+        if (user.role === "admin") {
+          this.checkNotLastAdmin();
+        }
+        this.db.prepare("UPDATE users SET role = ? WHERE id = ?").run(role, id);
+      }
+      if (hash) {
+        this.db
+          .prepare("UPDATE users SET password_hash = ? WHERE id = ?")
+          .run(hash, id);
+        this.db.prepare("DELETE FROM sessions WHERE user_id = ?").run(id);
+      }
+    })();
+    return this.getUser(id);
+  }
+
+  removeUser(id) {
+    const user = this.getUser(id);
+    if (!user) {
+      return false;
+    }
+    if (user.role === "admin") {
+      this.checkNotLastAdmin();
+    }
+    this.db.prepare("DELETE FROM sessions WHERE user_id = ?").run(id);
+    this.db.prepare("DELETE FROM users WHERE id = ?").run(id);
+    return true;
+  }
+
+  checkNotLastAdmin() {
+    const { count } = this.db
+      .prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'")
+      .get();
+    if (count <= 1) {
+      throw new ValidationError("Cannot remove the last admin");
+    }
+  }
+
+  // The user for a username/password pair, or null
+  async checkPassword(username, password) {
+    const row = this.db
+      .prepare("SELECT * FROM users WHERE username = ?")
+      .get(String(username || ""));
+    const valid = await verifyPassword(
+      String(password || ""),
+      row ? row.password_hash : DUMMY_HASH
+    );
+    if (!row || !valid) {
+      return null;
+    }
+    return toUser(row);
+  }
+
+  // Returns { token, user, expiresAt }, or null for a bad username/password
+  async login(username, password) {
+    const user = await this.checkPassword(username, password);
+    if (!user) {
+      return null;
+    }
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    const expiresAt = now + SESSION_TTL;
+    this.db
+      .prepare(
+        `INSERT INTO sessions (token_hash, user_id, created_at, expires_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(hashToken(token), user.id, now, expiresAt);
+    // Housekeeping: drop expired sessions of everyone
+    this.db.prepare("DELETE FROM sessions WHERE expires_at <= ?").run(now);
+    return { token, user, expiresAt };
+  }
+
+  logout(token) {
+    if (token) {
+      this.db
+        .prepare("DELETE FROM sessions WHERE token_hash = ?")
+        .run(hashToken(token));
+    }
+  }
+
+  // The user a session token belongs to, or null when it is unknown/expired
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    const row = this.db
+      .prepare(
+        `SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id
+          WHERE sessions.token_hash = ? AND sessions.expires_at > ?`
+      )
+      .get(hashToken(token), Date.now());
+    return row ? toUser(row) : null;
+  }
+
+  // Express middleware: sets req.user, or answers 401
+  requireUser() {
+    return (req, res, next) => {
+      const user = this.authenticate(tokenFromRequest(req));
+      if (!user) {
+        return res.status(401).json({ error: "Login required" });
+      }
+      req.user = user;
+      next();
+    };
+  }
+}
+
+// Express middleware for routes behind requireUser()
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  AuthService,
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL,
+  hasRole,
+  requireRole,
+  tokenFromRequest,
+};
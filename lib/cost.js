@@ -0,0 +1,67 @@
+const { deviceEnergy } = require("./reports");
+const { rateAt } = require("./tariff");
+const { localDateKey, localMonthKey } = require("./time");
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+// Per-day and per-month consumption and cost of one device in [from, to).
+// The days come from the same calculation as the energy reports, so the
+// cost card and the reports agree: counter resets are counted from zero,
+// each delta is spread over the time between its readings, and days with a
+// gap in the readings are marked as estimated.
+function computeCost({ store, deviceId, tariff, from, to, now = Date.now() }) {
+  const { buckets, totals, gaps, resets } = deviceEnergy({
+    store,
+    deviceId,
+    tariff,
+    bucket: "day",
+    from,
+    to,
+    now,
+  });
+
+  const days = buckets
+    .filter((day) => day.kwh > 0)
+    .map(({ start, label, kwh, cost, estimated }) => ({
+      start,
+      date: label,
+      kwh,
+      cost,
+      estimated,
+    }));
+  const months = new Map();
+  for (const day of days) {
+    const key = localMonthKey(day.start);
+    const month = months.get(key) || { month: key, kwh: 0, cost: 0 };
+    month.kwh += day.kwh;
+    month.cost += day.cost;
+    months.set(key, month);
+  }
+
+  const rounded = (entry) => ({
+    ...entry,
+    kwh: round(entry.kwh),
+    cost: round(entry.cost),
+  });
+  const empty = { kwh: 0, cost: 0 };
+  const today = days.find((day) => day.date === localDateKey(now));
+
+  return {
+    currency: tariff.currency,
+    tariff: tariff.type,
+    from,
+    to,
+    currentRate: rateAt(tariff, now),
+    total: totals,
+    today: today ? { kwh: today.kwh, cost: today.cost } : empty,
+    thisMonth: rounded(months.get(localMonthKey(now)) || empty),
+    days: days.map(({ start, ...day }) => day),
+    months: Array.from(months.values()).map(rounded),
+    gaps,
+    resets,
+  };
+}
+
+module.exports = {
+  computeCost,
+};
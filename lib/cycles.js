@@ -0,0 +1,298 @@
+const { EventEmitter } = require("events");
+const { ValidationError } = require("./errors");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cycle_settings (
+    device_id TEXT PRIMARY KEY,
+    appliance TEXT,
+    idle_watts REAL NOT NULL,
+    idle_seconds INTEGER NOT NULL,
+    min_seconds INTEGER NOT NULL,
+    notify INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS cycles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    start INTEGER NOT NULL,
+    end INTEGER NOT NULL,
+    peak_watts REAL NOT NULL,
+    kwh REAL NOT NULL,
+    label TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS cycles_device_start ON cycles (device_id, start);
+`;
+
+// Until a plug has its own settings. A run starts when power goes above
+// `idleWatts` and ends once it has stayed at or below it for `idleSeconds`,
+// so pauses in a washing programme do not split it. Runs shorter than
+// `minSeconds` are dropped.
+const DEFAULT_SETTINGS = {
+  appliance: null,
+  idleWatts: 5,
+  idleSeconds: 120,
+  minSeconds: 60,
+  notify: false,
+};
+
+// Readings come every few seconds while a plug is online. A longer gap means
+// it was offline, and what it drew meanwhile is unknown: a run open across
+// it ends at the last reading before it.
+const MAX_GAP = 2 * 60 * 1000;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const number = (value, field, min = 0) => {
+  const n = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(n)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  if (n < min) {
+    throw new ValidationError(`${field} must be at least ${min}`);
+  }
+  return n;
+};
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  if (hours === 0) return `${minutes} min`;
+  return `${hours} h ${minutes} min`;
+}
+
+function toSettings(row) {
+  return {
+    appliance: row.appliance,
+    idleWatts: row.idle_watts,
+    idleSeconds: row.idle_seconds,
+    minSeconds: row.min_seconds,
+    notify: row.notify === 1,
+  };
+}
+
+function toCycle(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    start: row.start,
+    end: row.end,
+    durationSeconds: Math.round((row.end - row.start) / 1000),
+    peakWatts: row.peak_watts,
+    kwh: row.kwh,
+    label: row.label,
+  };
+}
+
+// Splits each plug's power readings into runs of an appliance (a wash, a
+// kettle boil, a print) and keeps a history of them. Energy is the power
+// integrated between readings, so plugs without an energy counter work too.
+// Emits "cycle" with { state: "started" | "finished", deviceId, cycle,
+// notify, message } so the server can broadcast it.
+class CycleTracker extends EventEmitter {
+  constructor({ db, devices, maxGap = MAX_GAP }) {
+    super();
+    this.db = db;
+    this.devices = devices;
+    this.maxGap = maxGap;
+    // Run in progress per device: { start, lastTs, lastPower, peakWatts,
+    // kwh, idleSince, kwhAtIdle }
+    this.runs = new Map();
+    this.db.exec(SCHEMA);
+    this.loadSettings();
+  }
+
+  loadSettings() {
+    this.settings = new Map(
+      this.db
+        .prepare("SELECT * FROM cycle_settings")
+        .all()
+        .map((row) => [row.device_id, toSettings(row)])
+    );
+  }
+
+  settingsFor(deviceId) {
+    return this.settings.get(deviceId) || DEFAULT_SETTINGS;
+  }
+
+  updateSettings(deviceId, input) {
+    const settings = { ...this.settingsFor(deviceId), ...input };
+    const parsed = {
+      appliance: settings.appliance ? String(settings.appliance) : null,
+      idleWatts: number(settings.idleWatts, "idleWatts"),
+      idleSeconds: Math.round(number(settings.idleSeconds, "idleSeconds")),
+      minSeconds: Math.round(number(settings.minSeconds, "minSeconds")),
+      notify: Boolean(settings.notify),
+    };
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO cycle_settings
+           (device_id, appliance, idle_watts, idle_seconds, min_seconds, notify)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        deviceId,
+        parsed.appliance,
+        parsed.idleWatts,
+        parsed.idleSeconds,
+        parsed.minSeconds,
+        parsed.notify ? 1 : 0
+      );
+    this.settings.set(deviceId, parsed);
+    return parsed;
+  }
+
+  // The run in progress on a plug, or null
+  running(deviceId, now = Date.now()) {
+    const run = this.runs.get(deviceId);
+    if (!run) {
+      return null;
+    }
+    return {
+      start: run.start,
+      durationSeconds: Math.round((now - run.start) / 1000),
+      peakWatts: run.peakWatts,
+      kwh: round(run.kwh),
+    };
+  }
+
+  list({ deviceId, from, to, limit = 50 }) {
+    return this.db
+      .prepare(
+        `SELECT * FROM cycles
+          WHERE device_id = ? AND start >= ? AND start < ?
+          ORDER BY start DESC LIMIT ?`
+      )
+      .all(deviceId, from, to, limit)
+      .map(toCycle);
+  }
+
+  get(id) {
+    const row = this.db.prepare("SELECT * FROM cycles WHERE id = ?").get(id);
+    return row ? toCycle(row) : null;
+  }
+
+  setLabel(id, label) {
+    const { changes } = this.db
+      .prepare("UPDATE cycles SET label = ? WHERE id = ?")
+      .run(label ? String(label) : null, id);
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  remove(id) {
+    const { changes } = this.db
+      .prepare("DELETE FROM cycles WHERE id = ?")
+      .run(id);
+    return changes > 0;
+  }
+
+  // Called with every processed reading
+  process(deviceId, reading, now = Date.now()) {
+    const power = reading.power;
+    if (typeof power !== "number") {
+      return;
+    }
+    const ts = Date.parse(reading.timestamp) || now;
+    const settings = this.settingsFor(deviceId);
+    const active = power > settings.idleWatts;
+    let run = this.runs.get(deviceId);
+
+    if (run && ts - run.lastTs > this.maxGap) {
+      if (run.idleSince === null) {
+        run.idleSince = run.lastTs;
+        run.kwhAtIdle = run.kwh;
+      }
+      this.runs.delete(deviceId);
+      this.finish(deviceId, run, settings);
+      run = null;
+    }
+
+    if (run) {
+      // Trapezoid between the last reading and this one, W*ms -> kWh
+      const elapsed = ts - run.lastTs;
+      if (elapsed > 0) {
+        run.kwh += (((run.lastPower + power) / 2) * elapsed) / 3.6e9;
+      }
+      run.lastTs = ts;
+      run.lastPower = power;
+    }
+
+    if (active) {
+      if (!run) {
+        run = {
+          start: ts,
+          lastTs: ts,
+          lastPower: power,
+          peakWatts: power,
+          kwh: 0,
+          idleSince: null,
+          kwhAtIdle: 0,
+        };
+        this.runs.set(deviceId, run);
+        this.notify("started", deviceId, this.running(deviceId, ts));
+      }
+      run.peakWatts = Math.max(run.peakWatts, power);
+      run.idleSince = null;
+      return;
+    }
+
+    if (!run) {
+      return;
+    }
+    // The run ends where the plug went idle, not when that was confirmed
+    if (run.idleSince === null) {
+      run.idleSince = ts;
+      run.kwhAtIdle = run.kwh;
+    }
+    if (ts - run.idleSince >= settings.idleSeconds * 1000) {
+      this.runs.delete(deviceId);
+      this.finish(deviceId, run, settings);
+    }
+  }
+
+  finish(deviceId, run, settings) {
+    if (run.idleSince - run.start < settings.minSeconds * 1000) {
+      return;
+    }
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO cycles (device_id, start, end, peak_watts, kwh, label)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        deviceId,
+        run.start,
+        run.idleSince,
+        run.peakWatts,
+        round(run.kwhAtIdle),
+        settings.appliance
+      );
+    this.notify("finished", deviceId, this.get(Number(lastInsertRowid)));
+  }
+
+  notify(state, deviceId, cycle) {
+    const settings = this.settingsFor(deviceId);
+    const connection = this.devices.get(deviceId);
+    const name =
+      settings.appliance || (connection ? connection.name : deviceId);
+    const message =
+      state === "started"
+        ? `${name} started`
+        : `${name} finished after ${formatDuration(
+            cycle.durationSeconds
+          )} (${cycle.kwh.toFixed(2)} kWh)`;
+    console.log(`Cycle: ${message}`);
+    this.emit("cycle", {
+      state,
+      deviceId,
+      cycle,
+      notify: settings.notify,
+      message,
+    });
+  }
+}
+
+module.exports = {
+  CycleTracker,
+  DEFAULT_SETTINGS,
+};
@@ -0,0 +1,27 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+
+// Everything the server persists lives under DATA_DIR (./data by default)
+function dataPath(file) {
+  return path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, file);
+}
+
+// Open (creating if needed) a SQLite database. ":memory:" is passed through
+// untouched for tests.
+function openDatabase(file) {
+  const dbPath = file === ":memory:" ? file : dataPath(file);
+  if (dbPath !== ":memory:") {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  return db;
+}
+
+module.exports = {
+  dataPath,
+  openDatabase,
+};
@@ -0,0 +1,460 @@
+const { EventEmitter } = require("events");
+const TuyAPI = require("tuyapi");
+const { SimulatedTuyaDevice } = require("./simulator");
+const { ValidationError } = require("./errors");
+const {
+  decodeDps,
+  invalidDps,
+  emptyReadingFor,
+  encodeValue,
+  findDp,
+  findMetric,
+  profileMetrics,
+} = require("./profiles");
+
+// Connection states, in the order a healthy connection goes through them.
+// "degraded" is still connected, but the last polls went unanswered.
+const STATES = [
+  "disconnected",
+  "discovering",
+  "connecting",
+  "online",
+  "degraded",
+];
+const CONNECTED_STATES = ["online", "degraded"];
+
+const DEFAULTS = {
+  pollInterval: 5000,
+  statusTimeout: 3000,
+  // Consecutive failed polls before an online plug counts as degraded
+  degradedAfter: 3,
+  // Reconnect delays: initialDelay * factor^attempt, capped at maxDelay, and
+  // up to `jitter` of it taken off at random so plugs that dropped together
+  // do not all retry at the same moment
+  initialDelay: 1000,
+  maxDelay: 60000,
+  factor: 2,
+  jitter: 0.3,
+  random: Math.random,
+};
+
+// State transitions kept per device for the API
+const HISTORY_SIZE = 50;
+
+function emptyReading(profile) {
+  return {
+    timestamp: new Date().toISOString(),
+    ...emptyReadingFor(profile),
+    connected: false,
+  };
+}
+
+// Rejects with "Timeout" when the promise does not settle within ms
+async function withTimeout(promise, ms) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("Timeout")), ms);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Delay before reconnect attempt number `attempt` (0 for the first retry)
+function backoffDelay(attempt, options = DEFAULTS) {
+  const { initialDelay, maxDelay, factor, jitter, random } = {
+    ...DEFAULTS,
+    ...options,
+  };
+  const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+  return Math.round(delay * (1 - jitter * random()));
+}
+
+// One TuyAPI connection per plug, decoding DPS through the device's profile.
+// The connection moves through STATES; TuyAPI listeners are registered once
+// and there is at most one poller and one pending reconnect at any time.
+// Emits:
+//   "data"       processed reading (after unit conversion)
+//   "state"      describeState() after every state change
+//   "connection" { connected, error? } whenever the link goes up or down
+//   "error"      device-level errors worth showing to clients
+//   "timeout"    a status poll did not answer within statusTimeout
+//   "reconnect"  a new connection attempt is about to start
+class DeviceConnection extends EventEmitter {
+  constructor(config, profile, options = {}) {
+    super();
+    this.id = config.id;
+    this.name = config.name;
+    this.config = config;
+    this.profile = profile;
+    this.options = { ...DEFAULTS, ...options };
+    this.latestData = emptyReading(profile);
+
+    this.state = "disconnected";
+    this.stateSince = Date.now();
+    this.stateReason = null;
+    this.history = [];
+    // Reconnect attempts since the last successful connect
+    this.attempt = 0;
+    this.consecutiveFailures = 0;
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+    this.retryAt = null;
+    // Set by disconnect(), so a deliberate disconnect is not retried
+    this.stopped = false;
+    // Tail of the write queue: writes to the plug go out one at a time
+    this.writes = Promise.resolve();
+
+    // A "simulator" entry in the device config swaps in a fake plug
+    this.device = config.simulator
+      ? new SimulatedTuyaDevice({ id: config.id, profile }, config.simulator)
+      : new TuyAPI({
+          id: config.id,
+          key: config.key,
+          ip: config.ip,
+          version: config.version,
+          issueGetOnConnect: true,
+          issueRefreshOnConnect: true,
+        });
+
+    // Registered once, up front: TuyAPI emits socket errors before connect()
+    // resolves, and an unhandled "error" from one plug would take the whole
+    // server (and every other plug) down with it. A socket error that ends
+    // the connection is followed by "disconnected", which handles the drop.
+    this.device.on("error", (error) => {
+      console.error(`[${this.name}] Device error:`, error);
+      this.emit("error", error);
+    });
+
+    this.device.on("data", (data) => {
+      console.log(`[${this.name}] Received device data:`, data);
+      this.handleData(data);
+    });
+
+    this.device.on("disconnected", () => {
+      console.log(`[${this.name}] Device disconnected`);
+      this.handleDrop("Device disconnected");
+    });
+  }
+
+  get connected() {
+    return CONNECTED_STATES.includes(this.state);
+  }
+
+  setState(state, reason = null) {
+    if (state === this.state && reason === this.stateReason) {
+      return;
+    }
+    const previous = this.state;
+    this.state = state;
+    this.stateSince = Date.now();
+    this.stateReason = reason;
+    this.latestData.connected = this.connected;
+
+    this.history.push({ state, at: this.stateSince, reason });
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+    console.log(
+      `[${this.name}] ${previous} -> ${state}${reason ? ` (${reason})` : ""}`
+    );
+    this.emit("state", this.describeState());
+  }
+
+  describeState() {
+    return {
+      state: this.state,
+      since: this.stateSince,
+      reason: this.stateReason,
+      attempt: this.attempt,
+      retryAt: this.retryAt,
+      consecutiveFailures: this.consecutiveFailures,
+    };
+  }
+
+  async connect() {
+    this.stopped = false;
+    this.cancelReconnect();
+    if (this.state !== "disconnected") {
+      return;
+    }
+
+    try {
+      console.log(`[${this.name}] Attempting to connect to device...`);
+      this.setState("discovering");
+      await this.device.find();
+      console.log(`[${this.name}] Device found, connecting...`);
+      this.setState("connecting");
+      await this.device.connect();
+    } catch (error) {
+      console.error(`[${this.name}] Failed to connect to device:`, error);
+      if (!this.stopped) {
+        this.scheduleReconnect();
+      }
+      this.setState("disconnected", error.message);
+      this.emit("connection", { connected: false, error: error.message });
+      return;
+    }
+
+    if (this.stopped) {
+      // disconnect() was called while connecting. Back to "disconnected", or
+      // the next connect() would take it for one still in flight.
+      this.device.disconnect();
+      this.setState("disconnected", "Stopped");
+      return;
+    }
+
+    this.attempt = 0;
+    this.consecutiveFailures = 0;
+    this.setState("online");
+    console.log(`[${this.name}] Connected to Tuya device successfully`);
+    this.emit("connection", { connected: true });
+
+    await this.getStatusSafe();
+    this.startPolling();
+  }
+
+  // The link went down while connected
+  handleDrop(reason) {
+    if (!this.connected) {
+      // Still discovering/connecting: connect() handles the failure
+      return;
+    }
+    this.stopPolling();
+    if (!this.stopped) {
+      this.scheduleReconnect();
+    }
+    this.setState("disconnected", reason);
+    this.emit("connection", { connected: false, error: reason });
+  }
+
+  startPolling() {
+    if (this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setInterval(() => {
+      if (this.connected && !this.polling) {
+        this.getStatusSafe();
+      }
+    }, this.options.pollInterval);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  scheduleReconnect() {
+    this.cancelReconnect();
+    const delay = backoffDelay(this.attempt, this.options);
+    this.attempt += 1;
+    this.retryAt = Date.now() + delay;
+    console.log(`[${this.name}] Reconnecting in ${delay} ms`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.retryAt = null;
+      this.emit("reconnect");
+      this.connect();
+    }, delay);
+  }
+
+  cancelReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.retryAt = null;
+  }
+
+  async getStatusSafe() {
+    this.polling = true;
+    try {
+      // Try to get status with a shorter timeout
+      const status = await withTimeout(
+        this.device.get({ schema: true }),
+        this.options.statusTimeout
+      );
+
+      console.log(`[${this.name}] Raw device status:`, status);
+      this.handleData(status);
+      this.recordPoll(true);
+    } catch (error) {
+      console.error(`[${this.name}] Error getting device status:`, error);
+      if (error.message === "Timeout") {
+        this.emit("timeout");
+      } else {
+        this.emit("error", error);
+      }
+      this.recordPoll(false, error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // A single missed poll is normal on Wi-Fi; several in a row mark the plug
+  // degraded until it answers again
+  recordPoll(ok, reason) {
+    if (!this.connected) {
+      return;
+    }
+    if (ok) {
+      this.consecutiveFailures = 0;
+      this.setState("online");
+      return;
+    }
+    this.consecutiveFailures += 1;
+    if (this.consecutiveFailures >= this.options.degradedAfter) {
+      this.setState(
+        "degraded",
+        `${this.consecutiveFailures} polls failed (last: ${reason})`
+      );
+    }
+  }
+
+  handleData(data) {
+    try {
+      // Parse the status data (DPS values)
+      const dps = data && data.dps !== undefined ? data.dps : data;
+      if (!dps || typeof dps !== "object" || Array.isArray(dps)) {
+        console.warn(`[${this.name}] Ignoring malformed payload:`, data);
+        return;
+      }
+      const invalid = invalidDps(this.profile, dps);
+      if (invalid.length > 0) {
+        console.warn(
+          `[${this.name}] Ignoring DPs ${invalid.join(", ")} with bad values`
+        );
+        // Nothing left to decode: not a reading
+        if (Object.keys(dps).every((dp) => invalid.includes(dp))) {
+          return;
+        }
+      }
+
+      const deviceData = {
+        timestamp: new Date().toISOString(),
+        ...decodeDps(this.profile, dps, this.latestData),
+        connected: this.connected,
+      };
+
+      this.latestData = deviceData;
+      console.log(`[${this.name}] Processed device data:`, deviceData);
+      this.emit("data", deviceData);
+    } catch (error) {
+      console.error(`[${this.name}] Error processing device data:`, error);
+    }
+  }
+
+  // Run fn after every write queued before it, so two quick changes cannot
+  // reach the plug out of order or both act on the same state
+  queueWrite(fn) {
+    const result = this.writes.then(fn);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  async writeDp(entry, value) {
+    const raw = encodeValue(entry, value);
+    await this.device.set({ dps: Number(entry.dp), set: raw });
+    console.log(`[${this.name}] Set ${entry.metric} to:`, value);
+
+    // Update local state immediately for better UX
+    this.latestData[entry.metric] = value;
+    this.latestData.timestamp = new Date().toISOString();
+    this.emit("data", this.latestData);
+    return value;
+  }
+
+  // The DP for a write, by DP id or metric name. Optional DPs the plug has
+  // never reported are most likely missing on this model.
+  writableDp(key) {
+    const entry = findDp(this.profile, key);
+    if (!entry) {
+      throw new ValidationError(`${this.name} has no DP or metric ${key}`);
+    }
+    if (entry.optional && this.latestData[entry.metric] === undefined) {
+      throw new ValidationError(
+        `${this.name} has not reported ${entry.label} (DP ${entry.dp})`
+      );
+    }
+    return entry;
+  }
+
+  // Set any writable DP, checked against the profile (see encodeValue)
+  async setValue(key, value) {
+    const entry = this.writableDp(key);
+    encodeValue(entry, value);
+    return this.queueWrite(() => this.writeDp(entry, value));
+  }
+
+  powerEntry() {
+    const entry = findMetric(this.profile, "power_state");
+    if (!entry) {
+      throw new Error(`Profile ${this.profile.name} has no power switch`);
+    }
+    return entry;
+  }
+
+  async setPower(state) {
+    const entry = this.powerEntry();
+    return this.queueWrite(() => this.writeDp(entry, state));
+  }
+
+  // Asks the plug for its state instead of trusting the cached reading
+  async readPowerState(entry) {
+    const status = await withTimeout(
+      this.device.get({ schema: true }),
+      this.options.statusTimeout
+    );
+    this.handleData(status);
+    return this.latestData[entry.metric];
+  }
+
+  // The power state the plug reports once the writes queued before are done
+  async fetchPowerState() {
+    const entry = this.powerEntry();
+    return this.queueWrite(() => this.readPowerState(entry));
+  }
+
+  // Inverts the state the plug reports right now rather than the last cached
+  // reading, which may be stale or about to change through a queued write
+  async toggle() {
+    const entry = this.powerEntry();
+    return this.queueWrite(async () =>
+      this.writeDp(entry, !(await this.readPowerState(entry)))
+    );
+  }
+
+  // Deliberate disconnect (shutdown): no reconnect, no polling
+  disconnect() {
+    this.stopped = true;
+    this.cancelReconnect();
+    this.stopPolling();
+    if (this.connected) {
+      this.setState("disconnected", "Stopped");
+      this.device.disconnect();
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      profile: {
+        name: this.profile.name,
+        label: this.profile.label,
+        metrics: profileMetrics(this.profile),
+      },
+      simulated: Boolean(this.config.simulator),
+      ...this.latestData,
+      state: this.state,
+      stateReason: this.stateReason,
+      retryAt: this.retryAt,
+    };
+  }
+}
+
+module.exports = DeviceConnection;
+module.exports.STATES = STATES;
+module.exports.backoffDelay = backoffDelay;
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_PROFILE } = require("./profiles");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "devices.json");
+const DEFAULT_VERSION = "3.4";
+
+// Load the list of plugs to connect to. The registry lives in a JSON file
+// (devices.json by default, override with DEVICES_CONFIG). When no file is
+// present we fall back to the single TUYA_DEVICE_* variables from .env so
+// existing single-plug installs keep working unchanged.
+//
+// A device with a "simulator" entry (true, or simulator options such as
+// { "load": "kettle" }) is simulated instead of contacted; SIMULATE_DEVICES=true
+// simulates every device.
+function loadDeviceConfigs(configPath = process.env.DEVICES_CONFIG) {
+  const resolvedPath = configPath || DEFAULT_CONFIG_PATH;
+
+  let entries;
+  if (fs.existsSync(resolvedPath)) {
+    const raw = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    entries = Array.isArray(raw) ? raw : raw.devices;
+    if (!Array.isArray(entries)) {
+      throw new Error(
+        `${resolvedPath} must contain an array or a "devices" array`
+      );
+    }
+  } else if (process.env.TUYA_DEVICE_ID) {
+    entries = [
+      {
+        id: process.env.TUYA_DEVICE_ID,
+        key: process.env.TUYA_DEVICE_KEY,
+        ip: process.env.TUYA_DEVICE_IP,
+        name: process.env.TUYA_DEVICE_NAME,
+        profile: process.env.TUYA_DEVICE_PROFILE,
+      },
+    ];
+  } else {
+    entries = [];
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || !entry.id || (!entry.key && !entry.simulator)) {
+      throw new Error(`Device #${index + 1} is missing an id or key`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`Device ${entry.id} is listed more than once`);
+    }
+    seen.add(entry.id);
+
+    const config = normalizeEntry(entry);
+    if (!config.simulator && process.env.SIMULATE_DEVICES === "true") {
+      config.simulator = {};
+    }
+    return config;
+  });
+}
+
+function normalizeEntry(entry) {
+  const config = {
+    id: entry.id,
+    // Keys pasted from tuya-cli often keep their surrounding quotes
+    key: String(entry.key || "").replace(/"/g, ""),
+    ip: entry.ip,
+    name: entry.name || entry.id,
+    version: String(entry.version || DEFAULT_VERSION),
+    profile: entry.profile || DEFAULT_PROFILE,
+  };
+  if (entry.simulator) {
+    config.simulator = entry.simulator === true ? {} : entry.simulator;
+  }
+  return config;
+}
+
+// Add a device to the registry file, or update the entry with the same id.
+// An update keeps the fields it does not set, such as a "simulator" block;
+// `simulator: false` removes that block, e.g. when a real plug is onboarded.
+// When there is no file yet it is created, starting with the .env device (if
+// any) so that switching to devices.json does not lose it.
+function saveDeviceConfig(entry, configPath = process.env.DEVICES_CONFIG) {
+  const resolvedPath = configPath || DEFAULT_CONFIG_PATH;
+
+  let raw;
+  if (fs.existsSync(resolvedPath)) {
+    raw = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } else {
+    // The .env device; SIMULATE_DEVICES is a runtime switch, not config
+    raw = loadDeviceConfigs(resolvedPath).map(
+      ({ simulator, ...entry }) => entry
+    );
+  }
+  const entries = Array.isArray(raw) ? raw : raw.devices;
+
+  const index = entries.findIndex((existing) => existing.id === entry.id);
+  const existing = index === -1 ? {} : entries[index];
+  const given = Object.fromEntries(
+    Object.entries(entry).filter(([, value]) => value !== undefined)
+  );
+  const merged = { ...existing, ...given };
+  if (merged.simulator === false) {
+    delete merged.simulator;
+  }
+  const config = normalizeEntry(merged);
+  if (index === -1) {
+    entries.push(config);
+  } else {
+    entries[index] = { ...merged, ...config };
+  }
+
+  // Write to a temporary file first so a crash cannot leave half a registry
+  const tmpPath = `${resolvedPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(raw, null, 2) + "\n");
+  fs.renameSync(tmpPath, resolvedPath);
+  return config;
+}
+
+module.exports = {
+  loadDeviceConfigs,
+  saveDeviceConfig,
+  DEFAULT_CONFIG_PATH,
+};
@@ -0,0 +1,104 @@
+const { EventEmitter } = require("events");
+const dgram = require("dgram");
+const { MessageParser } = require("tuyapi/lib/message-parser");
+const { UDP_KEY } = require("tuyapi/lib/config");
+
+// Tuya plugs announce themselves every few seconds: older firmware in plain
+// JSON on 6666, 3.3 and newer encrypted with the well-known UDP key on 6667.
+const PORTS = [6666, 6667];
+
+// Forget plugs that have not announced themselves for this long
+const STALE_AFTER = 5 * 60 * 1000;
+
+// Decode one broadcast into { id, ip, version, productKey }, or null when it
+// is not a Tuya announcement. The 3.3 parser falls back to plain text when
+// decryption fails, so it handles both ports.
+function parseBroadcast(message) {
+  const parser = new MessageParser({ key: UDP_KEY, version: "3.3" });
+  let packet;
+  try {
+    [packet] = parser.parse(message);
+  } catch (error) {
+    return null;
+  }
+  const payload = packet && packet.payload;
+  if (!payload || typeof payload !== "object" || !payload.gwId) {
+    return null;
+  }
+  return {
+    id: payload.gwId,
+    ip: payload.ip,
+    version: payload.version ? String(payload.version) : null,
+    productKey: payload.productKey || null,
+  };
+}
+
+// Listens for Tuya UDP broadcasts and keeps the plugs seen recently. The
+// sockets share their ports (reuseAddr) with TuyAPI's own find(), which
+// binds the same ones while connecting. Emits "device" for every plug seen
+// for the first time (or again after going stale).
+class DiscoveryListener extends EventEmitter {
+  constructor({ ports = PORTS } = {}) {
+    super();
+    this.ports = ports;
+    this.sockets = [];
+    this.seen = new Map();
+  }
+
+  start() {
+    for (const port of this.ports) {
+      const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+      socket.on("message", (message, remote) =>
+        this.handleMessage(message, remote, port)
+      );
+      socket.on("error", (error) => {
+        console.error(`Discovery listener on UDP ${port} failed:`, error);
+        socket.close();
+      });
+      socket.bind(port);
+      this.sockets.push(socket);
+    }
+  }
+
+  stop() {
+    for (const socket of this.sockets) {
+      try {
+        socket.close();
+      } catch (error) {
+        // Already closed after an error
+      }
+    }
+    this.sockets = [];
+  }
+
+  handleMessage(message, remote, port, now = Date.now()) {
+    const announcement = parseBroadcast(message);
+    if (!announcement) {
+      return;
+    }
+    const previous = this.seen.get(announcement.id);
+    const device = {
+      ...announcement,
+      ip: announcement.ip || remote.address,
+      port,
+      lastSeen: now,
+    };
+    this.seen.set(device.id, device);
+    if (!previous || now - previous.lastSeen > STALE_AFTER) {
+      console.log(`Discovered Tuya device ${device.id} at ${device.ip}`);
+      this.emit("device", device);
+    }
+  }
+
+  // Plugs seen within STALE_AFTER, most recently seen first
+  list(now = Date.now()) {
+    return Array.from(this.seen.values())
+      .filter((device) => now - device.lastSeen <= STALE_AFTER)
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+}
+
+module.exports = {
+  DiscoveryListener,
+  parseBroadcast,
+};
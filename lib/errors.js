@@ -0,0 +1,23 @@
+// Thrown for bad user input (request bodies, config entries). Routers turn
+// it into a 400 response; anything else is a 500.
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+// A WebSocket request the server cannot carry out. `code` is one of
+// protocol.ERROR_CODES and goes back to the client in the nack.
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+  }
+}
+
+module.exports = {
+  ValidationError,
+  ProtocolError,
+};
@@ -0,0 +1,418 @@
+const { EventEmitter } = require("events");
+const { ValidationError } = require("./errors");
+const { encodeValue, findDp, findMetric } = require("./profiles");
+const { deviceEnergy } = require("./reports");
+const { PERIODS } = require("./time");
+
+const GROUP_ACTIONS = ["on", "off", "toggle"];
+
+// Longest wait between two devices of a scene
+const MAX_STAGGER_SECONDS = 600;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS device_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    device_ids TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS scenes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    actions TEXT NOT NULL,
+    stagger_seconds REAL NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+`;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+function parseName(name, what) {
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new ValidationError(`A ${what} needs a name`);
+  }
+  return name.trim();
+}
+
+function toGroup(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    deviceIds: JSON.parse(row.device_ids),
+    createdAt: row.created_at,
+  };
+}
+
+function toScene(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    actions: JSON.parse(row.actions),
+    staggerSeconds: row.stagger_seconds,
+    createdAt: row.created_at,
+  };
+}
+
+// Named groups of plugs switched together, and scenes that write several
+// DPs across several plugs in one go, persisted in SQLite. A failing member
+// does not stop the others: every run returns one result per member,
+// { deviceId, ok, ...written } or { deviceId, ok: false, error }, and is
+// emitted as "run" ({ kind: "group" | "scene", target, action, results,
+// username, source }) for the server to audit and broadcast. The staggered
+// plugs of a scene are emitted one by one as they finish.
+class GroupManager extends EventEmitter {
+  constructor({ db, devices, store, tariff }) {
+    super();
+    this.db = db;
+    this.devices = devices;
+    this.store = store;
+    this.tariff = tariff;
+    // Timers of staggered scene plugs still to start
+    this.pending = new Set();
+    this.db.exec(SCHEMA);
+  }
+
+  stop() {
+    for (const timer of this.pending) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+
+  listGroups() {
+    return this.db
+      .prepare("SELECT * FROM device_groups ORDER BY name")
+      .all()
+      .map(toGroup);
+  }
+
+  getGroup(id) {
+    const row = this.db
+      .prepare("SELECT * FROM device_groups WHERE id = ?")
+      .get(id);
+    return row ? toGroup(row) : null;
+  }
+
+  createGroup(input) {
+    const { name, deviceIds } = this.validateGroup(input);
+    this.checkName("device_groups", name);
+    const { lastInsertRowid } = this.db
+      .prepare(
+        "INSERT INTO device_groups (name, device_ids, created_at) VALUES (?, ?, ?)"
+      )
+      .run(name, JSON.stringify(deviceIds), Date.now());
+    return this.getGroup(Number(lastInsertRowid));
+  }
+
+  updateGroup(id, input) {
+    const current = this.getGroup(id);
+    if (!current) {
+      return null;
+    }
+    const { name, deviceIds } = this.validateGroup({ ...current, ...input });
+    this.checkName("device_groups", name, id);
+    this.db
+      .prepare("UPDATE device_groups SET name = ?, device_ids = ? WHERE id = ?")
+      .run(name, JSON.stringify(deviceIds), id);
+    return this.getGroup(id);
+  }
+
+  removeGroup(id) {
+    const { changes } = this.db
+      .prepare("DELETE FROM device_groups WHERE id = ?")
+      .run(id);
+    return changes > 0;
+  }
+
+  validateGroup(input) {
+    const name = parseName(input.name, "group");
+    const { deviceIds } = input;
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+      throw new ValidationError("deviceIds must be a non-empty list");
+    }
+    for (const deviceId of deviceIds) {
+      if (!this.devices.has(deviceId)) {
+        throw new ValidationError(`Unknown device: ${deviceId}`);
+      }
+    }
+    return { name, deviceIds: [...new Set(deviceIds)] };
+  }
+
+  // Names are unique per table; `id` is the row being renamed, if any
+  checkName(table, name, id = null) {
+    const taken = this.db
+      .prepare(`SELECT 1 FROM ${table} WHERE name = ? AND id IS NOT ?`)
+      .get(name, id);
+    if (taken) {
+      throw new ValidationError(`${name} already exists`);
+    }
+  }
+
+  // The group with the live power of its members added up and the energy
+  // they used today
+  summarize(group, now = Date.now()) {
+    const from = PERIODS.day.start(now);
+    const to = PERIODS.day.next(from);
+    let power = 0;
+    let connected = 0;
+    let kwh = 0;
+    let cost = 0;
+    for (const deviceId of group.deviceIds) {
+      const connection = this.devices.get(deviceId);
+      if (!connection) {
+        continue;
+      }
+      if (connection.connected) {
+        connected += 1;
+        power += connection.latestData.power || 0;
+      }
+      if (findMetric(connection.profile, "energy")) {
+        const { totals } = deviceEnergy({
+          store: this.store,
+          deviceId,
+          tariff: this.tariff,
+          bucket: "day",
+          from,
+          to,
+          now,
+        });
+        kwh += totals.kwh;
+        cost += totals.cost;
+      }
+    }
+    return {
+      ...group,
+      connected,
+      power: round(power, 1),
+      today: { kwh: round(kwh), cost: round(cost) },
+    };
+  }
+
+  // Switch every member of a group. Toggling a group switches it all off
+  // when any member is on, and all on otherwise, going by the state each
+  // connected plug reports right now (one that cannot be read is left out).
+  async switchGroup(id, action, { username, source }) {
+    const group = this.getGroup(id);
+    if (!group) {
+      return null;
+    }
+    if (!GROUP_ACTIONS.includes(action)) {
+      throw new ValidationError(
+        `action must be one of ${GROUP_ACTIONS.join(", ")}`
+      );
+    }
+    let state = action === "on";
+    if (action === "toggle") {
+      const states = await Promise.all(
+        group.deviceIds.map((deviceId) => {
+          const connection = this.devices.get(deviceId);
+          if (!connection || !connection.connected) {
+            return false;
+          }
+          return connection.fetchPowerState().catch(() => false);
+        })
+      );
+      state = !states.includes(true);
+    }
+    const results = await Promise.all(
+      group.deviceIds.map((deviceId) =>
+        this.runMember(deviceId, (connection) =>
+          connection
+            .setPower(state)
+            .then((powerState) => ({ power_state: powerState }))
+        )
+      )
+    );
+    const run = {
+      kind: "group",
+      target: group,
+      action: state ? "on" : "off",
+      results,
+      username,
+      source,
+    };
+    this.emit("run", run);
+    return { groupId: group.id, action: run.action, results };
+  }
+
+  listScenes() {
+    return this.db
+      .prepare("SELECT * FROM scenes ORDER BY name")
+      .all()
+      .map(toScene);
+  }
+
+  getScene(id) {
+    const row = this.db.prepare("SELECT * FROM scenes WHERE id = ?").get(id);
+    return row ? toScene(row) : null;
+  }
+
+  createScene(input) {
+    const { name, actions, staggerSeconds } = this.validateScene(input);
+    this.checkName("scenes", name);
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO scenes (name, actions, stagger_seconds, created_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(name, JSON.stringify(actions), staggerSeconds, Date.now());
+    return this.getScene(Number(lastInsertRowid));
+  }
+
+  updateScene(id, input) {
+    const current = this.getScene(id);
+    if (!current) {
+      return null;
+    }
+    const { name, actions, staggerSeconds } = this.validateScene({
+      ...current,
+      ...input,
+    });
+    this.checkName("scenes", name, id);
+    this.db
+      .prepare(
+        "UPDATE scenes SET name = ?, actions = ?, stagger_seconds = ? WHERE id = ?"
+      )
+      .run(name, JSON.stringify(actions), staggerSeconds, id);
+    return this.getScene(id);
+  }
+
+  removeScene(id) {
+    const { changes } = this.db
+      .prepare("DELETE FROM scenes WHERE id = ?")
+      .run(id);
+    return changes > 0;
+  }
+
+  // A scene is a list of { deviceId, values: { <DP id or metric>: value } },
+  // one entry per device. Values are checked against the profile and stored
+  // by metric name.
+  validateScene(input) {
+    const name = parseName(input.name, "scene");
+    const { actions } = input;
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new ValidationError("actions must be a non-empty list");
+    }
+    const seen = new Set();
+    const parsed = actions.map((action) => {
+      const connection = this.devices.get(action && action.deviceId);
+      if (!connection) {
+        throw new ValidationError(
+          `Unknown device: ${action && action.deviceId}`
+        );
+      }
+      if (seen.has(connection.id)) {
+        throw new ValidationError(`${connection.name} is in the scene twice`);
+      }
+      seen.add(connection.id);
+      const entries = Object.entries(action.values || {});
+      if (entries.length === 0) {
+        throw new ValidationError(`No values to set on ${connection.name}`);
+      }
+      const values = {};
+      for (const [key, value] of entries) {
+        const entry = findDp(connection.profile, key);
+        if (!entry) {
+          throw new ValidationError(
+            `${connection.name} has no DP or metric ${key}`
+          );
+        }
+        encodeValue(entry, value);
+        values[entry.metric] = value;
+      }
+      return { deviceId: connection.id, values };
+    });
+
+    const staggerSeconds = Number(input.staggerSeconds || 0);
+    if (
+      !Number.isFinite(staggerSeconds) ||
+      staggerSeconds < 0 ||
+      staggerSeconds > MAX_STAGGER_SECONDS
+    ) {
+      throw new ValidationError(
+        `staggerSeconds must be between 0 and ${MAX_STAGGER_SECONDS}`
+      );
+    }
+    return { name, actions: parsed, staggerSeconds };
+  }
+
+  // Apply a scene. With staggerSeconds, each device starts that long after
+  // the one before it, so loads do not all draw their inrush current at once.
+  // The answer does not wait for the stagger: plugs still to start are listed
+  // as { deviceId, pending: true, at } and their results emitted later.
+  async activateScene(id, { username, source }) {
+    const scene = this.getScene(id);
+    if (!scene) {
+      return null;
+    }
+    const apply = ({ deviceId, values }) =>
+      this.runMember(deviceId, async (connection) => {
+        const written = {};
+        for (const [metric, value] of Object.entries(values)) {
+          written[metric] = await connection.setValue(metric, value);
+        }
+        return { values: written };
+      });
+    const report = (results) =>
+      this.emit("run", {
+        kind: "scene",
+        target: scene,
+        action: "activate",
+        results,
+        username,
+        source,
+      });
+
+    const stagger = scene.staggerSeconds * 1000;
+    const [first, ...rest] = scene.actions;
+    const now = stagger > 0 ? [first] : scene.actions;
+    const later = stagger > 0 ? rest : [];
+    const startedAt = Date.now();
+    const pending = later.map(({ deviceId }, index) => ({
+      deviceId,
+      pending: true,
+      at: startedAt + (index + 1) * stagger,
+    }));
+    later.forEach((action, index) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(timer);
+        apply(action)
+          .then((result) => report([result]))
+          .catch((error) => {
+            console.error(`Scene ${scene.name} failed:`, error);
+          });
+      }, (index + 1) * stagger);
+      this.pending.add(timer);
+    });
+
+    const results = await Promise.all(now.map(apply));
+    report(results);
+    return { sceneId: scene.id, results: [...results, ...pending] };
+  }
+
+  // One member's write and its result
+  async runMember(deviceId, write) {
+    const connection = this.devices.get(deviceId);
+    if (!connection) {
+      return { deviceId, ok: false, error: `Unknown device: ${deviceId}` };
+    }
+    if (!connection.connected) {
+      return {
+        deviceId,
+        ok: false,
+        error: `${connection.name} is not connected`,
+      };
+    }
+    try {
+      return { deviceId, ok: true, ...(await write(connection)) };
+    } catch (error) {
+      return { deviceId, ok: false, error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  GroupManager,
+  GROUP_ACTIONS,
+};
@@ -0,0 +1,531 @@
+const { ValidationError } = require("./errors");
+const { profileMetrics } = require("./profiles");
+const { UNITS } = require("./time");
+
+// Column names recognised in imported files (compared in lower case)
+const TIME_COLUMNS = [
+  "timestamp",
+  "time",
+  "date",
+  "datetime",
+  "event_time",
+  "ts",
+  "created_at",
+];
+const CODE_COLUMNS = ["metric", "code", "dp_id", "dpid", "dp"];
+const VALUE_COLUMNS = ["value"];
+const DEVICE_COLUMNS = ["device_id", "deviceid", "dev_id", "devid"];
+
+// Data point codes of metering plugs in Tuya cloud device logs (the IoT
+// platform and Smart Life exports), with the scale of their raw values.
+// `add_ele` is the energy added since the previous report, not a meter
+// reading, so it is added up into one (`increments`).
+const TUYA_CODES = {
+  switch: { metric: "power_state", scale: 0 },
+  switch_1: { metric: "power_state", scale: 0 },
+  cur_current: { metric: "current", scale: 0 },
+  cur_power: { metric: "power", scale: 1 },
+  cur_voltage: { metric: "voltage", scale: 1 },
+  add_ele: { metric: "energy", scale: 3, increments: true },
+};
+
+// Keys a JSON export may wrap its list of records in, e.g. the Tuya API's
+// { result: { logs: [...] } }
+const JSON_WRAPPERS = ["result", "logs", "data", "records", "readings"];
+
+const PREVIEW_READINGS = 10;
+const MAX_ERRORS = 20;
+
+const BOOLEANS = {
+  true: 1,
+  false: 0,
+  on: 1,
+  off: 0,
+  yes: 1,
+  no: 0,
+  1: 1,
+  0: 0,
+};
+
+// RFC 4180 CSV into an array of rows: quoted fields may hold the delimiter,
+// doubled quotes and line breaks. The delimiter (comma, semicolon or tab) is
+// whichever the first line has most of.
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t"].reduce(
+    (best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length
+        ? candidate
+        : best,
+    ","
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// The first list of records in parsed JSON
+function unwrapRecords(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && typeof data === "object") {
+    for (const key of JSON_WRAPPERS) {
+      const records = data[key] === undefined ? null : unwrapRecords(data[key]);
+      if (records) {
+        return records;
+      }
+    }
+  }
+  return null;
+}
+
+// A CSV or JSON file as { format, columns, records } with each record an
+// object of raw values by column
+function readTable(content, format) {
+  const text = String(content).replace(/^\uFEFF/, "");
+  const resolved =
+    format || (/^\s*[[{]/.test(text) ? "json" : text.trim() ? "csv" : null);
+  if (!resolved) {
+    throw new ValidationError("The file is empty");
+  }
+
+  if (resolved === "csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || rows.length === 0) {
+      throw new ValidationError("The file has no rows below its header");
+    }
+    const columns = header.map((name) => name.trim());
+    const records = rows.map((cells) =>
+      Object.fromEntries(columns.map((column, i) => [column, cells[i]]))
+    );
+    return { format: resolved, columns, records };
+  }
+
+  if (resolved !== "json") {
+    throw new ValidationError("format must be csv or json");
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Not valid JSON: ${error.message}`);
+  }
+  const records = unwrapRecords(data);
+  if (
+    !records ||
+    records.length === 0 ||
+    records.some((record) => !record || typeof record !== "object")
+  ) {
+    throw new ValidationError("The file has no list of records");
+  }
+  const columns = [];
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+  return { format: resolved, columns, records };
+}
+
+const findColumn = (columns, names) =>
+  columns.find((column) => names.includes(column.trim().toLowerCase()));
+
+// A long table (one value per record: time, code, value) turned into one
+// record per time with a column per code. Logs of several devices need
+// `sourceDevice` to say which one to take.
+function pivot(table, { timeColumn, codeColumn, valueColumn, sourceDevice }) {
+  let { records } = table;
+  const deviceColumn = findColumn(table.columns, DEVICE_COLUMNS);
+  if (deviceColumn) {
+    const ids = [...new Set(records.map((record) => record[deviceColumn]))];
+    if (sourceDevice) {
+      records = records.filter(
+        (record) => String(record[deviceColumn]) === sourceDevice
+      );
+    } else if (ids.length > 1) {
+      throw new ValidationError(
+        `The file holds several devices (${ids.join(
+          ", "
+        )}); pick one with sourceDevice`
+      );
+    }
+  }
+
+  const columns = [timeColumn];
+  const byTime = new Map();
+  for (const record of records) {
+    const code = String(record[codeColumn]);
+    if (!columns.includes(code)) {
+      columns.push(code);
+    }
+    const time = record[timeColumn];
+    if (!byTime.has(time)) {
+      byTime.set(time, { [timeColumn]: time });
+    }
+    byTime.get(time)[code] = record[valueColumn];
+  }
+  return { ...table, columns, records: Array.from(byTime.values()) };
+}
+
+// The metric (and raw value scale) each column most likely holds: a metric
+// name, its label as in the dashboard's CSV export ("Power (W)"), a DP id of
+// the plug's profile (raw, so with the profile's scale) or a Tuya code
+function suggestMapping(columns, profile) {
+  const metrics = profileMetrics(profile).filter(
+    (metric) => metric.type !== "string"
+  );
+  const mapping = {};
+  for (const column of columns) {
+    const key = column.trim().toLowerCase();
+    const named = metrics.find(
+      (metric) =>
+        metric.metric === key ||
+        metric.label.toLowerCase() === key ||
+        `${metric.label} (${metric.unit})`.toLowerCase() === key
+    );
+    const dp = metrics.find((metric) => metric.dp === key);
+    const code = TUYA_CODES[key];
+    let match = null;
+    if (named) {
+      match = { metric: named.metric, scale: 0 };
+    } else if (dp) {
+      match = { metric: dp.metric, scale: dp.scale };
+    } else if (
+      code &&
+      metrics.some((metric) => metric.metric === code.metric)
+    ) {
+      match = { ...code };
+    }
+    if (
+      match &&
+      !Object.values(mapping).some((m) => m.metric === match.metric)
+    ) {
+      mapping[column] = match;
+    }
+  }
+  return mapping;
+}
+
+// { column: "power" or { metric, scale, increments } } checked against the
+// profile
+function normalizeMapping(input, columns, profile) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ValidationError("mapping must map columns to metrics");
+  }
+  const metrics = profileMetrics(profile).filter(
+    (metric) => metric.type !== "string"
+  );
+  const mapping = {};
+  for (const [column, target] of Object.entries(input)) {
+    if (!target) {
+      continue;
+    }
+    const {
+      metric,
+      scale = 0,
+      increments = false,
+    } = typeof target === "string" ? { metric: target } : target;
+    if (!columns.includes(column)) {
+      throw new ValidationError(`No column ${column} in the file`);
+    }
+    const entry = metrics.find((candidate) => candidate.metric === metric);
+    if (!entry) {
+      throw new ValidationError(`Unknown metric for this device: ${metric}`);
+    }
+    if (!Number.isInteger(scale) || scale < 0 || scale > 6) {
+      throw new ValidationError("scale must be an integer from 0 to 6");
+    }
+    if (typeof increments !== "boolean") {
+      throw new ValidationError("increments must be true or false");
+    }
+    if (increments && entry.type !== "number") {
+      throw new ValidationError(`${metric} cannot be added up`);
+    }
+    if (Object.values(mapping).some((other) => other.metric === metric)) {
+      throw new ValidationError(`${metric} is mapped from two columns`);
+    }
+    mapping[column] = increments
+      ? { metric, scale, increments }
+      : { metric, scale };
+  }
+  if (Object.keys(mapping).length === 0) {
+    throw new ValidationError("Map at least one column to a metric");
+  }
+  return mapping;
+}
+
+// Epoch milliseconds or seconds, or anything Date can parse; dates without
+// a zone are taken as server local time
+function parseTimestamp(value) {
+  const text = String(
+    value === undefined || value === null ? "" : value
+  ).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    return number < 1e11 ? Math.round(number * 1000) : Math.round(number);
+  }
+  const ms = Date.parse(text);
+  if (!text || !Number.isFinite(ms)) {
+    throw new Error(`Invalid time: ${text || "(empty)"}`);
+  }
+  return ms;
+}
+
+// One cell as the stored value, or null for an empty one
+function parseValue(raw, { type, scale }) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return null;
+  }
+  if (type === "boolean") {
+    const value =
+      typeof raw === "boolean"
+        ? Number(raw)
+        : BOOLEANS[String(raw).trim().toLowerCase()];
+    if (value === undefined) {
+      throw new Error(`Not an on/off value: ${raw}`);
+    }
+    return value;
+  }
+  const text = String(raw).trim();
+  // Decimal commas, as spreadsheets in many locales write them
+  const number = Number(
+    /^-?\d+,\d+$/.test(text) ? text.replace(",", ".") : text
+  );
+  if (!Number.isFinite(number)) {
+    throw new Error(`Not a number: ${raw}`);
+  }
+  return number / 10 ** scale;
+}
+
+// Replace one metric's increments in `samples` ([metric, ts, value]) and in
+// the preview readings with the running total, in time order. The total
+// carries on from `latest`, the newest stored value: stored readings after
+// the file would have to be raised by its total, so such a file is refused.
+function addUp(samples, preview, { metric, latest }) {
+  const added = samples
+    .filter((sample) => sample[0] === metric)
+    .sort((a, b) => a[1] - b[1]);
+  if (added.length === 0) {
+    return;
+  }
+  const start = latest();
+  if (start && start.ts >= added[0][1]) {
+    throw new ValidationError(
+      `${metric} increments can only be added after the stored ${metric} ` +
+        `readings, which go up to ${new Date(start.ts).toISOString()}`
+    );
+  }
+  let total = start ? start.value : 0;
+  const totals = new Map();
+  for (const sample of added) {
+    // Rounded, so a thousand 0.001 kWh steps make exactly 1 kWh
+    total = Math.round((total + sample[2]) * 1e9) / 1e9;
+    sample[2] = total;
+    totals.set(sample[1], total);
+  }
+  for (const reading of preview) {
+    const ts = Date.parse(reading.timestamp);
+    if (reading[metric] !== undefined && totals.has(ts)) {
+      reading[metric] = totals.get(ts);
+    }
+  }
+}
+
+// Work out what importing a file into a plug's history would do, without
+// writing anything: the columns and mapping used, a preview of the readings,
+// and how many samples are new, repeated within the file or already stored.
+// A sample is already stored when the plug has that metric at that time, or
+// the minute or hour it falls in has been rolled up. Columns mapped with
+// `increments` hold what was added since the previous row; they are summed
+// in time order into a running total, carried on from the plug's latest
+// stored value, which must be older than the file's first row.
+function planImport({
+  store,
+  deviceId,
+  profile,
+  content,
+  format,
+  mapping,
+  sourceDevice,
+}) {
+  let table = readTable(content, format);
+  const timeColumn = findColumn(table.columns, TIME_COLUMNS);
+  if (!timeColumn) {
+    throw new ValidationError(
+      `No time column (one of ${TIME_COLUMNS.join(", ")})`
+    );
+  }
+  const codeColumn = findColumn(table.columns, CODE_COLUMNS);
+  const valueColumn = findColumn(table.columns, VALUE_COLUMNS);
+  const layout = codeColumn && valueColumn ? "long" : "wide";
+  if (layout === "long") {
+    table = pivot(table, { timeColumn, codeColumn, valueColumn, sourceDevice });
+  }
+
+  const dataColumns = table.columns.filter((column) => column !== timeColumn);
+  const used = mapping
+    ? normalizeMapping(mapping, dataColumns, profile)
+    : suggestMapping(dataColumns, profile);
+  const types = Object.fromEntries(
+    profileMetrics(profile).map((metric) => [metric.metric, metric.type])
+  );
+
+  const errors = [];
+  let errorCount = 0;
+  const samples = [];
+  const seen = new Set();
+  let duplicates = 0;
+  const preview = [];
+  table.records.forEach((record, index) => {
+    try {
+      const ts = parseTimestamp(record[timeColumn]);
+      const reading = { timestamp: new Date(ts).toISOString() };
+      for (const [column, { metric, scale }] of Object.entries(used)) {
+        const value = parseValue(record[column], {
+          type: types[metric],
+          scale,
+        });
+        if (value === null) {
+          continue;
+        }
+        reading[metric] = value;
+        const key = `${metric}@${ts}`;
+        if (seen.has(key)) {
+          duplicates += 1;
+          continue;
+        }
+        seen.add(key);
+        samples.push([metric, ts, value]);
+      }
+      if (preview.length < PREVIEW_READINGS) {
+        preview.push(reading);
+      }
+    } catch (error) {
+      errorCount += 1;
+      if (errors.length < MAX_ERRORS) {
+        errors.push({ row: index + 1, error: error.message });
+      }
+    }
+  });
+
+  for (const { metric, increments } of Object.values(used)) {
+    if (increments) {
+      addUp(samples, preview, {
+        metric,
+        latest: () =>
+          store.lastBefore({ deviceId, metric, ts: Number.MAX_SAFE_INTEGER }),
+      });
+    }
+  }
+
+  // Drop what the store already holds, one metric at a time
+  const span = (list) => ({
+    from: list.reduce((min, [, ts]) => Math.min(min, ts), Infinity),
+    to: list.reduce((max, [, ts]) => Math.max(max, ts), -Infinity),
+  });
+  const stored = new Map();
+  if (samples.length > 0) {
+    const { from, to } = span(samples);
+    for (const { metric } of Object.values(used)) {
+      stored.set(metric, store.storedTimes({ deviceId, metric, from, to }));
+    }
+  }
+  const fresh = samples.filter(([metric, ts]) => {
+    const times = stored.get(metric);
+    return !(
+      times.raw.has(ts) ||
+      times.minute.has(ts - (ts % UNITS.m)) ||
+      times.hour.has(ts - (ts % UNITS.h))
+    );
+  });
+  const bounds = fresh.length > 0 ? span(fresh) : null;
+
+  return {
+    format: table.format,
+    layout,
+    timeColumn,
+    columns: dataColumns.map((name) => ({
+      name,
+      example: (table.records.find(
+        (record) => record[name] !== undefined && record[name] !== ""
+      ) || {})[name],
+    })),
+    mapping: used,
+    rows: table.records.length,
+    preview,
+    from: bounds && new Date(bounds.from).toISOString(),
+    to: bounds && new Date(bounds.to).toISOString(),
+    counts: {
+      samples: fresh.length,
+      duplicates,
+      existing: samples.length - fresh.length,
+      errors: errorCount,
+    },
+    errors,
+    samples: fresh,
+  };
+}
+
+// Import a file into a plug's history, or with `dryRun` only report what
+// would be imported. Returns the plan without its samples, plus `imported`.
+// A dry run also works before any column is mapped, to see the columns.
+function importReadings({ dryRun = false, ...options }) {
+  const { samples, ...plan } = planImport(options);
+  if (!dryRun && Object.keys(plan.mapping).length === 0) {
+    throw new ValidationError(
+      "No column could be matched to a metric; give a mapping"
+    );
+  }
+  const imported =
+    dryRun || samples.length === 0
+      ? 0
+      : options.store.importSamples(options.deviceId, samples);
+  return { ...plan, dryRun, imported };
+}
+
+module.exports = {
+  TUYA_CODES,
+  parseCsv,
+  readTable,
+  suggestMapping,
+  planImport,
+  importReadings,
+};
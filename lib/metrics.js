@@ -0,0 +1,144 @@
+const client = require("prom-client");
+const { findMetric } = require("./profiles");
+
+// Live readings exposed as gauges, in Prometheus base units. Profiles report
+// current in mA, so it is converted to amperes.
+const READING_GAUGES = [
+  { metric: "power", name: "tuya_power_watts", help: "Active power (W)" },
+  { metric: "voltage", name: "tuya_voltage_volts", help: "Voltage (V)" },
+  {
+    metric: "current",
+    name: "tuya_current_amperes",
+    help: "Current (A)",
+    scale: (unit) => (unit === "mA" ? 0.001 : 1),
+  },
+];
+
+// Connected plugs with a numeric value for `metric`. Disconnected plugs are
+// left out so that stale readings do not look live.
+function* readingsOf(devices, metric) {
+  for (const connection of devices.values()) {
+    const entry = findMetric(connection.profile, metric);
+    const value = connection.latestData[metric];
+    if (connection.connected && entry && typeof value === "number") {
+      yield { connection, entry, value };
+    }
+  }
+}
+
+// Prometheus registry for GET /metrics. Reading metrics are collected from
+// the devices at scrape time; the internal counters are returned so the
+// server can increment them where things happen.
+function createMetrics({ devices, wss }) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  const labelNames = ["device"];
+
+  new client.Gauge({
+    name: "tuya_device_info",
+    help: "Configured plugs (always 1), with their name and profile",
+    labelNames: ["device", "name", "profile"],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const connection of devices.values()) {
+        this.set(
+          {
+            device: connection.id,
+            name: connection.name,
+            profile: connection.profile.name,
+          },
+          1
+        );
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: "tuya_device_connected",
+    help: "Whether the dashboard is connected to the plug (1) or not (0)",
+    labelNames,
+    registers: [register],
+    collect() {
+      for (const connection of devices.values()) {
+        this.set({ device: connection.id }, connection.connected ? 1 : 0);
+      }
+    },
+  });
+
+  for (const { metric, name, help, scale } of READING_GAUGES) {
+    new client.Gauge({
+      name,
+      help,
+      labelNames,
+      registers: [register],
+      collect() {
+        this.reset();
+        for (const { connection, entry, value } of readingsOf(
+          devices,
+          metric
+        )) {
+          const factor = scale ? scale(entry.unit) : 1;
+          this.set({ device: connection.id }, value * factor);
+        }
+      },
+    });
+  }
+
+  // The plug's own energy meter. It only goes down when the plug resets it,
+  // which Prometheus treats like any other counter reset.
+  new client.Counter({
+    name: "tuya_energy_kwh_total",
+    help: "Energy counter reported by the plug (kWh)",
+    labelNames,
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const { connection, value } of readingsOf(devices, "energy")) {
+        this.inc({ device: connection.id }, Math.max(value, 0));
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: "tuya_websocket_clients",
+    help: "Dashboard clients connected over WebSocket",
+    registers: [register],
+    collect() {
+      this.set(wss.clients.size);
+    },
+  });
+
+  const counter = (name, help) => {
+    const metric = new client.Counter({
+      name,
+      help,
+      labelNames,
+      registers: [register],
+    });
+    // Start every plug at 0 so rate() works from the first failure
+    for (const deviceId of devices.keys()) {
+      metric.inc({ device: deviceId }, 0);
+    }
+    return metric;
+  };
+
+  return {
+    register,
+    pollTimeouts: counter(
+      "tuya_poll_timeouts_total",
+      "Status polls that timed out"
+    ),
+    reconnectAttempts: counter(
+      "tuya_reconnect_attempts_total",
+      "Attempts to reconnect to the plug"
+    ),
+    writeFailures: counter(
+      "tuya_reading_write_failures_total",
+      "Readings that could not be written to the database"
+    ),
+  };
+}
+
+module.exports = createMetrics;
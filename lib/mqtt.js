@@ -0,0 +1,243 @@
+const { EventEmitter } = require("events");
+const mqtt = require("mqtt");
+const { profileMetrics } = require("./profiles");
+
+const DEFAULT_BASE_TOPIC = "tuya-dashboard";
+const DEFAULT_DISCOVERY_PREFIX = "homeassistant";
+
+// Home Assistant sensor classes for the metrics the built-in profiles use
+const SENSOR_CLASSES = {
+  power: { device_class: "power", state_class: "measurement" },
+  current: { device_class: "current", state_class: "measurement" },
+  voltage: { device_class: "voltage", state_class: "measurement" },
+  energy: { device_class: "energy", state_class: "total_increasing" },
+};
+
+function formatValue(value) {
+  if (typeof value === "boolean") {
+    return value ? "ON" : "OFF";
+  }
+  return String(value);
+}
+
+// Command payloads accepted on <base>/<deviceId>/power_state/set
+function parseCommand(payload) {
+  const command = payload.toString().trim().toUpperCase();
+  if (["ON", "TRUE", "1"].includes(command)) return true;
+  if (["OFF", "FALSE", "0"].includes(command)) return false;
+  if (command === "TOGGLE") return "toggle";
+  return null;
+}
+
+// Publishes readings and availability to MQTT and switches plugs from a
+// command topic. Topics, for a base topic of "tuya-dashboard":
+//
+//   tuya-dashboard/status                     bridge online/offline (LWT)
+//   tuya-dashboard/<id>/availability          plug online/offline
+//   tuya-dashboard/<id>/<metric>              one retained state per metric
+//   tuya-dashboard/<id>/power_state/set       ON, OFF or TOGGLE
+//
+// Home Assistant discovery configs are published (retained) under
+// <discoveryPrefix>/switch|sensor|binary_sensor/tuya_<id>/<metric>/config.
+// Every command received is emitted as "command" ({ deviceId, command, ok,
+// error }).
+class MqttBridge extends EventEmitter {
+  constructor({
+    url,
+    devices,
+    username,
+    password,
+    baseTopic = DEFAULT_BASE_TOPIC,
+    discoveryPrefix = DEFAULT_DISCOVERY_PREFIX,
+  }) {
+    super();
+    this.url = url;
+    this.devices = devices;
+    this.username = username;
+    this.password = password;
+    this.baseTopic = baseTopic.replace(/\/+$/, "");
+    this.discoveryPrefix = discoveryPrefix.replace(/\/+$/, "");
+    this.statusTopic = `${this.baseTopic}/status`;
+    this.client = null;
+  }
+
+  start() {
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      will: {
+        topic: this.statusTopic,
+        payload: "offline",
+        qos: 1,
+        retain: true,
+      },
+    });
+
+    this.client.on("connect", () => {
+      console.log(`Connected to MQTT broker at ${this.url}`);
+      this.publish(this.statusTopic, "online");
+      this.client.subscribe(`${this.baseTopic}/+/power_state/set`);
+
+      // Discovery and state are retained, so (re)publishing them after every
+      // connect is enough for a broker that lost its retained messages.
+      for (const connection of this.devices.values()) {
+        this.publishDiscovery(connection);
+        this.publishAvailability(connection.id, connection.connected);
+        // Before the first reading latestData only holds placeholder zeros
+        if (connection.connected) {
+          this.publishReading(connection.id, connection.latestData);
+        }
+      }
+    });
+
+    this.client.on("message", (topic, payload) => {
+      this.handleCommand(topic, payload);
+    });
+
+    this.client.on("error", (error) => {
+      console.error("MQTT error:", error.message);
+    });
+  }
+
+  stop() {
+    if (!this.client) {
+      return;
+    }
+    // A clean disconnect does not trigger the LWT, so say goodbye ourselves
+    this.publish(this.statusTopic, "offline");
+    this.client.end();
+    this.client = null;
+  }
+
+  publish(topic, payload) {
+    // Skip while disconnected; everything is republished on reconnect
+    if (!this.client || !this.client.connected) {
+      return;
+    }
+    this.client.publish(topic, payload, { qos: 1, retain: true });
+  }
+
+  deviceTopic(deviceId, suffix) {
+    return `${this.baseTopic}/${deviceId}/${suffix}`;
+  }
+
+  publishReading(deviceId, reading) {
+    const connection = this.devices.get(deviceId);
+    if (!connection) {
+      return;
+    }
+    for (const { metric } of profileMetrics(connection.profile)) {
+      if (reading[metric] !== undefined && reading[metric] !== null) {
+        this.publish(
+          this.deviceTopic(deviceId, metric),
+          formatValue(reading[metric])
+        );
+      }
+    }
+  }
+
+  publishAvailability(deviceId, connected) {
+    this.publish(
+      this.deviceTopic(deviceId, "availability"),
+      connected ? "online" : "offline"
+    );
+  }
+
+  publishDiscovery(connection) {
+    const nodeId = `tuya_${connection.id}`;
+    const base = {
+      availability: [
+        { topic: this.statusTopic },
+        { topic: this.deviceTopic(connection.id, "availability") },
+      ],
+      availability_mode: "all",
+      device: {
+        identifiers: [nodeId],
+        name: connection.name,
+        manufacturer: "Tuya",
+        model: connection.profile.label,
+      },
+    };
+
+    for (const entry of profileMetrics(connection.profile)) {
+      const config = {
+        ...base,
+        name: entry.label,
+        unique_id: `${nodeId}_${entry.metric}`,
+        state_topic: this.deviceTopic(connection.id, entry.metric),
+      };
+
+      let component;
+      if (entry.metric === "power_state") {
+        component = "switch";
+        config.command_topic = this.deviceTopic(
+          connection.id,
+          "power_state/set"
+        );
+      } else if (entry.type === "boolean") {
+        component = "binary_sensor";
+      } else {
+        component = "sensor";
+        if (entry.unit) {
+          config.unit_of_measurement = entry.unit;
+        }
+        Object.assign(config, SENSOR_CLASSES[entry.metric]);
+      }
+
+      this.publish(
+        `${this.discoveryPrefix}/${component}/${nodeId}/${entry.metric}/config`,
+        JSON.stringify(config)
+      );
+    }
+  }
+
+  async handleCommand(topic, payload) {
+    const [deviceId] = topic.slice(this.baseTopic.length + 1).split("/");
+    const connection = this.devices.get(deviceId);
+    const command = parseCommand(payload);
+    if (!connection || command === null) {
+      console.warn(`Ignoring MQTT command on ${topic}: ${payload}`);
+      return;
+    }
+    if (!connection.connected) {
+      console.warn(`Ignoring MQTT command for ${deviceId}: not connected`);
+      return;
+    }
+
+    try {
+      if (command === "toggle") {
+        await connection.toggle();
+      } else {
+        await connection.setPower(command);
+      }
+      this.emit("command", { deviceId, command, ok: true });
+    } catch (error) {
+      console.error(`MQTT command for ${deviceId} failed:`, error);
+      this.emit("command", {
+        deviceId,
+        command,
+        ok: false,
+        error: error.message,
+      });
+    }
+  }
+}
+
+// MQTT settings from the environment, or null when MQTT_URL is not set
+function mqttConfigFromEnv(env = process.env) {
+  if (!env.MQTT_URL) {
+    return null;
+  }
+  return {
+    url: env.MQTT_URL,
+    username: env.MQTT_USERNAME || undefined,
+    password: env.MQTT_PASSWORD || undefined,
+    baseTopic: env.MQTT_BASE_TOPIC || DEFAULT_BASE_TOPIC,
+    discoveryPrefix: env.MQTT_DISCOVERY_PREFIX || DEFAULT_DISCOVERY_PREFIX,
+  };
+}
+
+module.exports = {
+  MqttBridge,
+  mqttConfigFromEnv,
+};
@@ -0,0 +1,82 @@
+const TuyAPI = require("tuyapi");
+
+// Protocol versions to try, in the order test-versions.js tried them
+const VERSIONS = ["3.1", "3.3", "3.4", "3.5"];
+const PROBE_TIMEOUT = 5000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("Timeout")), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Connect with one protocol version and ask for the DPS. Returns
+// { version, ok, dps } on success and { version, ok: false, error } otherwise.
+async function probeVersion(
+  { id, key, ip },
+  version,
+  {
+    timeout = PROBE_TIMEOUT,
+    createDevice = (options) => new TuyAPI(options),
+  } = {}
+) {
+  const device = createDevice({ id, key, ip, version });
+  // Failures are reported through the result, not as crashing "error" events
+  device.on("error", () => {});
+
+  try {
+    if (!ip) {
+      await withTimeout(device.find(), timeout);
+    }
+    await withTimeout(device.connect(), timeout);
+    const status = await withTimeout(device.get({ schema: true }), timeout);
+    // With the wrong key or version the reply is undecryptable garbage
+    const dps =
+      status && typeof status === "object" ? status.dps || status : null;
+    if (!dps || typeof dps !== "object" || Object.keys(dps).length === 0) {
+      throw new Error("No DPS in the device's reply");
+    }
+    return { version, ok: true, dps };
+  } catch (error) {
+    return { version, ok: false, error: error.message };
+  } finally {
+    try {
+      device.disconnect();
+    } catch (error) {
+      // Never connected
+    }
+  }
+}
+
+// Try each protocol version in turn until one returns DPS, like
+// test-versions.js does by hand. A version the device advertised (from
+// discovery) is tried first. Plugs only accept one local connection, so the
+// device must not be connected to the dashboard while it is probed.
+async function probeVersions(
+  config,
+  { versions = VERSIONS, preferred, ...options } = {}
+) {
+  const order = preferred
+    ? [preferred, ...versions.filter((version) => version !== preferred)]
+    : versions;
+
+  const results = [];
+  for (const version of order) {
+    const result = await probeVersion(config, version, options);
+    results.push(result);
+    if (result.ok) {
+      return { version, dps: result.dps, results };
+    }
+  }
+  return { version: null, dps: null, results };
+}
+
+module.exports = {
+  VERSIONS,
+  probeVersion,
+  probeVersions,
+};
@@ -0,0 +1,152 @@
+const { findMetric } = require("./profiles");
+const { energyReport } = require("./reports");
+const { MAX_POINTS } = require("./time");
+const { ValidationError } = require("./errors");
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const meteredPower = (connections) =>
+  connections.filter((connection) => findMetric(connection.profile, "power"));
+
+// Start of every `step` bucket covering [from, to), as the store aligns them
+function bucketStarts(from, to, step) {
+  if ((to - from) / step > MAX_POINTS) {
+    throw new ValidationError(
+      `Bucket too small: more than ${MAX_POINTS} points requested`
+    );
+  }
+  const starts = [];
+  for (let t = from - (from % step); t < to; t += step) {
+    starts.push(t);
+  }
+  return starts;
+}
+
+// Average power of one plug per bucket start; null where it sent nothing
+function averagePower({ store, deviceId, from, to, step }) {
+  const { power } = store.queryHistory({
+    deviceId,
+    metrics: ["power"],
+    from,
+    to,
+    bucket: step,
+  });
+  return new Map(power.map((point) => [point.t, point.avg]));
+}
+
+// Average power of every plug that measures it, in `step` ms buckets lined
+// up so they stack: points are { t, total, values: { <deviceId>: watts } }
+// with null for a plug that sent nothing in a bucket.
+function powerBreakdown({ store, connections, from, to, step }) {
+  const metered = meteredPower(connections);
+  const starts = bucketStarts(from, to, step);
+  const series = metered.map((connection) =>
+    averagePower({ store, deviceId: connection.id, from, to, step })
+  );
+
+  const points = starts.map((t) => {
+    const values = {};
+    let total = null;
+    metered.forEach((connection, i) => {
+      const watts = series[i].get(t);
+      values[connection.id] = watts === undefined ? null : round(watts, 2);
+      if (watts !== undefined) {
+        total = (total || 0) + watts;
+      }
+    });
+    return { t, total: total === null ? null : round(total, 2), values };
+  });
+
+  return {
+    from,
+    to,
+    bucket: step,
+    devices: metered.map(({ id, name }) => ({ deviceId: id, name })),
+    points,
+  };
+}
+
+// Each plug's share of the energy used over [from, to), biggest consumer
+// first. Plugs without an energy counter are left out, as in the reports.
+function energyBreakdown({
+  store,
+  tariff,
+  connections,
+  bucket,
+  from,
+  to,
+  now,
+}) {
+  const report = energyReport({
+    store,
+    tariff,
+    connections,
+    bucket,
+    from,
+    to,
+    now,
+  });
+  const devices = report.devices
+    .map((device) => ({
+      deviceId: device.deviceId,
+      name: device.name,
+      kwh: device.totals.kwh,
+      cost: device.totals.cost,
+      share:
+        report.totals.kwh > 0
+          ? round((device.totals.kwh / report.totals.kwh) * 100, 1)
+          : 0,
+      estimated:
+        device.gaps.length > 0 ||
+        device.buckets.some((entry) => entry.estimated),
+    }))
+    .sort((a, b) => b.kwh - a.kwh || a.name.localeCompare(b.name))
+    .map((device, i) => ({ rank: i + 1, ...device }));
+
+  return {
+    from,
+    to,
+    currency: report.currency,
+    totals: report.totals,
+    devices,
+  };
+}
+
+// Power series to lay over each other: two plugs over one range, or one
+// plug (or the whole house) over two ranges. Each subject is { label,
+// connections, from, to }; its power is the sum over its plugs, and points
+// carry their `offset` from the start of the range so the series line up.
+function comparePower({ store, tariff, subjects, bucket, step, now }) {
+  return {
+    bucket: step,
+    series: subjects.map(({ label, connections, from, to }) => {
+      const breakdown = powerBreakdown({ store, connections, from, to, step });
+      const { totals } = energyReport({
+        store,
+        tariff,
+        connections,
+        bucket,
+        from,
+        to,
+        now,
+      });
+      return {
+        label,
+        deviceIds: connections.map((connection) => connection.id),
+        from,
+        to,
+        totals,
+        points: breakdown.points.map((point, i) => ({
+          offset: i * step,
+          watts: point.total,
+        })),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  powerBreakdown,
+  energyBreakdown,
+  comparePower,
+};
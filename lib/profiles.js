@@ -0,0 +1,369 @@
+const fs = require("fs");
+const path = require("path");
+const { ValidationError } = require("./errors");
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, "..", "profiles.json");
+const DEFAULT_PROFILE = "standard";
+const TYPES = ["boolean", "number", "string"];
+
+// A profile maps Tuya DP ids to named metrics. `scale` follows Tuya's own
+// convention: the raw integer is divided by 10^scale, so a voltage reported
+// in 0.1 V steps has scale 1. Metric names are what the rest of the server
+// works with (power_state, power, voltage, current, energy, ...).
+//
+// The profile doubles as the device's DP schema for writes: `writable` DPs
+// can be set over the API, numbers within `min`/`max` in multiples of
+// `step` (in scaled units), strings to one of `values` when given. The power
+// switch is writable unless a profile says otherwise. `optional` DPs are
+// settings not every plug of that kind has; they only show up once the plug
+// has reported them.
+const BUILTIN_PROFILES = {
+  standard: {
+    label: "Metering plug (DP 1/18/19/20/22)",
+    dps: {
+      1: { metric: "power_state", label: "Power State", type: "boolean" },
+      9: {
+        metric: "countdown",
+        label: "Countdown",
+        unit: "s",
+        scale: 0,
+        writable: true,
+        optional: true,
+        min: 0,
+        max: 86400,
+        step: 1,
+      },
+      18: { metric: "current", label: "Current", unit: "mA", scale: 0 },
+      19: { metric: "power", label: "Power", unit: "W", scale: 1 },
+      20: { metric: "voltage", label: "Voltage", unit: "V", scale: 1 },
+      22: { metric: "energy", label: "Energy", unit: "kWh", scale: 3 },
+      38: {
+        metric: "relay_status",
+        label: "After power loss",
+        type: "string",
+        writable: true,
+        optional: true,
+        values: [
+          { value: "power_off", label: "Stay off" },
+          { value: "power_on", label: "Turn on" },
+          { value: "last", label: "Restore last state" },
+        ],
+      },
+      40: {
+        metric: "light_mode",
+        label: "LED indicator",
+        type: "string",
+        writable: true,
+        optional: true,
+        values: [
+          { value: "relay", label: "Shows power state" },
+          { value: "pos", label: "Shows plug location" },
+          { value: "none", label: "Off" },
+        ],
+      },
+      41: {
+        metric: "child_lock",
+        label: "Child lock",
+        type: "boolean",
+        writable: true,
+        optional: true,
+      },
+    },
+  },
+  compact: {
+    label: "Metering plug (DP 1/4/5/6/17)",
+    dps: {
+      1: { metric: "power_state", label: "Power State", type: "boolean" },
+      4: { metric: "current", label: "Current", unit: "mA", scale: 0 },
+      5: { metric: "power", label: "Power", unit: "W", scale: 1 },
+      6: { metric: "voltage", label: "Voltage", unit: "V", scale: 1 },
+      17: { metric: "energy", label: "Energy", unit: "kWh", scale: 3 },
+    },
+  },
+  switch: {
+    label: "Plain switch (DP 1 only)",
+    dps: {
+      1: { metric: "power_state", label: "Power State", type: "boolean" },
+    },
+  },
+};
+
+// Range of a number DP, or the allowed values of a string DP
+function normalizeLimits(name, dp, type, entry) {
+  const limits = {};
+  if (type === "number") {
+    for (const key of ["min", "max", "step"]) {
+      if (entry[key] === undefined) continue;
+      if (typeof entry[key] !== "number" || !Number.isFinite(entry[key])) {
+        throw new Error(`Profile ${name}: DP ${dp} ${key} must be a number`);
+      }
+      limits[key] = entry[key];
+    }
+    if (limits.step !== undefined && limits.step <= 0) {
+      throw new Error(`Profile ${name}: DP ${dp} step must be positive`);
+    }
+    if (limits.min > limits.max) {
+      throw new Error(`Profile ${name}: DP ${dp} min is greater than max`);
+    }
+  } else if (type === "string" && entry.values !== undefined) {
+    if (!Array.isArray(entry.values) || entry.values.length === 0) {
+      throw new Error(
+        `Profile ${name}: DP ${dp} values must be a non-empty array`
+      );
+    }
+    limits.values = entry.values.map((option) =>
+      typeof option === "string"
+        ? { value: option, label: option }
+        : { value: option.value, label: option.label || option.value }
+    );
+    if (limits.values.some(({ value }) => typeof value !== "string")) {
+      throw new Error(`Profile ${name}: DP ${dp} values must be strings`);
+    }
+  }
+  return limits;
+}
+
+function normalizeProfile(name, profile) {
+  if (!profile || typeof profile.dps !== "object") {
+    throw new Error(`Profile ${name} must have a "dps" object`);
+  }
+
+  const seen = new Set();
+  const dps = {};
+  for (const [dp, entry] of Object.entries(profile.dps)) {
+    if (!entry || !entry.metric) {
+      throw new Error(`Profile ${name}: DP ${dp} is missing a metric name`);
+    }
+    if (seen.has(entry.metric)) {
+      throw new Error(
+        `Profile ${name}: metric ${entry.metric} is mapped twice`
+      );
+    }
+    seen.add(entry.metric);
+
+    const type = entry.type || "number";
+    if (!TYPES.includes(type)) {
+      throw new Error(`Profile ${name}: DP ${dp} has unknown type ${type}`);
+    }
+    const scale = entry.scale || 0;
+    if (!Number.isInteger(scale) || scale < 0) {
+      throw new Error(
+        `Profile ${name}: DP ${dp} scale must be an integer >= 0`
+      );
+    }
+
+    dps[dp] = {
+      dp: String(dp),
+      metric: entry.metric,
+      label: entry.label || entry.metric,
+      unit: entry.unit || "",
+      type,
+      scale,
+      writable:
+        entry.writable === undefined
+          ? entry.metric === "power_state"
+          : Boolean(entry.writable),
+      optional: Boolean(entry.optional),
+      ...normalizeLimits(name, dp, type, entry),
+    };
+  }
+
+  return { name, label: profile.label || name, dps };
+}
+
+// Built-in profiles plus any from profiles.json (or PROFILES_CONFIG). A user
+// profile with the same name as a built-in one replaces it.
+function loadProfiles(configPath = process.env.PROFILES_CONFIG) {
+  const resolvedPath = configPath || DEFAULT_PROFILES_PATH;
+  const definitions = { ...BUILTIN_PROFILES };
+
+  if (fs.existsSync(resolvedPath)) {
+    const raw = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    Object.assign(definitions, raw.profiles || raw);
+  }
+
+  const profiles = new Map();
+  for (const [name, definition] of Object.entries(definitions)) {
+    profiles.set(name, normalizeProfile(name, definition));
+  }
+  return profiles;
+}
+
+// Metric descriptors in DP order, e.g. for CSV headers and UI labels
+function profileMetrics(profile) {
+  return Object.values(profile.dps).map((entry) => ({ ...entry }));
+}
+
+function findMetric(profile, metric) {
+  return Object.values(profile.dps).find((entry) => entry.metric === metric);
+}
+
+// A DP by its id ("41") or its metric name ("child_lock")
+function findDp(profile, key) {
+  return profile.dps[key] || findMetric(profile, String(key)) || null;
+}
+
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined)
+    return `between ${min} and ${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+// Check a value for a DP against the profile and turn it into what the plug
+// expects: numbers are given in scaled units (2.5 for 2.5 W) and sent as raw
+// integers. Throws ValidationError.
+function encodeValue(entry, value) {
+  if (!entry.writable) {
+    throw new ValidationError(`${entry.label} is read-only`);
+  }
+
+  if (entry.type === "boolean") {
+    if (typeof value !== "boolean") {
+      throw new ValidationError(`${entry.label} must be true or false`);
+    }
+    return value;
+  }
+
+  if (entry.type === "string") {
+    if (typeof value !== "string") {
+      throw new ValidationError(`${entry.label} must be a string`);
+    }
+    if (
+      entry.values &&
+      !entry.values.some((option) => option.value === value)
+    ) {
+      throw new ValidationError(
+        `${entry.label} must be one of ${entry.values
+          .map((option) => option.value)
+          .join(", ")}`
+      );
+    }
+    return value;
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new ValidationError(`${entry.label} must be a number`);
+  }
+  if (
+    (entry.min !== undefined && value < entry.min) ||
+    (entry.max !== undefined && value > entry.max)
+  ) {
+    throw new ValidationError(`${entry.label} must be ${describeRange(entry)}`);
+  }
+  const raw = value * Math.pow(10, entry.scale);
+  const steps = entry.step
+    ? (value - (entry.min || 0)) / entry.step
+    : // Without a step, anything the plug can represent
+      raw;
+  if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+    throw new ValidationError(
+      `${entry.label} must be a multiple of ${
+        entry.step || Math.pow(10, -entry.scale)
+      }`
+    );
+  }
+  return Math.round(raw);
+}
+
+function emptyValue(type) {
+  if (type === "boolean") return false;
+  if (type === "string") return "";
+  return 0;
+}
+
+function emptyReadingFor(profile) {
+  const reading = {};
+  for (const entry of Object.values(profile.dps)) {
+    if (!entry.optional) {
+      reading[entry.metric] = emptyValue(entry.type);
+    }
+  }
+  return reading;
+}
+
+// Whether a raw DP value has the type its profile entry declares
+function isValidRaw(entry, raw) {
+  if (entry.type === "number") {
+    return typeof raw === "number" && Number.isFinite(raw);
+  }
+  return typeof raw === entry.type;
+}
+
+// The DPs of a payload whose values do not have their profile type
+function invalidDps(profile, dps) {
+  return Object.keys(profile.dps).filter(
+    (dp) => dps[dp] !== undefined && !isValidRaw(profile.dps[dp], dps[dp])
+  );
+}
+
+// Decode a DPS payload into metric values. DPs missing from this payload
+// keep the value from `previous`, since devices often report only changes,
+// and so do DPs with a value of the wrong type (a garbled frame); optional
+// DPs the plug has never reported are left out.
+function decodeDps(profile, dps, previous = {}) {
+  const reading = {};
+  for (const [dp, entry] of Object.entries(profile.dps)) {
+    const raw = isValidRaw(entry, dps[dp]) ? dps[dp] : undefined;
+    if (raw === undefined && entry.optional) {
+      if (previous[entry.metric] !== undefined) {
+        reading[entry.metric] = previous[entry.metric];
+      }
+    } else if (raw === undefined) {
+      reading[entry.metric] =
+        previous[entry.metric] !== undefined
+          ? previous[entry.metric]
+          : emptyValue(entry.type);
+    } else if (entry.type === "number") {
+      reading[entry.metric] = raw / Math.pow(10, entry.scale);
+    } else {
+      reading[entry.metric] = raw;
+    }
+  }
+  return reading;
+}
+
+// Name of the profile that best fits a DPS payload: the one mapping the most
+// DPs, all of which the device reported (optional ones aside). Null when
+// none fits.
+function suggestProfile(profiles, dps) {
+  let best = null;
+  let bestCount = 0;
+  for (const profile of profiles.values()) {
+    const dpIds = Object.keys(profile.dps).filter(
+      (dp) => !profile.dps[dp].optional
+    );
+    if (
+      dpIds.length > bestCount &&
+      dpIds.every((dp) => dps[dp] !== undefined)
+    ) {
+      best = profile.name;
+      bestCount = dpIds.length;
+    }
+  }
+  return best;
+}
+
+function csvHeaderFor(profile) {
+  return [
+    { id: "timestamp", title: "Timestamp" },
+    ...profileMetrics(profile).map(({ metric, label, unit }) => ({
+      id: metric,
+      title: unit ? `${label} (${unit})` : label,
+    })),
+  ];
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE,
+  loadProfiles,
+  profileMetrics,
+  findMetric,
+  findDp,
+  encodeValue,
+  emptyReadingFor,
+  decodeDps,
+  invalidDps,
+  suggestProfile,
+  csvHeaderFor,
+};
@@ -0,0 +1,195 @@
+const Ajv = require("ajv");
+const { ProtocolError } = require("./errors");
+
+// Version of the WebSocket protocol described in README.md. Every message in
+// either direction carries it as `v`; bump it for incompatible changes.
+const PROTOCOL_VERSION = 1;
+
+const ERROR_CODES = {
+  INVALID_JSON: "invalid_json",
+  INVALID_MESSAGE: "invalid_message",
+  UNSUPPORTED_VERSION: "unsupported_version",
+  UNKNOWN_DEVICE: "unknown_device",
+  UNKNOWN_METRIC: "unknown_metric",
+  INVALID_VALUE: "invalid_value",
+  FORBIDDEN: "forbidden",
+  NOT_CONNECTED: "not_connected",
+  DEVICE_ERROR: "device_error",
+  UNKNOWN_GROUP: "unknown_group",
+  UNKNOWN_SCENE: "unknown_scene",
+};
+
+const REQUEST_ID = { type: ["string", "integer"], minLength: 1, maxLength: 64 };
+const DEVICE_ID = { type: "string", minLength: 1 };
+const ROW_ID = { type: "integer", minimum: 1 };
+
+// Client requests by type: extra properties and the required ones. Every
+// request also needs `v` and `id`.
+const REQUESTS = {
+  ping: {},
+  toggle: {
+    properties: { deviceId: DEVICE_ID },
+    required: ["deviceId"],
+  },
+  on: {
+    properties: { deviceId: DEVICE_ID },
+    required: ["deviceId"],
+  },
+  off: {
+    properties: { deviceId: DEVICE_ID },
+    required: ["deviceId"],
+  },
+  // `dp` is a DP id or a metric name; the value is checked against the
+  // device's profile by the handler
+  set: {
+    properties: {
+      deviceId: DEVICE_ID,
+      dp: { type: ["string", "integer"], minLength: 1 },
+      value: { type: ["boolean", "number", "string"] },
+    },
+    required: ["deviceId", "dp", "value"],
+  },
+  // Switch every plug of a group; the ack has one result per member
+  group: {
+    properties: {
+      groupId: ROW_ID,
+      action: { enum: ["on", "off", "toggle"] },
+    },
+    required: ["groupId", "action"],
+  },
+  scene: {
+    properties: { sceneId: ROW_ID },
+    required: ["sceneId"],
+  },
+  refresh: {
+    properties: { deviceId: DEVICE_ID },
+  },
+  subscribe: {
+    properties: {
+      deviceId: DEVICE_ID,
+      metrics: {
+        type: "array",
+        items: { type: "string", minLength: 1 },
+        minItems: 1,
+        uniqueItems: true,
+      },
+    },
+  },
+  unsubscribe: {
+    properties: { deviceId: DEVICE_ID },
+  },
+};
+
+const requestSchema = {
+  type: "object",
+  discriminator: { propertyName: "type" },
+  required: ["type"],
+  oneOf: Object.entries(REQUESTS).map(
+    ([type, { properties = {}, required = [] }]) => ({
+      properties: {
+        type: { const: type },
+        v: { const: PROTOCOL_VERSION },
+        id: REQUEST_ID,
+        ...properties,
+      },
+      required: ["v", "id", ...required],
+      additionalProperties: false,
+    })
+  ),
+};
+
+const ajv = new Ajv({ discriminator: true, allowUnionTypes: true });
+const validateRequest = ajv.compile(requestSchema);
+
+function describeErrors(errors) {
+  return errors
+    .map((error) =>
+      error.keyword === "additionalProperties"
+        ? `unknown property "${error.params.additionalProperty}"`
+        : `${error.instancePath.slice(1) || "message"} ${error.message}`
+    )
+    .join(", ");
+}
+
+function protocolError(code, message, id = null) {
+  const error = new ProtocolError(code, message);
+  error.id = id;
+  return error;
+}
+
+// Parse and validate one raw client message. Throws ProtocolError; the error
+// carries the request `id` when the message had a usable one, so the nack
+// can still be matched to its request.
+function parseRequest(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    throw protocolError(ERROR_CODES.INVALID_JSON, "Message is not JSON");
+  }
+
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    throw protocolError(
+      ERROR_CODES.INVALID_MESSAGE,
+      "Message must be an object"
+    );
+  }
+  const id =
+    typeof message.id === "string" || Number.isInteger(message.id)
+      ? message.id
+      : null;
+
+  if (message.v !== PROTOCOL_VERSION) {
+    throw protocolError(
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      `Unsupported protocol version ${JSON.stringify(
+        message.v
+      )}; this server speaks version ${PROTOCOL_VERSION}`,
+      id
+    );
+  }
+  if (!REQUESTS[message.type]) {
+    throw protocolError(
+      ERROR_CODES.INVALID_MESSAGE,
+      `Unknown message type ${JSON.stringify(message.type)}`,
+      id
+    );
+  }
+  if (!validateRequest(message)) {
+    throw protocolError(
+      ERROR_CODES.INVALID_MESSAGE,
+      describeErrors(validateRequest.errors),
+      id
+    );
+  }
+  return message;
+}
+
+// Server messages. Everything is stamped with the protocol version.
+function serverMessage(type, fields = {}) {
+  return { v: PROTOCOL_VERSION, type, ...fields };
+}
+
+function ack(id, data = {}) {
+  return serverMessage("ack", { id, data });
+}
+
+function nack(id, error) {
+  return serverMessage("nack", {
+    id,
+    error: {
+      code: error.code || ERROR_CODES.DEVICE_ERROR,
+      message: error.message,
+    },
+  });
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  REQUEST_TYPES: Object.keys(REQUESTS),
+  parseRequest,
+  serverMessage,
+  ack,
+  nack,
+};
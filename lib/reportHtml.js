@@ -0,0 +1,273 @@
+// Printable HTML version of an energy report (see reports.js). It is a
+// self-contained page with an inline SVG chart, so it prints (or saves as a
+// PDF from the browser's print dialog) without the dashboard or any scripts
+// from the network.
+
+const RANGE_TITLES = {
+  day: "Today",
+  week: "This week",
+  month: "This month",
+  year: "This year",
+};
+
+const CHART = { width: 760, height: 240, top: 10, bottom: 40, left: 50 };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatKwh(kwh) {
+  return `${kwh.toFixed(kwh < 10 ? 3 : 1)} kWh`;
+}
+
+function formatMoney(cost, currency) {
+  return `${cost.toFixed(2)}${currency ? ` ${escapeHtml(currency)}` : ""}`;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleString();
+}
+
+function formatChange(change) {
+  if (!change || change.percent === null) return "-";
+  const sign = change.percent > 0 ? "+" : "";
+  return `${sign}${change.percent}%`;
+}
+
+// Bars per bucket; with a comparison, the previous range's bucket at the
+// same position is drawn as a grey bar next to it
+function renderChart(report) {
+  const { width, height, top, bottom, left } = CHART;
+  const previous = report.previous ? report.previous.buckets : [];
+  const count = report.buckets.length;
+  const max = Math.max(
+    ...report.buckets.map((bucket) => bucket.kwh),
+    ...previous.map((bucket) => bucket.kwh),
+    0.001
+  );
+  const plotHeight = height - top - bottom;
+  const slot = (width - left) / Math.max(count, 1);
+  const barWidth = Math.max(slot * (previous.length ? 0.4 : 0.8), 1);
+  const y = (kwh) => top + plotHeight - (kwh / max) * plotHeight;
+  // Label every bucket when they fit, otherwise every nth
+  const labelEvery = Math.ceil(count / 12);
+
+  const bars = report.buckets.map((bucket, i) => {
+    const x = left + i * slot + slot * 0.1;
+    const parts = [];
+    if (previous[i]) {
+      parts.push(
+        `<rect class="previous" x="${x.toFixed(1)}" y="${y(
+          previous[i].kwh
+        ).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(
+          top +
+          plotHeight -
+          y(previous[i].kwh)
+        ).toFixed(1)}"><title>${escapeHtml(previous[i].label)}: ${formatKwh(
+          previous[i].kwh
+        )}</title></rect>`
+      );
+    }
+    const currentX = previous.length ? x + barWidth : x;
+    parts.push(
+      `<rect class="${
+        bucket.estimated ? "current estimated" : "current"
+      }" x="${currentX.toFixed(1)}" y="${y(bucket.kwh).toFixed(
+        1
+      )}" width="${barWidth.toFixed(1)}" height="${(
+        top +
+        plotHeight -
+        y(bucket.kwh)
+      ).toFixed(1)}"><title>${escapeHtml(bucket.label)}: ${formatKwh(
+        bucket.kwh
+      )}</title></rect>`
+    );
+    if (i % labelEvery === 0) {
+      parts.push(
+        `<text x="${(left + i * slot + slot / 2).toFixed(1)}" y="${
+          height - bottom + 16
+        }" text-anchor="middle">${escapeHtml(
+          shortLabel(report.bucket, bucket)
+        )}</text>`
+      );
+    }
+    return parts.join("");
+  });
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Consumption per ${escapeHtml(
+    report.bucket
+  )}">
+  <line x1="${left}" y1="${top + plotHeight}" x2="${width}" y2="${
+    top + plotHeight
+  }" />
+  <text x="${left - 6}" y="${top + 10}" text-anchor="end">${escapeHtml(
+    max.toFixed(max < 10 ? 2 : 0)
+  )}</text>
+  <text x="${left - 6}" y="${top + plotHeight}" text-anchor="end">0</text>
+  ${bars.join("\n  ")}
+</svg>`;
+}
+
+function shortLabel(bucket, entry) {
+  const date = new Date(entry.start);
+  if (bucket === "hour") return `${date.getHours()}:00`;
+  if (bucket === "month") {
+    return date.toLocaleString(undefined, { month: "short" });
+  }
+  return date.toLocaleDateString(undefined, { day: "numeric", month: "short" });
+}
+
+function renderGaps(report) {
+  const gaps = report.devices.flatMap((device) =>
+    device.gaps.map((gap) => ({ ...gap, name: device.name }))
+  );
+  const resets = report.devices.filter((device) => device.resets > 0);
+  if (gaps.length === 0 && resets.length === 0) {
+    return "";
+  }
+  const items = [
+    ...gaps.map(
+      (gap) =>
+        `<li>${escapeHtml(gap.name)}: no readings from ${formatDate(
+          gap.from
+        )} to ${formatDate(gap.to)}${
+          gap.kwh === null
+            ? ""
+            : `; ${formatKwh(gap.kwh)} spread evenly over the gap`
+        }</li>`
+    ),
+    ...resets.map(
+      (device) =>
+        `<li>${escapeHtml(device.name)}: energy counter reset ${
+          device.resets
+        } time(s)</li>`
+    ),
+  ];
+  return `<h2>Notes</h2>
+<ul class="notes">
+  ${items.join("\n  ")}
+</ul>`;
+}
+
+function renderReportHtml(report, { generatedAt = Date.now() } = {}) {
+  const title = RANGE_TITLES[report.range] || "Custom range";
+  const { currency } = report;
+  const comparing = Boolean(report.previous);
+
+  const deviceRows = report.devices
+    .map(
+      (device) => `<tr>
+      <td>${escapeHtml(device.name)}</td>
+      <td>${formatKwh(device.totals.kwh)}</td>
+      <td>${formatMoney(device.totals.cost, currency)}</td>
+      <td>${
+        report.totals.kwh > 0
+          ? `${((device.totals.kwh / report.totals.kwh) * 100).toFixed(0)}%`
+          : "-"
+      }</td>
+    </tr>`
+    )
+    .join("\n    ");
+
+  const bucketRows = report.buckets
+    .map(
+      (bucket, i) => `<tr>
+      <td>${escapeHtml(bucket.label)}${bucket.estimated ? " *" : ""}</td>
+      <td>${formatKwh(bucket.kwh)}</td>
+      <td>${formatMoney(bucket.cost, currency)}</td>${
+        comparing
+          ? `\n      <td>${
+              report.previous.buckets[i]
+                ? formatKwh(report.previous.buckets[i].kwh)
+                : "-"
+            }</td>`
+          : ""
+      }
+    </tr>`
+    )
+    .join("\n    ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Energy report - ${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; max-width: 800px; margin: 20px auto; padding: 0 20px; }
+  h1 { margin-bottom: 4px; }
+  .range { color: #666; margin-top: 0; }
+  .summary { display: flex; gap: 16px; margin: 20px 0; }
+  .summary div { flex: 1; padding: 12px; border: 1px solid #ddd; border-radius: 8px; }
+  .summary strong { display: block; font-size: 1.4rem; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 0.9rem; }
+  th, td { padding: 4px 8px; border-bottom: 1px solid #eee; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  svg { width: 100%; height: auto; font-size: 11px; }
+  svg line { stroke: #999; }
+  svg text { fill: #666; }
+  rect.current { fill: #667eea; }
+  rect.current.estimated { fill: #a3b0f0; }
+  rect.previous { fill: #ccc; }
+  .notes { color: #666; font-size: 0.85rem; }
+  .print { margin-top: 10px; }
+  @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Energy report: ${escapeHtml(title)}</h1>
+<p class="range">${formatDate(report.from)} to ${formatDate(
+    report.to
+  )}, per ${escapeHtml(report.bucket)}. Generated ${formatDate(
+    generatedAt
+  )}.</p>
+<button class="print" onclick="window.print()">Print or save as PDF</button>
+
+<div class="summary">
+  <div>Consumption<strong>${formatKwh(report.totals.kwh)}</strong></div>
+  <div>Cost<strong>${formatMoney(report.totals.cost, currency)}</strong></div>${
+    comparing
+      ? `
+  <div>Previous period to date<strong>${formatKwh(
+    report.previous.toDate.kwh
+  )}</strong></div>
+  <div>Change<strong>${formatChange(report.change)}</strong></div>`
+      : ""
+  }
+</div>
+
+${renderChart(report)}
+<p class="notes">${
+    comparing ? "Blue: this period. Grey: the previous period. " : ""
+  }Lighter bars and periods marked * include consumption estimated across a gap in the readings.</p>
+
+<h2>By device</h2>
+<table>
+  <thead><tr><th>Device</th><th>Energy</th><th>Cost</th><th>Share</th></tr></thead>
+  <tbody>
+    ${deviceRows}
+  </tbody>
+</table>
+
+<h2>By ${escapeHtml(report.bucket)}</h2>
+<table>
+  <thead><tr><th>Period</th><th>Energy</th><th>Cost</th>${
+    comparing ? "<th>Previous</th>" : ""
+  }</tr></thead>
+  <tbody>
+    ${bucketRows}
+  </tbody>
+</table>
+${renderGaps(report)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderReportHtml,
+  escapeHtml,
+};
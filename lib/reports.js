@@ -0,0 +1,282 @@
+const { findMetric } = require("./profiles");
+const { priceEnergy } = require("./tariff");
+const { PERIODS, UNITS, localMonthKey, startOfLocalMonth } = require("./time");
+const { ValidationError } = require("./errors");
+
+// Bucket sizes a report can be broken down by, and the calendar ranges it
+// can cover ("this week" and so on; custom from/to works too)
+const BUCKETS = ["hour", "day", "week", "month"];
+const RANGES = ["day", "week", "month", "year"];
+const DEFAULT_BUCKET = {
+  day: "hour",
+  week: "day",
+  month: "day",
+  year: "month",
+};
+const MAX_BUCKETS = 2000;
+
+// Readings further apart than this are a gap (the plug or the server was
+// down). The energy used across a gap is spread evenly over it and the
+// buckets it lands in are marked as estimated.
+const GAP_THRESHOLD = 15 * 60 * 1000;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+// Energy used between two readings of the cumulative counter. The counter
+// only grows, so a drop means the plug reset it (power loss, firmware
+// update) and the new value is what was used since the reset.
+function energyDelta(previous, current) {
+  return current >= previous ? current - previous : current;
+}
+
+// Empty buckets covering [from, to); the first may start before `from`
+function bucketsFor(bucket, from, to) {
+  const { start, next, key } = PERIODS[bucket];
+  const buckets = [];
+  for (let at = start(from); at < to; at = next(at)) {
+    buckets.push({ start: at, end: next(at), label: key(at) });
+  }
+  if (buckets.length > MAX_BUCKETS) {
+    throw new ValidationError(
+      `Too many ${bucket} buckets (${buckets.length}); pick a larger bucket or a shorter range`
+    );
+  }
+  return buckets;
+}
+
+// Consumption and cost of one device per bucket in [from, to), from the
+// cumulative energy counter. A counter that drops was reset (power loss,
+// firmware update) and counts from zero again. Tiered prices depend on what
+// was used earlier in the month, so the scan starts at the month's start.
+function deviceEnergy({
+  store,
+  deviceId,
+  tariff,
+  bucket,
+  from,
+  to,
+  now = Date.now(),
+  gapThreshold = GAP_THRESHOLD,
+}) {
+  const buckets = bucketsFor(bucket, from, to).map((entry) => ({
+    ...entry,
+    kwh: 0,
+    cost: 0,
+    estimated: false,
+  }));
+  const gaps = [];
+  const monthUsage = new Map();
+  let resets = 0;
+  let index = 0;
+
+  // Book `kwh` used evenly over [start, end), split at bucket boundaries.
+  // Whatever falls before `from` only counts towards the month's usage, and
+  // whatever falls after `to` is dropped.
+  function book(start, end, kwh, estimated) {
+    const perMs = kwh / (end - start);
+    let at = start;
+    while (at < end && at < to) {
+      let target = null;
+      let pieceEnd = Math.min(end, from);
+      if (at >= from) {
+        while (buckets[index].end <= at) index += 1;
+        target = buckets[index];
+        pieceEnd = Math.min(end, target.end);
+      }
+      const pieceKwh = perMs * (pieceEnd - at);
+      const month = localMonthKey(at);
+      const usedBefore = monthUsage.get(month) || 0;
+      const cost = priceEnergy(
+        tariff,
+        pieceKwh,
+        (at + pieceEnd) / 2,
+        usedBefore
+      );
+      monthUsage.set(month, usedBefore + pieceKwh);
+      if (target) {
+        target.kwh += pieceKwh;
+        target.cost += cost;
+        target.estimated = target.estimated || estimated;
+      }
+      at = pieceEnd;
+    }
+  }
+
+  // The first reading at or after `to` closes the last interval, so the scan
+  // runs a little past the range
+  const scanFrom = startOfLocalMonth(from);
+  let previous = store.lastBefore({ deviceId, metric: "energy", ts: scanFrom });
+  for (const row of store.iterateMetric({
+    deviceId,
+    metric: "energy",
+    from: scanFrom,
+    to: to + gapThreshold,
+  })) {
+    if (previous) {
+      const kwh = energyDelta(previous.value, row.value);
+      const gap = row.ts - previous.ts > gapThreshold;
+      if (row.ts >= from && previous.ts < to) {
+        if (row.value < previous.value) resets += 1;
+        if (gap) gaps.push({ from: previous.ts, to: row.ts, kwh: round(kwh) });
+      }
+      if (kwh > 0) book(previous.ts, row.ts, kwh, gap);
+    }
+    previous = row;
+    if (row.ts >= to) break;
+  }
+
+  // Nothing heard since the last reading: consumption there is unknown
+  const until = Math.min(to, now);
+  const lastSeen = previous ? Math.max(previous.ts, from) : from;
+  if (until - lastSeen > gapThreshold) {
+    gaps.push({ from: lastSeen, to: until, kwh: null });
+  }
+
+  const totals = buckets.reduce(
+    (sum, entry) => ({ kwh: sum.kwh + entry.kwh, cost: sum.cost + entry.cost }),
+    { kwh: 0, cost: 0 }
+  );
+  return {
+    deviceId,
+    totals: { kwh: round(totals.kwh), cost: round(totals.cost) },
+    buckets: buckets.map((entry) => ({
+      ...entry,
+      kwh: round(entry.kwh),
+      cost: round(entry.cost),
+    })),
+    gaps,
+    resets,
+  };
+}
+
+// Report over several devices: per-device results plus the combined
+// buckets and totals. Devices without an energy counter are left out.
+function energyReport({ store, tariff, connections, bucket, from, to, now }) {
+  const devices = connections
+    .filter((connection) => findMetric(connection.profile, "energy"))
+    .map((connection) => ({
+      name: connection.name,
+      ...deviceEnergy({
+        store,
+        deviceId: connection.id,
+        tariff,
+        bucket,
+        from,
+        to,
+        now,
+      }),
+    }));
+
+  const buckets = bucketsFor(bucket, from, to).map((entry, i) => {
+    const parts = devices.map((device) => device.buckets[i]);
+    return {
+      ...entry,
+      kwh: round(parts.reduce((sum, part) => sum + part.kwh, 0)),
+      cost: round(parts.reduce((sum, part) => sum + part.cost, 0)),
+      estimated: parts.some((part) => part.estimated),
+    };
+  });
+
+  return {
+    bucket,
+    from,
+    to,
+    currency: tariff.currency,
+    totals: {
+      kwh: round(devices.reduce((sum, device) => sum + device.totals.kwh, 0)),
+      cost: round(devices.reduce((sum, device) => sum + device.totals.cost, 0)),
+    },
+    buckets,
+    devices,
+  };
+}
+
+// The calendar range containing `now` ("this week"), or from/to as given,
+// plus the range before it to compare with ("last week")
+function resolveRange({ range, from, to, bucket }, now = Date.now()) {
+  let current;
+  let previous;
+  let defaultBucket;
+  if (from !== undefined || to !== undefined) {
+    if (!(from < to)) {
+      throw new ValidationError("`from` must be before `to`");
+    }
+    current = { from, to };
+    previous = { from: from - (to - from), to: from };
+    const span = to - from;
+    defaultBucket =
+      span <= 2 * UNITS.d ? "hour" : span <= 62 * UNITS.d ? "day" : "month";
+  } else {
+    if (!RANGES.includes(range)) {
+      throw new ValidationError(`range must be one of ${RANGES.join(", ")}`);
+    }
+    const period = PERIODS[range];
+    const start = period.start(now);
+    current = { from: start, to: period.next(start) };
+    previous = { from: period.start(start - 1), to: start };
+    defaultBucket = DEFAULT_BUCKET[range];
+  }
+
+  const resolvedBucket = bucket || defaultBucket;
+  if (!BUCKETS.includes(resolvedBucket)) {
+    throw new ValidationError(`bucket must be one of ${BUCKETS.join(", ")}`);
+  }
+  return { current, previous, bucket: resolvedBucket };
+}
+
+// The report for a range, compared with the range before it. The change is
+// measured against the previous range up to the same point (this week so
+// far against last week up to the same weekday and time), so a half-finished
+// week is not compared with a whole one.
+function compareReports({
+  store,
+  tariff,
+  connections,
+  query,
+  now = Date.now(),
+}) {
+  const { current, previous, bucket } = resolveRange(query, now);
+  const build = (range) =>
+    energyReport({ store, tariff, connections, bucket, ...range, now });
+
+  const report = { range: query.range || null, ...build(current) };
+  if (!query.compare) {
+    return report;
+  }
+
+  const elapsed = Math.min(now, current.to) - current.from;
+  const sameTimeTo = Math.min(previous.from + elapsed, previous.to);
+  const toDate =
+    sameTimeTo > previous.from
+      ? build({ from: previous.from, to: sameTimeTo }).totals
+      : { kwh: 0, cost: 0 };
+  const prior = build(previous);
+
+  report.previous = {
+    from: prior.from,
+    to: prior.to,
+    totals: prior.totals,
+    toDate,
+    buckets: prior.buckets,
+  };
+  report.change = {
+    kwh: round(report.totals.kwh - toDate.kwh),
+    cost: round(report.totals.cost - toDate.cost),
+    percent:
+      toDate.kwh > 0
+        ? round(((report.totals.kwh - toDate.kwh) / toDate.kwh) * 100, 1)
+        : null,
+  };
+  return report;
+}
+
+module.exports = {
+  BUCKETS,
+  RANGES,
+  GAP_THRESHOLD,
+  energyDelta,
+  deviceEnergy,
+  energyReport,
+  resolveRange,
+  compareReports,
+};
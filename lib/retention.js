@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { dataPath } = require("./db");
+const { UNITS, localDateKey, startOfLocalDay, PERIODS } = require("./time");
+
+// How long each tier of samples is kept, in days. Raw samples are rolled up
+// into 1-minute aggregates after `rawDays` and those into 1-hour aggregates
+// after `minuteDays`; hourly ones are dropped after `hourDays` (0: never).
+// With `archiveDays` set, raw samples are also written to one gzipped CSV
+// per day before they are rolled up, and the files kept for that long.
+// `maxMb` (0: no limit) caps the database: past it the oldest days go.
+const DEFAULT_CONFIG = {
+  rawDays: 7,
+  minuteDays: 90,
+  hourDays: 0,
+  archiveDays: 0,
+  maxMb: 0,
+};
+
+const RUN_INTERVAL = UNITS.h;
+
+const ARCHIVE_FILE = /^samples-(\d{4}-\d{2}-\d{2})\.csv\.gz$/;
+
+function retentionConfigFromEnv(env = process.env) {
+  const number = (name, fallback) => {
+    const value = parseFloat(env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    rawDays: number("RETENTION_RAW_DAYS", DEFAULT_CONFIG.rawDays),
+    minuteDays: number("RETENTION_MINUTE_DAYS", DEFAULT_CONFIG.minuteDays),
+    hourDays: number("RETENTION_HOUR_DAYS", DEFAULT_CONFIG.hourDays),
+    archiveDays: number("RETENTION_ARCHIVE_DAYS", DEFAULT_CONFIG.archiveDays),
+    maxMb: number("RETENTION_MAX_MB", DEFAULT_CONFIG.maxMb),
+  };
+}
+
+// Keeps the reading store within its retention settings: compacts old
+// samples into coarser tiers every hour, archives and rotates raw samples by
+// date, and enforces the size cap. Admins can also purge by hand.
+class RetentionManager {
+  constructor({
+    store,
+    config = DEFAULT_CONFIG,
+    archiveDir = dataPath("archive"),
+  }) {
+    this.store = store;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.archiveDir = archiveDir;
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    this.runSafely();
+    this.timer = setInterval(() => this.runSafely(), RUN_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  runSafely() {
+    try {
+      this.run();
+    } catch (error) {
+      console.error("Error compacting readings:", error);
+    }
+  }
+
+  // One pass of archiving, compaction and the size cap
+  run(now = Date.now()) {
+    const { rawDays, minuteDays, hourDays, archiveDays, maxMb } = this.config;
+    // Rounded down to the minute as compact() does, so everything archived
+    // is rolled up in the same pass and never archived again
+    const rawAge = now - rawDays * UNITS.d;
+    const rawBefore = rawAge - (rawAge % UNITS.m);
+    const archived = archiveDays > 0 ? this.archive(rawBefore) : 0;
+    const rotated = archiveDays > 0 ? this.rotate(now) : [];
+    const compacted = this.store.compact({
+      rawBefore,
+      minuteBefore: now - minuteDays * UNITS.d,
+      hourBefore: hourDays > 0 ? now - hourDays * UNITS.d : null,
+    });
+    const purged = maxMb > 0 ? this.enforceLimit(maxMb * 1024 * 1024, now) : 0;
+    this.lastRun = { at: now, archived, rotated, compacted, purged };
+    return this.lastRun;
+  }
+
+  // Append raw samples before `before` to their day's archive. Each pass
+  // adds a gzip member, which gunzip reads back as one file.
+  archive(before) {
+    fs.mkdirSync(this.archiveDir, { recursive: true });
+    let day = null;
+    let lines = [];
+    let count = 0;
+    const flush = () => {
+      if (lines.length === 0) {
+        return;
+      }
+      const file = path.join(this.archiveDir, `samples-${day}.csv.gz`);
+      if (!fs.existsSync(file)) {
+        lines.unshift("timestamp,device_id,metric,value");
+      }
+      fs.appendFileSync(file, zlib.gzipSync(`${lines.join("\n")}\n`));
+      lines = [];
+    };
+
+    for (const { deviceId, metric, ts, value } of this.store.iterateRaw({
+      before,
+    })) {
+      const key = localDateKey(ts);
+      if (key !== day) {
+        flush();
+        day = key;
+      }
+      lines.push(
+        `${new Date(ts).toISOString()},${deviceId},${metric},${value}`
+      );
+      count += 1;
+    }
+    flush();
+    return count;
+  }
+
+  // Archive files, oldest first: { file, date, bytes }
+  archives() {
+    let files;
+    try {
+      files = fs.readdirSync(this.archiveDir);
+    } catch {
+      return [];
+    }
+    return files
+      .filter((file) => ARCHIVE_FILE.test(file))
+      .sort()
+      .map((file) => ({
+        file,
+        date: file.match(ARCHIVE_FILE)[1],
+        bytes: fs.statSync(path.join(this.archiveDir, file)).size,
+      }));
+  }
+
+  // Delete archives older than archiveDays; returns their names
+  rotate(now = Date.now()) {
+    const oldest = localDateKey(now - this.config.archiveDays * UNITS.d);
+    const removed = [];
+    for (const { file, date } of this.archives()) {
+      if (date < oldest) {
+        fs.unlinkSync(path.join(this.archiveDir, file));
+        removed.push(file);
+      }
+    }
+    return removed;
+  }
+
+  // Drop the oldest day of samples until the database is under `maxBytes`,
+  // never touching the last day
+  enforceLimit(maxBytes, now = Date.now()) {
+    const keepFrom = startOfLocalDay(now - UNITS.d);
+    let deleted = 0;
+    for (;;) {
+      const { tiers, usedBytes } = this.store.usage();
+      const firsts = tiers
+        .map((tier) => tier.first)
+        .filter((first) => first !== null);
+      if (usedBytes <= maxBytes || firsts.length === 0) {
+        break;
+      }
+      const before = PERIODS.day.next(startOfLocalDay(Math.min(...firsts)));
+      if (before > keepFrom) {
+        break;
+      }
+      deleted += this.store.purge({ before });
+    }
+    if (deleted > 0) {
+      console.warn(
+        `Reading store over ${this.config.maxMb} MB: deleted ${deleted} old samples`
+      );
+    }
+    return deleted;
+  }
+
+  purge({ before, deviceId }) {
+    return { deleted: this.store.purge({ before, deviceId }) };
+  }
+
+  // Run a pass now, optionally giving freed space back to the file system
+  compact({ vacuum = false } = {}) {
+    const result = this.run();
+    if (vacuum) {
+      this.store.vacuum();
+    }
+    return result;
+  }
+
+  usage() {
+    const archives = this.archives();
+    return {
+      ...this.store.usage(),
+      config: this.config,
+      lastRun: this.lastRun,
+      archives,
+      archiveBytes: archives.reduce((total, { bytes }) => total + bytes, 0),
+    };
+  }
+}
+
+module.exports = {
+  RetentionManager,
+  retentionConfigFromEnv,
+  DEFAULT_CONFIG,
+};
@@ -0,0 +1,47 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { TYPES } = require("../anomalies");
+const { parseTime } = require("../time");
+
+// Flagged anomalies at /api/anomalies and the baselines behind them
+function createAnomaliesRouter({ anomalyDetector, devices }) {
+  const router = express.Router();
+
+  // GET /api/anomalies?deviceId=&type=&from=&to=&limit=
+  router.get(
+    "/",
+    handle((req, res) => {
+      const { deviceId, type } = req.query;
+      if (type && !TYPES.includes(type)) {
+        throw new ValidationError(`type must be one of ${TYPES.join(", ")}`);
+      }
+      let from;
+      let to;
+      try {
+        from = parseTime(req.query.from, undefined);
+        to = parseTime(req.query.to, undefined);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      res.json(anomalyDetector.list({ deviceId, type, from, to, limit }));
+    })
+  );
+
+  // GET /api/anomalies/baselines - current baselines per plug
+  router.get(
+    "/baselines",
+    handle((req, res) => {
+      const baselines = {};
+      for (const deviceId of devices.keys()) {
+        baselines[deviceId] = anomalyDetector.baselines(deviceId);
+      }
+      res.json(baselines);
+    })
+  );
+
+  return router;
+}
+
+module.exports = createAnomaliesRouter;
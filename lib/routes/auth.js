@@ -0,0 +1,78 @@
+const express = require("express");
+const handle = require("./handle");
+const { SESSION_COOKIE, SESSION_TTL, tokenFromRequest } = require("../auth");
+
+// Login and session endpoints, mounted at /api/auth. Login is the only
+// route in the API that works without a session. `onLogout(token)` and
+// `onSessionsEnded(userId)` let open WebSockets be closed.
+function createAuthRouter({
+  auth,
+  auditLog,
+  onLogout = () => {},
+  onSessionsEnded = () => {},
+}) {
+  const router = express.Router();
+  const requireUser = auth.requireUser();
+
+  router.post(
+    "/login",
+    handle(async (req, res) => {
+      const { username, password } = req.body || {};
+      const session = await auth.login(username, password);
+      if (!session) {
+        return res.status(401).json({ error: "Invalid username or password" });
+      }
+      auditLog.record({
+        username: session.user.username,
+        source: "rest",
+        action: "login",
+      });
+      res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: "strict",
+        secure: req.secure,
+        maxAge: SESSION_TTL,
+      });
+      // The token is returned too, for scripts using "Authorization: Bearer"
+      res.json(session);
+    })
+  );
+
+  router.post(
+    "/logout",
+    requireUser,
+    handle((req, res) => {
+      const token = tokenFromRequest(req);
+      auth.logout(token);
+      onLogout(token);
+      auditLog.recordRequest(req, "logout");
+      res.clearCookie(SESSION_COOKIE);
+      res.status(204).end();
+    })
+  );
+
+  router.get("/me", requireUser, (req, res) => {
+    res.json(req.user);
+  });
+
+  // PUT /api/auth/password { currentPassword, password }
+  router.put(
+    "/password",
+    requireUser,
+    handle(async (req, res) => {
+      const { currentPassword, password } = req.body || {};
+      if (!(await auth.checkPassword(req.user.username, currentPassword))) {
+        return res.status(400).json({ error: "Current password is wrong" });
+      }
+      await auth.updateUser(req.user.id, { password });
+      onSessionsEnded(req.user.id);
+      auditLog.recordRequest(req, "change password");
+      res.clearCookie(SESSION_COOKIE);
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,89 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { findDp, profileMetrics } = require("../profiles");
+
+// Switching and DP writes, mounted at /api/devices/:deviceId. Values are
+// checked against the device's profile (see encodeValue in profiles.js).
+function createControlsRouter({ auditLog }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Carry out a write to the plug and audit the attempt with its outcome
+  async function control(req, action, detail, write) {
+    const audit = (outcome) =>
+      auditLog.recordRequest(req, action, {
+        deviceId: req.device.id,
+        detail: { ...detail, ...outcome },
+      });
+    try {
+      if (!req.device.connected) {
+        throw new ValidationError("Device not connected");
+      }
+      const result = await write();
+      audit({ ok: true });
+      return result;
+    } catch (error) {
+      audit({ ok: false, error: error.message });
+      throw error;
+    }
+  }
+
+  router.post(
+    "/toggle",
+    handle(async (req, res) => {
+      const newState = await control(req, "toggle", {}, () =>
+        req.device.toggle()
+      );
+      res.json({ success: true, new_state: newState });
+    })
+  );
+
+  for (const action of ["on", "off"]) {
+    router.post(
+      `/${action}`,
+      handle(async (req, res) => {
+        const state = await control(req, action, {}, () =>
+          req.device.setPower(action === "on")
+        );
+        res.json({ success: true, power_state: state });
+      })
+    );
+  }
+
+  // GET /api/devices/:deviceId/dps - every DP the plug has, with its current
+  // value and, for writable ones, what may be written
+  router.get("/dps", (req, res) => {
+    const { profile, latestData } = req.device;
+    res.json(
+      profileMetrics(profile)
+        .filter((entry) => latestData[entry.metric] !== undefined)
+        .map((entry) => ({ ...entry, value: latestData[entry.metric] }))
+    );
+  });
+
+  // PUT /api/devices/:deviceId/dps/:dp { value } - :dp is a DP id or metric
+  router.put(
+    "/dps/:dp",
+    handle(async (req, res) => {
+      const entry = findDp(req.device.profile, req.params.dp);
+      if (!entry) {
+        return res.status(404).json({ error: "DP not found" });
+      }
+      if (!req.body || !("value" in req.body)) {
+        throw new ValidationError("value is required");
+      }
+
+      const value = await control(
+        req,
+        "set",
+        { dp: entry.dp, metric: entry.metric, value: req.body.value },
+        () => req.device.setValue(entry.dp, req.body.value)
+      );
+      res.json({ success: true, dp: entry.dp, metric: entry.metric, value });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createControlsRouter;
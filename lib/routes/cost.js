@@ -0,0 +1,41 @@
+const express = require("express");
+const { computeCost } = require("../cost");
+const { parseRange, startOfLocalMonth } = require("../time");
+
+// Routes mounted under /api/devices/:deviceId
+function createCostRouter({ store, tariff }) {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /api/devices/:deviceId/cost?from=&to=
+  // Defaults to the current calendar month up to now.
+  router.get("/cost", (req, res) => {
+    let range;
+    try {
+      const now = Date.now();
+      range = parseRange({
+        from: req.query.from || String(startOfLocalMonth(now)),
+        to: req.query.to || String(now),
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const report = computeCost({
+      store,
+      deviceId: req.device.id,
+      tariff,
+      ...range,
+    });
+
+    // What the plug is costing right now, from its live power draw
+    const power = req.device.latestData.power;
+    report.costPerHour =
+      typeof power === "number" ? (power / 1000) * report.currentRate : null;
+
+    res.json({ deviceId: req.device.id, ...report });
+  });
+
+  return router;
+}
+
+module.exports = createCostRouter;
@@ -0,0 +1,92 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { parseTime } = require("../time");
+
+// Appliance cycles, mounted under /api/devices/:deviceId (req.device is
+// resolved by the app)
+function createCyclesRouter({ cycleTracker, auditLog }) {
+  const router = express.Router({ mergeParams: true });
+
+  const findCycle = (req, res) => {
+    const cycle = cycleTracker.get(Number(req.params.cycleId));
+    if (!cycle || cycle.deviceId !== req.device.id) {
+      res.status(404).json({ error: "Cycle not found" });
+      return null;
+    }
+    return cycle;
+  };
+
+  // GET /api/devices/:id/cycles?from=&to=&limit=
+  router.get(
+    "/cycles",
+    handle((req, res) => {
+      let from;
+      let to;
+      try {
+        from = parseTime(req.query.from, 0);
+        to = parseTime(req.query.to, Date.now() + 1);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+      const limit = Math.min(Number(req.query.limit) || 50, 1000);
+      res.json({
+        deviceId: req.device.id,
+        settings: cycleTracker.settingsFor(req.device.id),
+        running: cycleTracker.running(req.device.id),
+        cycles: cycleTracker.list({ deviceId: req.device.id, from, to, limit }),
+      });
+    })
+  );
+
+  router.put(
+    "/cycles/settings",
+    handle((req, res) => {
+      const settings = cycleTracker.updateSettings(
+        req.device.id,
+        req.body || {}
+      );
+      auditLog.recordRequest(req, "cycle settings", {
+        deviceId: req.device.id,
+        detail: settings,
+      });
+      res.json(settings);
+    })
+  );
+
+  // Label a cycle ("40° wash"); an empty label clears it
+  router.put(
+    "/cycles/:cycleId",
+    handle((req, res) => {
+      if (!findCycle(req, res)) return;
+      const { label } = req.body || {};
+      if (label !== undefined && label !== null && typeof label !== "string") {
+        throw new ValidationError("label must be a string");
+      }
+      const cycle = cycleTracker.setLabel(Number(req.params.cycleId), label);
+      auditLog.recordRequest(req, "label cycle", {
+        deviceId: req.device.id,
+        detail: { cycleId: cycle.id, label: cycle.label },
+      });
+      res.json(cycle);
+    })
+  );
+
+  router.delete(
+    "/cycles/:cycleId",
+    handle((req, res) => {
+      const cycle = findCycle(req, res);
+      if (!cycle) return;
+      cycleTracker.remove(cycle.id);
+      auditLog.recordRequest(req, "delete cycle", {
+        deviceId: req.device.id,
+        detail: cycle,
+      });
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
+
+module.exports = createCyclesRouter;
@@ -0,0 +1,82 @@
+const express = require("express");
+const handle = require("./handle");
+const { GROUP_ACTIONS } = require("../groups");
+
+// Device groups at /api/groups, with the aggregate power and today's energy
+// of each, and switching a whole group at once
+function createGroupsRouter({ groups, auditLog }) {
+  const router = express.Router();
+
+  router.get(
+    "/",
+    handle((req, res) => {
+      res.json(groups.listGroups().map((group) => groups.summarize(group)));
+    })
+  );
+
+  router.get(
+    "/:id",
+    handle((req, res) => {
+      const group = groups.getGroup(Number(req.params.id));
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      res.json(groups.summarize(group));
+    })
+  );
+
+  // POST /api/groups { name, deviceIds }
+  router.post(
+    "/",
+    handle((req, res) => {
+      const group = groups.createGroup(req.body || {});
+      auditLog.recordRequest(req, "create group", { detail: group });
+      res.status(201).json(group);
+    })
+  );
+
+  router.put(
+    "/:id",
+    handle((req, res) => {
+      const group = groups.updateGroup(Number(req.params.id), req.body || {});
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      auditLog.recordRequest(req, "update group", { detail: group });
+      res.json(group);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    handle((req, res) => {
+      const group = groups.getGroup(Number(req.params.id));
+      if (!group || !groups.removeGroup(group.id)) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      auditLog.recordRequest(req, "delete group", { detail: group });
+      res.status(204).end();
+    })
+  );
+
+  // POST /api/groups/:id/on, /off or /toggle - one result per member
+  for (const action of GROUP_ACTIONS) {
+    router.post(
+      `/:id/${action}`,
+      handle(async (req, res) => {
+        const result = await groups.switchGroup(Number(req.params.id), action, {
+          username: req.user.username,
+          source: "rest",
+        });
+        if (!result) {
+          return res.status(404).json({ error: "Group not found" });
+        }
+        res.json(result);
+      })
+    );
+  }
+
+  return router;
+}
+
+module.exports = createGroupsRouter;
@@ -0,0 +1,23 @@
+const { ValidationError } = require("../errors");
+
+// Wrap a (possibly async) route handler: ValidationError becomes a 400 with
+// its message, anything else is logged and answered with a 500. A response
+// already under way (a streamed download) is cut short instead.
+function handle(fn) {
+  return async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (error) {
+      if (error instanceof ValidationError && !res.headersSent) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = handle;
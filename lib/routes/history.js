@@ -0,0 +1,152 @@
+const express = require("express");
+const createCsvStringifier = require("csv-writer").createObjectCsvStringifier;
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { csvHeaderFor, profileMetrics } = require("../profiles");
+const {
+  MAX_POINTS,
+  UNITS,
+  autoBucket,
+  parseDuration,
+  parseRange,
+} = require("../time");
+
+function resolveMetrics(profile, requested) {
+  const loggable = profileMetrics(profile).filter(
+    (metric) => metric.type !== "string"
+  );
+  if (!requested) {
+    // Measurements only; settings like a countdown are left out by default
+    return loggable
+      .filter((metric) => metric.type === "number" && !metric.writable)
+      .map((metric) => metric.metric);
+  }
+
+  const names = String(requested)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!loggable.some((metric) => metric.metric === name)) {
+      throw new RangeError(`Unknown metric for this device: ${name}`);
+    }
+  }
+  return names;
+}
+
+// A boolean is stored as 0/1, so a rolled-up minute or hour averages to the
+// fraction of its samples that were on. Whole buckets stay true/false.
+function exportBoolean(value) {
+  if (value === 0 || value === 1) {
+    return value === 1;
+  }
+  return Math.round(value * 1000) / 1000;
+}
+
+// Routes mounted under /api/devices/:deviceId (req.device is resolved by the
+// app-level :deviceId param handler).
+function createHistoryRouter({ store }) {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /api/devices/:deviceId/history?from=&to=&metric=&bucket=
+  router.get(
+    "/history",
+    handle((req, res) => {
+      let range, metrics, bucket;
+      try {
+        range = parseRange(req.query);
+        metrics = resolveMetrics(req.device.profile, req.query.metric);
+        bucket =
+          parseDuration(req.query.bucket) || autoBucket(range.to - range.from);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if ((range.to - range.from) / bucket > MAX_POINTS) {
+        throw new ValidationError(
+          `Bucket too small: more than ${MAX_POINTS} points requested`
+        );
+      }
+
+      const series = store.queryHistory({
+        deviceId: req.device.id,
+        metrics,
+        bucket,
+        ...range,
+      });
+      res.json({ deviceId: req.device.id, ...range, bucket, series });
+    })
+  );
+
+  // GET /api/devices/:deviceId/data/csv?from=&to=
+  // Without a range the whole stored history is exported.
+  router.get(
+    "/data/csv",
+    handle(async (req, res) => {
+      const bounds = store.timeBounds(req.device.id);
+      const defaults = bounds
+        ? { from: bounds.first, to: bounds.last + 1 }
+        : { from: 0, to: 1 };
+      let range;
+      try {
+        range = parseRange({
+          from: req.query.from || String(defaults.from),
+          to: req.query.to || String(defaults.to),
+        });
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      const profile = req.device.profile;
+      const booleans = profileMetrics(profile)
+        .filter((metric) => metric.type === "boolean")
+        .map((metric) => metric.metric);
+      const stringifier = createCsvStringifier({
+        header: csvHeaderFor(profile),
+      });
+
+      res.attachment(`device_data_${req.device.id}.csv`);
+      res.type("text/csv");
+      res.write(stringifier.getHeaderString());
+
+      // Export one day at a time so a long history is never held in memory and
+      // the database is free for new readings between chunks.
+      for (let start = range.from; start < range.to; start += UNITS.d) {
+        const records = [];
+        for (const row of store.iterateReadings({
+          deviceId: req.device.id,
+          from: start,
+          to: Math.min(start + UNITS.d, range.to),
+        })) {
+          const record = { timestamp: new Date(row.ts).toISOString() };
+          for (const [metric, value] of Object.entries(row)) {
+            if (metric !== "ts") {
+              record[metric] = booleans.includes(metric)
+                ? exportBoolean(value)
+                : value;
+            }
+          }
+          records.push(record);
+        }
+
+        if (
+          records.length > 0 &&
+          !res.write(stringifier.stringifyRecords(records))
+        ) {
+          await new Promise((resolve) => {
+            res.once("drain", resolve);
+            res.once("close", resolve);
+          });
+        }
+        if (res.destroyed) {
+          return;
+        }
+      }
+      res.end();
+    })
+  );
+
+  return router;
+}
+
+module.exports = createHistoryRouter;
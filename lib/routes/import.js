@@ -0,0 +1,63 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { importReadings } = require("../importer");
+
+// Largest file accepted; months of readings every few seconds fit
+const MAX_FILE_SIZE = "50mb";
+
+// Importing old readings into one plug's history, for admins, mounted at
+// /api/devices/:deviceId/import (req.device is resolved by the app)
+function createImportRouter({ store, auditLog }) {
+  const router = express.Router({ mergeParams: true });
+
+  // POST /api/devices/:id/import?format=&mapping=&sourceDevice=&dryRun=&name=
+  // with the file as the request body. `mapping` is JSON: { column: metric
+  // or { metric, scale } }, suggested from the column names when left out.
+  // Send files as text/plain; JSON sent as application/json is read too.
+  router.post(
+    "/",
+    express.text({ type: () => true, limit: MAX_FILE_SIZE }),
+    handle((req, res) => {
+      const { format, sourceDevice, name } = req.query;
+      const content =
+        typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+      let mapping;
+      if (req.query.mapping) {
+        try {
+          mapping = JSON.parse(req.query.mapping);
+        } catch (error) {
+          throw new ValidationError("mapping must be JSON");
+        }
+      }
+      const dryRun = ["true", "1"].includes(req.query.dryRun);
+
+      const result = importReadings({
+        store,
+        deviceId: req.device.id,
+        profile: req.device.profile,
+        content,
+        format,
+        mapping,
+        sourceDevice,
+        dryRun,
+      });
+      if (!dryRun) {
+        auditLog.recordRequest(req, "import", {
+          deviceId: req.device.id,
+          detail: {
+            file: name || null,
+            samples: result.imported,
+            from: result.from,
+            to: result.to,
+          },
+        });
+      }
+      res.json(result);
+    })
+  );
+
+  return router;
+}
+
+module.exports = createImportRouter;
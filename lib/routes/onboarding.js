@@ -0,0 +1,105 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { probeVersions } = require("../onboarding");
+const { suggestProfile } = require("../profiles");
+const { saveDeviceConfig } = require("../deviceRegistry");
+
+function requireFields(body, fields) {
+  for (const field of fields) {
+    if (!body[field] || typeof body[field] !== "string") {
+      throw new ValidationError(`${field} is required`);
+    }
+  }
+}
+
+// Device onboarding, mounted at /api/onboarding: plugs seen on the network,
+// protocol version probing and saving new plugs to devices.json. `addDevice`
+// connects a newly saved plug without a restart.
+function createOnboardingRouter({
+  discovery,
+  devices,
+  profiles,
+  addDevice,
+  auditLog,
+}) {
+  const router = express.Router();
+
+  router.get("/discovered", (req, res) => {
+    res.json(
+      discovery.list().map((device) => ({
+        ...device,
+        configured: devices.has(device.id),
+      }))
+    );
+  });
+
+  // POST /api/onboarding/probe { id, key, ip?, version? }
+  router.post(
+    "/probe",
+    handle(async (req, res) => {
+      const body = req.body || {};
+      requireFields(body, ["id", "key"]);
+      const existing = devices.get(body.id);
+      if (existing && existing.connected) {
+        throw new ValidationError(
+          `${existing.name} is already connected to the dashboard`
+        );
+      }
+
+      const { version, dps, results } = await probeVersions(
+        { id: body.id, key: body.key, ip: body.ip },
+        { preferred: body.version }
+      );
+      res.json({
+        version,
+        dps,
+        profile: dps ? suggestProfile(profiles, dps) : null,
+        results,
+      });
+    })
+  );
+
+  // POST /api/onboarding/devices { id, key, ip, version, name?, profile? }
+  router.post(
+    "/devices",
+    handle((req, res) => {
+      const body = req.body || {};
+      requireFields(body, ["id", "key", "ip", "version"]);
+      if (body.profile && !profiles.has(body.profile)) {
+        throw new ValidationError(`Unknown profile: ${body.profile}`);
+      }
+
+      const config = saveDeviceConfig({
+        id: body.id,
+        key: body.key,
+        ip: body.ip,
+        version: body.version,
+        name: body.name,
+        profile: body.profile,
+        // The plug answered a probe, so it is no longer simulated
+        simulator: false,
+      });
+      auditLog.recordRequest(req, "add device", {
+        deviceId: config.id,
+        detail: { name: config.name, ip: config.ip, version: config.version },
+      });
+
+      // A plug that is already running keeps its old settings until restart:
+      // its connection cannot be swapped out underneath schedules and rules.
+      if (devices.has(config.id)) {
+        return res.json({
+          device: devices.get(config.id).toJSON(),
+          restartRequired: true,
+        });
+      }
+      res
+        .status(201)
+        .json({ device: addDevice(config).toJSON(), restartRequired: false });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createOnboardingRouter;
@@ -0,0 +1,249 @@
+const express = require("express");
+const { createObjectCsvStringifier } = require("csv-writer");
+const handle = require("./handle");
+const { findMetric } = require("../profiles");
+const { ValidationError } = require("../errors");
+const { compareReports, resolveRange } = require("../reports");
+const {
+  powerBreakdown,
+  energyBreakdown,
+  comparePower,
+} = require("../overview");
+const { renderReportHtml } = require("../reportHtml");
+const { autoBucket, parseDuration, parseTime } = require("../time");
+
+// Energy reports over every metered plug, or one with ?deviceId=.
+// Query: range (day, week, month or year; the current one, default week) or
+// from/to, bucket (hour, day, week or month) and compare (default true).
+// The overview endpoints (power, breakdown, compare) take the same range.
+function createReportsRouter({ devices, store, tariff }) {
+  const router = express.Router();
+
+  // The plugs a request is about: ?deviceId= or every plug, null for an
+  // unknown one
+  function selectConnections(deviceId) {
+    if (!deviceId) {
+      return Array.from(devices.values());
+    }
+    const connection = devices.get(deviceId);
+    return connection ? [connection] : null;
+  }
+
+  function parseQuery(req) {
+    const { range = "week", from, to, bucket } = req.query;
+    let query;
+    try {
+      query = {
+        range,
+        from: parseTime(from, undefined),
+        to: parseTime(to, undefined),
+        bucket,
+        compare: !["false", "0"].includes(req.query.compare),
+      };
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+    if ((query.from === undefined) !== (query.to === undefined)) {
+      throw new ValidationError("Give both `from` and `to`, or neither");
+    }
+    return query;
+  }
+
+  function buildReport(req) {
+    const connections = selectConnections(req.query.deviceId);
+    if (!connections) {
+      return null;
+    }
+    return compareReports({
+      store,
+      tariff,
+      connections,
+      query: parseQuery(req),
+    });
+  }
+
+  // Range and power bucket of the overview endpoints. `bucket` is a
+  // duration here ("15m"), picked to suit the range when left out.
+  function overviewRange(req) {
+    const query = parseQuery(req);
+    const range = resolveRange({ ...query, bucket: undefined });
+    let step;
+    try {
+      step =
+        parseDuration(query.bucket) ||
+        autoBucket(range.current.to - range.current.from);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+    return { ...range, step };
+  }
+
+  const requirePower = (connection) => {
+    if (!findMetric(connection.profile, "power")) {
+      throw new ValidationError(`${connection.name} does not report power`);
+    }
+  };
+
+  const notFound = (res) => res.status(404).json({ error: "Device not found" });
+
+  // GET /api/reports/energy
+  router.get(
+    "/energy",
+    handle((req, res) => {
+      const report = buildReport(req);
+      if (!report) return notFound(res);
+      res.json(report);
+    })
+  );
+
+  // GET /api/reports/energy/csv - one row per bucket, one column per plug
+  router.get(
+    "/energy/csv",
+    handle((req, res) => {
+      const report = buildReport(req);
+      if (!report) return notFound(res);
+
+      const header = [
+        { id: "period", title: "Period" },
+        { id: "start", title: "Start" },
+        ...report.devices.map((device, i) => ({
+          id: `device${i}`,
+          title: `${device.name} (kWh)`,
+        })),
+        { id: "kwh", title: "Total (kWh)" },
+        {
+          id: "cost",
+          title: `Cost${report.currency ? ` (${report.currency})` : ""}`,
+        },
+        ...(report.previous
+          ? [{ id: "previous", title: "Previous period (kWh)" }]
+          : []),
+        { id: "estimated", title: "Estimated" },
+      ];
+      const records = report.buckets.map((bucket, index) => {
+        const record = {
+          period: bucket.label,
+          start: new Date(bucket.start).toISOString(),
+          kwh: bucket.kwh,
+          cost: bucket.cost,
+          estimated: bucket.estimated ? "yes" : "",
+        };
+        report.devices.forEach((device, i) => {
+          record[`device${i}`] = device.buckets[index].kwh;
+        });
+        if (report.previous && report.previous.buckets[index]) {
+          record.previous = report.previous.buckets[index].kwh;
+        }
+        return record;
+      });
+
+      const stringifier = createObjectCsvStringifier({ header });
+      res.attachment(`energy_report_${report.range || "custom"}.csv`);
+      res.type("text/csv");
+      res.send(
+        stringifier.getHeaderString() + stringifier.stringifyRecords(records)
+      );
+    })
+  );
+
+  // GET /api/reports/energy/html - printable summary with a chart
+  router.get(
+    "/energy/html",
+    handle((req, res) => {
+      const report = buildReport(req);
+      if (!report) return notFound(res);
+      res.type("html").send(renderReportHtml(report));
+    })
+  );
+
+  // GET /api/reports/power - average power of every plug per bucket, for a
+  // stacked chart of the whole house
+  router.get(
+    "/power",
+    handle((req, res) => {
+      const { current, step } = overviewRange(req);
+      res.json(
+        powerBreakdown({
+          store,
+          connections: selectConnections(),
+          ...current,
+          step,
+        })
+      );
+    })
+  );
+
+  // GET /api/reports/breakdown - each plug's share of the energy used over
+  // the range, biggest consumer first
+  router.get(
+    "/breakdown",
+    handle((req, res) => {
+      const { current, bucket } = resolveRange(parseQuery(req));
+      res.json(
+        energyBreakdown({
+          store,
+          tariff,
+          connections: selectConnections(),
+          bucket,
+          ...current,
+        })
+      );
+    })
+  );
+
+  // GET /api/reports/compare - two power series to overlay: two plugs over
+  // one range (?devices=a,b) or one plug, or the whole house without
+  // ?deviceId=, over the range and the one starting at ?against= (default
+  // the previous range)
+  router.get(
+    "/compare",
+    handle((req, res) => {
+      const { current, previous, bucket, step } = overviewRange(req);
+      let subjects;
+      if (req.query.devices) {
+        const ids = String(req.query.devices).split(",");
+        if (ids.length !== 2) {
+          throw new ValidationError("devices must name two plugs");
+        }
+        subjects = [];
+        for (const id of ids) {
+          const connection = devices.get(id);
+          if (!connection) return notFound(res);
+          requirePower(connection);
+          subjects.push({
+            label: connection.name,
+            connections: [connection],
+            ...current,
+          });
+        }
+      } else {
+        const connections = selectConnections(req.query.deviceId);
+        if (!connections) return notFound(res);
+        if (req.query.deviceId) requirePower(connections[0]);
+        let against;
+        try {
+          against = parseTime(req.query.against, previous.from);
+        } catch (error) {
+          throw new ValidationError(error.message);
+        }
+        subjects = [
+          { label: "This period", connections, ...current },
+          {
+            label: "Compared period",
+            connections,
+            from: against,
+            to: against + (current.to - current.from),
+          },
+        ];
+      }
+      res.json({
+        mode: req.query.devices ? "devices" : "periods",
+        ...comparePower({ store, tariff, subjects, bucket, step }),
+      });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createReportsRouter;
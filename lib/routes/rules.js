@@ -0,0 +1,80 @@
+const express = require("express");
+const handle = require("./handle");
+
+// CRUD for alert rules at /api/rules, plus the alert log at /api/alerts
+function createRulesRouter({ ruleEngine, auditLog }) {
+  const router = express.Router();
+
+  router.get(
+    "/rules",
+    handle((req, res) => {
+      res.json(ruleEngine.list());
+    })
+  );
+
+  router.get(
+    "/rules/:id",
+    handle((req, res) => {
+      const rule = ruleEngine.get(Number(req.params.id));
+      if (!rule) {
+        return res.status(404).json({ error: "Rule not found" });
+      }
+      res.json(rule);
+    })
+  );
+
+  router.post(
+    "/rules",
+    handle((req, res) => {
+      const rule = ruleEngine.create(req.body || {});
+      auditLog.recordRequest(req, "create rule", {
+        deviceId: rule.deviceId,
+        detail: rule,
+      });
+      res.status(201).json(rule);
+    })
+  );
+
+  router.put(
+    "/rules/:id",
+    handle((req, res) => {
+      const rule = ruleEngine.update(Number(req.params.id), req.body || {});
+      if (!rule) {
+        return res.status(404).json({ error: "Rule not found" });
+      }
+      auditLog.recordRequest(req, "update rule", {
+        deviceId: rule.deviceId,
+        detail: rule,
+      });
+      res.json(rule);
+    })
+  );
+
+  router.delete(
+    "/rules/:id",
+    handle((req, res) => {
+      const rule = ruleEngine.get(Number(req.params.id));
+      if (!rule || !ruleEngine.remove(rule.id)) {
+        return res.status(404).json({ error: "Rule not found" });
+      }
+      auditLog.recordRequest(req, "delete rule", {
+        deviceId: rule.deviceId,
+        detail: rule,
+      });
+      res.status(204).end();
+    })
+  );
+
+  // GET /api/alerts?deviceId=&limit=
+  router.get(
+    "/alerts",
+    handle((req, res) => {
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      res.json(ruleEngine.alerts({ deviceId: req.query.deviceId, limit }));
+    })
+  );
+
+  return router;
+}
+
+module.exports = createRulesRouter;
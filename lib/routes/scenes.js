@@ -0,0 +1,80 @@
+const express = require("express");
+const handle = require("./handle");
+
+// Scenes at /api/scenes: several DP writes across several plugs, applied
+// with one request
+function createScenesRouter({ groups, auditLog }) {
+  const router = express.Router();
+
+  router.get(
+    "/",
+    handle((req, res) => {
+      res.json(groups.listScenes());
+    })
+  );
+
+  router.get(
+    "/:id",
+    handle((req, res) => {
+      const scene = groups.getScene(Number(req.params.id));
+      if (!scene) {
+        return res.status(404).json({ error: "Scene not found" });
+      }
+      res.json(scene);
+    })
+  );
+
+  // POST /api/scenes { name, actions: [{ deviceId, values }], staggerSeconds? }
+  router.post(
+    "/",
+    handle((req, res) => {
+      const scene = groups.createScene(req.body || {});
+      auditLog.recordRequest(req, "create scene", { detail: scene });
+      res.status(201).json(scene);
+    })
+  );
+
+  router.put(
+    "/:id",
+    handle((req, res) => {
+      const scene = groups.updateScene(Number(req.params.id), req.body || {});
+      if (!scene) {
+        return res.status(404).json({ error: "Scene not found" });
+      }
+      auditLog.recordRequest(req, "update scene", { detail: scene });
+      res.json(scene);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    handle((req, res) => {
+      const scene = groups.getScene(Number(req.params.id));
+      if (!scene || !groups.removeScene(scene.id)) {
+        return res.status(404).json({ error: "Scene not found" });
+      }
+      auditLog.recordRequest(req, "delete scene", { detail: scene });
+      res.status(204).end();
+    })
+  );
+
+  // POST /api/scenes/:id/activate - one result per device; plugs a stagger
+  // starts later are pending, and their results are broadcast as they finish
+  router.post(
+    "/:id/activate",
+    handle(async (req, res) => {
+      const result = await groups.activateScene(Number(req.params.id), {
+        username: req.user.username,
+        source: "rest",
+      });
+      if (!result) {
+        return res.status(404).json({ error: "Scene not found" });
+      }
+      res.json(result);
+    })
+  );
+
+  return router;
+}
+
+module.exports = createScenesRouter;
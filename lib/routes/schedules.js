@@ -0,0 +1,72 @@
+const express = require("express");
+const handle = require("./handle");
+
+// CRUD for schedules, mounted at /api/schedules
+function createSchedulesRouter({ scheduler, auditLog }) {
+  const router = express.Router();
+
+  // GET /api/schedules?deviceId=
+  router.get(
+    "/",
+    handle((req, res) => {
+      res.json(scheduler.list(req.query.deviceId));
+    })
+  );
+
+  router.get(
+    "/:id",
+    handle((req, res) => {
+      const schedule = scheduler.get(Number(req.params.id));
+      if (!schedule) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+      res.json(schedule);
+    })
+  );
+
+  router.post(
+    "/",
+    handle((req, res) => {
+      const schedule = scheduler.create(req.body || {});
+      auditLog.recordRequest(req, "create schedule", {
+        deviceId: schedule.deviceId,
+        detail: schedule,
+      });
+      res.status(201).json(schedule);
+    })
+  );
+
+  router.put(
+    "/:id",
+    handle((req, res) => {
+      const schedule = scheduler.update(Number(req.params.id), req.body || {});
+      if (!schedule) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+      auditLog.recordRequest(req, "update schedule", {
+        deviceId: schedule.deviceId,
+        detail: schedule,
+      });
+      res.json(schedule);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    handle((req, res) => {
+      const schedule = scheduler.get(Number(req.params.id));
+      if (!schedule || !scheduler.remove(schedule.id)) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+      auditLog.recordRequest(req, "delete schedule", {
+        deviceId: schedule.deviceId,
+        detail: schedule,
+      });
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
+
+module.exports = createSchedulesRouter;
@@ -0,0 +1,38 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { SimulatedTuyaDevice, FAULTS } = require("../simulator");
+
+// Fault injection for simulated plugs, mounted at /api/devices/:deviceId
+function createSimulatorRouter({ auditLog }) {
+  const router = express.Router({ mergeParams: true });
+
+  // POST /api/devices/:deviceId/simulator/faults { type, count? }
+  router.post(
+    "/simulator/faults",
+    handle((req, res) => {
+      const simulator = req.device.device;
+      if (!(simulator instanceof SimulatedTuyaDevice)) {
+        return res.status(404).json({ error: "Device is not simulated" });
+      }
+      const { type, count = 1 } = req.body || {};
+      if (!FAULTS.includes(type)) {
+        throw new ValidationError(`type must be one of ${FAULTS.join(", ")}`);
+      }
+      if (!Number.isInteger(count) || count < 1) {
+        throw new ValidationError("count must be a positive integer");
+      }
+
+      simulator.injectFault(type, count);
+      auditLog.recordRequest(req, "inject fault", {
+        deviceId: req.device.id,
+        detail: { type, count },
+      });
+      res.json({ type, count });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createSimulatorRouter;
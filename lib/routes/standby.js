@@ -0,0 +1,49 @@
+const express = require("express");
+const handle = require("./handle");
+const { startOfLocalDay } = require("../time");
+
+// The standby killer of one plug, mounted under /api/devices/:deviceId
+// (req.device is resolved by the app)
+function createStandbyRouter({ standbyKiller, auditLog }) {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /api/devices/:id/standby - settings, learned band, recent cutoffs
+  // and what they saved today and in total
+  router.get(
+    "/standby",
+    handle((req, res) => {
+      const deviceId = req.device.id;
+      res.json({
+        deviceId,
+        ...standbyKiller.status(deviceId),
+        saved: {
+          today: standbyKiller.savings({
+            deviceId,
+            from: startOfLocalDay(Date.now()),
+          }),
+          total: standbyKiller.savings({ deviceId }),
+        },
+        cutoffs: standbyKiller.cutoffs({ deviceId, limit: 20 }),
+      });
+    })
+  );
+
+  router.put(
+    "/standby/settings",
+    handle((req, res) => {
+      const settings = standbyKiller.updateSettings(
+        req.device.id,
+        req.body || {}
+      );
+      auditLog.recordRequest(req, "standby settings", {
+        deviceId: req.device.id,
+        detail: settings,
+      });
+      res.json(settings);
+    })
+  );
+
+  return router;
+}
+
+module.exports = createStandbyRouter;
@@ -0,0 +1,61 @@
+const express = require("express");
+const handle = require("./handle");
+const { ValidationError } = require("../errors");
+const { parseTime } = require("../time");
+
+// Reading storage for admins, mounted at /api/storage
+function createStorageRouter({ retention, devices, auditLog }) {
+  const router = express.Router();
+
+  // GET /api/storage - rows per tier, database size and archives
+  router.get(
+    "/",
+    handle((req, res) => {
+      res.json(retention.usage());
+    })
+  );
+
+  // POST /api/storage/compact { vacuum? } - run retention now
+  router.post(
+    "/compact",
+    handle((req, res) => {
+      const vacuum = Boolean((req.body || {}).vacuum);
+      const result = retention.compact({ vacuum });
+      auditLog.recordRequest(req, "compact storage", { detail: { vacuum } });
+      res.json(result);
+    })
+  );
+
+  // POST /api/storage/purge { before, deviceId? } - delete older samples
+  router.post(
+    "/purge",
+    handle((req, res) => {
+      const { before, deviceId } = req.body || {};
+      if (before === undefined || before === null || before === "") {
+        throw new ValidationError("before is required");
+      }
+      let beforeMs;
+      try {
+        beforeMs = parseTime(String(before));
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+      if (deviceId && !devices.has(deviceId)) {
+        throw new ValidationError(`Unknown device ${deviceId}`);
+      }
+      const result = retention.purge({
+        before: beforeMs,
+        deviceId: deviceId || null,
+      });
+      auditLog.recordRequest(req, "purge storage", {
+        deviceId: deviceId || null,
+        detail: { before: new Date(beforeMs).toISOString(), ...result },
+      });
+      res.json(result);
+    })
+  );
+
+  return router;
+}
+
+module.exports = createStorageRouter;
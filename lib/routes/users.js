@@ -0,0 +1,69 @@
+const express = require("express");
+const handle = require("./handle");
+
+// User management for admins, mounted at /api/users. `onSessionsEnded(userId)`
+// is called when a user's sessions end (new password, deleted user).
+function createUsersRouter({ auth, auditLog, onSessionsEnded = () => {} }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json(auth.listUsers());
+  });
+
+  // POST /api/users { username, password, role }
+  router.post(
+    "/",
+    handle(async (req, res) => {
+      const user = await auth.createUser(req.body || {});
+      auditLog.recordRequest(req, "create user", {
+        detail: { username: user.username, role: user.role },
+      });
+      res.status(201).json(user);
+    })
+  );
+
+  // PUT /api/users/:id { password?, role? }
+  router.put(
+    "/:id",
+    handle(async (req, res) => {
+      const { password, role } = req.body || {};
+      const user = await auth.updateUser(Number(req.params.id), {
+        password,
+        role,
+      });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (password !== undefined) {
+        onSessionsEnded(user.id);
+      }
+      auditLog.recordRequest(req, "update user", {
+        detail: {
+          username: user.username,
+          role: user.role,
+          passwordChanged: password !== undefined,
+        },
+      });
+      res.json(user);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    handle((req, res) => {
+      const user = auth.getUser(Number(req.params.id));
+      if (!user || !auth.removeUser(user.id)) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      onSessionsEnded(user.id);
+      auditLog.recordRequest(req, "delete user", {
+        detail: { username: user.username },
+      });
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,439 @@
+const { EventEmitter } = require("events");
+const { ValidationError } = require("./errors");
+
+const CONDITIONS = ["above", "below", "outside", "disconnected"];
+const ACTIONS = ["broadcast", "log", "webhook", "switchOff"];
+const TICK_INTERVAL = 5000;
+const WEBHOOK_TIMEOUT = 5000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    device_id TEXT,
+    condition TEXT NOT NULL,
+    actions TEXT NOT NULL,
+    cooldown_seconds INTEGER NOT NULL DEFAULT 300,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    device_id TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    state TEXT NOT NULL,
+    message TEXT NOT NULL,
+    value REAL
+  );
+
+  CREATE INDEX IF NOT EXISTS alerts_ts ON alerts (ts);
+`;
+
+const number = (value, field) => {
+  const n = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(n)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  return n;
+};
+
+// Conditions:
+//   { type: "above",   metric, value, forSeconds, hysteresis }
+//   { type: "below",   metric, value, forSeconds, hysteresis }
+//   { type: "outside", metric, min, max, forSeconds, hysteresis }
+//   { type: "disconnected", forSeconds }
+// A condition must hold for `forSeconds` before the rule fires. Once fired
+// it only resolves after the reading is back past the limit by `hysteresis`.
+function parseCondition(condition) {
+  if (!condition || !CONDITIONS.includes(condition.type)) {
+    throw new ValidationError(
+      `condition.type must be one of ${CONDITIONS.join(", ")}`
+    );
+  }
+  const parsed = {
+    type: condition.type,
+    forSeconds: condition.forSeconds
+      ? number(condition.forSeconds, "forSeconds")
+      : 0,
+  };
+  if (condition.type === "disconnected") {
+    return parsed;
+  }
+
+  if (!condition.metric) {
+    throw new ValidationError("condition.metric is required");
+  }
+  parsed.metric = condition.metric;
+  parsed.hysteresis = condition.hysteresis
+    ? Math.abs(number(condition.hysteresis, "hysteresis"))
+    : 0;
+
+  if (condition.type === "outside") {
+    parsed.min = number(condition.min, "min");
+    parsed.max = number(condition.max, "max");
+    if (parsed.min >= parsed.max) {
+      throw new ValidationError("min must be below max");
+    }
+  } else {
+    parsed.value = number(condition.value, "value");
+  }
+  return parsed;
+}
+
+function parseActions(actions) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new ValidationError("A rule needs at least one action");
+  }
+  return actions.map((action) => {
+    const type = typeof action === "string" ? action : action && action.type;
+    if (!ACTIONS.includes(type)) {
+      throw new ValidationError(
+        `action type must be one of ${ACTIONS.join(", ")}`
+      );
+    }
+    if (type === "webhook") {
+      let url;
+      try {
+        url = new URL(action.url);
+      } catch (error) {
+        throw new ValidationError("A webhook action needs a valid url");
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new ValidationError("Webhook urls must be http or https");
+      }
+      return { type, url: url.toString() };
+    }
+    return { type };
+  });
+}
+
+// Is the condition violated? While the rule is active the limits are
+// relaxed by the hysteresis so that a value hovering around the threshold
+// does not flap between triggered and resolved.
+function isViolated(condition, value, active) {
+  const slack = active ? condition.hysteresis : 0;
+  if (condition.type === "above") {
+    return value > condition.value - slack;
+  }
+  if (condition.type === "below") {
+    return value < condition.value + slack;
+  }
+  return value < condition.min + slack || value > condition.max - slack;
+}
+
+function describeCondition(condition) {
+  const after = condition.forSeconds ? ` for ${condition.forSeconds} s` : "";
+  if (condition.type === "disconnected") return `disconnected${after}`;
+  if (condition.type === "outside") {
+    return `${condition.metric} outside ${condition.min}-${condition.max}${after}`;
+  }
+  return `${condition.metric} ${condition.type} ${condition.value}${after}`;
+}
+
+function toRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    deviceId: row.device_id,
+    condition: JSON.parse(row.condition),
+    actions: JSON.parse(row.actions),
+    cooldownSeconds: row.cooldown_seconds,
+    enabled: row.enabled === 1,
+    createdAt: row.created_at,
+  };
+}
+
+function toAlert(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    deviceId: row.device_id,
+    ts: row.ts,
+    state: row.state,
+    message: row.message,
+    value: row.value,
+  };
+}
+
+// Evaluates user rules against live readings (and connection state, on a
+// timer) and runs their actions. Emits "alert" for every triggered or
+// resolved alert so the server can broadcast it, and "switchOff" (with the
+// alert) when a rule has switched a plug off.
+class RuleEngine extends EventEmitter {
+  constructor({ db, devices, fetch = global.fetch }) {
+    super();
+    this.db = db;
+    this.devices = devices;
+    this.fetch = fetch;
+    this.timer = null;
+    // Per rule and device: { since, active, lastFired }
+    this.states = new Map();
+    this.db.exec(SCHEMA);
+    this.loadRules();
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  loadRules() {
+    this.rules = this.db
+      .prepare("SELECT * FROM rules ORDER BY id")
+      .all()
+      .map(toRule);
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  get(id) {
+    return this.rules.find((rule) => rule.id === id) || null;
+  }
+
+  validate(input) {
+    if (!input.name) {
+      throw new ValidationError("A rule needs a name");
+    }
+    const deviceId = input.deviceId || null;
+    if (deviceId && !this.devices.has(deviceId)) {
+      throw new ValidationError(`Unknown device: ${deviceId}`);
+    }
+    const cooldownSeconds =
+      input.cooldownSeconds === undefined
+        ? 300
+        : number(input.cooldownSeconds, "cooldownSeconds");
+    return {
+      name: String(input.name),
+      deviceId,
+      condition: parseCondition(input.condition),
+      actions: parseActions(input.actions),
+      cooldownSeconds: Math.max(0, Math.round(cooldownSeconds)),
+      enabled: input.enabled === undefined ? true : Boolean(input.enabled),
+    };
+  }
+
+  create(input) {
+    const rule = this.validate(input);
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO rules (name, device_id, condition, actions, cooldown_seconds, enabled, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        rule.name,
+        rule.deviceId,
+        JSON.stringify(rule.condition),
+        JSON.stringify(rule.actions),
+        rule.cooldownSeconds,
+        rule.enabled ? 1 : 0,
+        Date.now()
+      );
+    this.loadRules();
+    return this.get(Number(lastInsertRowid));
+  }
+
+  update(id, input) {
+    const current = this.get(id);
+    if (!current) {
+      return null;
+    }
+    const rule = this.validate({ ...current, ...input });
+    this.db
+      .prepare(
+        `UPDATE rules
+            SET name = ?, device_id = ?, condition = ?, actions = ?,
+                cooldown_seconds = ?, enabled = ?
+          WHERE id = ?`
+      )
+      .run(
+        rule.name,
+        rule.deviceId,
+        JSON.stringify(rule.condition),
+        JSON.stringify(rule.actions),
+        rule.cooldownSeconds,
+        rule.enabled ? 1 : 0,
+        id
+      );
+    this.clearStates(id);
+    this.loadRules();
+    return this.get(id);
+  }
+
+  remove(id) {
+    const { changes } = this.db
+      .prepare("DELETE FROM rules WHERE id = ?")
+      .run(id);
+    this.clearStates(id);
+    this.loadRules();
+    return changes > 0;
+  }
+
+  clearStates(ruleId) {
+    for (const key of this.states.keys()) {
+      if (key.startsWith(`${ruleId}:`)) {
+        this.states.delete(key);
+      }
+    }
+  }
+
+  alerts({ deviceId, limit = 100 } = {}) {
+    const rows = deviceId
+      ? this.db
+          .prepare(
+            "SELECT * FROM alerts WHERE device_id = ? ORDER BY ts DESC LIMIT ?"
+          )
+          .all(deviceId, limit)
+      : this.db
+          .prepare("SELECT * FROM alerts ORDER BY ts DESC LIMIT ?")
+          .all(limit);
+    return rows.map(toAlert);
+  }
+
+  rulesFor(deviceId) {
+    return this.rules.filter(
+      (rule) => rule.enabled && (!rule.deviceId || rule.deviceId === deviceId)
+    );
+  }
+
+  // Called with every processed reading
+  evaluate(deviceId, reading, now = Date.now()) {
+    for (const rule of this.rulesFor(deviceId)) {
+      if (rule.condition.type === "disconnected") {
+        continue;
+      }
+      const value = reading[rule.condition.metric];
+      if (typeof value !== "number") {
+        continue;
+      }
+      this.step(rule, deviceId, value, now, (active) =>
+        isViolated(rule.condition, value, active)
+      );
+    }
+  }
+
+  // Periodic check of connection-based rules
+  tick(now = Date.now()) {
+    for (const connection of this.devices.values()) {
+      for (const rule of this.rulesFor(connection.id)) {
+        if (rule.condition.type === "disconnected") {
+          this.step(
+            rule,
+            connection.id,
+            null,
+            now,
+            () => !connection.connected
+          );
+        }
+      }
+    }
+  }
+
+  step(rule, deviceId, value, now, violated) {
+    const key = `${rule.id}:${deviceId}`;
+    const state = this.states.get(key) || {
+      since: null,
+      active: false,
+      lastFired: -Infinity,
+    };
+    this.states.set(key, state);
+
+    if (!violated(state.active)) {
+      state.since = null;
+      if (state.active) {
+        state.active = false;
+        this.fire(rule, deviceId, "resolved", value, now);
+      }
+      return;
+    }
+
+    if (state.since === null) {
+      state.since = now;
+    }
+    const held = now - state.since >= rule.condition.forSeconds * 1000;
+    const cooled = now - state.lastFired >= rule.cooldownSeconds * 1000;
+    if (!state.active && held && cooled) {
+      state.active = true;
+      state.lastFired = now;
+      this.fire(rule, deviceId, "triggered", value, now);
+    }
+  }
+
+  fire(rule, deviceId, state, value, now) {
+    const connection = this.devices.get(deviceId);
+    const deviceName = connection ? connection.name : deviceId;
+    const verb = state === "triggered" ? "triggered" : "resolved";
+    const reading = value === null ? "" : ` (${value})`;
+    const alert = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      deviceId,
+      ts: now,
+      state,
+      message: `${rule.name} ${verb} on ${deviceName}: ${describeCondition(
+        rule.condition
+      )}${reading}`,
+      value,
+    };
+    console.log(`Alert: ${alert.message}`);
+
+    // Log first so the broadcast and webhook payloads carry the alert id
+    const ordered = [...rule.actions].sort(
+      (a, b) => (b.type === "log") - (a.type === "log")
+    );
+    for (const action of ordered) {
+      this.runAction(action, alert).catch((error) => {
+        console.error(`Alert action ${action.type} failed:`, error);
+      });
+    }
+  }
+
+  async runAction(action, alert) {
+    if (action.type === "broadcast") {
+      this.emit("alert", alert);
+    } else if (action.type === "log") {
+      const { lastInsertRowid } = this.db
+        .prepare(
+          `INSERT INTO alerts (rule_id, device_id, ts, state, message, value)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          alert.ruleId,
+          alert.deviceId,
+          alert.ts,
+          alert.state,
+          alert.message,
+          alert.value
+        );
+      alert.id = Number(lastInsertRowid);
+    } else if (action.type === "webhook") {
+      const response = await this.fetch(action.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+    } else if (action.type === "switchOff" && alert.state === "triggered") {
+      const connection = this.devices.get(alert.deviceId);
+      if (connection && connection.connected) {
+        await connection.setPower(false);
+        this.emit("switchOff", alert);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RuleEngine,
+  describeCondition,
+};
@@ -0,0 +1,382 @@
+const { EventEmitter } = require("events");
+const cronParser = require("cron-parser");
+const SunCalc = require("suncalc");
+const { ValidationError } = require("./errors");
+
+const ACTIONS = ["on", "off", "toggle"];
+const TYPES = ["timer", "cron", "sun"];
+const SUN_EVENTS = ["sunrise", "sunset", "dawn", "dusk", "solarNoon"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// setTimeout cannot wait longer than ~24.8 days, and re-checking every hour
+// also keeps us honest across DST changes and clock adjustments.
+const MAX_DELAY = 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    action TEXT NOT NULL,
+    spec TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    last_run INTEGER,
+    last_result TEXT
+  );
+`;
+
+function parseDays(days) {
+  if (days === undefined || days === null) {
+    return null;
+  }
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new ValidationError("days must be a non-empty list of weekdays");
+  }
+  return days.map((day) => {
+    const index =
+      typeof day === "number"
+        ? day
+        : DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (!Number.isInteger(index) || index < 0 || index > 6) {
+      throw new ValidationError(`Unknown weekday: ${day}`);
+    }
+    return index;
+  });
+}
+
+// Turn a request body into the stored { type, action, spec } shape:
+//   timer: { at } or { inMinutes } - runs once
+//   cron:  { cron: "0 7 * * 1-5" } - server local time
+//   sun:   { event: "sunset", offsetMinutes: -15, days: ["mon", ...] }
+function parseSpec(input, now = Date.now()) {
+  if (!TYPES.includes(input.type)) {
+    throw new ValidationError(`type must be one of ${TYPES.join(", ")}`);
+  }
+
+  if (input.type === "timer") {
+    let at;
+    if (input.inMinutes !== undefined) {
+      const minutes = Number(input.inMinutes);
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new ValidationError("inMinutes must be a positive number");
+      }
+      at = now + minutes * 60 * 1000;
+    } else {
+      at = typeof input.at === "number" ? input.at : Date.parse(input.at);
+    }
+    if (!Number.isFinite(at)) {
+      throw new ValidationError("A timer needs `at` or `inMinutes`");
+    }
+    return { at };
+  }
+
+  if (input.type === "cron") {
+    try {
+      cronParser.parseExpression(String(input.cron));
+    } catch (error) {
+      throw new ValidationError(`Invalid cron expression: ${error.message}`);
+    }
+    return { cron: String(input.cron) };
+  }
+
+  if (!SUN_EVENTS.includes(input.event)) {
+    throw new ValidationError(`event must be one of ${SUN_EVENTS.join(", ")}`);
+  }
+  const offsetMinutes = Number(input.offsetMinutes || 0);
+  if (!Number.isFinite(offsetMinutes) || Math.abs(offsetMinutes) > 720) {
+    throw new ValidationError("offsetMinutes must be within +/-720");
+  }
+  return { event: input.event, offsetMinutes, days: parseDays(input.days) };
+}
+
+function toSchedule(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    name: row.name,
+    type: row.type,
+    action: row.action,
+    ...JSON.parse(row.spec),
+    enabled: row.enabled === 1,
+    createdAt: row.created_at,
+    lastRun: row.last_run,
+    lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+  };
+}
+
+// Server-side on/off timers, cron rules and sunrise/sunset rules, persisted
+// in SQLite. Actions go through DeviceConnection.setPower, so results reach
+// clients through the usual "data" broadcast; every run is also emitted as
+// "run" ({ schedule, ok, error }) for the server to broadcast.
+class Scheduler extends EventEmitter {
+  constructor({ db, devices, location = null }) {
+    super();
+    this.db = db;
+    this.devices = devices;
+    this.location = location;
+    this.timer = null;
+    this.nextRuns = new Map();
+    this.db.exec(SCHEMA);
+  }
+
+  start() {
+    for (const schedule of this.list()) {
+      this.plan(schedule);
+    }
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  list(deviceId) {
+    const rows = deviceId
+      ? this.db
+          .prepare("SELECT * FROM schedules WHERE device_id = ? ORDER BY id")
+          .all(deviceId)
+      : this.db.prepare("SELECT * FROM schedules ORDER BY id").all();
+    return rows.map((row) => this.describe(toSchedule(row)));
+  }
+
+  get(id) {
+    const row = this.db.prepare("SELECT * FROM schedules WHERE id = ?").get(id);
+    return row ? this.describe(toSchedule(row)) : null;
+  }
+
+  create(input) {
+    const { deviceId, type, action, spec, name, enabled } =
+      this.validate(input);
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO schedules (device_id, name, type, action, spec, enabled, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        deviceId,
+        name,
+        type,
+        action,
+        JSON.stringify(spec),
+        enabled ? 1 : 0,
+        Date.now()
+      );
+    return this.refresh(Number(lastInsertRowid));
+  }
+
+  // Partial update: fields that are not given keep their current value
+  update(id, input) {
+    const current = this.get(id);
+    if (!current) {
+      return null;
+    }
+    const { deviceId, type, action, spec, name, enabled } = this.validate({
+      ...current,
+      ...input,
+    });
+    // Editing a timer re-arms it, even if it already fired
+    const lastRun = type === "timer" ? null : current.lastRun;
+    this.db
+      .prepare(
+        `UPDATE schedules
+            SET device_id = ?, name = ?, type = ?, action = ?, spec = ?,
+                enabled = ?, last_run = ?
+          WHERE id = ?`
+      )
+      .run(
+        deviceId,
+        name,
+        type,
+        action,
+        JSON.stringify(spec),
+        enabled ? 1 : 0,
+        lastRun,
+        id
+      );
+    return this.refresh(id);
+  }
+
+  remove(id) {
+    const { changes } = this.db
+      .prepare("DELETE FROM schedules WHERE id = ?")
+      .run(id);
+    this.nextRuns.delete(id);
+    this.arm();
+    return changes > 0;
+  }
+
+  validate(input) {
+    if (!this.devices.has(input.deviceId)) {
+      throw new ValidationError(`Unknown device: ${input.deviceId}`);
+    }
+    if (!ACTIONS.includes(input.action)) {
+      throw new ValidationError(`action must be one of ${ACTIONS.join(", ")}`);
+    }
+    const spec = parseSpec(input);
+    if (input.type === "sun" && !this.location) {
+      throw new ValidationError(
+        "Sun rules need LATITUDE and LONGITUDE in the server configuration"
+      );
+    }
+    return {
+      deviceId: input.deviceId,
+      type: input.type,
+      action: input.action,
+      spec,
+      name: input.name || `${input.action} (${input.type})`,
+      enabled: input.enabled === undefined ? true : Boolean(input.enabled),
+    };
+  }
+
+  // Next run time strictly after `after`, or null when there is none
+  nextRunOf(schedule, after = Date.now()) {
+    if (!schedule.enabled) {
+      return null;
+    }
+
+    if (schedule.type === "timer") {
+      // An overdue timer (e.g. the server was down) still fires once
+      return schedule.lastRun ? null : schedule.at;
+    }
+
+    if (schedule.type === "cron") {
+      return cronParser
+        .parseExpression(schedule.cron, { currentDate: new Date(after) })
+        .next()
+        .getTime();
+    }
+
+    // Sun events: walk forward day by day; near the poles some days have no
+    // sunrise or sunset at all, so give up after a year.
+    const day = new Date(after);
+    day.setHours(12, 0, 0, 0);
+    for (let i = 0; i < 366; i++) {
+      const times = SunCalc.getTimes(
+        day,
+        this.location.latitude,
+        this.location.longitude
+      );
+      const event = times[schedule.event];
+      if (event && Number.isFinite(event.getTime())) {
+        const at = event.getTime() + schedule.offsetMinutes * 60 * 1000;
+        const weekday = new Date(at).getDay();
+        if (at > after && (!schedule.days || schedule.days.includes(weekday))) {
+          return at;
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+    return null;
+  }
+
+  describe(schedule) {
+    const nextRun = this.nextRuns.get(schedule.id);
+    return { ...schedule, nextRun: nextRun === undefined ? null : nextRun };
+  }
+
+  refresh(id) {
+    const row = this.db.prepare("SELECT * FROM schedules WHERE id = ?").get(id);
+    this.plan(toSchedule(row));
+    this.arm();
+    return this.get(id);
+  }
+
+  plan(schedule) {
+    const next = this.nextRunOf(schedule);
+    if (next === null) {
+      this.nextRuns.delete(schedule.id);
+    } else {
+      this.nextRuns.set(schedule.id, next);
+    }
+  }
+
+  arm() {
+    clearTimeout(this.timer);
+    if (this.nextRuns.size === 0) {
+      this.timer = null;
+      return;
+    }
+    const soonest = Math.min(...this.nextRuns.values());
+    const delay = Math.min(Math.max(soonest - Date.now(), 0), MAX_DELAY);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    const now = Date.now();
+    const due = Array.from(this.nextRuns.entries())
+      .filter(([, at]) => at <= now)
+      .map(([id]) => id);
+
+    for (const id of due) {
+      // Take it off the plan first so a slow device cannot make it fire twice
+      this.nextRuns.delete(id);
+      // One schedule that fails must not hold up the others due now
+      try {
+        const schedule = this.get(id);
+        if (schedule) {
+          await this.run(schedule);
+        }
+      } catch (error) {
+        console.error(`Schedule ${id} could not be run:`, error);
+      }
+    }
+    this.arm();
+  }
+
+  async run(schedule) {
+    const ranAt = Date.now();
+    let result;
+    try {
+      const connection = this.devices.get(schedule.deviceId);
+      if (!connection) {
+        throw new Error("Device no longer configured");
+      }
+      if (!connection.connected) {
+        throw new Error("Device not connected");
+      }
+      if (schedule.action === "toggle") {
+        await connection.toggle();
+      } else {
+        await connection.setPower(schedule.action === "on");
+      }
+      result = { ok: true };
+      console.log(`Schedule ${schedule.id} (${schedule.name}) ran`);
+    } catch (error) {
+      result = { ok: false, error: error.message };
+      console.error(
+        `Schedule ${schedule.id} (${schedule.name}) failed:`,
+        error
+      );
+    }
+
+    this.db
+      .prepare(
+        "UPDATE schedules SET last_run = ?, last_result = ? WHERE id = ?"
+      )
+      .run(ranAt, JSON.stringify(result), schedule.id);
+
+    const updated = this.get(schedule.id);
+    if (updated) {
+      this.plan(updated);
+      this.emit("run", { schedule: this.describe(updated), ranAt, ...result });
+    }
+  }
+}
+
+// LATITUDE / LONGITUDE from the environment, or null when not configured
+function locationFromEnv(env = process.env) {
+  const latitude = parseFloat(env.LATITUDE);
+  const longitude = parseFloat(env.LONGITUDE);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+module.exports = {
+  Scheduler,
+  locationFromEnv,
+};
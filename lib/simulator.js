@@ -0,0 +1,325 @@
+const { EventEmitter } = require("events");
+
+// Load profiles: a cycle of steps the simulated appliance repeats forever.
+// Configure with `"load": "fridge"` or your own `"load": { "steps": [...] }`.
+const LOADS = {
+  idle: [{ watts: 0.6, seconds: 3600 }],
+  fridge: [
+    { watts: 110, seconds: 900 },
+    { watts: 1.5, seconds: 1500 },
+  ],
+  kettle: [
+    { watts: 2000, seconds: 180 },
+    { watts: 0, seconds: 1800 },
+  ],
+  washer: [
+    { watts: 2000, seconds: 600 },
+    { watts: 250, seconds: 1800 },
+    { watts: 500, seconds: 600 },
+    { watts: 1, seconds: 3600 },
+  ],
+  tv: [
+    { watts: 90, seconds: 7200 },
+    { watts: 0.5, seconds: 3600 },
+  ],
+};
+
+const FAULTS = ["timeout", "disconnect", "malformed", "error", "unreachable"];
+
+const DEFAULTS = {
+  load: "fridge",
+  // Simulated seconds per real second, to watch a long cycle in minutes
+  speed: 1,
+  voltage: 230,
+  powerFactor: 0.95,
+  // Relative random noise on power and voltage
+  noise: 0.02,
+  // How often the plug pushes unsolicited readings, like real firmware
+  reportInterval: 10000,
+  latency: 50,
+  energy: 0,
+  on: true,
+  // Chance per request/report of a random fault, e.g. { timeout: 0.05 }
+  faultRates: {},
+  seed: null,
+};
+
+// Small seeded PRNG (mulberry32) so tests can replay the same readings
+function createRandom(seed) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resolveLoad(load) {
+  const steps = typeof load === "string" ? LOADS[load] : load && load.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(
+      `Unknown simulator load ${JSON.stringify(load)}; use one of ${Object.keys(
+        LOADS
+      ).join(", ")} or { "steps": [{ "watts", "seconds" }] }`
+    );
+  }
+  return steps;
+}
+
+// Starting value of a writable setting (child lock, LED mode, ...)
+function defaultSetting(entry) {
+  if (entry.type === "boolean") return false;
+  if (entry.type === "string") return entry.values ? entry.values[0].value : "";
+  return entry.min || 0;
+}
+
+// Inverse of decodeDps: metric values to raw DP values for a profile
+function encodeDps(profile, reading) {
+  const dps = {};
+  for (const [dp, entry] of Object.entries(profile.dps)) {
+    const value = reading[entry.metric];
+    if (value === undefined) continue;
+    dps[dp] =
+      entry.type === "number"
+        ? Math.round(value * Math.pow(10, entry.scale))
+        : value;
+  }
+  return dps;
+}
+
+// Stands in for TuyAPI with the same surface DeviceConnection uses: find,
+// connect, get, set and disconnect, plus the "connected", "disconnected",
+// "data" and "error" events. Readings follow the configured load profile and
+// are encoded through the device's DPS profile (DP 1/18/19/20/22 for the
+// standard one). Other writable DPs in the profile are kept as settings:
+// they take any value written and report it back.
+//
+// Faults can be configured as random rates or injected on demand with
+// injectFault(type, count):
+//   timeout     - get() never answers
+//   disconnect  - the connection drops; get()/set() fail until connect()
+//   malformed   - a reading arrives as an undecodable payload
+//   error       - an "error" event, as for a socket error
+//   unreachable - find()/connect() fail
+class SimulatedTuyaDevice extends EventEmitter {
+  constructor({ id, profile }, options = {}) {
+    super();
+    this.id = id;
+    this.profile = profile;
+    this.options = {
+      ...DEFAULTS,
+      ...options,
+      faultRates: { ...DEFAULTS.faultRates, ...options.faultRates },
+    };
+    this.steps = resolveLoad(this.options.load);
+    this.cycleSeconds = this.steps.reduce((sum, step) => sum + step.seconds, 0);
+    this.random = createRandom(this.options.seed);
+
+    this.connected = false;
+    this.powerState = Boolean(this.options.on);
+    this.energy = this.options.energy;
+    this.startedAt = Date.now();
+    this.lastUpdate = this.startedAt;
+    this.reportTimer = null;
+    // Pending on-demand faults: type -> remaining count
+    this.pendingFaults = new Map();
+    // Writable DPs other than the switch, by metric
+    this.settings = {};
+    for (const entry of Object.values(profile.dps)) {
+      if (entry.writable && entry.metric !== "power_state") {
+        this.settings[entry.metric] = defaultSetting(entry);
+      }
+    }
+  }
+
+  injectFault(type, count = 1) {
+    if (!FAULTS.includes(type)) {
+      throw new Error(`Unknown fault ${type}; use one of ${FAULTS.join(", ")}`);
+    }
+    // Some faults act right away, the others on the next matching call
+    if (type === "disconnect") {
+      this.drop();
+    } else if (type === "error") {
+      this.emit("error", new Error("Simulated socket error"));
+    } else if (type === "malformed") {
+      for (let i = 0; i < count; i++) {
+        this.emit("data", this.malformedPayload());
+      }
+    } else {
+      this.pendingFaults.set(type, (this.pendingFaults.get(type) || 0) + count);
+    }
+  }
+
+  // True when a fault of `type` should happen now, on demand or at random
+  takeFault(type) {
+    const pending = this.pendingFaults.get(type) || 0;
+    if (pending > 0) {
+      this.pendingFaults.set(type, pending - 1);
+      return true;
+    }
+    const rate = this.options.faultRates[type] || 0;
+    return rate > 0 && this.random() < rate;
+  }
+
+  async find() {
+    await this.delay();
+    if (this.takeFault("unreachable")) {
+      throw new Error(
+        "find() timed out. Is the device powered on and the ID or IP correct?"
+      );
+    }
+    return true;
+  }
+
+  async connect() {
+    await this.delay();
+    if (this.takeFault("unreachable")) {
+      throw new Error(`connect ECONNREFUSED (simulated ${this.id})`);
+    }
+    if (!this.connected) {
+      this.connected = true;
+      this.emit("connected");
+      this.reportTimer = setInterval(
+        () => this.report(),
+        this.options.reportInterval
+      );
+      this.reportTimer.unref();
+    }
+    return true;
+  }
+
+  disconnect() {
+    if (this.connected) {
+      this.drop();
+    }
+  }
+
+  async get() {
+    if (this.takeFault("timeout")) {
+      // Like a plug that stopped answering: the promise never settles
+      return new Promise(() => {});
+    }
+    await this.delay();
+    this.checkConnected();
+    return { devId: this.id, dps: this.currentDps() };
+  }
+
+  async set({ dps = 1, set, multiple = false, data = {} }) {
+    await this.delay();
+    this.checkConnected();
+    const changes = multiple ? data : { [dps]: set };
+
+    const powerDp = Object.keys(this.profile.dps).find(
+      (dp) => this.profile.dps[dp].metric === "power_state"
+    );
+    for (const [dp, value] of Object.entries(changes)) {
+      const entry = this.profile.dps[dp];
+      if (dp === powerDp) {
+        this.update();
+        this.powerState = Boolean(value);
+      } else if (entry && entry.metric in this.settings) {
+        this.settings[entry.metric] =
+          entry.type === "number" ? value / Math.pow(10, entry.scale) : value;
+      }
+    }
+    const result = { devId: this.id, dps: changes };
+    this.emit("data", result);
+    return result;
+  }
+
+  // Simulated watts at a point in time (before noise), following the load
+  loadAt(ms) {
+    if (!this.powerState) {
+      return 0;
+    }
+    const seconds =
+      (((ms - this.startedAt) / 1000) * this.options.speed) % this.cycleSeconds;
+    let elapsed = 0;
+    for (const step of this.steps) {
+      elapsed += step.seconds;
+      if (seconds < elapsed) {
+        return step.watts;
+      }
+    }
+    return this.steps[this.steps.length - 1].watts;
+  }
+
+  // Integrate energy up to now
+  update(now = Date.now()) {
+    const hours = ((now - this.lastUpdate) / 3600000) * this.options.speed;
+    this.energy += (this.loadAt(now) * hours) / 1000;
+    this.lastUpdate = now;
+  }
+
+  jitter(value) {
+    return value * (1 + (this.random() * 2 - 1) * this.options.noise);
+  }
+
+  currentReading(now = Date.now()) {
+    this.update(now);
+    const power = Math.max(this.jitter(this.loadAt(now)), 0);
+    const voltage = this.jitter(this.options.voltage);
+    return {
+      ...this.settings,
+      power_state: this.powerState,
+      power,
+      voltage,
+      current:
+        power > 0 ? ((power / voltage) * 1000) / this.options.powerFactor : 0,
+      energy: this.energy,
+    };
+  }
+
+  currentDps() {
+    return encodeDps(this.profile, this.currentReading());
+  }
+
+  report() {
+    if (!this.connected) {
+      return;
+    }
+    if (this.takeFault("disconnect")) {
+      this.drop();
+    } else if (this.takeFault("malformed")) {
+      this.emit("data", this.malformedPayload());
+    } else {
+      this.emit("data", { devId: this.id, dps: this.currentDps() });
+    }
+  }
+
+  // What a garbled frame looks like after TuyAPI's parser gives up on it
+  malformedPayload() {
+    return this.random() < 0.5
+      ? "json obj data unvalid"
+      : { devId: this.id, dps: { 19: "NaN", 20: null } };
+  }
+
+  drop() {
+    this.connected = false;
+    clearInterval(this.reportTimer);
+    this.reportTimer = null;
+    this.emit("disconnected");
+  }
+
+  checkConnected() {
+    if (!this.connected) {
+      throw new Error("Socket is not connected (simulated)");
+    }
+  }
+
+  delay() {
+    return new Promise((resolve) => setTimeout(resolve, this.options.latency));
+  }
+}
+
+module.exports = {
+  SimulatedTuyaDevice,
+  LOADS,
+  FAULTS,
+  encodeDps,
+};
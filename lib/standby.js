@@ -0,0 +1,367 @@
+const { EventEmitter } = require("events");
+const { ValidationError } = require("./errors");
+const { findMetric } = require("./profiles");
+const { rateAt } = require("./tariff");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS standby_settings (
+    device_id TEXT PRIMARY KEY,
+    enabled INTEGER NOT NULL DEFAULT 0,
+    max_watts REAL NOT NULL,
+    idle_minutes REAL NOT NULL,
+    active_from TEXT,
+    active_to TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS standby_cutoffs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    watts REAL NOT NULL,
+    restored_at INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS standby_cutoffs_device_ts ON standby_cutoffs (device_id, ts);
+`;
+
+// Until a plug has its own settings. Readings at or below `maxWatts` are
+// taken as standby candidates; the plug is switched off once its power has
+// stayed inside the learned band for `idleMinutes`, and only between
+// `activeFrom` and `activeTo` ("HH:MM", server local time) when both are set.
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  maxWatts: 10,
+  idleMinutes: 30,
+  activeFrom: null,
+  activeTo: null,
+};
+
+// Tuning, overridable per instance (tests use shorter warm-ups). The band is
+// the median of the last `samples` candidate readings, give or take
+// `bandMads` median absolute deviations but at least `minBandWatts`; a
+// charger that briefly charges a phone does not drag it up.
+const DEFAULT_OPTIONS = {
+  samples: 240,
+  warmup: 30,
+  bandMads: 3,
+  minBandWatts: 0.5,
+};
+
+// Saved energy is priced in steps this long, at the rate in force then
+const PRICE_STEP = 5 * 60 * 1000;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const number = (value, field, min) => {
+  const n = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(n)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  if (n < min) {
+    throw new ValidationError(`${field} must be at least ${min}`);
+  }
+  return n;
+};
+
+// "HH:MM" -> minutes since midnight
+function parseClock(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new ValidationError(`${field} must look like "07:30"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Whether `ms` falls in the settings' hours; a window may wrap midnight
+function withinHours(settings, ms) {
+  if (!settings.activeFrom) {
+    return true;
+  }
+  const from = parseClock(settings.activeFrom, "activeFrom");
+  const to = parseClock(settings.activeTo, "activeTo");
+  const date = new Date(ms);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return from <= to
+    ? minute >= from && minute < to
+    : minute >= from || minute < to;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function toSettings(row) {
+  return {
+    enabled: row.enabled === 1,
+    maxWatts: row.max_watts,
+    idleMinutes: row.idle_minutes,
+    activeFrom: row.active_from,
+    activeTo: row.active_to,
+  };
+}
+
+function toCutoff(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    ts: row.ts,
+    watts: row.watts,
+    restoredAt: row.restored_at,
+  };
+}
+
+// The "standby killer": learns the band each plug's standby power sits in
+// (a TV waiting for its remote, a charger with nothing on it) and, where
+// enabled, switches the plug off once it has idled in that band long enough.
+// A cutoff lasts until the plug is next seen on, and the energy it saved is
+// the standby power over that time. Emits "cutoff" with { deviceId, cutoff,
+// message } so the server can audit and broadcast it.
+class StandbyKiller extends EventEmitter {
+  constructor({ db, devices, tariff, options = {} }) {
+    super();
+    this.db = db;
+    this.devices = devices;
+    this.tariff = tariff;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // Per device: { samples, idleSince, cutting, cutoff }
+    this.states = new Map();
+    this.db.exec(SCHEMA);
+    this.loadSettings();
+    // Plugs still off after a cutoff before a restart
+    for (const row of this.db
+      .prepare("SELECT * FROM standby_cutoffs WHERE restored_at IS NULL")
+      .all()) {
+      this.stateFor(row.device_id).cutoff = toCutoff(row);
+    }
+  }
+
+  loadSettings() {
+    this.settings = new Map(
+      this.db
+        .prepare("SELECT * FROM standby_settings")
+        .all()
+        .map((row) => [row.device_id, toSettings(row)])
+    );
+  }
+
+  settingsFor(deviceId) {
+    return this.settings.get(deviceId) || DEFAULT_SETTINGS;
+  }
+
+  updateSettings(deviceId, input) {
+    const settings = { ...this.settingsFor(deviceId), ...input };
+    const parsed = {
+      enabled: Boolean(settings.enabled),
+      maxWatts: number(settings.maxWatts, "maxWatts", 0.1),
+      idleMinutes: number(settings.idleMinutes, "idleMinutes", 1),
+      activeFrom: settings.activeFrom || null,
+      activeTo: settings.activeTo || null,
+    };
+    if (Boolean(parsed.activeFrom) !== Boolean(parsed.activeTo)) {
+      throw new ValidationError("Set both activeFrom and activeTo, or neither");
+    }
+    if (parsed.activeFrom) {
+      parseClock(parsed.activeFrom, "activeFrom");
+      parseClock(parsed.activeTo, "activeTo");
+    }
+    const connection = this.devices.get(deviceId);
+    if (
+      parsed.enabled &&
+      connection &&
+      !findMetric(connection.profile, "power")
+    ) {
+      throw new ValidationError(`${connection.name} does not report power`);
+    }
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO standby_settings
+           (device_id, enabled, max_watts, idle_minutes, active_from, active_to)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        deviceId,
+        parsed.enabled ? 1 : 0,
+        parsed.maxWatts,
+        parsed.idleMinutes,
+        parsed.activeFrom,
+        parsed.activeTo
+      );
+    this.settings.set(deviceId, parsed);
+    return parsed;
+  }
+
+  stateFor(deviceId) {
+    let state = this.states.get(deviceId);
+    if (!state) {
+      state = { samples: [], idleSince: null, cutting: false, cutoff: null };
+      this.states.set(deviceId, state);
+    }
+    return state;
+  }
+
+  // The learned standby band ({ watts, low, high, samples }), or null while
+  // there are too few readings to tell
+  band(deviceId) {
+    const { samples } = this.stateFor(deviceId);
+    const o = this.options;
+    if (samples.length < o.warmup) {
+      return null;
+    }
+    const watts = median(samples);
+    const mad = median(samples.map((value) => Math.abs(value - watts)));
+    const width = Math.max(o.bandMads * mad, o.minBandWatts);
+    return {
+      watts: round(watts, 2),
+      low: round(Math.max(watts - width, 0), 2),
+      high: round(watts + width, 2),
+      samples: samples.length,
+    };
+  }
+
+  // Settings, learned band and what the plug is doing right now
+  status(deviceId) {
+    const state = this.stateFor(deviceId);
+    return {
+      settings: this.settingsFor(deviceId),
+      band: this.band(deviceId),
+      idleSince: state.idleSince,
+      cutoff: state.cutoff,
+    };
+  }
+
+  // Called with every processed reading
+  process(deviceId, reading, now = Date.now()) {
+    const ts = Date.parse(reading.timestamp) || now;
+    const state = this.stateFor(deviceId);
+    if (reading.power_state === true && state.cutoff) {
+      this.restore(state, ts);
+    }
+
+    const { power } = reading;
+    if (typeof power !== "number" || reading.power_state === false) {
+      state.idleSince = null;
+      return;
+    }
+    const settings = this.settingsFor(deviceId);
+    if (power > 0 && power <= settings.maxWatts) {
+      state.samples.push(power);
+      if (state.samples.length > this.options.samples) {
+        state.samples.shift();
+      }
+    }
+
+    const band = this.band(deviceId);
+    if (!band || power < band.low || power > band.high) {
+      state.idleSince = null;
+      return;
+    }
+    if (state.idleSince === null) {
+      state.idleSince = ts;
+    }
+    if (
+      settings.enabled &&
+      !state.cutting &&
+      ts - state.idleSince >= settings.idleMinutes * 60 * 1000 &&
+      withinHours(settings, ts)
+    ) {
+      this.cutOff(deviceId, state, band, ts);
+    }
+  }
+
+  // Switch the plug off through the usual write path. A failed write is
+  // tried again after another idle period.
+  async cutOff(deviceId, state, band, ts) {
+    const connection = this.devices.get(deviceId);
+    if (!connection || !connection.connected) {
+      return;
+    }
+    state.cutting = true;
+    try {
+      await connection.setPower(false);
+      const { lastInsertRowid } = this.db
+        .prepare(
+          "INSERT INTO standby_cutoffs (device_id, ts, watts) VALUES (?, ?, ?)"
+        )
+        .run(deviceId, ts, band.watts);
+      state.cutoff = this.getCutoff(Number(lastInsertRowid));
+      const { idleMinutes } = this.settingsFor(deviceId);
+      const message = `${connection.name} switched off after ${idleMinutes} min in standby at ${band.watts} W`;
+      console.log(`Standby: ${message}`);
+      this.emit("cutoff", { deviceId, cutoff: state.cutoff, message });
+    } catch (error) {
+      console.error(`Standby cutoff failed for ${deviceId}:`, error.message);
+    } finally {
+      state.idleSince = null;
+      state.cutting = false;
+    }
+  }
+
+  restore(state, ts) {
+    this.db
+      .prepare("UPDATE standby_cutoffs SET restored_at = ? WHERE id = ?")
+      .run(ts, state.cutoff.id);
+    state.cutoff = null;
+  }
+
+  getCutoff(id) {
+    const row = this.db
+      .prepare("SELECT * FROM standby_cutoffs WHERE id = ?")
+      .get(id);
+    return row ? toCutoff(row) : null;
+  }
+
+  // Cutoffs that overlap [from, to), newest first
+  cutoffs({ deviceId, from = 0, to = Date.now() + 1, limit = 1000 } = {}) {
+    const where = ["ts < ?", "(restored_at IS NULL OR restored_at > ?)"];
+    const params = [to, from];
+    if (deviceId) {
+      where.push("device_id = ?");
+      params.push(deviceId);
+    }
+    return this.db
+      .prepare(
+        `SELECT * FROM standby_cutoffs WHERE ${where.join(" AND ")}
+          ORDER BY ts DESC LIMIT ?`
+      )
+      .all(...params, limit)
+      .map(toCutoff);
+  }
+
+  // Estimated energy and money saved between `from` and `to`: each cutoff's
+  // standby power for as long as the plug stayed off (up to `now` while it
+  // still is). Tiered tariffs use their first tier's rate.
+  savings({ deviceId, from = 0, to, now = Date.now() } = {}) {
+    const end = to === undefined ? now : Math.min(to, now);
+    let ms = 0;
+    let kwh = 0;
+    let cost = 0;
+    const cutoffs = this.cutoffs({ deviceId, from, to: end });
+    for (const cutoff of cutoffs) {
+      const spanStart = Math.max(cutoff.ts, from);
+      const spanEnd = Math.min(cutoff.restoredAt || end, end);
+      for (let t = spanStart; t < spanEnd; t += PRICE_STEP) {
+        const step = Math.min(PRICE_STEP, spanEnd - t);
+        const stepKwh = (cutoff.watts * step) / 3.6e9;
+        ms += step;
+        kwh += stepKwh;
+        cost += stepKwh * rateAt(this.tariff, t);
+      }
+    }
+    return {
+      cutoffs: cutoffs.length,
+      hours: round(ms / 3.6e6, 2),
+      kwh: round(kwh),
+      cost: round(cost),
+      currency: this.tariff.currency,
+    };
+  }
+}
+
+module.exports = {
+  StandbyKiller,
+  DEFAULT_SETTINGS,
+};
@@ -0,0 +1,369 @@
+const fs = require("fs");
+const { openDatabase } = require("./db");
+const { UNITS } = require("./time");
+
+// Readings are stored one row per (device, metric, timestamp) so that any
+// metric a profile defines can be logged without schema changes. Booleans
+// are stored as 0/1; string metrics are not logged.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS samples (
+    device_id TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    value REAL NOT NULL,
+    PRIMARY KEY (device_id, metric, ts)
+  ) WITHOUT ROWID;
+
+  CREATE INDEX IF NOT EXISTS samples_device_ts ON samples (device_id, ts);
+
+  CREATE TABLE IF NOT EXISTS samples_1m (
+    device_id TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    min REAL NOT NULL,
+    avg REAL NOT NULL,
+    max REAL NOT NULL,
+    count INTEGER NOT NULL,
+    last REAL NOT NULL,
+    last_ts INTEGER NOT NULL,
+    PRIMARY KEY (device_id, metric, ts)
+  ) WITHOUT ROWID;
+
+  CREATE TABLE IF NOT EXISTS samples_1h (
+    device_id TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    min REAL NOT NULL,
+    avg REAL NOT NULL,
+    max REAL NOT NULL,
+    count INTEGER NOT NULL,
+    last REAL NOT NULL,
+    last_ts INTEGER NOT NULL,
+    PRIMARY KEY (device_id, metric, ts)
+  ) WITHOUT ROWID;
+
+  CREATE INDEX IF NOT EXISTS samples_1m_device_ts ON samples_1m (device_id, ts);
+  CREATE INDEX IF NOT EXISTS samples_1h_device_ts ON samples_1h (device_id, ts);
+
+  -- Every tier as aggregates; a raw sample is an aggregate of one
+  CREATE VIEW IF NOT EXISTS all_samples AS
+    SELECT device_id, metric, ts, value AS min, value AS avg, value AS max,
+           1 AS count, value AS last
+      FROM samples
+    UNION ALL
+    SELECT device_id, metric, ts, min, avg, max, count, last FROM samples_1m
+    UNION ALL
+    SELECT device_id, metric, ts, min, avg, max, count, last FROM samples_1h;
+`;
+
+// Old samples are rolled up into 1-minute and then 1-hour aggregates (see
+// compact()). Each tier's `ts` is the start of its bucket and `last` the
+// value of the latest sample in it (taken at `last_ts`), so counters such as
+// energy stay exact.
+const TIERS = [
+  { name: "raw", table: "samples", bucket: 0 },
+  { name: "minute", table: "samples_1m", bucket: UNITS.m },
+  { name: "hour", table: "samples_1h", bucket: UNITS.h },
+];
+
+// The aggregate columns of a tier's rows
+const AGGREGATES = {
+  samples:
+    "value AS min, value AS avg, value AS max, 1 AS count, value AS last, ts AS last_ts",
+  samples_1m: "min, avg, max, count, last, last_ts",
+};
+
+// When the latest sample in a tier's row was taken
+const LAST_TS = { samples: "ts", samples_1m: "last_ts" };
+
+class ReadingStore {
+  constructor(file = "readings.db") {
+    this.db = openDatabase(file);
+    this.db.exec(SCHEMA);
+
+    this.insertSample = this.db.prepare(
+      "INSERT OR REPLACE INTO samples (device_id, metric, ts, value) VALUES (?, ?, ?, ?)"
+    );
+    this.insertMany = this.db.transaction((deviceId, ts, values) => {
+      for (const [metric, value] of values) {
+        this.insertSample.run(deviceId, metric, ts, value);
+      }
+    });
+  }
+
+  // Persist one processed reading ({ timestamp, <metric>: value, ... })
+  insertReading(deviceId, reading) {
+    const ts = Date.parse(reading.timestamp);
+    const values = [];
+    for (const [metric, value] of Object.entries(reading)) {
+      if (metric === "timestamp" || metric === "connected") {
+        continue;
+      }
+      if (typeof value === "number" && Number.isFinite(value)) {
+        values.push([metric, value]);
+      } else if (typeof value === "boolean") {
+        values.push([metric, value ? 1 : 0]);
+      }
+    }
+    this.insertMany(deviceId, ts, values);
+  }
+
+  // Downsample [from, to) into buckets of `bucket` ms, returning
+  // { metric: [{ t, min, avg, max, count }] } with t the bucket start.
+  // Rolled-up samples count with the readings they stand for.
+  queryHistory({ deviceId, metrics, from, to, bucket }) {
+    const placeholders = metrics.map(() => "?").join(", ");
+    const rows = this.db
+      .prepare(
+        `SELECT metric, ts - ts % ? AS t,
+                MIN(min) AS min, SUM(avg * count) / SUM(count) AS avg,
+                MAX(max) AS max, SUM(count) AS count
+           FROM all_samples
+          WHERE device_id = ? AND metric IN (${placeholders})
+            AND ts >= ? AND ts < ?
+          GROUP BY metric, t
+          ORDER BY t`
+      )
+      .all(bucket, deviceId, ...metrics, from, to);
+
+    const series = {};
+    for (const metric of metrics) {
+      series[metric] = [];
+    }
+    for (const { metric, ...point } of rows) {
+      series[metric].push(point);
+    }
+    return series;
+  }
+
+  // Iterate readings in time order, one object per timestamp with every
+  // metric recorded at that instant: { ts, <metric>: value, ... }. Rolled-up
+  // periods give one reading per bucket with the average values.
+  *iterateReadings({ deviceId, from, to }) {
+    const rows = this.db
+      .prepare(
+        `SELECT ts, metric, avg AS value FROM all_samples
+          WHERE device_id = ? AND ts >= ? AND ts < ?
+          ORDER BY ts`
+      )
+      .iterate(deviceId, from, to);
+
+    let current = null;
+    for (const { ts, metric, value } of rows) {
+      if (!current || current.ts !== ts) {
+        if (current) {
+          yield current;
+        }
+        current = { ts };
+      }
+      current[metric] = value;
+    }
+    if (current) {
+      yield current;
+    }
+  }
+
+  // Iterate { ts, value } of one metric in time order; a rolled-up bucket
+  // gives its last value
+  iterateMetric({ deviceId, metric, from, to }) {
+    return this.db
+      .prepare(
+        `SELECT ts, last AS value FROM all_samples
+          WHERE device_id = ? AND metric = ? AND ts >= ? AND ts < ?
+          ORDER BY ts`
+      )
+      .iterate(deviceId, metric, from, to);
+  }
+
+  // Most recent { ts, value } of one metric strictly before `ts`, or undefined
+  lastBefore({ deviceId, metric, ts }) {
+    return this.db
+      .prepare(
+        `SELECT ts, last AS value FROM all_samples
+          WHERE device_id = ? AND metric = ? AND ts < ?
+          ORDER BY ts DESC LIMIT 1`
+      )
+      .get(deviceId, metric, ts);
+  }
+
+  // First and last sample time of a device, or null when nothing is stored
+  timeBounds(deviceId) {
+    const row = this.db
+      .prepare(
+        "SELECT MIN(ts) AS first, MAX(ts) AS last FROM all_samples WHERE device_id = ?"
+      )
+      .get(deviceId);
+    return row.first === null ? null : row;
+  }
+
+  // Times of one metric stored in [from, to], by tier name: raw sample
+  // times and the bucket starts of rolled-up minutes and hours
+  storedTimes({ deviceId, metric, from, to }) {
+    const times = {};
+    for (const { name, table, bucket } of TIERS) {
+      const rows = this.db
+        .prepare(
+          `SELECT ts FROM ${table}
+            WHERE device_id = ? AND metric = ? AND ts >= ? AND ts <= ?`
+        )
+        .pluck()
+        .all(deviceId, metric, bucket ? from - (from % bucket) : from, to);
+      times[name] = new Set(rows);
+    }
+    return times;
+  }
+
+  // Add imported samples ([metric, ts, value]) in one transaction, leaving
+  // any already stored at the same time alone. Returns the number added.
+  importSamples(deviceId, samples) {
+    const insert = this.db.prepare(
+      "INSERT OR IGNORE INTO samples (device_id, metric, ts, value) VALUES (?, ?, ?, ?)"
+    );
+    return this.db.transaction(() =>
+      samples.reduce(
+        (added, [metric, ts, value]) =>
+          added + insert.run(deviceId, metric, ts, value).changes,
+        0
+      )
+    )();
+  }
+
+  // Roll samples older than `rawBefore` up into 1-minute aggregates and
+  // 1-minute aggregates older than `minuteBefore` into 1-hour ones, then drop
+  // hourly aggregates older than `hourBefore` (if given). Cutoffs are moved
+  // back to a bucket boundary so no bucket is split between tiers. Returns
+  // the number of rows rolled up out of each tier and deleted.
+  compact({ rawBefore, minuteBefore, hourBefore = null }) {
+    const rawCutoff = rawBefore - (rawBefore % UNITS.m);
+    const minuteCutoff = Math.min(
+      minuteBefore - (minuteBefore % UNITS.h),
+      rawCutoff - (rawCutoff % UNITS.h)
+    );
+    return this.db.transaction(() => ({
+      raw: this.rollUp(TIERS[0], TIERS[1], rawCutoff),
+      minute: this.rollUp(TIERS[1], TIERS[2], minuteCutoff),
+      hour:
+        hourBefore === null
+          ? 0
+          : this.db
+              .prepare("DELETE FROM samples_1h WHERE ts < ?")
+              .run(hourBefore).changes,
+    }))();
+  }
+
+  // Merge the rows of `source` before `cutoff` into `target` buckets and
+  // delete them from `source`
+  rollUp(source, target, cutoff) {
+    const size = target.bucket;
+    this.db
+      .prepare(
+        `INSERT INTO ${
+          target.table
+        } (device_id, metric, ts, min, avg, max, count, last, last_ts)
+         SELECT device_id, metric, t, MIN(min), SUM(avg * count) / SUM(count),
+                MAX(max), SUM(count), MAX(CASE WHEN latest = 1 THEN last END),
+                MAX(last_ts)
+           FROM (SELECT device_id, metric, ts - ts % ${size} AS t,
+                        ${AGGREGATES[source.table]},
+                        ROW_NUMBER() OVER (
+                          PARTITION BY device_id, metric, ts - ts % ${size}
+                          ORDER BY ${LAST_TS[source.table]} DESC
+                        ) AS latest
+                   FROM ${source.table} WHERE ts < ?)
+          WHERE true
+          GROUP BY device_id, metric, t
+         ON CONFLICT (device_id, metric, ts) DO UPDATE SET
+           min = MIN(min, excluded.min),
+           avg = (avg * count + excluded.avg * excluded.count)
+                 / (count + excluded.count),
+           max = MAX(max, excluded.max),
+           count = count + excluded.count,
+           -- Whichever side holds the newer sample, not the one merged last
+           last = CASE WHEN excluded.last_ts > last_ts
+                       THEN excluded.last ELSE last END,
+           last_ts = MAX(last_ts, excluded.last_ts)`
+      )
+      .run(cutoff);
+    return this.db
+      .prepare(`DELETE FROM ${source.table} WHERE ts < ?`)
+      .run(cutoff).changes;
+  }
+
+  // Iterate raw samples before `before` in time order:
+  // { deviceId, metric, ts, value }
+  iterateRaw({ from = 0, before }) {
+    return this.db
+      .prepare(
+        `SELECT device_id AS deviceId, metric, ts, value FROM samples
+          WHERE ts >= ? AND ts < ? ORDER BY ts`
+      )
+      .iterate(from, before);
+  }
+
+  // Delete every sample before `before` from all tiers, of one device or all
+  // of them. Returns the number of rows deleted.
+  purge({ before, deviceId = null }) {
+    return this.db.transaction(() => {
+      let deleted = 0;
+      for (const { table } of TIERS) {
+        deleted += this.db
+          .prepare(
+            `DELETE FROM ${table}
+              WHERE ts < ? AND (? IS NULL OR device_id = ?)`
+          )
+          .run(before, deviceId, deviceId).changes;
+      }
+      return deleted;
+    })();
+  }
+
+  // Rows and time span per tier and the space the database takes up
+  usage() {
+    const tiers = TIERS.map(({ name, table, bucket }) => ({
+      name,
+      bucketMs: bucket,
+      ...this.db
+        .prepare(
+          `SELECT COUNT(*) AS rows, MIN(ts) AS first, MAX(ts) AS last
+             FROM ${table}`
+        )
+        .get(),
+    }));
+    const pageSize = this.db.pragma("page_size", { simple: true });
+    const pages = this.db.pragma("page_count", { simple: true });
+    const freePages = this.db.pragma("freelist_count", { simple: true });
+    return {
+      tiers,
+      usedBytes: (pages - freePages) * pageSize,
+      freeBytes: freePages * pageSize,
+      fileBytes: this.fileSize(),
+    };
+  }
+
+  // Size on disk of the database with its write-ahead log (0 in memory)
+  fileSize() {
+    if (this.db.memory) {
+      return 0;
+    }
+    return ["", "-wal"].reduce((total, suffix) => {
+      try {
+        return total + fs.statSync(this.db.name + suffix).size;
+      } catch {
+        return total;
+      }
+    }, 0);
+  }
+
+  // Give the space freed by purges back to the file system
+  vacuum() {
+    this.db.exec("VACUUM");
+    this.db.pragma("wal_checkpoint(TRUNCATE)");
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = ReadingStore;
+module.exports.TIERS = TIERS;
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TARIFF_PATH = path.join(__dirname, "..", "tariff.json");
+const TYPES = ["flat", "tou", "tiered"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Tariff shapes (tariff.json, or the path in TARIFF_CONFIG):
+//
+//   { "type": "flat", "rate": 0.30 }
+//   { "type": "tou", "rate": 0.20, "bands": [
+//       { "name": "peak", "days": ["mon", ..., "fri"], "from": "07:00",
+//         "to": "23:00", "rate": 0.35 } ] }
+//   { "type": "tiered", "tiers": [
+//       { "upToKwh": 100, "rate": 0.15 }, { "rate": 0.25 } ] }
+//
+// Rates are per kWh. For time-of-use the first matching band wins and `rate`
+// covers every hour no band matches; a band may wrap midnight (22:00-06:00).
+// Tiers are cumulative monthly blocks and the last one must be open-ended.
+const DEFAULT_TARIFF = { type: "flat", rate: 0, currency: "" };
+
+function parseClock(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Tariff band ${field} must look like "07:30"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClock(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function parseDays(days) {
+  if (days === undefined) {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+  return days.map((day) => {
+    const index =
+      typeof day === "number"
+        ? day
+        : DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (!Number.isInteger(index) || index < 0 || index > 6) {
+      throw new Error(`Tariff band has an unknown day: ${day}`);
+    }
+    return index;
+  });
+}
+
+function checkRate(rate, where) {
+  if (typeof rate !== "number" || !Number.isFinite(rate) || rate < 0) {
+    throw new Error(`${where} needs a non-negative numeric rate`);
+  }
+  return rate;
+}
+
+function normalizeTariff(raw) {
+  const type = raw.type || "flat";
+  if (!TYPES.includes(type)) {
+    throw new Error(`Unknown tariff type: ${type}`);
+  }
+  const tariff = { type, currency: raw.currency || "" };
+
+  if (type === "flat" || type === "tou") {
+    tariff.rate = checkRate(raw.rate, "Tariff");
+  }
+
+  if (type === "tou") {
+    tariff.bands = (raw.bands || []).map((band, index) => ({
+      name: band.name || `band ${index + 1}`,
+      days: parseDays(band.days),
+      from: parseClock(band.from, "from"),
+      to: parseClock(band.to, "to"),
+      rate: checkRate(band.rate, `Tariff band ${band.name || index + 1}`),
+    }));
+  }
+
+  if (type === "tiered") {
+    if (!Array.isArray(raw.tiers) || raw.tiers.length === 0) {
+      throw new Error("A tiered tariff needs at least one tier");
+    }
+    let previous = 0;
+    tariff.tiers = raw.tiers.map((tier, index) => {
+      const last = index === raw.tiers.length - 1;
+      const upToKwh = last ? Infinity : tier.upToKwh;
+      if (!last && !(upToKwh > previous)) {
+        throw new Error("Tariff tiers must have increasing upToKwh limits");
+      }
+      previous = upToKwh;
+      return {
+        upToKwh,
+        rate: checkRate(tier.rate, `Tariff tier ${index + 1}`),
+      };
+    });
+  }
+
+  return tariff;
+}
+
+function loadTariff(configPath = process.env.TARIFF_CONFIG) {
+  const resolvedPath = configPath || DEFAULT_TARIFF_PATH;
+  if (!fs.existsSync(resolvedPath)) {
+    return normalizeTariff(DEFAULT_TARIFF);
+  }
+  return normalizeTariff(JSON.parse(fs.readFileSync(resolvedPath, "utf8")));
+}
+
+function bandMatches(band, day, minute) {
+  if (band.from <= band.to) {
+    return band.days.includes(day) && minute >= band.from && minute < band.to;
+  }
+  // Wraps midnight: the early-morning part belongs to the previous day's band
+  if (minute >= band.from) {
+    return band.days.includes(day);
+  }
+  return minute < band.to && band.days.includes((day + 6) % 7);
+}
+
+// Rate per kWh at a given instant (server local time). Tiered tariffs have no
+// single rate, so this returns the first tier's rate for them.
+function rateAt(tariff, ms) {
+  if (tariff.type === "tiered") {
+    return tariff.tiers[0].rate;
+  }
+  if (tariff.type === "tou") {
+    const date = new Date(ms);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const band = tariff.bands.find((b) =>
+      bandMatches(b, date.getDay(), minute)
+    );
+    if (band) {
+      return band.rate;
+    }
+  }
+  return tariff.rate;
+}
+
+// Price `kwh` consumed at `ms`. For tiered tariffs `monthKwhBefore` is what
+// was already used earlier in the same calendar month.
+function priceEnergy(tariff, kwh, ms, monthKwhBefore = 0) {
+  if (tariff.type !== "tiered") {
+    return kwh * rateAt(tariff, ms);
+  }
+
+  let cost = 0;
+  let used = monthKwhBefore;
+  let remaining = kwh;
+  for (const tier of tariff.tiers) {
+    if (remaining <= 0) break;
+    const room = tier.upToKwh - used;
+    if (room <= 0) continue;
+    const portion = Math.min(room, remaining);
+    cost += portion * tier.rate;
+    used += portion;
+    remaining -= portion;
+  }
+  return cost;
+}
+
+// JSON-friendly view of the tariff (Infinity does not survive JSON)
+function describeTariff(tariff) {
+  const view = { ...tariff };
+  if (tariff.tiers) {
+    view.tiers = tariff.tiers.map((tier) => ({
+      rate: tier.rate,
+      upToKwh: Number.isFinite(tier.upToKwh) ? tier.upToKwh : null,
+    }));
+  }
+  if (tariff.bands) {
+    view.bands = tariff.bands.map((band) => ({
+      ...band,
+      days: band.days.map((day) => DAY_NAMES[day]),
+      from: formatClock(band.from),
+      to: formatClock(band.to),
+    }));
+  }
+  return view;
+}
+
+module.exports = {
+  loadTariff,
+  normalizeTariff,
+  rateAt,
+  priceEnergy,
+  describeTariff,
+};
@@ -0,0 +1,182 @@
+// Parsing helpers for the `from`, `to` and `bucket` query parameters shared by
+// the history and export endpoints.
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// "90s", "5m", "1h", "7d", "2w" or a bare number of seconds -> milliseconds
+function parseDuration(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new RangeError(`Invalid duration: ${value}`);
+  }
+  const ms = Math.round(parseFloat(match[1]) * UNITS[match[2] || "s"]);
+  if (ms <= 0) {
+    throw new RangeError(`Duration must be positive: ${value}`);
+  }
+  return ms;
+}
+
+// Epoch milliseconds or anything Date can parse (ISO 8601) -> milliseconds
+function parseTime(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const ms = /^\d+$/.test(String(value))
+    ? Number(value)
+    : Date.parse(String(value));
+  if (!Number.isFinite(ms)) {
+    throw new RangeError(`Invalid time: ${value}`);
+  }
+  return ms;
+}
+
+// Resolve a `from`/`to` pair from a query string, defaulting to the last
+// `defaultSpan` milliseconds.
+function parseRange(query, defaultSpan = UNITS.d) {
+  const to = parseTime(query.to, Date.now());
+  const from = parseTime(query.from, to - defaultSpan);
+  if (from >= to) {
+    throw new RangeError("`from` must be before `to`");
+  }
+  return { from, to };
+}
+
+// History series: at most MAX_POINTS points, by default about TARGET_POINTS
+const MAX_POINTS = 5000;
+const TARGET_POINTS = 500;
+const BUCKET_STEPS = [
+  5 * UNITS.s,
+  15 * UNITS.s,
+  30 * UNITS.s,
+  UNITS.m,
+  5 * UNITS.m,
+  15 * UNITS.m,
+  30 * UNITS.m,
+  UNITS.h,
+  3 * UNITS.h,
+  6 * UNITS.h,
+  12 * UNITS.h,
+  UNITS.d,
+];
+
+// Smallest "nice" bucket that keeps the series under TARGET_POINTS
+function autoBucket(span) {
+  return (
+    BUCKET_STEPS.find((step) => span / step <= TARGET_POINTS) ||
+    Math.ceil(span / TARGET_POINTS / UNITS.d) * UNITS.d
+  );
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Calendar keys in server local time, e.g. "2024-03-09" and "2024-03"
+function localDateKey(ms) {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+function localMonthKey(ms) {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+}
+
+function startOfLocalDay(ms) {
+  const date = new Date(ms);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function startOfLocalMonth(ms) {
+  const date = new Date(ms);
+  date.setDate(1);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Calendar periods in server local time. Weeks start on Monday. Each has its
+// start, the start of the next one (DST-safe, unlike adding fixed
+// milliseconds) and a key.
+const PERIODS = {
+  hour: {
+    start: (ms) => {
+      const date = new Date(ms);
+      date.setMinutes(0, 0, 0);
+      return date.getTime();
+    },
+    next: (start) => {
+      const date = new Date(start);
+      date.setHours(date.getHours() + 1);
+      return date.getTime();
+    },
+    key: (ms) => `${localDateKey(ms)} ${pad(new Date(ms).getHours())}:00`,
+  },
+  day: {
+    start: startOfLocalDay,
+    next: (start) => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + 1);
+      return date.getTime();
+    },
+    key: localDateKey,
+  },
+  week: {
+    start: (ms) => {
+      const date = new Date(startOfLocalDay(ms));
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      return date.getTime();
+    },
+    next: (start) => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + 7);
+      return date.getTime();
+    },
+    key: (ms) => `week of ${localDateKey(ms)}`,
+  },
+  month: {
+    start: startOfLocalMonth,
+    next: (start) => {
+      const date = new Date(start);
+      date.setMonth(date.getMonth() + 1);
+      return date.getTime();
+    },
+    key: localMonthKey,
+  },
+  year: {
+    start: (ms) => {
+      const date = new Date(startOfLocalMonth(ms));
+      date.setMonth(0);
+      return date.getTime();
+    },
+    next: (start) => {
+      const date = new Date(start);
+      date.setFullYear(date.getFullYear() + 1);
+      return date.getTime();
+    },
+    key: (ms) => String(new Date(ms).getFullYear()),
+  },
+};
+
+module.exports = {
+  UNITS,
+  parseDuration,
+  parseTime,
+  parseRange,
+  MAX_POINTS,
+  autoBucket,
+  localDateKey,
+  localMonthKey,
+  startOfLocalDay,
+  startOfLocalMonth,
+  PERIODS,
+};
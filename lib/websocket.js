@@ -0,0 +1,413 @@
+const WebSocket = require("ws");
+const { hasRole, tokenFromRequest } = require("./auth");
+const { ProtocolError, ValidationError } = require("./errors");
+const { findDp, findMetric } = require("./profiles");
+const {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  parseRequest,
+  serverMessage,
+  ack,
+  nack,
+} = require("./protocol");
+
+// Served on the Express server, so the dashboard can use a relative URL
+const WS_PATH = "/api/ws";
+
+// Clients that have not answered a ping since the previous one are dropped
+const HEARTBEAT_INTERVAL = 30000;
+
+// Fields a "data" message keeps whatever metrics the client picked
+const ALWAYS_SENT = ["timestamp", "connected"];
+
+// How a failed control request is described in its nack
+const FAILED_VERBS = {
+  toggle: "toggle",
+  on: "switch",
+  off: "switch",
+  set: "set",
+};
+
+// A client's subscriptions map a device id (or "*" for every device) to the
+// metrics it wants: a Set, null for all of them, or false to leave a device
+// out of "*". New clients get everything.
+function subscriptionFor(subscriptions, deviceId) {
+  if (subscriptions.has(deviceId)) {
+    return subscriptions.get(deviceId);
+  }
+  return subscriptions.has("*") ? subscriptions.get("*") : false;
+}
+
+// The message as a client with these subscriptions should see it, or null
+// when it is not subscribed to the device
+function filterMessage(subscriptions, message) {
+  if (!message.deviceId) {
+    return message;
+  }
+  const metrics = subscriptionFor(subscriptions, message.deviceId);
+  if (metrics === false) {
+    return null;
+  }
+  if (metrics === null || message.type !== "data") {
+    return message;
+  }
+  const data = {};
+  for (const key of [...ALWAYS_SENT, ...metrics]) {
+    if (key in message.data) {
+      data[key] = message.data[key];
+    }
+  }
+  return { ...message, data };
+}
+
+function describeSubscriptions(subscriptions) {
+  const described = {};
+  for (const [deviceId, metrics] of subscriptions) {
+    described[deviceId] = metrics instanceof Set ? [...metrics] : metrics;
+  }
+  return described;
+}
+
+// The dashboard's WebSocket endpoint (protocol in README.md). Clients
+// authenticate during the upgrade handshake with the session cookie (or a
+// Bearer token), so there is no anonymous socket.
+function createSocketServer({
+  server,
+  auth,
+  devices,
+  groups,
+  auditLog,
+  listDevices,
+  heartbeatInterval = HEARTBEAT_INTERVAL,
+}) {
+  const wss = new WebSocket.Server({
+    server,
+    path: WS_PATH,
+    // An error here would be thrown out of the HTTP server's upgrade event
+    // and end the process, so anything unexpected refuses the client
+    verifyClient: ({ req }, done) => {
+      let user;
+      let token;
+      try {
+        token = tokenFromRequest(req);
+        user = auth.authenticate(token);
+      } catch (error) {
+        console.error("Error authenticating WebSocket client:", error);
+      }
+      if (!user) {
+        return done(false, 401, "Login required");
+      }
+      req.sessionToken = token;
+      req.user = user;
+      done(true);
+    },
+  });
+
+  function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Send `{ type, deviceId?, data }` to every client subscribed to it
+  function broadcast({ type, ...fields }) {
+    const message = serverMessage(type, fields);
+    wss.clients.forEach((client) => {
+      const filtered = filterMessage(client.subscriptions, message);
+      if (filtered) {
+        send(client, filtered);
+      }
+    });
+  }
+
+  // Close the sockets opened with a session that has just ended
+  function closeSession(token) {
+    wss.clients.forEach((client) => {
+      if (client.sessionToken === token) {
+        client.close(4001, "Logged out");
+      }
+    });
+  }
+
+  // Close every socket of a user whose sessions were all ended: the user was
+  // deleted or given a new password
+  function closeUser(userId) {
+    wss.clients.forEach((client) => {
+      if (client.userId === userId) {
+        client.close(4001, "Session ended");
+      }
+    });
+  }
+
+  function getDevice(deviceId) {
+    const connection = devices.get(deviceId);
+    if (!connection) {
+      throw new ProtocolError(
+        ERROR_CODES.UNKNOWN_DEVICE,
+        `Unknown device: ${deviceId}`
+      );
+    }
+    return connection;
+  }
+
+  // Checked per request, so logouts and role changes apply at once
+  function requireOperator(ws) {
+    const user = auth.authenticate(ws.sessionToken);
+    if (!hasRole(user, "operator")) {
+      throw new ProtocolError(
+        ERROR_CODES.FORBIDDEN,
+        "Controlling plugs requires the operator role"
+      );
+    }
+    return user;
+  }
+
+  // Check and carry out a write to a plug, and audit the attempt with its
+  // outcome. `write` gets the connection and returns the ack's data.
+  async function control(ws, deviceId, action, write, detail = {}) {
+    const connection = getDevice(deviceId);
+    const user = requireOperator(ws);
+    const audit = (outcome) =>
+      auditLog.record({
+        username: user.username,
+        source: "websocket",
+        action,
+        deviceId: connection.id,
+        detail: { ...detail, ...outcome },
+      });
+
+    let data;
+    try {
+      if (!connection.connected) {
+        throw new ProtocolError(
+          ERROR_CODES.NOT_CONNECTED,
+          `${connection.name} is not connected`
+        );
+      }
+      data = await write(connection);
+    } catch (error) {
+      audit({ ok: false, error: error.message });
+      if (error instanceof ProtocolError) {
+        throw error;
+      }
+      if (error instanceof ValidationError) {
+        throw new ProtocolError(ERROR_CODES.INVALID_VALUE, error.message);
+      }
+      console.error(`Error in ${action} for ${connection.id}:`, error);
+      throw new ProtocolError(
+        ERROR_CODES.DEVICE_ERROR,
+        `Failed to ${FAILED_VERBS[action]} device: ${error.message}`
+      );
+    }
+    audit({ ok: true });
+    return { deviceId: connection.id, ...data };
+  }
+
+  const switchTo = (connection, state) =>
+    connection
+      .setPower(state)
+      .then((powerState) => ({ power_state: powerState }));
+
+  // Request handlers by type; what they return is the ack's data
+  const handlers = {
+    toggle(ws, { deviceId }) {
+      return control(ws, deviceId, "toggle", (connection) =>
+        connection.toggle().then((state) => ({ power_state: state }))
+      );
+    },
+
+    on(ws, { deviceId }) {
+      return control(ws, deviceId, "on", (connection) =>
+        switchTo(connection, true)
+      );
+    },
+
+    off(ws, { deviceId }) {
+      return control(ws, deviceId, "off", (connection) =>
+        switchTo(connection, false)
+      );
+    },
+
+    set(ws, { deviceId, dp, value }) {
+      const { profile, name } = getDevice(deviceId);
+      const entry = findDp(profile, dp);
+      if (!entry) {
+        throw new ProtocolError(
+          ERROR_CODES.UNKNOWN_METRIC,
+          `${name} has no DP or metric ${dp}`
+        );
+      }
+      return control(
+        ws,
+        deviceId,
+        "set",
+        (connection) =>
+          connection.setValue(entry.dp, value).then((written) => ({
+            dp: entry.dp,
+            metric: entry.metric,
+            value: written,
+          })),
+        { dp: entry.dp, metric: entry.metric, value }
+      );
+    },
+
+    // Members that fail are reported in the results, not as a nack
+    async group(ws, { groupId, action }) {
+      const user = requireOperator(ws);
+      const result = await groups.switchGroup(groupId, action, {
+        username: user.username,
+        source: "websocket",
+      });
+      if (!result) {
+        throw new ProtocolError(
+          ERROR_CODES.UNKNOWN_GROUP,
+          `Unknown group: ${groupId}`
+        );
+      }
+      return result;
+    },
+
+    async scene(ws, { sceneId }) {
+      const user = requireOperator(ws);
+      const result = await groups.activateScene(sceneId, {
+        username: user.username,
+        source: "websocket",
+      });
+      if (!result) {
+        throw new ProtocolError(
+          ERROR_CODES.UNKNOWN_SCENE,
+          `Unknown scene: ${sceneId}`
+        );
+      }
+      return result;
+    },
+
+    // Poll one device, or all of them, right away
+    async refresh(ws, { deviceId }) {
+      const targets = deviceId
+        ? [getDevice(deviceId)]
+        : Array.from(devices.values());
+      await Promise.all(
+        targets.map((connection) => connection.getStatusSafe())
+      );
+      return { deviceIds: targets.map((connection) => connection.id) };
+    },
+
+    subscribe(ws, { deviceId, metrics }) {
+      if (deviceId) {
+        const connection = getDevice(deviceId);
+        for (const metric of metrics || []) {
+          if (!findMetric(connection.profile, metric)) {
+            throw new ProtocolError(
+              ERROR_CODES.UNKNOWN_METRIC,
+              `${connection.name} has no metric ${metric}`
+            );
+          }
+        }
+      } else {
+        // Subscribing to every device starts over
+        ws.subscriptions.clear();
+      }
+      ws.subscriptions.set(deviceId || "*", metrics ? new Set(metrics) : null);
+      return { subscriptions: describeSubscriptions(ws.subscriptions) };
+    },
+
+    unsubscribe(ws, { deviceId }) {
+      if (!deviceId) {
+        ws.subscriptions.clear();
+      } else if (ws.subscriptions.has("*")) {
+        getDevice(deviceId);
+        ws.subscriptions.set(deviceId, false);
+      } else {
+        ws.subscriptions.delete(deviceId);
+      }
+      return { subscriptions: describeSubscriptions(ws.subscriptions) };
+    },
+  };
+
+  async function handleRequest(ws, raw) {
+    let request = null;
+    try {
+      request = parseRequest(raw);
+      if (request.type === "ping") {
+        send(ws, serverMessage("pong", { id: request.id }));
+        return;
+      }
+      const data = await handlers[request.type](ws, request);
+      send(ws, ack(request.id, data));
+    } catch (error) {
+      if (!(error instanceof ProtocolError)) {
+        console.error("Error handling WebSocket message:", error);
+      }
+      send(ws, nack(request ? request.id : error.id, error));
+    }
+  }
+
+  wss.on("connection", (ws, req) => {
+    console.log("Client connected to WebSocket");
+    ws.sessionToken = req.sessionToken;
+    ws.userId = req.user.id;
+    ws.subscriptions = new Map([["*", null]]);
+    ws.isAlive = true;
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    send(
+      ws,
+      serverMessage("hello", {
+        data: {
+          protocol: PROTOCOL_VERSION,
+          user: { username: req.user.username, role: req.user.role },
+          heartbeatInterval,
+        },
+      })
+    );
+    // The latest reading of every device
+    send(ws, serverMessage("devices", { data: listDevices() }));
+
+    ws.on("message", (raw) => {
+      ws.isAlive = true;
+      handleRequest(ws, raw);
+    });
+
+    ws.on("close", () => {
+      console.log("Client disconnected from WebSocket");
+    });
+  });
+
+  // Protocol-level pings find clients that vanished without closing (a
+  // laptop going to sleep, a dropped Wi-Fi link)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        console.log("Dropping unresponsive WebSocket client");
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, heartbeatInterval);
+
+  function close() {
+    clearInterval(heartbeat);
+    wss.clients.forEach((client) => client.terminate());
+    wss.close();
+  }
+
+  return {
+    wss,
+    broadcast,
+    closeSession,
+    closeUser,
+    close,
+  };
+}
+
+module.exports = {
+  WS_PATH,
+  createSocketServer,
+  filterMessage,
+};
@@ -0,0 +1,169 @@
+const { openDatabase } = require("../lib/db");
+const { AnomalyDetector } = require("../lib/anomalies");
+const { BUILTIN_PROFILES } = require("../lib/profiles");
+
+const START = Date.parse("2024-03-06T08:00:00Z");
+const STEP = 10 * 1000;
+
+let db;
+let plug;
+let detector;
+let events;
+let clock;
+
+beforeEach(() => {
+  db = openDatabase(":memory:");
+  plug = { id: "plug-1", name: "Fridge", profile: BUILTIN_PROFILES.standard };
+  detector = new AnomalyDetector({
+    db,
+    devices: new Map([["plug-1", plug]]),
+    options: { warmup: 5 },
+  });
+  events = [];
+  detector.on("anomaly", (event) => events.push(event));
+  clock = START;
+});
+
+afterEach(() => {
+  db.close();
+});
+
+// Feed one reading per step; `reading` fills in the usual values
+function feed(count, reading = {}) {
+  for (let i = 0; i < count; i += 1) {
+    detector.process("plug-1", {
+      timestamp: new Date(clock).toISOString(),
+      power_state: true,
+      voltage: 230,
+      current: 500,
+      power: 100,
+      ...reading,
+    });
+    clock += STEP;
+  }
+}
+
+const all = () => detector.list({ deviceId: "plug-1" });
+
+describe("AnomalyDetector", () => {
+  test("flags nothing while readings stay near their baselines", () => {
+    feed(20);
+    feed(20, { voltage: 232, current: 520, power: 104 });
+
+    expect(all()).toEqual([]);
+    expect(detector.baselines("plug-1").voltage).toMatchObject({ count: 40 });
+  });
+
+  test("records a voltage sag from its first to its last reading", () => {
+    feed(10);
+    const start = clock;
+    feed(3, { voltage: 190 });
+    feed(1, { voltage: 180 });
+    const end = clock - STEP;
+    feed(2);
+
+    const [sag] = all();
+    expect(sag).toMatchObject({
+      type: "voltage_sag",
+      metric: "voltage",
+      start,
+      end,
+      value: 180,
+      baseline: 230,
+    });
+    expect(sag.message).toBe(
+      "voltage sag on Fridge: voltage 190 against a baseline of 230"
+    );
+    expect(events.map((event) => event.state)).toEqual(["started", "ended"]);
+    // The sag did not drag the baseline down
+    expect(detector.baselines("plug-1").voltage.mean).toBe(230);
+  });
+
+  test("flags a voltage swell", () => {
+    feed(10);
+    feed(1, { voltage: 260 });
+
+    expect(all().map((anomaly) => anomaly.type)).toEqual(["voltage_swell"]);
+  });
+
+  test("flags a current spike while running", () => {
+    feed(10);
+    feed(1, { current: 2000, power: 110 });
+
+    expect(all().map((anomaly) => anomaly.type)).toContain("current_spike");
+  });
+
+  test("flags unusual standby draw", () => {
+    feed(10, { power: 0.5, current: 10 });
+    feed(1, { power: 4, current: 30 });
+
+    const [standby] = all();
+    expect(standby).toMatchObject({
+      type: "standby_draw",
+      metric: "power",
+      value: 4,
+      baseline: 0.5,
+    });
+  });
+
+  test("ignores a plug that is switched off", () => {
+    feed(10, { power: 0.5, current: 10 });
+    feed(5, { power_state: false, power: 0, current: 0 });
+
+    expect(all()).toEqual([]);
+    expect(detector.baselines("plug-1").standby.count).toBe(10);
+  });
+
+  test("flags power factor drift against the long-term power factor", () => {
+    // 100 W from 230 V x 0.5 A: power factor 0.87
+    feed(20);
+    // Same current, less real power: power factor 0.52
+    feed(10, { power: 60 });
+
+    const drift = all().find(
+      (anomaly) => anomaly.type === "power_factor_drift"
+    );
+    expect(drift).toMatchObject({ metric: "power_factor" });
+    expect(drift.baseline).toBeCloseTo(0.87, 2);
+    expect(drift.value).toBeLessThan(0.77);
+  });
+
+  test("reads current in the unit the profile gives it in", () => {
+    const dps = BUILTIN_PROFILES.standard.dps;
+    plug.profile = {
+      dps: { ...dps, 18: { ...dps[18], unit: "A", scale: 3 } },
+    };
+
+    feed(20, { current: 0.5 });
+    feed(10, { current: 0.5, power: 60 });
+
+    const drift = all().find(
+      (anomaly) => anomaly.type === "power_factor_drift"
+    );
+    expect(drift.baseline).toBeCloseTo(0.87, 2);
+  });
+
+  test("leaves out the power factor when current has an unknown unit", () => {
+    const dps = BUILTIN_PROFILES.standard.dps;
+    plug.profile = { dps: { ...dps, 18: { ...dps[18], unit: "" } } };
+
+    feed(20);
+    feed(10, { power: 60 });
+
+    expect(all()).toEqual([]);
+    expect(detector.baselines("plug-1").powerFactorSlow).toBeNull();
+  });
+
+  test("filters the event list by type and time", () => {
+    feed(10);
+    feed(1, { voltage: 190 });
+    feed(1);
+    feed(1, { voltage: 260 });
+
+    expect(
+      detector.list({ deviceId: "plug-1", type: "voltage_swell" })
+    ).toHaveLength(1);
+    expect(detector.list({ from: clock })).toEqual([]);
+    expect(detector.list({ to: START + 11 * STEP })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,895 @@
+jest.mock("tuyapi", () => require("./helpers/fakeTuya"));
+
+const { once } = require("events");
+const request = require("supertest");
+const {
+  PASSWORD,
+  createTestApp,
+  loginAs,
+  markConnected,
+} = require("./helpers/testApp");
+
+let server;
+let admin;
+let operator;
+let viewer;
+
+beforeAll(async () => {
+  server = await createTestApp();
+  admin = await loginAs(server, "admin");
+  operator = await loginAs(server, "operator");
+  viewer = await loginAs(server, "viewer");
+});
+
+afterAll(() => {
+  server.stop();
+});
+
+beforeEach(() => {
+  for (const connection of server.devices.values()) {
+    connection.setState("disconnected");
+    connection.device.set.mockClear();
+  }
+});
+
+describe("authentication", () => {
+  test("rejects API calls without a session", async () => {
+    const res = await request(server.app).get("/api/devices").expect(401);
+    expect(res.body.error).toBeDefined();
+  });
+
+  test("rejects a wrong password", async () => {
+    await request(server.app)
+      .post("/api/auth/login")
+      .send({ username: "viewer", password: "not it" })
+      .expect(401);
+  });
+
+  test("returns the logged-in user", async () => {
+    const res = await viewer.agent.get("/api/auth/me").expect(200);
+    expect(res.body).toMatchObject({ username: "viewer", role: "viewer" });
+  });
+
+  test("accepts a Bearer token instead of the cookie", async () => {
+    await request(server.app)
+      .get("/api/devices")
+      .set("Authorization", `Bearer ${viewer.token}`)
+      .expect(200);
+  });
+
+  test("ends the session on logout", async () => {
+    const { agent, token } = await loginAs(server, "viewer", "leaving");
+    await agent.post("/api/auth/logout").expect(204);
+    await request(server.app)
+      .get("/api/devices")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(401);
+  });
+});
+
+describe("devices", () => {
+  test("lists every configured plug with its profile and reading", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: true, 19: 1121 });
+
+    const res = await viewer.agent.get("/api/devices").expect(200);
+
+    expect(res.body.map((device) => device.id)).toEqual(["plug-1", "plug-2"]);
+    expect(res.body[0]).toMatchObject({
+      name: "Desk",
+      power_state: true,
+      power: 112.1,
+      connected: true,
+      simulated: false,
+      profile: { name: "standard" },
+    });
+    expect(res.body[1].profile.name).toBe("compact");
+  });
+
+  test("returns the status of one plug", async () => {
+    const res = await viewer.agent.get("/api/devices/plug-2/status");
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe("plug-2");
+  });
+
+  test("returns the connection state and its history", async () => {
+    const connection = server.devices.get("plug-2");
+    connection.setState("connecting");
+    connection.setState("online");
+
+    const res = await viewer.agent
+      .get("/api/devices/plug-2/connection")
+      .expect(200);
+
+    expect(res.body).toMatchObject({ state: "online", consecutiveFailures: 0 });
+    expect(res.body.history.slice(0, 2).map((entry) => entry.state)).toEqual([
+      "online",
+      "connecting",
+    ]);
+  });
+
+  test("answers 404 for an unknown plug", async () => {
+    await viewer.agent.get("/api/devices/nope/status").expect(404);
+  });
+
+  test("lists the profiles", async () => {
+    const res = await viewer.agent.get("/api/profiles").expect(200);
+    expect(res.body.map((profile) => profile.name)).toEqual(
+      expect.arrayContaining(["standard", "compact", "switch"])
+    );
+  });
+});
+
+describe("POST /api/devices/:id/toggle", () => {
+  test("switches a connected plug and records who did it", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: false });
+
+    const res = await operator.agent
+      .post("/api/devices/plug-1/toggle")
+      .expect(200);
+
+    expect(res.body).toEqual({ success: true, new_state: true });
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 1, set: true });
+
+    const audit = await admin.agent
+      .get("/api/audit?deviceId=plug-1")
+      .expect(200);
+    expect(audit.body[0]).toMatchObject({
+      username: "operator",
+      source: "rest",
+      action: "toggle",
+    });
+  });
+
+  test("refuses a plug that is not connected", async () => {
+    const res = await operator.agent
+      .post("/api/devices/plug-1/toggle")
+      .expect(400);
+    expect(res.body.error).toBe("Device not connected");
+  });
+
+  test("reports a failed switch", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: false });
+    connection.device.set.mockRejectedValueOnce(new Error("Timeout"));
+
+    const res = await operator.agent
+      .post("/api/devices/plug-1/toggle")
+      .expect(500);
+    expect(res.body.error).toBe("Timeout");
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      source: "rest",
+      action: "toggle",
+      detail: { ok: false, error: "Timeout" },
+    });
+  });
+
+  test("needs the operator role", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: false });
+    await viewer.agent.post("/api/devices/plug-1/toggle").expect(403);
+    expect(server.devices.get("plug-1").device.set).not.toHaveBeenCalled();
+  });
+});
+
+describe("power and DP controls", () => {
+  test("switches on and off explicitly", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: true });
+
+    const on = await operator.agent.post("/api/devices/plug-1/on").expect(200);
+    const off = await operator.agent
+      .post("/api/devices/plug-1/off")
+      .expect(200);
+
+    expect(on.body).toEqual({ success: true, power_state: true });
+    expect(off.body).toEqual({ success: true, power_state: false });
+    expect(connection.device.set.mock.calls).toEqual([
+      [{ dps: 1, set: true }],
+      [{ dps: 1, set: false }],
+    ]);
+  });
+
+  test("lists the DPs the plug reported with their schema", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: true, 41: false });
+
+    const res = await viewer.agent.get("/api/devices/plug-1/dps").expect(200);
+
+    expect(res.body.map((entry) => entry.metric)).toEqual([
+      "power_state",
+      "current",
+      "power",
+      "voltage",
+      "energy",
+      "child_lock",
+    ]);
+    expect(res.body[5]).toMatchObject({
+      dp: "41",
+      type: "boolean",
+      writable: true,
+      value: false,
+    });
+  });
+
+  test("writes a DP and records it", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: true, 38: "last" });
+
+    const res = await operator.agent
+      .put("/api/devices/plug-1/dps/relay_status")
+      .send({ value: "power_off" })
+      .expect(200);
+
+    expect(res.body).toEqual({
+      success: true,
+      dp: "38",
+      metric: "relay_status",
+      value: "power_off",
+    });
+    expect(connection.device.set).toHaveBeenCalledWith({
+      dps: 38,
+      set: "power_off",
+    });
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      action: "set",
+      detail: { dp: "38", metric: "relay_status", value: "power_off" },
+    });
+  });
+
+  test("rejects values outside the schema", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: true, 9: 0 });
+
+    const range = await operator.agent
+      .put("/api/devices/plug-1/dps/9")
+      .send({ value: -5 })
+      .expect(400);
+    const readOnly = await operator.agent
+      .put("/api/devices/plug-1/dps/power")
+      .send({ value: 5 })
+      .expect(400);
+    await operator.agent
+      .put("/api/devices/plug-1/dps/99")
+      .send({ value: 5 })
+      .expect(404);
+
+    expect(range.body.error).toBe("Countdown must be between 0 and 86400");
+    expect(readOnly.body.error).toBe("Power is read-only");
+    expect(server.devices.get("plug-1").device.set).not.toHaveBeenCalled();
+  });
+});
+
+describe("history", () => {
+  test("returns the readings stored from device data", async () => {
+    const connection = server.devices.get("plug-2");
+    markConnected(connection, { 1: true, 5: 184, 6: 2290 });
+
+    const res = await viewer.agent
+      .get("/api/devices/plug-2/history?range=1h&metric=power")
+      .expect(200);
+
+    expect(res.body.deviceId).toBe("plug-2");
+    const points = res.body.series.power;
+    expect(points[points.length - 1]).toMatchObject({ avg: 18.4 });
+  });
+
+  test("rejects an invalid range", async () => {
+    await viewer.agent
+      .get("/api/devices/plug-2/history?from=later&to=sooner")
+      .expect(400);
+  });
+
+  test("exports the share of a rolled-up minute the plug was on", async () => {
+    for (const [second, on] of [
+      [0, true],
+      [15, true],
+      [30, true],
+      [45, false],
+    ]) {
+      server.store.insertReading("plug-2", {
+        timestamp: `2020-01-01T00:00:${String(second).padStart(2, "0")}Z`,
+        power_state: on,
+      });
+    }
+    server.store.insertReading("plug-2", {
+      timestamp: "2020-01-01T00:01:00Z",
+      power_state: true,
+    });
+    server.store.compact({
+      rawBefore: Date.parse("2020-01-01T00:02:00Z"),
+      minuteBefore: 0,
+    });
+
+    const res = await viewer.agent
+      .get(
+        "/api/devices/plug-2/data/csv?from=2020-01-01T00:00:00Z&to=2020-01-01T00:02:00Z"
+      )
+      .expect(200);
+
+    const [header, ...rows] = res.text.trim().split("\n");
+    const column = header.split(",").indexOf("Power State");
+    expect(rows.map((row) => row.split(",")[column])).toEqual(["0.75", "true"]);
+  });
+
+  test("answers CSV exports that fail with an error", async () => {
+    await viewer.agent
+      .get("/api/devices/plug-2/data/csv?from=later")
+      .expect(400);
+
+    const spy = jest
+      .spyOn(server.store, "timeBounds")
+      .mockImplementation(() => {
+        throw new Error("database is locked");
+      });
+    try {
+      const res = await viewer.agent
+        .get("/api/devices/plug-2/data/csv")
+        .expect(500);
+      expect(res.body.error).toBe("database is locked");
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe("reports", () => {
+  test("returns this week's consumption compared with last week", async () => {
+    const res = await viewer.agent
+      .get("/api/reports/energy?range=week")
+      .expect(200);
+
+    expect(res.body).toMatchObject({ range: "week", bucket: "day" });
+    expect(res.body.buckets).toHaveLength(7);
+    expect(res.body.devices.map((device) => device.deviceId)).toEqual([
+      "plug-1",
+      "plug-2",
+    ]);
+    expect(res.body.previous.buckets).toHaveLength(7);
+    expect(res.body.change).toHaveProperty("percent");
+  });
+
+  test("exports one plug as CSV", async () => {
+    const res = await viewer.agent
+      .get("/api/reports/energy/csv?range=week&deviceId=plug-2")
+      .expect(200);
+
+    expect(res.headers["content-type"]).toMatch(/text\/csv/);
+    expect(res.headers["content-disposition"]).toMatch(
+      /energy_report_week\.csv/
+    );
+    const lines = res.text.trim().split("\n");
+    expect(lines[0]).toBe(
+      "Period,Start,Kettle (kWh),Total (kWh),Cost,Previous period (kWh),Estimated"
+    );
+    expect(lines).toHaveLength(8);
+  });
+
+  test("renders a printable HTML summary", async () => {
+    const res = await viewer.agent
+      .get("/api/reports/energy/html?range=month&compare=false")
+      .expect(200);
+
+    expect(res.headers["content-type"]).toMatch(/text\/html/);
+    expect(res.text).toContain("Energy report: This month");
+    expect(res.text).not.toContain("Previous period to date");
+  });
+
+  test("rejects bad parameters and unknown plugs", async () => {
+    await viewer.agent.get("/api/reports/energy?range=decade").expect(400);
+    await viewer.agent
+      .get("/api/reports/energy?from=2024-01-01T00:00:00Z")
+      .expect(400);
+    await viewer.agent
+      .get("/api/reports/energy?range=year&bucket=hour")
+      .expect(400);
+    await viewer.agent.get("/api/reports/energy?deviceId=nope").expect(404);
+  });
+
+  test("stacks the power of every plug", async () => {
+    markConnected(server.devices.get("plug-2"), { 1: true, 5: 184 });
+
+    const res = await viewer.agent
+      .get("/api/reports/power?range=day&bucket=1h")
+      .expect(200);
+
+    expect(res.body.bucket).toBe(60 * 60 * 1000);
+    expect(res.body.devices.map((device) => device.deviceId)).toEqual([
+      "plug-1",
+      "plug-2",
+    ]);
+    const latest = res.body.points.find(
+      (point) => point.values["plug-2"] !== null
+    );
+    expect(latest.values["plug-2"]).toBeGreaterThan(0);
+    await viewer.agent
+      .get("/api/reports/power?range=year&bucket=1m")
+      .expect(400);
+  });
+
+  test("ranks the plugs by their share of the energy used", async () => {
+    const res = await viewer.agent
+      .get("/api/reports/breakdown?range=month")
+      .expect(200);
+
+    expect(res.body.devices.map((device) => device.rank)).toEqual([1, 2]);
+    expect(res.body.devices[0]).toHaveProperty("share");
+    expect(res.body.totals).toHaveProperty("kwh");
+  });
+
+  test("compares two plugs or two periods", async () => {
+    const devicesRes = await viewer.agent
+      .get("/api/reports/compare?range=day&devices=plug-1,plug-2")
+      .expect(200);
+    expect(devicesRes.body.mode).toBe("devices");
+    expect(devicesRes.body.series.map((series) => series.label)).toEqual([
+      "Desk",
+      "Kettle",
+    ]);
+
+    const periodsRes = await viewer.agent
+      .get("/api/reports/compare?range=day&deviceId=plug-2")
+      .expect(200);
+    expect(periodsRes.body.mode).toBe("periods");
+    const [current, previous] = periodsRes.body.series;
+    expect(previous.to).toBe(current.from);
+    expect(previous.points).toHaveLength(current.points.length);
+
+    await viewer.agent.get("/api/reports/compare?devices=plug-1").expect(400);
+    await viewer.agent
+      .get("/api/reports/compare?devices=plug-1,nope")
+      .expect(404);
+  });
+});
+
+describe("cycles", () => {
+  test("shows the run in progress and the plug's settings", async () => {
+    await operator.agent
+      .put("/api/devices/plug-2/cycles/settings")
+      .send({ appliance: "Kettle", idleWatts: 10 })
+      .expect(200);
+    markConnected(server.devices.get("plug-2"), { 1: true, 5: 20000 });
+
+    const res = await viewer.agent
+      .get("/api/devices/plug-2/cycles")
+      .expect(200);
+
+    expect(res.body.settings).toMatchObject({
+      appliance: "Kettle",
+      idleWatts: 10,
+    });
+    expect(res.body.running).toMatchObject({ peakWatts: 2000 });
+    expect(res.body.cycles).toEqual([]);
+  });
+
+  test("labels and deletes cycles", async () => {
+    // End whatever run earlier readings started; it is too short to keep
+    server.cycleTracker.updateSettings("plug-1", {
+      idleSeconds: 0,
+      minSeconds: 300,
+    });
+    server.cycleTracker.process("plug-1", {
+      timestamp: new Date().toISOString(),
+      power: 0,
+    });
+
+    const start = Date.now() - 60 * 60 * 1000;
+    // A reading every other minute, so the run is not split by gaps
+    for (const [offset, power] of [
+      ...[0, 2, 4, 6, 8, 10].map((minute) => [minute * 60 * 1000, 500]),
+      [11 * 60 * 1000, 0],
+      [20 * 60 * 1000, 0],
+    ]) {
+      server.cycleTracker.process("plug-1", {
+        timestamp: new Date(start + offset).toISOString(),
+        power,
+      });
+    }
+    const list = await viewer.agent
+      .get("/api/devices/plug-1/cycles")
+      .expect(200);
+    const [cycle] = list.body.cycles;
+    expect(cycle).toMatchObject({ start, durationSeconds: 660 });
+
+    const labelled = await operator.agent
+      .put(`/api/devices/plug-1/cycles/${cycle.id}`)
+      .send({ label: "Eco wash" })
+      .expect(200);
+    expect(labelled.body.label).toBe("Eco wash");
+
+    await viewer.agent
+      .delete(`/api/devices/plug-1/cycles/${cycle.id}`)
+      .expect(403);
+    await operator.agent
+      .delete(`/api/devices/plug-1/cycles/${cycle.id}`)
+      .expect(204);
+    // A cycle is only reachable through its own plug
+    await operator.agent
+      .delete(`/api/devices/plug-2/cycles/${cycle.id}`)
+      .expect(404);
+  });
+
+  test("rejects bad settings from operators and any from viewers", async () => {
+    await operator.agent
+      .put("/api/devices/plug-2/cycles/settings")
+      .send({ idleWatts: "lots" })
+      .expect(400);
+    await viewer.agent
+      .put("/api/devices/plug-2/cycles/settings")
+      .send({ idleWatts: 5 })
+      .expect(403);
+    await operator.agent
+      .put("/api/devices/plug-2/cycles/999")
+      .send({ label: "x" })
+      .expect(404);
+  });
+});
+
+describe("anomalies", () => {
+  test("lists flagged anomalies and the baselines behind them", async () => {
+    const connection = server.devices.get("plug-2");
+    for (let i = 0; i < 40; i += 1) {
+      markConnected(connection, { 1: true, 4: 100, 5: 200, 6: 2300 });
+    }
+    markConnected(connection, { 1: true, 4: 100, 5: 200, 6: 1800 });
+
+    const res = await viewer.agent
+      .get("/api/anomalies?deviceId=plug-2&type=voltage_sag")
+      .expect(200);
+    expect(res.body[0]).toMatchObject({
+      deviceId: "plug-2",
+      type: "voltage_sag",
+      value: 180,
+      // Earlier tests left readings of 229 V in the baseline
+      baseline: expect.closeTo(230, -1),
+    });
+
+    const baselines = await viewer.agent
+      .get("/api/anomalies/baselines")
+      .expect(200);
+    expect(Object.keys(baselines.body)).toEqual(["plug-1", "plug-2"]);
+    expect(baselines.body["plug-2"].voltage).toMatchObject({
+      mean: expect.closeTo(230, -1),
+    });
+  });
+
+  test("rejects an unknown type", async () => {
+    await viewer.agent.get("/api/anomalies?type=gremlins").expect(400);
+  });
+});
+
+describe("standby killer", () => {
+  test("switches an idling plug off and reports what it saved", async () => {
+    await operator.agent
+      .put("/api/devices/plug-1/standby/settings")
+      .send({ enabled: true, idleMinutes: 5 })
+      .expect(200);
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: true });
+
+    // A TV in standby, one reading a minute. The band is learned from the
+    // first 30 readings, so the plug goes off 5 minutes after that.
+    const cutoff = once(server.standbyKiller, "cutoff");
+    const start = Date.now() - 60 * 60 * 1000;
+    for (let minute = 0; minute < 36; minute += 1) {
+      server.standbyKiller.process("plug-1", {
+        timestamp: new Date(start + minute * 60 * 1000).toISOString(),
+        power_state: true,
+        power: 0.8,
+      });
+    }
+    await cutoff;
+
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 1, set: false });
+    const res = await viewer.agent
+      .get("/api/devices/plug-1/standby")
+      .expect(200);
+    expect(res.body).toMatchObject({
+      settings: { enabled: true, idleMinutes: 5 },
+      band: { watts: 0.8 },
+      cutoff: { ts: start + 34 * 60 * 1000, watts: 0.8 },
+      saved: { total: { cutoffs: 1, hours: expect.closeTo(0.43, 1) } },
+    });
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      username: "standby",
+      action: "off",
+    });
+
+    const savings = await viewer.agent.get("/api/standby/savings").expect(200);
+    expect(savings.body.devices.map((entry) => entry.cutoffs)).toEqual([1, 0]);
+    expect(savings.body.total.kwh).toBeGreaterThan(0);
+
+    await operator.agent
+      .put("/api/devices/plug-1/standby/settings")
+      .send({ enabled: false })
+      .expect(200);
+  });
+
+  test("rejects bad settings from operators and any from viewers", async () => {
+    await operator.agent
+      .put("/api/devices/plug-2/standby/settings")
+      .send({ activeFrom: "22:00" })
+      .expect(400);
+    await viewer.agent
+      .put("/api/devices/plug-2/standby/settings")
+      .send({ enabled: true })
+      .expect(403);
+    await viewer.agent.get("/api/standby/savings?from=soon").expect(400);
+  });
+});
+
+describe("groups and scenes", () => {
+  test("switch every member of a group and report each result", async () => {
+    const created = await operator.agent
+      .post("/api/groups")
+      .send({ name: "Office desk", deviceIds: ["plug-1", "plug-2"] })
+      .expect(201);
+    markConnected(server.devices.get("plug-1"), { 1: false, 19: 500 });
+
+    const res = await operator.agent
+      .post(`/api/groups/${created.body.id}/on`)
+      .expect(200);
+
+    expect(res.body.results).toEqual([
+      { deviceId: "plug-1", ok: true, power_state: true },
+      { deviceId: "plug-2", ok: false, error: "Kettle is not connected" },
+    ]);
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      username: "operator",
+      action: "on",
+      detail: { groupId: created.body.id, name: "Office desk", ok: true },
+    });
+
+    const list = await viewer.agent.get("/api/groups").expect(200);
+    expect(list.body[0]).toMatchObject({
+      name: "Office desk",
+      connected: 1,
+      power: 50,
+      today: { kwh: expect.any(Number) },
+    });
+  });
+
+  test("reject invalid groups and viewers switching them", async () => {
+    await operator.agent
+      .post("/api/groups")
+      .send({ name: "Nothing", deviceIds: ["plug-9"] })
+      .expect(400);
+    await viewer.agent.post("/api/groups/1/off").expect(403);
+    await operator.agent.post("/api/groups/999/off").expect(404);
+  });
+
+  test("activate a scene across plugs", async () => {
+    const created = await operator.agent
+      .post("/api/scenes")
+      .send({
+        name: "Bench",
+        actions: [
+          { deviceId: "plug-1", values: { countdown: 600, power_state: true } },
+        ],
+      })
+      .expect(201);
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: false, 9: 0 });
+
+    const res = await operator.agent
+      .post(`/api/scenes/${created.body.id}/activate`)
+      .expect(200);
+
+    expect(res.body).toEqual({
+      sceneId: created.body.id,
+      results: [
+        {
+          deviceId: "plug-1",
+          ok: true,
+          values: { countdown: 600, power_state: true },
+        },
+      ],
+    });
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 9, set: 600 });
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 1, set: true });
+  });
+
+  test("reject scenes with values the plug does not allow", async () => {
+    const res = await operator.agent
+      .post("/api/scenes")
+      .send({
+        name: "Broken",
+        actions: [{ deviceId: "plug-1", values: { countdown: -5 } }],
+      })
+      .expect(400);
+    expect(res.body.error).toMatch(/Countdown/i);
+    await operator.agent.post("/api/scenes/999/activate").expect(404);
+  });
+});
+
+describe("storage", () => {
+  test("is for admins only", async () => {
+    await operator.agent.get("/api/storage").expect(403);
+    await operator.agent.post("/api/storage/compact").expect(403);
+  });
+
+  test("reports usage per tier", async () => {
+    const res = await admin.agent.get("/api/storage").expect(200);
+    expect(res.body.tiers.map((tier) => tier.name)).toEqual([
+      "raw",
+      "minute",
+      "hour",
+    ]);
+    expect(res.body.usedBytes).toBeGreaterThan(0);
+    expect(res.body.config).toHaveProperty("rawDays");
+  });
+
+  test("compacts samples older than the raw retention", async () => {
+    server.store.insertReading("plug-2", {
+      timestamp: "2020-01-01T00:00:00.000Z",
+      power: 50,
+    });
+
+    const res = await admin.agent
+      .post("/api/storage/compact")
+      .send({ vacuum: true })
+      .expect(200);
+    expect(res.body.compacted.raw).toBeGreaterThanOrEqual(1);
+
+    const usage = await admin.agent.get("/api/storage").expect(200);
+    expect(usage.body.lastRun.at).toBe(res.body.at);
+  });
+
+  test("purges one plug's samples before a date", async () => {
+    server.store.insertReading("plug-1", {
+      timestamp: "2019-06-01T12:00:00.000Z",
+      power: 10,
+      voltage: 230,
+    });
+
+    const res = await admin.agent
+      .post("/api/storage/purge")
+      .send({ before: "2019-07-01", deviceId: "plug-1" })
+      .expect(200);
+    expect(res.body).toEqual({ deleted: 2 });
+    expect(server.store.timeBounds("plug-1").first).toBeGreaterThan(
+      Date.parse("2019-07-01")
+    );
+  });
+
+  test("rejects a purge without a valid date or device", async () => {
+    await admin.agent.post("/api/storage/purge").send({}).expect(400);
+    await admin.agent
+      .post("/api/storage/purge")
+      .send({ before: "whenever" })
+      .expect(400);
+    await admin.agent
+      .post("/api/storage/purge")
+      .send({ before: "2019-07-01", deviceId: "plug-9" })
+      .expect(400);
+  });
+});
+
+describe("import", () => {
+  const csv = [
+    "Timestamp,Power (W),Energy (kWh)",
+    "2023-06-01T12:00:00.000Z,40.5,3.100",
+    "2023-06-01T12:01:00.000Z,41.0,3.101",
+  ].join("\n");
+
+  test("previews a file, then merges it into the history", async () => {
+    const preview = await admin.agent
+      .post("/api/devices/plug-2/import?dryRun=true")
+      .set("Content-Type", "text/plain")
+      .send(csv)
+      .expect(200);
+    expect(preview.body).toMatchObject({
+      dryRun: true,
+      imported: 0,
+      mapping: { "Power (W)": { metric: "power" } },
+      counts: { samples: 4 },
+    });
+
+    const mapping = encodeURIComponent(
+      JSON.stringify({ "Power (W)": "power" })
+    );
+    const res = await admin.agent
+      .post(`/api/devices/plug-2/import?mapping=${mapping}&name=old.csv`)
+      .set("Content-Type", "text/plain")
+      .send(csv)
+      .expect(200);
+    expect(res.body.imported).toBe(2);
+
+    const history = await viewer.agent
+      .get(
+        "/api/devices/plug-2/history?metric=power&from=2023-06-01T12:00:00Z&to=2023-06-01T12:02:00Z&bucket=1m"
+      )
+      .expect(200);
+    expect(history.body.series.power.map((point) => point.avg)).toEqual([
+      40.5, 41,
+    ]);
+    expect(server.auditLog.list({ deviceId: "plug-2" })[0]).toMatchObject({
+      username: "admin",
+      action: "import",
+      detail: { file: "old.csv", samples: 2 },
+    });
+  });
+
+  test("is for admins only and rejects unreadable files", async () => {
+    await operator.agent
+      .post("/api/devices/plug-2/import?dryRun=true")
+      .set("Content-Type", "text/plain")
+      .send(csv)
+      .expect(403);
+    const res = await admin.agent
+      .post("/api/devices/plug-2/import?format=json")
+      .set("Content-Type", "text/plain")
+      .send(csv)
+      .expect(400);
+    expect(res.body.error).toMatch(/Not valid JSON/);
+    await admin.agent
+      .post("/api/devices/plug-2/import?mapping=nope")
+      .set("Content-Type", "text/plain")
+      .send(csv)
+      .expect(400);
+  });
+});
+
+describe("schedules", () => {
+  test("creates and lists a schedule", async () => {
+    const created = await operator.agent
+      .post("/api/schedules")
+      .send({
+        deviceId: "plug-1",
+        type: "cron",
+        cron: "0 7 * * 1-5",
+        action: "on",
+      })
+      .expect(201);
+    expect(created.body).toMatchObject({ deviceId: "plug-1", action: "on" });
+
+    const list = await viewer.agent
+      .get("/api/schedules?deviceId=plug-1")
+      .expect(200);
+    expect(list.body.map((schedule) => schedule.id)).toContain(created.body.id);
+  });
+
+  test("answers 400 for an invalid schedule", async () => {
+    const res = await operator.agent
+      .post("/api/schedules")
+      .send({ deviceId: "plug-1", type: "cron", cron: "nope", action: "on" })
+      .expect(400);
+    expect(res.body.error).toMatch(/cron/);
+  });
+});
+
+describe("users", () => {
+  test("are managed by admins only", async () => {
+    await operator.agent.get("/api/users").expect(403);
+
+    const res = await admin.agent
+      .post("/api/users")
+      .send({ username: "guest", password: PASSWORD, role: "viewer" })
+      .expect(201);
+    expect(res.body).toMatchObject({ username: "guest", role: "viewer" });
+    expect(res.body.passwordHash).toBeUndefined();
+  });
+
+  test("change nothing when part of an update is invalid", async () => {
+    const { body: user } = await admin.agent
+      .post("/api/users")
+      .send({ username: "intern", password: PASSWORD, role: "viewer" })
+      .expect(201);
+
+    const res = await admin.agent
+      .put(`/api/users/${user.id}`)
+      .send({ role: "operator", password: "short" })
+      .expect(400);
+
+    expect(res.body.error).toMatch(/password must be at least/);
+    expect(server.auth.getUser(user.id).role).toBe("viewer");
+  });
+});
+
+describe("GET /metrics", () => {
+  test("exposes plug state without a session", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: true, 19: 1121 });
+
+    const res = await request(server.app).get("/metrics").expect(200);
+
+    expect(res.text).toContain('tuya_device_connected{device="plug-1"} 1');
+    expect(res.text).toContain('tuya_power_watts{device="plug-1"} 112.1');
+  });
+});
@@ -0,0 +1,163 @@
+const { openDatabase } = require("../lib/db");
+const { CycleTracker } = require("../lib/cycles");
+
+const START = Date.parse("2024-03-06T08:00:00Z");
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+let db;
+let tracker;
+let events;
+
+beforeEach(() => {
+  db = openDatabase(":memory:");
+  tracker = new CycleTracker({
+    db,
+    devices: new Map([["plug-1", { id: "plug-1", name: "Laundry" }]]),
+  });
+  events = [];
+  tracker.on("cycle", (event) => events.push(event));
+});
+
+afterEach(() => {
+  db.close();
+});
+
+// Feed readings of [offset ms from START, power W]
+function feed(readings, deviceId = "plug-1") {
+  for (const [offset, power] of readings) {
+    tracker.process(deviceId, {
+      timestamp: new Date(START + offset).toISOString(),
+      power,
+    });
+  }
+}
+
+describe("CycleTracker", () => {
+  test("records a run from the first active reading to the first idle one", () => {
+    feed([
+      [0, 1],
+      [1 * MINUTE, 2000],
+      [2 * MINUTE, 2000],
+      [3 * MINUTE, 1000],
+      [4 * MINUTE, 1],
+      [5 * MINUTE, 1],
+      [6 * MINUTE, 1],
+    ]);
+
+    const [cycle] = tracker.list({ deviceId: "plug-1", from: 0, to: Infinity });
+    expect(cycle).toMatchObject({
+      deviceId: "plug-1",
+      start: START + MINUTE,
+      end: START + 4 * MINUTE,
+      durationSeconds: 180,
+      peakWatts: 2000,
+      label: null,
+    });
+    // 2000 W for a minute, ramping to 1000 W and then down to 1 W
+    expect(cycle.kwh).toBeCloseTo((2000 + 1500 + (1000 + 1) / 2) / 60 / 1000);
+    expect(events.map((event) => event.state)).toEqual(["started", "finished"]);
+    expect(events[1].message).toBe("Laundry finished after 3 min (0.07 kWh)");
+    expect(tracker.running("plug-1")).toBeNull();
+  });
+
+  test("keeps a run going through pauses shorter than idleSeconds", () => {
+    feed([
+      [0, 500],
+      [1 * MINUTE, 2],
+      [2 * MINUTE, 500],
+      [3 * MINUTE, 2],
+      [4 * MINUTE, 2],
+    ]);
+
+    expect(tracker.running("plug-1", START + 4 * MINUTE)).toMatchObject({
+      start: START,
+      durationSeconds: 240,
+      peakWatts: 500,
+    });
+
+    feed([[5 * MINUTE, 2]]);
+    const cycles = tracker.list({ deviceId: "plug-1", from: 0, to: Infinity });
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].durationSeconds).toBe(180);
+  });
+
+  test("ends a run at the last reading before the plug went offline", () => {
+    feed([
+      [0, 1000],
+      [1 * MINUTE, 1000],
+      [2 * MINUTE, 1000],
+      // Back after an hour offline, and running again
+      [62 * MINUTE, 1000],
+    ]);
+
+    const [cycle] = tracker.list({ deviceId: "plug-1", from: 0, to: Infinity });
+    expect(cycle).toMatchObject({ start: START, end: START + 2 * MINUTE });
+    expect(cycle.kwh).toBeCloseTo(1000 / 30 / 1000);
+    expect(tracker.running("plug-1", START + 62 * MINUTE)).toMatchObject({
+      start: START + 62 * MINUTE,
+      kwh: 0,
+    });
+  });
+
+  test("drops runs shorter than minSeconds", () => {
+    feed([
+      [0, 1500],
+      [30 * SECOND, 1],
+      [3 * MINUTE, 1],
+    ]);
+
+    expect(tracker.list({ deviceId: "plug-1", from: 0, to: Infinity })).toEqual(
+      []
+    );
+    expect(events.map((event) => event.state)).toEqual(["started"]);
+  });
+
+  test("uses the plug's settings and labels cycles with the appliance", () => {
+    const settings = tracker.updateSettings("plug-1", {
+      appliance: "Washer",
+      idleWatts: 10,
+      idleSeconds: 30,
+      minSeconds: 0,
+      notify: true,
+    });
+    expect(settings).toEqual({
+      appliance: "Washer",
+      idleWatts: 10,
+      idleSeconds: 30,
+      minSeconds: 0,
+      notify: true,
+    });
+
+    feed([
+      [0, 8],
+      [10 * SECOND, 400],
+      [20 * SECOND, 8],
+      [50 * SECOND, 8],
+    ]);
+
+    const [cycle] = tracker.list({ deviceId: "plug-1", from: 0, to: Infinity });
+    expect(cycle.label).toBe("Washer");
+    expect(events[1]).toMatchObject({ state: "finished", notify: true });
+    expect(events[1].message).toMatch(/^Washer finished/);
+
+    expect(tracker.setLabel(cycle.id, "Quick wash").label).toBe("Quick wash");
+    expect(tracker.remove(cycle.id)).toBe(true);
+    expect(tracker.get(cycle.id)).toBeNull();
+  });
+
+  test("rejects invalid settings", () => {
+    expect(() => tracker.updateSettings("plug-1", { idleWatts: "x" })).toThrow(
+      /idleWatts/
+    );
+    expect(() => tracker.updateSettings("plug-1", { minSeconds: -1 })).toThrow(
+      /minSeconds/
+    );
+  });
+
+  test("ignores readings without power", () => {
+    tracker.process("plug-1", { timestamp: new Date(START).toISOString() });
+    expect(tracker.running("plug-1")).toBeNull();
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,554 @@
+jest.mock("tuyapi", () => require("./helpers/fakeTuya"));
+
+const path = require("path");
+const DeviceConnection = require("../lib/deviceConnection");
+const { backoffDelay } = require("../lib/deviceConnection");
+const { loadProfiles } = require("../lib/profiles");
+
+const profiles = loadProfiles(path.join(__dirname, "missing.json"));
+
+// No jitter, so reconnect delays are exactly 1 s, 2 s, 4 s, ...
+function createConnection(profile = "standard", options = {}) {
+  return new DeviceConnection(
+    { id: "plug-1", key: "0123456789abcdef", ip: "127.0.0.1", name: "Desk" },
+    profiles.get(profile),
+    { random: () => 0, ...options }
+  );
+}
+
+// Let pending promise callbacks run (with fake timers in place)
+const flushPromises = () =>
+  new Promise(jest.requireActual("timers").setImmediate);
+
+describe("handleData", () => {
+  test("decodes the standard DPS and scales them to units", () => {
+    const connection = createConnection();
+    connection.setState("online");
+    const onData = jest.fn();
+    connection.on("data", onData);
+
+    connection.handleData({
+      dps: { 1: true, 18: 523, 19: 1121, 20: 2301, 22: 1234 },
+    });
+
+    expect(connection.latestData).toMatchObject({
+      power_state: true,
+      current: 523,
+      power: 112.1,
+      voltage: 230.1,
+      energy: 1.234,
+      connected: true,
+    });
+    expect(onData).toHaveBeenCalledWith(connection.latestData);
+  });
+
+  test("accepts a bare DPS object without the dps wrapper", () => {
+    const connection = createConnection();
+    connection.handleData({ 1: false, 19: 50 });
+    expect(connection.latestData.power_state).toBe(false);
+    expect(connection.latestData.power).toBe(5);
+  });
+
+  test("keeps the previous value of DPs missing from a partial update", () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 1: true, 19: 1121, 20: 2301 } });
+    connection.handleData({ dps: { 19: 40 } });
+
+    expect(connection.latestData.power).toBe(4);
+    expect(connection.latestData.voltage).toBe(230.1);
+    expect(connection.latestData.power_state).toBe(true);
+  });
+
+  test("decodes through the device's profile", () => {
+    const connection = createConnection("compact");
+    connection.handleData({ dps: { 1: true, 4: 80, 5: 184, 6: 2290, 17: 5 } });
+
+    expect(connection.latestData).toMatchObject({
+      power_state: true,
+      current: 80,
+      power: 18.4,
+      voltage: 229,
+      energy: 0.005,
+    });
+  });
+
+  test("ignores payloads it cannot process instead of throwing", () => {
+    const connection = createConnection();
+    const onData = jest.fn();
+    connection.on("data", onData);
+
+    expect(() => connection.handleData(null)).not.toThrow();
+    connection.handleData("json obj data unvalid");
+    connection.handleData({ dps: "garbage" });
+
+    expect(onData).not.toHaveBeenCalled();
+  });
+
+  test("keeps the previous value of DPs with a value of the wrong type", () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 1: true, 19: 1121, 20: 2301 } });
+    const onData = jest.fn();
+    connection.on("data", onData);
+
+    connection.handleData({ dps: { 19: "NaN", 20: null } });
+    expect(onData).not.toHaveBeenCalled();
+
+    connection.handleData({ dps: { 1: "on", 19: 400, 22: "lots" } });
+    expect(connection.latestData).toMatchObject({
+      power_state: true,
+      power: 40,
+      voltage: 230.1,
+      energy: 0,
+    });
+  });
+
+  test("is not thrown off by a simulated plug's malformed payloads", () => {
+    const connection = new DeviceConnection(
+      { id: "sim-1", name: "Sim", simulator: { seed: 1, latency: 0 } },
+      profiles.get("standard")
+    );
+    connection.handleData({ dps: { 1: true, 19: 1121, 20: 2301, 22: 50 } });
+    const before = { ...connection.latestData };
+    const onData = jest.fn();
+    connection.on("data", onData);
+
+    // Both kinds: a string and DPs with values of the wrong type
+    connection.device.random = jest
+      .fn()
+      .mockReturnValueOnce(0.2)
+      .mockReturnValueOnce(0.8);
+    connection.device.injectFault("malformed", 2);
+
+    expect(onData).not.toHaveBeenCalled();
+    expect(connection.latestData).toEqual(before);
+  });
+});
+
+describe("getStatusSafe", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("processes the status the plug answers with", async () => {
+    const connection = createConnection();
+    connection.device.get.mockResolvedValue({ dps: { 1: true, 19: 250 } });
+
+    await connection.getStatusSafe();
+
+    expect(connection.device.get).toHaveBeenCalledWith({ schema: true });
+    expect(connection.latestData.power).toBe(25);
+  });
+
+  test("gives up after 3 seconds and reports a timeout", async () => {
+    const connection = createConnection();
+    connection.setState("online");
+    connection.device.get.mockReturnValue(new Promise(() => {}));
+    const onTimeout = jest.fn();
+    const onError = jest.fn();
+    connection.on("timeout", onTimeout);
+    connection.on("error", onError);
+
+    const pending = connection.getStatusSafe();
+    jest.advanceTimersByTime(2999);
+    await flushPromises();
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await pending;
+
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+    // A single missed poll does not change the state
+    expect(connection.state).toBe("online");
+  });
+
+  test("reports other failures as errors", async () => {
+    const connection = createConnection();
+    connection.setState("online");
+    connection.device.get.mockRejectedValue(new Error("ECONNRESET"));
+    const onError = jest.fn();
+    connection.on("error", onError);
+
+    await connection.getStatusSafe();
+
+    expect(onError).toHaveBeenCalledWith(new Error("ECONNRESET"));
+    expect(connection.consecutiveFailures).toBe(1);
+  });
+});
+
+describe("backoffDelay", () => {
+  test("doubles from 1 second up to a minute", () => {
+    const delays = [0, 1, 2, 3, 4, 5, 6, 7].map((attempt) =>
+      backoffDelay(attempt, { random: () => 0 })
+    );
+    expect(delays).toEqual([
+      1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000,
+    ]);
+  });
+
+  test("takes up to 30% off at random", () => {
+    expect(backoffDelay(2, { random: () => 1 })).toBe(2800);
+    expect(backoffDelay(2, { random: () => 0.5 })).toBe(3400);
+  });
+});
+
+describe("connection state machine", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  // Every state the connection goes through
+  function recordStates(connection) {
+    const states = [];
+    connection.on("state", ({ state }) => states.push(state));
+    return states;
+  }
+
+  test("goes through discovering and connecting to online", async () => {
+    const connection = createConnection();
+    connection.device.get.mockResolvedValue({ dps: { 1: true, 19: 100 } });
+    const states = recordStates(connection);
+    const onConnection = jest.fn();
+    connection.on("connection", onConnection);
+
+    await connection.connect();
+
+    expect(states).toEqual(["discovering", "connecting", "online"]);
+    expect(connection.connected).toBe(true);
+    expect(connection.latestData).toMatchObject({ power: 10, connected: true });
+    expect(onConnection).toHaveBeenCalledWith({ connected: true });
+    expect(connection.toJSON().state).toBe("online");
+  });
+
+  test("polls every 5 seconds once online", async () => {
+    const connection = createConnection();
+    await connection.connect();
+    expect(connection.device.get).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(connection.device.get).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(connection.device.get).toHaveBeenCalledTimes(3);
+  });
+
+  test("never starts a poll while the previous one is pending", async () => {
+    const connection = createConnection("standard", { statusTimeout: 20000 });
+    await connection.connect();
+    connection.device.get.mockReturnValue(new Promise(() => {}));
+    connection.device.get.mockClear();
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    jest.advanceTimersByTime(10000);
+    await flushPromises();
+
+    expect(connection.device.get).toHaveBeenCalledTimes(1);
+  });
+
+  test("retries with exponential backoff while the plug is unreachable", async () => {
+    const connection = createConnection();
+    connection.device.connect.mockRejectedValue(new Error("ECONNREFUSED"));
+    const onReconnect = jest.fn();
+    connection.on("reconnect", onReconnect);
+
+    await connection.connect();
+    expect(connection.state).toBe("disconnected");
+    expect(connection.stateReason).toBe("ECONNREFUSED");
+
+    for (const [attempt, delay] of [1000, 2000, 4000, 8000].entries()) {
+      expect(connection.retryAt).toBe(Date.now() + delay);
+      jest.advanceTimersByTime(delay - 1);
+      expect(onReconnect).toHaveBeenCalledTimes(attempt);
+      jest.advanceTimersByTime(1);
+      await flushPromises();
+      expect(onReconnect).toHaveBeenCalledTimes(attempt + 1);
+    }
+    expect(connection.device.connect).toHaveBeenCalledTimes(5);
+  });
+
+  test("starts the backoff over after a successful connect", async () => {
+    const connection = createConnection();
+    connection.device.find
+      .mockRejectedValueOnce(new Error("find() timed out"))
+      .mockRejectedValueOnce(new Error("find() timed out"));
+
+    await connection.connect();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+    expect(connection.state).toBe("online");
+    expect(connection.attempt).toBe(0);
+
+    connection.device.emit("disconnected");
+    expect(connection.retryAt).toBe(Date.now() + 1000);
+  });
+
+  test("reconnects when the plug drops", async () => {
+    const connection = createConnection();
+    await connection.connect();
+    const onConnection = jest.fn();
+    connection.on("connection", onConnection);
+
+    connection.device.emit("disconnected");
+
+    expect(connection.state).toBe("disconnected");
+    expect(connection.latestData.connected).toBe(false);
+    expect(onConnection).toHaveBeenCalledWith({
+      connected: false,
+      error: "Device disconnected",
+    });
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(connection.state).toBe("online");
+    expect(connection.device.connect).toHaveBeenCalledTimes(2);
+  });
+
+  test("keeps one set of listeners and one poller across reconnects", async () => {
+    const connection = createConnection();
+    await connection.connect();
+    for (let i = 0; i < 3; i++) {
+      connection.device.emit("disconnected");
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+    }
+    expect(connection.state).toBe("online");
+
+    for (const event of ["data", "disconnected", "error"]) {
+      expect(connection.device.listenerCount(event)).toBe(1);
+    }
+    connection.device.get.mockClear();
+    jest.advanceTimersByTime(5000);
+    expect(connection.device.get).toHaveBeenCalledTimes(1);
+  });
+
+  test("stops polling while disconnected", async () => {
+    const connection = createConnection();
+    await connection.connect();
+    connection.device.connect.mockRejectedValue(new Error("ECONNREFUSED"));
+    connection.device.emit("disconnected");
+    connection.device.get.mockClear();
+
+    jest.advanceTimersByTime(30000);
+
+    expect(connection.device.get).not.toHaveBeenCalled();
+  });
+
+  test("is degraded after 3 failed polls and online again when the plug answers", async () => {
+    const connection = createConnection();
+    await connection.connect();
+    connection.device.get.mockRejectedValue(new Error("Timeout"));
+    const states = recordStates(connection);
+
+    for (let i = 0; i < 2; i++) {
+      jest.advanceTimersByTime(5000);
+      await flushPromises();
+    }
+    expect(connection.state).toBe("online");
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(connection.state).toBe("degraded");
+    expect(connection.connected).toBe(true);
+    expect(connection.stateReason).toMatch(/3 polls failed/);
+
+    connection.device.get.mockResolvedValue({ dps: { 1: true } });
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(connection.state).toBe("online");
+    expect(states).toEqual(["degraded", "online"]);
+  });
+
+  test("does not reconnect after a deliberate disconnect", async () => {
+    const connection = createConnection();
+    await connection.connect();
+    connection.device.disconnect.mockImplementation(() =>
+      connection.device.emit("disconnected")
+    );
+    const onReconnect = jest.fn();
+    connection.on("reconnect", onReconnect);
+
+    connection.disconnect();
+    jest.advanceTimersByTime(120000);
+
+    expect(connection.state).toBe("disconnected");
+    expect(connection.stateReason).toBe("Stopped");
+    expect(onReconnect).not.toHaveBeenCalled();
+  });
+
+  test("can connect again after a disconnect while connecting", async () => {
+    const connection = createConnection();
+    let finishConnect;
+    connection.device.connect.mockImplementationOnce(
+      () => new Promise((resolve) => (finishConnect = resolve))
+    );
+
+    const connecting = connection.connect();
+    await flushPromises();
+    expect(connection.state).toBe("connecting");
+    connection.disconnect();
+    finishConnect(true);
+    await connecting;
+
+    expect(connection.state).toBe("disconnected");
+    expect(connection.device.disconnect).toHaveBeenCalled();
+    jest.advanceTimersByTime(120000);
+    expect(connection.state).toBe("disconnected");
+
+    await connection.connect();
+    expect(connection.state).toBe("online");
+  });
+
+  test("keeps a history of state changes", async () => {
+    const connection = createConnection();
+    connection.device.find.mockRejectedValueOnce(new Error("find() timed out"));
+
+    await connection.connect();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(
+      connection.history.map(({ state, reason }) => [state, reason])
+    ).toEqual([
+      ["discovering", null],
+      ["disconnected", "find() timed out"],
+      ["discovering", null],
+      ["connecting", null],
+      ["online", null],
+    ]);
+  });
+
+  test("survives socket errors emitted by TuyAPI", () => {
+    const connection = createConnection();
+    const onError = jest.fn();
+    connection.on("error", onError);
+
+    connection.device.emit("error", new Error("socket hang up"));
+
+    expect(onError).toHaveBeenCalled();
+  });
+});
+
+describe("toggle", () => {
+  test("switches the power DP and updates the reading right away", async () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 1: false } });
+    const onData = jest.fn();
+    connection.on("data", onData);
+
+    await expect(connection.toggle()).resolves.toBe(true);
+
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 1, set: true });
+    expect(connection.latestData.power_state).toBe(true);
+    expect(onData).toHaveBeenCalled();
+  });
+
+  test("inverts the state the plug reports, not the cached one", async () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 1: false } });
+    connection.device.get.mockResolvedValueOnce({ dps: { 1: true } });
+
+    await expect(connection.toggle()).resolves.toBe(false);
+
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 1, set: false });
+  });
+
+  test("runs toggles one after the other", async () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 1: false } });
+    // The plug answers with whatever was last written to it
+    let relay = false;
+    connection.device.get.mockImplementation(async () => ({
+      dps: { 1: relay },
+    }));
+    connection.device.set.mockImplementation(async ({ set }) => {
+      relay = set;
+      return {};
+    });
+
+    await Promise.all([connection.toggle(), connection.toggle()]);
+
+    expect(connection.device.set.mock.calls.map(([call]) => call.set)).toEqual([
+      true,
+      false,
+    ]);
+  });
+
+  test("fails when the plug does not report its state", async () => {
+    const connection = createConnection("standard", { statusTimeout: 10 });
+    connection.device.get.mockReturnValueOnce(new Promise(() => {}));
+
+    await expect(connection.toggle()).rejects.toThrow("Timeout");
+    expect(connection.device.set).not.toHaveBeenCalled();
+  });
+
+  test("refuses profiles without a power switch", async () => {
+    const connection = new DeviceConnection(
+      { id: "meter", name: "Meter" },
+      {
+        name: "meter",
+        dps: { 19: { metric: "power", type: "number", scale: 1 } },
+      }
+    );
+    await expect(connection.setPower(true)).rejects.toThrow(
+      "has no power switch"
+    );
+  });
+});
+
+describe("setValue", () => {
+  test("writes a DP by metric name or id, scaled to the raw value", async () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 9: 0, 41: false } });
+
+    await expect(connection.setValue("countdown", 90)).resolves.toBe(90);
+    await connection.setValue("41", true);
+
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 9, set: 90 });
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 41, set: true });
+    expect(connection.latestData).toMatchObject({
+      countdown: 90,
+      child_lock: true,
+    });
+  });
+
+  test("checks values against the profile", async () => {
+    const connection = createConnection();
+    connection.handleData({ dps: { 9: 0, 38: "last" } });
+
+    await expect(connection.setValue("countdown", 90000)).rejects.toThrow(
+      "Countdown must be between 0 and 86400"
+    );
+    await expect(connection.setValue("relay_status", "maybe")).rejects.toThrow(
+      "After power loss must be one of power_off, power_on, last"
+    );
+    await expect(connection.setValue("power", 10)).rejects.toThrow(
+      "Power is read-only"
+    );
+    await expect(connection.setValue("brightness", 10)).rejects.toThrow(
+      "Desk has no DP or metric brightness"
+    );
+    expect(connection.device.set).not.toHaveBeenCalled();
+  });
+
+  test("refuses optional DPs the plug has not reported", async () => {
+    const connection = createConnection();
+
+    await expect(connection.setValue("child_lock", true)).rejects.toThrow(
+      "Desk has not reported Child lock (DP 41)"
+    );
+    expect(connection.latestData).not.toHaveProperty("child_lock");
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadDeviceConfigs,
+  saveDeviceConfig,
+} = require("../lib/deviceRegistry");
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+  file = path.join(dir, "devices.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("saveDeviceConfig", () => {
+  test("adds a plug to the registry with defaults", () => {
+    fs.writeFileSync(file, "[]");
+
+    saveDeviceConfig({ id: "plug-1", key: '"abc"', ip: "10.0.0.2" }, file);
+
+    expect(loadDeviceConfigs(file)).toEqual([
+      {
+        id: "plug-1",
+        key: "abc",
+        ip: "10.0.0.2",
+        name: "plug-1",
+        version: "3.4",
+        profile: "standard",
+      },
+    ]);
+  });
+
+  test("keeps the fields a re-save does not set", () => {
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        devices: [
+          {
+            id: "plug-1",
+            key: "abc",
+            name: "Kettle",
+            simulator: { load: "kettle" },
+            notes: "kitchen",
+          },
+        ],
+      })
+    );
+
+    const config = saveDeviceConfig(
+      { id: "plug-1", key: "def", ip: "10.0.0.3", version: "3.3" },
+      file
+    );
+
+    expect(config).toMatchObject({
+      name: "Kettle",
+      simulator: { load: "kettle" },
+    });
+    const [saved] = JSON.parse(fs.readFileSync(file, "utf8")).devices;
+    expect(saved).toEqual({
+      id: "plug-1",
+      key: "def",
+      ip: "10.0.0.3",
+      name: "Kettle",
+      version: "3.3",
+      profile: "standard",
+      simulator: { load: "kettle" },
+      notes: "kitchen",
+    });
+  });
+
+  test("drops the simulator block when a real plug replaces it", () => {
+    fs.writeFileSync(
+      file,
+      JSON.stringify([
+        { id: "plug-1", name: "Kettle", simulator: { load: "kettle" } },
+      ])
+    );
+
+    const config = saveDeviceConfig(
+      {
+        id: "plug-1",
+        key: "abc",
+        ip: "10.0.0.2",
+        version: "3.3",
+        simulator: false,
+      },
+      file
+    );
+
+    expect(config).not.toHaveProperty("simulator");
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).toEqual([
+      {
+        id: "plug-1",
+        key: "abc",
+        ip: "10.0.0.2",
+        name: "Kettle",
+        version: "3.3",
+        profile: "standard",
+      },
+    ]);
+  });
+});
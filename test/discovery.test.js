@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const dgram = require("dgram");
+const { once } = require("events");
+const crc32 = require("tuyapi/lib/crc");
+const { UDP_KEY } = require("tuyapi/lib/config");
+const { DiscoveryListener, parseBroadcast } = require("../lib/discovery");
+
+// What a plug announces, as captured from a 3.3 plug on the LAN
+const ANNOUNCEMENT = {
+  ip: "192.168.1.42",
+  gwId: "bf1234567890abcdefgh",
+  active: 2,
+  ability: 0,
+  mode: 0,
+  encrypt: true,
+  productKey: "keyjup78v54myhan",
+  version: "3.3",
+};
+
+// A broadcast packet as plugs send it: 55AA prefix, sequence, command,
+// length, a zero return code, the payload, CRC32 and AA55 suffix. 6666
+// carries plain JSON (command 0x00), 6667 the JSON encrypted with the
+// well-known UDP key (command 0x13).
+function broadcast(payload, { encrypted = false } = {}) {
+  let body = Buffer.from(
+    typeof payload === "string" ? payload : JSON.stringify(payload)
+  );
+  if (encrypted) {
+    const cipher = crypto.createCipheriv("aes-128-ecb", UDP_KEY, null);
+    body = Buffer.concat([cipher.update(body), cipher.final()]);
+  }
+  const packet = Buffer.alloc(body.length + 28);
+  packet.writeUInt32BE(0x000055aa, 0);
+  packet.writeUInt32BE(encrypted ? 0x13 : 0x00, 8);
+  packet.writeUInt32BE(body.length + 12, 12);
+  body.copy(packet, 20);
+  packet.writeInt32BE(
+    crc32(packet.slice(0, body.length + 20)),
+    body.length + 20
+  );
+  packet.writeUInt32BE(0x0000aa55, body.length + 24);
+  return packet;
+}
+
+describe("parseBroadcast", () => {
+  test("reads a plain announcement from port 6666", () => {
+    expect(parseBroadcast(broadcast(ANNOUNCEMENT))).toEqual({
+      id: "bf1234567890abcdefgh",
+      ip: "192.168.1.42",
+      version: "3.3",
+      productKey: "keyjup78v54myhan",
+    });
+  });
+
+  test("decrypts an announcement from port 6667", () => {
+    const packet = broadcast(
+      { ...ANNOUNCEMENT, version: "3.4" },
+      { encrypted: true }
+    );
+
+    expect(packet.includes("gwId")).toBe(false);
+    expect(parseBroadcast(packet)).toMatchObject({
+      id: "bf1234567890abcdefgh",
+      version: "3.4",
+    });
+  });
+
+  test("leaves out what the announcement does not give", () => {
+    expect(
+      parseBroadcast(broadcast({ gwId: "bf1234567890abcdefgh", version: 3.1 }))
+    ).toEqual({
+      id: "bf1234567890abcdefgh",
+      ip: undefined,
+      version: "3.1",
+      productKey: null,
+    });
+  });
+
+  test("ignores packets that are not Tuya announcements", () => {
+    const packet = broadcast(ANNOUNCEMENT);
+    const corrupted = Buffer.from(packet);
+    corrupted[30] ^= 0xff;
+
+    for (const message of [
+      Buffer.from("hello"),
+      Buffer.alloc(0),
+      packet.slice(0, 20),
+      corrupted,
+      broadcast("not JSON"),
+      broadcast({ ip: "192.168.1.42", version: "3.3" }),
+      broadcast(ANNOUNCEMENT, { encrypted: true }).slice(0, 40),
+    ]) {
+      expect(parseBroadcast(message)).toBeNull();
+    }
+  });
+});
+
+describe("DiscoveryListener", () => {
+  let listener;
+  let sender;
+
+  beforeEach(() => {
+    sender = dgram.createSocket("udp4");
+  });
+
+  afterEach(() => {
+    listener.stop();
+    sender.close();
+  });
+
+  // An ephemeral port that is free right now
+  async function freePort() {
+    const socket = dgram.createSocket("udp4");
+    socket.bind(0, "127.0.0.1");
+    await once(socket, "listening");
+    const { port } = socket.address();
+    socket.close();
+    return port;
+  }
+
+  test("lists the plugs a fake broadcaster announces", async () => {
+    const port = await freePort();
+    listener = new DiscoveryListener({ ports: [port] });
+    listener.start();
+    await once(listener.sockets[0], "listening");
+
+    const found = once(listener, "device");
+    sender.send(
+      broadcast({ ...ANNOUNCEMENT, ip: undefined }, { encrypted: true }),
+      port,
+      "127.0.0.1"
+    );
+    const [device] = await found;
+
+    expect(device).toMatchObject({
+      id: "bf1234567890abcdefgh",
+      // Taken from the sender when the announcement has no ip
+      ip: "127.0.0.1",
+      version: "3.3",
+      port,
+    });
+    expect(listener.list()).toEqual([device]);
+  });
+
+  test("announces a plug again only after it went stale", () => {
+    listener = new DiscoveryListener({ ports: [] });
+    const devices = [];
+    listener.on("device", (device) => devices.push(device));
+    const remote = { address: "10.0.0.9" };
+    const start = Date.parse("2024-03-06T08:00:00Z");
+
+    listener.handleMessage(broadcast(ANNOUNCEMENT), remote, 6666, start);
+    listener.handleMessage(broadcast(ANNOUNCEMENT), remote, 6666, start + 5000);
+    listener.handleMessage(Buffer.from("noise"), remote, 6666, start + 6000);
+
+    expect(devices).toHaveLength(1);
+    expect(listener.list(start + 5000)[0].lastSeen).toBe(start + 5000);
+    expect(listener.list(start + 10 * 60 * 1000)).toEqual([]);
+
+    listener.handleMessage(
+      broadcast(ANNOUNCEMENT),
+      remote,
+      6666,
+      start + 10 * 60 * 1000
+    );
+    expect(devices).toHaveLength(2);
+  });
+});
@@ -0,0 +1,263 @@
+const path = require("path");
+const { openDatabase } = require("../lib/db");
+const { GroupManager } = require("../lib/groups");
+const { loadProfiles } = require("../lib/profiles");
+const { loadTariff } = require("../lib/tariff");
+const ReadingStore = require("../lib/store");
+
+const NO_CONFIG = path.join(__dirname, "helpers", "missing.json");
+const ACTOR = { username: "olga", source: "rest" };
+
+let db;
+let store;
+let devices;
+let groups;
+let runs;
+
+// Enough of a DeviceConnection for group and scene runs
+function fakeConnection(id, name, latestData = {}) {
+  return {
+    id,
+    name,
+    connected: true,
+    profile: loadProfiles(NO_CONFIG).get("standard"),
+    latestData: { power_state: false, power: 0, ...latestData },
+    fetchPowerState: jest.fn(() => Promise.resolve(latestData.power_state)),
+    setPower: jest.fn((state) => Promise.resolve(state)),
+    setValue: jest.fn((key, value) => Promise.resolve(value)),
+  };
+}
+
+beforeEach(() => {
+  db = openDatabase(":memory:");
+  store = new ReadingStore(":memory:");
+  devices = new Map(
+    [
+      fakeConnection("lamp", "Lamp", { power_state: true, power: 12.5 }),
+      fakeConnection("monitor", "Monitor", { power: 30 }),
+      fakeConnection("heater", "Heater"),
+    ].map((connection) => [connection.id, connection])
+  );
+  groups = new GroupManager({
+    db,
+    devices,
+    store,
+    tariff: loadTariff(NO_CONFIG),
+  });
+  runs = [];
+  groups.on("run", (run) => runs.push(run));
+});
+
+afterEach(() => {
+  db.close();
+  store.close();
+});
+
+describe("groups", () => {
+  test("are created, renamed and removed", () => {
+    const group = groups.createGroup({
+      name: " Office desk ",
+      deviceIds: ["lamp", "monitor", "lamp"],
+    });
+    expect(group).toMatchObject({
+      name: "Office desk",
+      deviceIds: ["lamp", "monitor"],
+    });
+
+    expect(groups.updateGroup(group.id, { name: "Desk" }).name).toBe("Desk");
+    expect(groups.listGroups()).toHaveLength(1);
+    expect(groups.removeGroup(group.id)).toBe(true);
+    expect(groups.getGroup(group.id)).toBeNull();
+  });
+
+  test("reject unknown devices and taken names", () => {
+    expect(() =>
+      groups.createGroup({ name: "Lab", deviceIds: ["toaster"] })
+    ).toThrow(/Unknown device/);
+    expect(() => groups.createGroup({ name: "Lab", deviceIds: [] })).toThrow(
+      /deviceIds/
+    );
+    groups.createGroup({ name: "Lab", deviceIds: ["heater"] });
+    expect(() =>
+      groups.createGroup({ name: "Lab", deviceIds: ["lamp"] })
+    ).toThrow(/already exists/);
+  });
+
+  test("add up the power and energy of their members", () => {
+    const now = new Date(2024, 2, 6, 12).getTime();
+    for (const [offset, energy] of [
+      [-2000, 1],
+      [-1000, 1.25],
+    ]) {
+      store.insertReading("lamp", {
+        timestamp: new Date(now + offset).toISOString(),
+        energy,
+      });
+    }
+    devices.get("monitor").connected = false;
+    const group = groups.createGroup({
+      name: "Desk",
+      deviceIds: ["lamp", "monitor"],
+    });
+
+    expect(groups.summarize(group, now)).toMatchObject({
+      connected: 1,
+      power: 12.5,
+      today: { kwh: 0.25 },
+    });
+  });
+
+  test("switch every member and report each result", async () => {
+    devices.get("monitor").connected = false;
+    devices.get("heater").setPower.mockRejectedValue(new Error("timeout"));
+    const group = groups.createGroup({
+      name: "All",
+      deviceIds: ["lamp", "monitor", "heater"],
+    });
+
+    const result = await groups.switchGroup(group.id, "on", ACTOR);
+
+    expect(result).toEqual({
+      groupId: group.id,
+      action: "on",
+      results: [
+        { deviceId: "lamp", ok: true, power_state: true },
+        { deviceId: "monitor", ok: false, error: "Monitor is not connected" },
+        { deviceId: "heater", ok: false, error: "timeout" },
+      ],
+    });
+    expect(runs[0]).toMatchObject({ kind: "group", action: "on", ...ACTOR });
+  });
+
+  test("toggle everything off while any member is on", async () => {
+    const group = groups.createGroup({
+      name: "Desk",
+      deviceIds: ["lamp", "monitor"],
+    });
+
+    const { action } = await groups.switchGroup(group.id, "toggle", ACTOR);
+
+    expect(action).toBe("off");
+    expect(devices.get("monitor").setPower).toHaveBeenCalledWith(false);
+  });
+
+  test("toggle by the state the plugs report, not the cached one", async () => {
+    const group = groups.createGroup({
+      name: "Desk",
+      deviceIds: ["lamp", "monitor"],
+    });
+    devices.get("lamp").fetchPowerState.mockResolvedValueOnce(false);
+    devices
+      .get("monitor")
+      .fetchPowerState.mockRejectedValueOnce(new Error("Timeout"));
+
+    const { action } = await groups.switchGroup(group.id, "toggle", ACTOR);
+
+    expect(action).toBe("on");
+    expect(devices.get("lamp").setPower).toHaveBeenCalledWith(true);
+  });
+
+  test("answer null for an unknown group", async () => {
+    expect(await groups.switchGroup(99, "on", ACTOR)).toBeNull();
+  });
+});
+
+describe("scenes", () => {
+  test("store values by metric after checking them", () => {
+    const scene = groups.createScene({
+      name: "Evening",
+      actions: [
+        { deviceId: "lamp", values: { 1: true } },
+        { deviceId: "heater", values: { power_state: false } },
+      ],
+    });
+    expect(scene).toMatchObject({
+      name: "Evening",
+      staggerSeconds: 0,
+      actions: [
+        { deviceId: "lamp", values: { power_state: true } },
+        { deviceId: "heater", values: { power_state: false } },
+      ],
+    });
+  });
+
+  test("reject DPs and values the profile does not allow", () => {
+    const scene = (actions, extra = {}) =>
+      groups.createScene({ name: "Bad", actions, ...extra });
+
+    expect(() => scene([{ deviceId: "lamp", values: { nope: 1 } }])).toThrow(
+      /no DP or metric nope/
+    );
+    expect(() =>
+      scene([{ deviceId: "lamp", values: { power_state: "yes" } }])
+    ).toThrow(/true or false/);
+    expect(() => scene([{ deviceId: "lamp", values: { power: 5 } }])).toThrow(
+      /read-only/
+    );
+    expect(() =>
+      scene([{ deviceId: "lamp", values: { power_state: true } }], {
+        staggerSeconds: -1,
+      })
+    ).toThrow(/staggerSeconds/);
+  });
+
+  test("answer at once and start staggered devices later", async () => {
+    jest.useFakeTimers({ now: 1000 });
+    const scene = groups.createScene({
+      name: "Bench on",
+      staggerSeconds: 300,
+      actions: [
+        { deviceId: "heater", values: { power_state: true } },
+        { deviceId: "monitor", values: { power_state: true } },
+      ],
+    });
+
+    try {
+      const result = await groups.activateScene(scene.id, ACTOR);
+
+      expect(result.results).toEqual([
+        { deviceId: "heater", ok: true, values: { power_state: true } },
+        { deviceId: "monitor", pending: true, at: 1000 + 300 * 1000 },
+      ]);
+      expect(devices.get("monitor").setValue).not.toHaveBeenCalled();
+      expect(runs).toHaveLength(1);
+
+      await jest.advanceTimersByTimeAsync(300 * 1000);
+
+      expect(devices.get("monitor").setValue).toHaveBeenCalledWith(
+        "power_state",
+        true
+      );
+      expect(runs[1]).toMatchObject({
+        kind: "scene",
+        target: { id: scene.id },
+        results: [{ deviceId: "monitor", ok: true }],
+      });
+    } finally {
+      groups.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  test("stop cancels the devices still to start", async () => {
+    jest.useFakeTimers();
+    const scene = groups.createScene({
+      name: "Slow",
+      staggerSeconds: 60,
+      actions: [
+        { deviceId: "heater", values: { power_state: true } },
+        { deviceId: "lamp", values: { power_state: false } },
+      ],
+    });
+
+    try {
+      await groups.activateScene(scene.id, ACTOR);
+      groups.stop();
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(devices.get("lamp").setValue).not.toHaveBeenCalled();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,18 @@
+const { EventEmitter } = require("events");
+
+// Stand-in for TuyAPI, so tests never open a socket. Use it with
+//   jest.mock("tuyapi", () => require("./helpers/fakeTuya"));
+// Every method is a jest mock that succeeds by default.
+class FakeTuyAPI extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.find = jest.fn().mockResolvedValue(true);
+    this.connect = jest.fn().mockResolvedValue(true);
+    this.get = jest.fn().mockResolvedValue({ dps: {} });
+    this.set = jest.fn().mockResolvedValue({});
+    this.disconnect = jest.fn();
+  }
+}
+
+module.exports = FakeTuyAPI;
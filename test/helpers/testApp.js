@@ -0,0 +1,148 @@
+const { once } = require("events");
+const path = require("path");
+const request = require("supertest");
+const WebSocket = require("ws");
+const createApp = require("../../lib/app");
+const { loadProfiles } = require("../../lib/profiles");
+const { loadTariff } = require("../../lib/tariff");
+const { openDatabase } = require("../../lib/db");
+const { DiscoveryListener } = require("../../lib/discovery");
+const ReadingStore = require("../../lib/store");
+const { WS_PATH } = require("../../lib/websocket");
+const { PROTOCOL_VERSION } = require("../../lib/protocol");
+
+// Config files that do not exist, so only the built-in defaults are used
+const NO_CONFIG = path.join(__dirname, "missing.json");
+
+const PASSWORD = "correct horse";
+
+const DEVICES = [
+  {
+    id: "plug-1",
+    key: "0123456789abcdef",
+    ip: "127.0.0.1",
+    name: "Desk",
+    version: "3.4",
+    profile: "standard",
+  },
+  {
+    id: "plug-2",
+    key: "fedcba9876543210",
+    ip: "127.0.0.2",
+    name: "Kettle",
+    version: "3.3",
+    profile: "compact",
+  },
+];
+
+// The whole server on in-memory databases, listening on a free port.
+// Devices use whatever TuyAPI the test file has mocked.
+async function createTestApp(options = {}) {
+  const server = createApp({
+    profiles: loadProfiles(NO_CONFIG),
+    deviceConfigs: DEVICES,
+    store: new ReadingStore(":memory:"),
+    tariff: loadTariff(NO_CONFIG),
+    appDb: openDatabase(":memory:"),
+    location: null,
+    mqttConfig: null,
+    discovery: new DiscoveryListener(),
+    corsOrigins: [],
+    ...options,
+  });
+  server.server.listen(0, "127.0.0.1");
+  await once(server.server, "listening");
+  return server;
+}
+
+// Create a user with `role` and log in. Returns a supertest agent holding
+// the session cookie, and the token for Bearer auth.
+async function loginAs(server, role, username = role) {
+  await server.auth.createUser({ username, password: PASSWORD, role });
+  const agent = request.agent(server.app);
+  const res = await agent
+    .post("/api/auth/login")
+    .send({ username, password: PASSWORD })
+    .expect(200);
+  return { agent, token: res.body.token };
+}
+
+// Pretend a plug connected and reported `dps`
+function markConnected(connection, dps = {}) {
+  connection.setState("online");
+  connection.handleData({ dps });
+}
+
+// Open an authenticated WebSocket. Messages are buffered from the start, so
+// nothing sent right after the handshake is missed; take them with
+// nextMessage().
+function openSocket(server, token, options = {}) {
+  const { port } = server.server.address();
+  const ws = new WebSocket(`ws://127.0.0.1:${port}${WS_PATH}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    ...options,
+  });
+  // Failed handshakes are asserted through "unexpected-response"
+  ws.on("error", () => {});
+  ws.buffer = [];
+  ws.waiters = [];
+  ws.on("message", (raw) => {
+    ws.buffer.push(JSON.parse(raw));
+    flush(ws);
+  });
+  return ws;
+}
+
+function flush(ws) {
+  for (const waiter of [...ws.waiters]) {
+    const index = ws.buffer.findIndex(waiter.match);
+    if (index !== -1) {
+      const [message] = ws.buffer.splice(index, 1);
+      ws.waiters.splice(ws.waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+    }
+  }
+}
+
+// Resolves with the first message of `type` (or one of several types,
+// optionally also matching `filter`), and rejects if none arrives within
+// `timeout` ms
+function nextMessage(ws, type, filter = () => true, timeout = 2000) {
+  const types = [].concat(type);
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      match: (message) => types.includes(message.type) && filter(message),
+      resolve,
+      timer: setTimeout(() => {
+        ws.waiters.splice(ws.waiters.indexOf(waiter), 1);
+        reject(new Error(`No "${type}" message within ${timeout} ms`));
+      }, timeout),
+    };
+    ws.waiters.push(waiter);
+    flush(ws);
+  });
+}
+
+// Send a protocol request and resolve with the ack, nack or pong for it
+let nextRequestId = 1;
+function sendRequest(ws, type, fields = {}) {
+  const id = nextRequestId++;
+  ws.send(JSON.stringify({ v: PROTOCOL_VERSION, type, id, ...fields }));
+  return nextMessage(
+    ws,
+    ["ack", "nack", "pong"],
+    (message) => message.id === id
+  );
+}
+
+module.exports = {
+  DEVICES,
+  PASSWORD,
+  createTestApp,
+  loginAs,
+  markConnected,
+  openSocket,
+  nextMessage,
+  sendRequest,
+};
@@ -0,0 +1,229 @@
+const path = require("path");
+const ReadingStore = require("../lib/store");
+const { loadProfiles } = require("../lib/profiles");
+const { parseCsv, suggestMapping, importReadings } = require("../lib/importer");
+
+const NO_CONFIG = path.join(__dirname, "helpers", "missing.json");
+const MINUTE = 60 * 1000;
+const START = Date.parse("2024-03-06T10:00:00Z");
+
+const profile = loadProfiles(NO_CONFIG).get("standard");
+
+let store;
+
+beforeEach(() => {
+  store = new ReadingStore(":memory:");
+});
+
+afterEach(() => {
+  store.close();
+});
+
+const at = (minutes) => new Date(START + minutes * MINUTE).toISOString();
+
+// A device_data.csv as the dashboard used to write it
+const OLD_CSV = [
+  "Timestamp,Power State,Current (mA),Power (W),Voltage (V),Energy (kWh)",
+  `${at(0)},true,512,112.1,229.8,1.204`,
+  `${at(1)},true,498,110.4,230.1,1.206`,
+  `${at(1)},true,498,110.4,230.1,1.206`,
+  `${at(2)},false,0,0,230.4,1.206`,
+].join("\n");
+
+const run = (options) =>
+  importReadings({ store, deviceId: "plug-1", profile, ...options });
+
+describe("parseCsv", () => {
+  test("reads quoted fields and picks the delimiter", () => {
+    expect(parseCsv('a;"b;c"\r\n1;"say ""hi""\nthere"\n\n')).toEqual([
+      ["a", "b;c"],
+      ["1", 'say "hi"\nthere'],
+    ]);
+  });
+});
+
+describe("suggestMapping", () => {
+  test("matches export titles, DP ids and Tuya codes", () => {
+    expect(
+      suggestMapping(["Power (W)", "20", "add_ele", "Notes"], profile)
+    ).toEqual({
+      "Power (W)": { metric: "power", scale: 0 },
+      20: { metric: "voltage", scale: 1 },
+      add_ele: { metric: "energy", scale: 3, increments: true },
+    });
+  });
+});
+
+describe("importReadings", () => {
+  test("previews an old CSV in a dry run without storing it", () => {
+    const result = run({ content: OLD_CSV, dryRun: true });
+
+    expect(result).toMatchObject({
+      format: "csv",
+      layout: "wide",
+      timeColumn: "Timestamp",
+      rows: 4,
+      from: at(0),
+      to: at(2),
+      counts: { samples: 15, duplicates: 5, existing: 0, errors: 0 },
+      imported: 0,
+    });
+    expect(result.mapping["Power State"]).toEqual({
+      metric: "power_state",
+      scale: 0,
+    });
+    expect(result.preview[2]).toEqual({
+      timestamp: at(1),
+      power_state: 1,
+      current: 498,
+      power: 110.4,
+      voltage: 230.1,
+      energy: 1.206,
+    });
+    expect(store.timeBounds("plug-1")).toBeNull();
+  });
+
+  test("merges into the history and skips what is already stored", () => {
+    store.insertReading("plug-1", { timestamp: at(1), power: 110 });
+
+    const mapping = { "Power (W)": "power" };
+    const result = run({ content: OLD_CSV, mapping });
+
+    expect(result.counts).toMatchObject({ samples: 2, existing: 1 });
+    expect(result.imported).toBe(2);
+    const { power } = store.queryHistory({
+      deviceId: "plug-1",
+      metrics: ["power"],
+      from: START,
+      to: START + 3 * MINUTE,
+      bucket: MINUTE,
+    });
+    expect(power.map((point) => point.avg)).toEqual([112.1, 110, 0]);
+
+    // Importing the same file again adds nothing
+    expect(run({ content: OLD_CSV, mapping }).imported).toBe(0);
+  });
+
+  test("leaves out minutes that have been rolled up", () => {
+    store.insertReading("plug-1", { timestamp: at(2), power: 1 });
+    store.compact({ rawBefore: START + 10 * MINUTE, minuteBefore: 0 });
+
+    const result = run({ content: OLD_CSV, dryRun: true });
+
+    expect(result.counts.existing).toBe(1);
+  });
+
+  test("pivots a Tuya device log with raw values", () => {
+    const log = {
+      success: true,
+      result: {
+        logs: [
+          { code: "cur_power", value: "1121", event_time: START },
+          { code: "add_ele", value: "1204", event_time: START },
+          { code: "switch_1", value: "true", event_time: START + MINUTE },
+        ],
+      },
+    };
+
+    const result = run({ content: JSON.stringify(log) });
+
+    expect(result).toMatchObject({ format: "json", layout: "long" });
+    expect(result.preview).toEqual([
+      { timestamp: at(0), power: 112.1, energy: 1.204 },
+      { timestamp: at(1), power_state: 1 },
+    ]);
+    expect(result.imported).toBe(3);
+  });
+
+  test("adds up the energy increments of a Tuya log", () => {
+    store.insertReading("plug-1", { timestamp: at(-1), energy: 2 });
+    // Newest first, as the Tuya API lists them
+    const logs = [3, 2, 1, 0].map((minute) => ({
+      code: "add_ele",
+      value: "5",
+      event_time: START + minute * MINUTE,
+    }));
+
+    const result = run({ content: JSON.stringify({ result: { logs } }) });
+
+    expect(result.preview.map((reading) => reading.energy)).toEqual([
+      2.02, 2.015, 2.01, 2.005,
+    ]);
+    const energy = Array.from(
+      store.iterateMetric({
+        deviceId: "plug-1",
+        metric: "energy",
+        from: START,
+        to: START + 4 * MINUTE,
+      }),
+      (sample) => sample.value
+    );
+    expect(energy).toEqual([2.005, 2.01, 2.015, 2.02]);
+
+    expect(() =>
+      run({
+        content: OLD_CSV,
+        mapping: { "Power State": { metric: "power_state", increments: true } },
+      })
+    ).toThrow(/cannot be added up/);
+  });
+
+  test("refuses energy increments from before the stored readings", () => {
+    // Live readings taken after the file's range
+    store.insertReading("plug-1", { timestamp: at(10), energy: 7 });
+    const logs = [0, 1].map((minute) => ({
+      code: "add_ele",
+      value: "5",
+      event_time: START + minute * MINUTE,
+    }));
+
+    const content = JSON.stringify({ result: { logs } });
+
+    expect(() => run({ content, dryRun: true })).toThrow(
+      "energy increments can only be added after the stored energy readings, which go up to 2024-03-06T10:10:00.000Z"
+    );
+    expect(() => run({ content })).toThrow(/can only be added after/);
+    expect(
+      store.lastBefore({
+        deviceId: "plug-1",
+        metric: "energy",
+        ts: START + 10 * MINUTE,
+      })
+    ).toBeUndefined();
+  });
+
+  test("takes one plug from an archive of several", () => {
+    const archive = [
+      "timestamp,device_id,metric,value",
+      `${at(0)},plug-1,power,20`,
+      `${at(0)},plug-2,power,900`,
+    ].join("\n");
+
+    expect(() => run({ content: archive })).toThrow(/several devices/);
+    expect(run({ content: archive, sourceDevice: "plug-2" }).preview).toEqual([
+      { timestamp: at(0), power: 900 },
+    ]);
+  });
+
+  test("reports bad rows and rejects bad mappings", () => {
+    const result = run({
+      content: `time,power\n${at(0)},5\nyesterday,6\n${at(1)},lots`,
+    });
+    expect(result.counts).toMatchObject({ samples: 1, errors: 2 });
+    expect(result.errors).toEqual([
+      { row: 2, error: "Invalid time: yesterday" },
+      { row: 3, error: "Not a number: lots" },
+    ]);
+
+    expect(() =>
+      run({ content: OLD_CSV, mapping: { Power: "power" } })
+    ).toThrow(/No column Power/);
+    expect(() =>
+      run({ content: OLD_CSV, mapping: { "Power (W)": "wattage" } })
+    ).toThrow(/Unknown metric/);
+    expect(() => run({ content: "when,what\n1,2" })).toThrow(/No time column/);
+    expect(() => run({ content: "time,what\n1,2" })).toThrow(
+      /No column could be matched/
+    );
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock("mqtt", () => ({ connect: jest.fn() }));
+
+const { EventEmitter } = require("events");
+const mqtt = require("mqtt");
+const { MqttBridge, mqttConfigFromEnv } = require("../lib/mqtt");
+const { BUILTIN_PROFILES } = require("../lib/profiles");
+
+// Stands in for the client mqtt.connect returns
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = false;
+    this.publish = jest.fn();
+    this.subscribe = jest.fn();
+    this.end = jest.fn();
+  }
+
+  connect() {
+    this.connected = true;
+    this.emit("connect");
+  }
+
+  // Retained payloads by topic, the last one published winning
+  retained() {
+    return Object.fromEntries(
+      this.publish.mock.calls.map(([topic, payload]) => [topic, payload])
+    );
+  }
+}
+
+let client;
+let kettle;
+let bridge;
+let commands;
+
+beforeEach(() => {
+  client = new FakeClient();
+  mqtt.connect.mockReturnValue(client);
+  kettle = {
+    id: "kettle",
+    name: "Kettle",
+    connected: true,
+    profile: BUILTIN_PROFILES.standard,
+    latestData: { power_state: true, power: 1850.5, voltage: 230.1 },
+    setPower: jest.fn((state) => Promise.resolve(state)),
+    toggle: jest.fn(() => Promise.resolve(false)),
+  };
+  const desk = {
+    ...kettle,
+    id: "desk",
+    name: "Desk",
+    connected: false,
+    latestData: { power_state: false, power: 0 },
+  };
+  bridge = new MqttBridge({
+    url: "mqtt://broker.local",
+    username: "dash",
+    password: "secret",
+    baseTopic: "home/plugs/",
+    devices: new Map([
+      ["kettle", kettle],
+      ["desk", desk],
+    ]),
+  });
+  commands = [];
+  bridge.on("command", (command) => commands.push(command));
+  bridge.start();
+});
+
+// A command as the broker delivers it
+const send = (deviceId, payload) =>
+  client.emit(
+    "message",
+    `home/plugs/${deviceId}/power_state/set`,
+    Buffer.from(payload)
+  );
+
+// Let a command's switch settle
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("MqttBridge", () => {
+  test("connects with a last will and publishes state once connected", () => {
+    expect(mqtt.connect).toHaveBeenCalledWith("mqtt://broker.local", {
+      username: "dash",
+      password: "secret",
+      will: {
+        topic: "home/plugs/status",
+        payload: "offline",
+        qos: 1,
+        retain: true,
+      },
+    });
+    expect(client.publish).not.toHaveBeenCalled();
+
+    client.connect();
+
+    expect(client.subscribe).toHaveBeenCalledWith(
+      "home/plugs/+/power_state/set"
+    );
+    expect(client.retained()).toMatchObject({
+      "home/plugs/status": "online",
+      "home/plugs/kettle/availability": "online",
+      "home/plugs/kettle/power_state": "ON",
+      "home/plugs/kettle/power": "1850.5",
+      "home/plugs/kettle/voltage": "230.1",
+      "home/plugs/desk/availability": "offline",
+    });
+    // No placeholder readings for a plug that has not reported yet
+    expect(client.retained()).not.toHaveProperty("home/plugs/desk/power");
+    for (const [, , options] of client.publish.mock.calls) {
+      expect(options).toEqual({ qos: 1, retain: true });
+    }
+  });
+
+  test("publishes Home Assistant discovery for every metric", () => {
+    client.connect();
+    const retained = client.retained();
+
+    const power = JSON.parse(
+      retained["homeassistant/sensor/tuya_kettle/power/config"]
+    );
+    expect(power).toMatchObject({
+      name: "Power",
+      unique_id: "tuya_kettle_power",
+      state_topic: "home/plugs/kettle/power",
+      unit_of_measurement: "W",
+      device_class: "power",
+      state_class: "measurement",
+      availability_mode: "all",
+      device: { identifiers: ["tuya_kettle"], name: "Kettle" },
+    });
+    expect(
+      JSON.parse(
+        retained["homeassistant/switch/tuya_kettle/power_state/config"]
+      )
+    ).toMatchObject({
+      state_topic: "home/plugs/kettle/power_state",
+      command_topic: "home/plugs/kettle/power_state/set",
+    });
+    expect(
+      JSON.parse(retained["homeassistant/sensor/tuya_kettle/energy/config"])
+    ).toMatchObject({ state_class: "total_increasing" });
+  });
+
+  test("skips publishing while the broker is away", () => {
+    bridge.publishReading("kettle", { power: 12 });
+    expect(client.publish).not.toHaveBeenCalled();
+
+    client.connect();
+    client.publish.mockClear();
+    bridge.publishReading("kettle", { power: 12, power_state: false });
+    bridge.publishAvailability("kettle", false);
+
+    expect(
+      client.publish.mock.calls.map(([topic, payload]) => [topic, payload])
+    ).toEqual([
+      ["home/plugs/kettle/power_state", "OFF"],
+      ["home/plugs/kettle/power", "12"],
+      ["home/plugs/kettle/availability", "offline"],
+    ]);
+  });
+
+  test("switches plugs from the command topic", async () => {
+    client.connect();
+
+    send("kettle", "off");
+    send("kettle", " 1 ");
+    send("kettle", "TOGGLE");
+    await settle();
+
+    expect(kettle.setPower.mock.calls).toEqual([[false], [true]]);
+    expect(kettle.toggle).toHaveBeenCalledTimes(1);
+    expect(commands).toEqual([
+      { deviceId: "kettle", command: false, ok: true },
+      { deviceId: "kettle", command: true, ok: true },
+      { deviceId: "kettle", command: "toggle", ok: true },
+    ]);
+  });
+
+  test("ignores commands it cannot carry out and reports failures", async () => {
+    client.connect();
+
+    send("kettle", "dim");
+    send("fridge", "ON");
+    send("desk", "ON");
+    await settle();
+    expect(kettle.setPower).not.toHaveBeenCalled();
+    expect(commands).toEqual([]);
+
+    kettle.setPower.mockRejectedValue(new Error("Timeout"));
+    send("kettle", "ON");
+    await settle();
+    expect(commands).toEqual([
+      { deviceId: "kettle", command: true, ok: false, error: "Timeout" },
+    ]);
+  });
+
+  test("says goodbye on the status topic when stopped", () => {
+    client.connect();
+    client.publish.mockClear();
+
+    bridge.stop();
+
+    expect(client.publish).toHaveBeenCalledWith(
+      "home/plugs/status",
+      "offline",
+      {
+        qos: 1,
+        retain: true,
+      }
+    );
+    expect(client.end).toHaveBeenCalled();
+    expect(bridge.client).toBeNull();
+  });
+});
+
+describe("mqttConfigFromEnv", () => {
+  test("reads the broker settings, or none without MQTT_URL", () => {
+    expect(mqttConfigFromEnv({})).toBeNull();
+    expect(
+      mqttConfigFromEnv({
+        MQTT_URL: "mqtt://broker.local",
+        MQTT_USERNAME: "",
+        MQTT_BASE_TOPIC: "plugs",
+      })
+    ).toEqual({
+      url: "mqtt://broker.local",
+      username: undefined,
+      password: undefined,
+      baseTopic: "plugs",
+      discoveryPrefix: "homeassistant",
+    });
+  });
+});
@@ -0,0 +1,201 @@
+jest.mock("tuyapi", () => {
+  const FakeTuyAPI = require("./helpers/fakeTuya");
+  return jest.fn((options) => new FakeTuyAPI(options));
+});
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TuyAPI = require("tuyapi");
+const FakeTuyAPI = require("./helpers/fakeTuya");
+const { probeVersions } = require("../lib/onboarding");
+const { createTestApp, loginAs } = require("./helpers/testApp");
+
+const PLUG = { id: "bf1234567890abcdefgh", key: "0123456789abcdef" };
+const DPS = { 1: true, 18: 120, 19: 254, 20: 2301, 22: 15 };
+
+// Plugs that only answer with the right protocol version
+function answerOn(version, dps = DPS) {
+  TuyAPI.mockImplementation((options) => {
+    const device = new FakeTuyAPI(options);
+    if (options.version === version) {
+      device.get.mockResolvedValue({ dps });
+    } else {
+      // The reply cannot be decrypted with the wrong version
+      device.get.mockResolvedValue("garbage");
+    }
+    return device;
+  });
+}
+
+beforeEach(() => {
+  TuyAPI.mockClear();
+});
+
+afterEach(() => {
+  TuyAPI.mockImplementation((options) => new FakeTuyAPI(options));
+});
+
+describe("probeVersions", () => {
+  test("tries each version in turn until one returns DPS", async () => {
+    answerOn("3.4");
+
+    const result = await probeVersions({ ...PLUG, ip: "10.0.0.2" });
+
+    expect(result.version).toBe("3.4");
+    expect(result.dps).toEqual(DPS);
+    expect(result.results.map(({ version, ok }) => [version, ok])).toEqual([
+      ["3.1", false],
+      ["3.3", false],
+      ["3.4", true],
+    ]);
+    expect(result.results[0].error).toBe("No DPS in the device's reply");
+    // Every probe lets go of the plug again
+    for (const { value: device } of TuyAPI.mock.results) {
+      expect(device.disconnect).toHaveBeenCalled();
+    }
+  });
+
+  test("starts with the advertised version and finds a plug without an IP", async () => {
+    answerOn("3.3");
+
+    const result = await probeVersions(PLUG, { preferred: "3.3" });
+
+    expect(result.results).toHaveLength(1);
+    const [device] = TuyAPI.mock.results.map(({ value }) => value);
+    expect(device.find).toHaveBeenCalled();
+  });
+
+  test("reports every failure when no version works", async () => {
+    TuyAPI.mockImplementation((options) => {
+      const device = new FakeTuyAPI(options);
+      device.connect.mockRejectedValue(new Error("connection refused"));
+      return device;
+    });
+
+    const result = await probeVersions({ ...PLUG, ip: "10.0.0.2" });
+
+    expect(result).toMatchObject({ version: null, dps: null });
+    expect(result.results.map((entry) => entry.error)).toEqual(
+      Array(4).fill("connection refused")
+    );
+  });
+});
+
+describe("onboarding routes", () => {
+  let dir;
+  let server;
+  let admin;
+
+  // Plugs the UDP listener has seen, most recent first
+  const discovery = {
+    seen: [],
+    list: () => discovery.seen,
+    start() {},
+    stop() {},
+  };
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "onboarding-"));
+    process.env.DEVICES_CONFIG = path.join(dir, "devices.json");
+    server = await createTestApp({ discovery });
+    admin = await loginAs(server, "admin");
+  });
+
+  afterAll(() => {
+    server.stop();
+    delete process.env.DEVICES_CONFIG;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("list the plugs seen on the network", async () => {
+    discovery.seen = [
+      { id: "plug-1", ip: "127.0.0.1", version: "3.4", port: 6667 },
+      { id: PLUG.id, ip: "10.0.0.2", version: "3.3", port: 6667 },
+    ];
+
+    const res = await admin.agent.get("/api/onboarding/discovered").expect(200);
+
+    expect(res.body).toEqual([
+      expect.objectContaining({ id: "plug-1", configured: true }),
+      expect.objectContaining({ id: PLUG.id, configured: false }),
+    ]);
+  });
+
+  test("probe a plug and suggest a profile", async () => {
+    answerOn("3.3");
+
+    const res = await admin.agent
+      .post("/api/onboarding/probe")
+      .send({ ...PLUG, ip: "10.0.0.2", version: "3.3" })
+      .expect(200);
+
+    expect(res.body).toMatchObject({
+      version: "3.3",
+      dps: DPS,
+      profile: "standard",
+    });
+  });
+
+  test("refuse to probe without a key or while the plug is connected", async () => {
+    await admin.agent
+      .post("/api/onboarding/probe")
+      .send({ id: PLUG.id })
+      .expect(400);
+
+    server.devices.get("plug-1").setState("online");
+    const res = await admin.agent
+      .post("/api/onboarding/probe")
+      .send({ id: "plug-1", key: "0123456789abcdef" })
+      .expect(400);
+    server.devices.get("plug-1").setState("disconnected");
+
+    expect(res.body.error).toBe("Desk is already connected to the dashboard");
+    expect(TuyAPI).not.toHaveBeenCalled();
+  });
+
+  test("save a new plug and connect to it", async () => {
+    // It was simulated until now
+    fs.writeFileSync(
+      process.env.DEVICES_CONFIG,
+      JSON.stringify([
+        { id: PLUG.id, name: "Bench", simulator: { load: "kettle" } },
+      ])
+    );
+
+    const res = await admin.agent
+      .post("/api/onboarding/devices")
+      .send({ ...PLUG, ip: "10.0.0.2", version: "3.3" })
+      .expect(201);
+
+    expect(res.body).toMatchObject({
+      device: { id: PLUG.id, name: "Bench" },
+      restartRequired: false,
+    });
+    expect(server.devices.get(PLUG.id).device).toBeInstanceOf(FakeTuyAPI);
+    expect(JSON.parse(fs.readFileSync(process.env.DEVICES_CONFIG))).toEqual([
+      {
+        ...PLUG,
+        ip: "10.0.0.2",
+        name: "Bench",
+        version: "3.3",
+        profile: "standard",
+      },
+    ]);
+    expect(server.auditLog.list({ deviceId: PLUG.id })[0]).toMatchObject({
+      username: "admin",
+      action: "add device",
+    });
+  });
+
+  test("reject unknown profiles and non-admins", async () => {
+    const res = await admin.agent
+      .post("/api/onboarding/devices")
+      .send({ ...PLUG, ip: "10.0.0.2", version: "3.3", profile: "nope" })
+      .expect(400);
+    expect(res.body.error).toBe("Unknown profile: nope");
+
+    const operator = await loginAs(server, "operator");
+    await operator.agent.get("/api/onboarding/discovered").expect(403);
+  });
+});
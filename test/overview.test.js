@@ -0,0 +1,167 @@
+const path = require("path");
+const ReadingStore = require("../lib/store");
+const { loadProfiles } = require("../lib/profiles");
+const {
+  powerBreakdown,
+  energyBreakdown,
+  comparePower,
+} = require("../lib/overview");
+
+const NO_CONFIG = path.join(__dirname, "helpers", "missing.json");
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const FLAT = { type: "flat", currency: "EUR", rate: 0.5 };
+
+// Midnight local time, a Wednesday
+const DAY_START = new Date(2024, 2, 6).getTime();
+
+const profiles = loadProfiles(NO_CONFIG);
+const connections = [
+  { id: "tv", name: "TV", profile: profiles.get("standard") },
+  { id: "kettle", name: "Kettle", profile: profiles.get("standard") },
+  { id: "lamp", name: "Lamp", profile: profiles.get("switch") },
+];
+
+let store;
+
+beforeEach(() => {
+  store = new ReadingStore(":memory:");
+});
+
+afterEach(() => {
+  store.close();
+});
+
+// A reading every 10 minutes over [from, to] with constant power, and an
+// energy counter climbing to match
+function steady(deviceId, from, to, watts, energy = 0) {
+  for (let ts = from; ts <= to; ts += 10 * MINUTE) {
+    store.insertReading(deviceId, {
+      timestamp: new Date(ts).toISOString(),
+      power: watts,
+      energy: energy + ((ts - from) / HOUR) * (watts / 1000),
+    });
+  }
+}
+
+describe("powerBreakdown", () => {
+  test("lines every plug's power up in shared buckets", () => {
+    steady("tv", DAY_START, DAY_START + 2 * HOUR, 100);
+    steady("kettle", DAY_START + HOUR, DAY_START + 2 * HOUR, 2000);
+
+    const result = powerBreakdown({
+      store,
+      connections,
+      from: DAY_START,
+      to: DAY_START + 2 * HOUR,
+      step: HOUR,
+    });
+
+    // The lamp has no power metric
+    expect(result.devices).toEqual([
+      { deviceId: "tv", name: "TV" },
+      { deviceId: "kettle", name: "Kettle" },
+    ]);
+    expect(result.points).toEqual([
+      { t: DAY_START, total: 100, values: { tv: 100, kettle: null } },
+      { t: DAY_START + HOUR, total: 2100, values: { tv: 100, kettle: 2000 } },
+    ]);
+  });
+
+  test("refuses more points than a chart can take", () => {
+    expect(() =>
+      powerBreakdown({
+        store,
+        connections,
+        from: DAY_START,
+        to: DAY_START + 7 * 24 * HOUR,
+        step: MINUTE,
+      })
+    ).toThrow(/Bucket too small/);
+  });
+});
+
+describe("energyBreakdown", () => {
+  test("ranks plugs by the energy they used and their share", () => {
+    steady("tv", DAY_START, DAY_START + 4 * HOUR, 100);
+    steady("kettle", DAY_START, DAY_START + 4 * HOUR, 300);
+
+    const result = energyBreakdown({
+      store,
+      tariff: FLAT,
+      connections,
+      bucket: "hour",
+      from: DAY_START,
+      to: DAY_START + 4 * HOUR,
+      now: DAY_START + 4 * HOUR,
+    });
+
+    expect(result.totals).toEqual({ kwh: 1.6, cost: 0.8 });
+    expect(result.devices).toEqual([
+      {
+        rank: 1,
+        deviceId: "kettle",
+        name: "Kettle",
+        kwh: 1.2,
+        cost: 0.6,
+        share: 75,
+        estimated: false,
+      },
+      {
+        rank: 2,
+        deviceId: "tv",
+        name: "TV",
+        kwh: 0.4,
+        cost: 0.2,
+        share: 25,
+        estimated: false,
+      },
+    ]);
+  });
+});
+
+describe("comparePower", () => {
+  test("overlays one plug over two periods", () => {
+    steady("tv", DAY_START - 24 * HOUR, DAY_START - 22 * HOUR, 50);
+    steady("tv", DAY_START, DAY_START + 2 * HOUR, 80);
+
+    const result = comparePower({
+      store,
+      tariff: FLAT,
+      subjects: [
+        {
+          label: "Today",
+          connections: [connections[0]],
+          from: DAY_START,
+          to: DAY_START + 2 * HOUR,
+        },
+        {
+          label: "Yesterday",
+          connections: [connections[0]],
+          from: DAY_START - 24 * HOUR,
+          to: DAY_START - 22 * HOUR,
+        },
+      ],
+      bucket: "hour",
+      step: HOUR,
+      now: DAY_START + 2 * HOUR,
+    });
+
+    expect(result.series.map((series) => series.points)).toEqual([
+      [
+        { offset: 0, watts: 80 },
+        { offset: HOUR, watts: 80 },
+      ],
+      [
+        { offset: 0, watts: 50 },
+        { offset: HOUR, watts: 50 },
+      ],
+    ]);
+    expect(result.series[0].totals).toEqual({ kwh: 0.16, cost: 0.08 });
+    expect(result.series[1]).toMatchObject({
+      label: "Yesterday",
+      deviceIds: ["tv"],
+      totals: { kwh: 0.1 },
+    });
+  });
+});
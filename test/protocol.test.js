@@ -0,0 +1,111 @@
+const { parseRequest, nack } = require("../lib/protocol");
+const { filterMessage } = require("../lib/websocket");
+const { ProtocolError } = require("../lib/errors");
+
+function parseError(raw) {
+  try {
+    parseRequest(typeof raw === "string" ? raw : JSON.stringify(raw));
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected parseRequest to throw");
+}
+
+describe("parseRequest", () => {
+  test("accepts every request type", () => {
+    for (const request of [
+      { v: 1, type: "ping", id: 1 },
+      { v: 1, type: "toggle", id: "a", deviceId: "plug-1" },
+      { v: 1, type: "refresh", id: 2 },
+      { v: 1, type: "subscribe", id: 3, metrics: ["power"] },
+      { v: 1, type: "unsubscribe", id: 4, deviceId: "plug-1" },
+    ]) {
+      expect(parseRequest(JSON.stringify(request))).toEqual(request);
+    }
+  });
+
+  test("rejects messages that are not JSON objects", () => {
+    expect(parseError("{")).toMatchObject({ code: "invalid_json", id: null });
+    expect(parseError("[1]")).toMatchObject({ code: "invalid_message" });
+    expect(parseError("null")).toBeInstanceOf(ProtocolError);
+  });
+
+  test("checks the version before anything else", () => {
+    expect(parseError({ type: "whatever", id: 7 })).toMatchObject({
+      code: "unsupported_version",
+      id: 7,
+    });
+  });
+
+  test("rejects unknown types, missing fields and extra fields", () => {
+    expect(parseError({ v: 1, type: "reboot", id: 1 })).toMatchObject({
+      code: "invalid_message",
+      message: 'Unknown message type "reboot"',
+      id: 1,
+    });
+    expect(parseError({ v: 1, type: "ping" }).message).toBe(
+      "message must have required property 'id'"
+    );
+    expect(parseError({ v: 1, type: "ping", id: 1, extra: true }).message).toBe(
+      'unknown property "extra"'
+    );
+    expect(
+      parseError({ v: 1, type: "subscribe", id: 1, metrics: [] }).message
+    ).toBe("metrics must NOT have fewer than 1 items");
+  });
+
+  test("only keeps ids that can be echoed back", () => {
+    expect(parseError({ v: 2, type: "ping", id: { nested: 1 } }).id).toBe(null);
+  });
+});
+
+test("nack falls back to device_error for unexpected errors", () => {
+  expect(nack(5, new Error("boom"))).toEqual({
+    v: 1,
+    type: "nack",
+    id: 5,
+    error: { code: "device_error", message: "boom" },
+  });
+});
+
+describe("filterMessage", () => {
+  const reading = {
+    type: "data",
+    deviceId: "plug-1",
+    data: { timestamp: "t", connected: true, power: 10, voltage: 230 },
+  };
+
+  test("passes everything to new clients", () => {
+    expect(filterMessage(new Map([["*", null]]), reading)).toBe(reading);
+  });
+
+  test("keeps only the subscribed metrics of readings", () => {
+    const subscriptions = new Map([["plug-1", new Set(["power"])]]);
+    expect(filterMessage(subscriptions, reading).data).toEqual({
+      timestamp: "t",
+      connected: true,
+      power: 10,
+    });
+
+    const state = { type: "state", deviceId: "plug-1", data: { x: 1 } };
+    expect(filterMessage(subscriptions, state)).toBe(state);
+  });
+
+  test("drops devices that are not subscribed", () => {
+    expect(filterMessage(new Map(), reading)).toBe(null);
+    expect(
+      filterMessage(
+        new Map([
+          ["*", null],
+          ["plug-1", false],
+        ]),
+        reading
+      )
+    ).toBe(null);
+  });
+
+  test("passes messages that are not about a device", () => {
+    const devices = { type: "devices", data: [] };
+    expect(filterMessage(new Map(), devices)).toBe(devices);
+  });
+});
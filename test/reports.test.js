@@ -0,0 +1,323 @@
+const ReadingStore = require("../lib/store");
+const {
+  deviceEnergy,
+  compareReports,
+  resolveRange,
+} = require("../lib/reports");
+const { renderReportHtml } = require("../lib/reportHtml");
+const { computeCost } = require("../lib/cost");
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const FLAT = { type: "flat", currency: "EUR", rate: 0.5 };
+
+// Midnight local time, a Wednesday
+const DAY_START = new Date(2024, 2, 6).getTime();
+
+let store;
+
+beforeEach(() => {
+  store = new ReadingStore(":memory:");
+});
+
+afterEach(() => {
+  store.close();
+});
+
+function logEnergy(deviceId, samples) {
+  for (const [ts, energy] of samples) {
+    store.insertReading(deviceId, {
+      timestamp: new Date(ts).toISOString(),
+      energy,
+    });
+  }
+}
+
+// A reading every 10 minutes from `from` to `to`, climbing `perHour` kWh
+// an hour from `start`
+function steady(from, to, perHour, start = 0) {
+  const samples = [];
+  for (let ts = from; ts <= to; ts += 10 * MINUTE) {
+    samples.push([ts, start + ((ts - from) / HOUR) * perHour]);
+  }
+  return samples;
+}
+
+describe("deviceEnergy", () => {
+  test("splits consumption into hourly buckets", () => {
+    logEnergy("plug-1", steady(DAY_START, DAY_START + 3 * HOUR, 0.2, 5));
+
+    const result = deviceEnergy({
+      store,
+      deviceId: "plug-1",
+      tariff: FLAT,
+      bucket: "hour",
+      from: DAY_START,
+      to: DAY_START + 3 * HOUR,
+      now: DAY_START + 3 * HOUR,
+    });
+
+    expect(result.buckets).toHaveLength(3);
+    for (const bucket of result.buckets) {
+      expect(bucket.kwh).toBeCloseTo(0.2);
+      expect(bucket.cost).toBeCloseTo(0.1);
+      expect(bucket.estimated).toBe(false);
+    }
+    expect(result.totals.kwh).toBeCloseTo(0.6);
+    expect(result.resets).toBe(0);
+    expect(result.gaps).toEqual([]);
+  });
+
+  test("keeps counting across a counter reset", () => {
+    logEnergy("plug-1", [
+      [DAY_START, 10],
+      [DAY_START + 10 * MINUTE, 10.5],
+      // Power loss: the counter starts again from zero
+      [DAY_START + 20 * MINUTE, 0.2],
+      [DAY_START + 30 * MINUTE, 0.4],
+    ]);
+
+    const result = deviceEnergy({
+      store,
+      deviceId: "plug-1",
+      tariff: FLAT,
+      bucket: "hour",
+      from: DAY_START,
+      to: DAY_START + HOUR,
+      now: DAY_START + 30 * MINUTE,
+    });
+
+    expect(result.totals.kwh).toBeCloseTo(0.9);
+    expect(result.resets).toBe(1);
+  });
+
+  test("spreads the energy used across a gap and marks it estimated", () => {
+    logEnergy("plug-1", [
+      [DAY_START, 1],
+      [DAY_START + 10 * MINUTE, 1.1],
+      // Nothing for two hours
+      [DAY_START + 2 * HOUR + 10 * MINUTE, 1.5],
+    ]);
+
+    const result = deviceEnergy({
+      store,
+      deviceId: "plug-1",
+      tariff: FLAT,
+      bucket: "hour",
+      from: DAY_START,
+      to: DAY_START + 3 * HOUR,
+      now: DAY_START + 2 * HOUR + 10 * MINUTE,
+    });
+
+    expect(result.gaps).toEqual([
+      {
+        from: DAY_START + 10 * MINUTE,
+        to: DAY_START + 2 * HOUR + 10 * MINUTE,
+        kwh: 0.4,
+      },
+    ]);
+    const [first, second, third] = result.buckets;
+    expect(first.kwh).toBeCloseTo(0.1 + 0.4 * (50 / 120));
+    expect(second.kwh).toBeCloseTo(0.2);
+    expect(third.kwh).toBeCloseTo(0.4 * (10 / 120));
+    expect(result.buckets.every((bucket) => bucket.estimated)).toBe(true);
+    expect(result.totals.kwh).toBeCloseTo(0.5);
+  });
+
+  test("reports silence since the last reading as an unknown gap", () => {
+    logEnergy("plug-1", [
+      [DAY_START, 1],
+      [DAY_START + 10 * MINUTE, 1.1],
+    ]);
+
+    const result = deviceEnergy({
+      store,
+      deviceId: "plug-1",
+      tariff: FLAT,
+      bucket: "hour",
+      from: DAY_START,
+      to: DAY_START + 2 * HOUR,
+      now: DAY_START + HOUR,
+    });
+
+    expect(result.gaps).toEqual([
+      { from: DAY_START + 10 * MINUTE, to: DAY_START + HOUR, kwh: null },
+    ]);
+  });
+
+  test("counts from the reading before the range", () => {
+    logEnergy("plug-1", [
+      [DAY_START - 5 * MINUTE, 2],
+      [DAY_START + 5 * MINUTE, 2.2],
+    ]);
+
+    const result = deviceEnergy({
+      store,
+      deviceId: "plug-1",
+      tariff: FLAT,
+      bucket: "day",
+      from: DAY_START,
+      to: DAY_START + 24 * HOUR,
+      now: DAY_START + 5 * MINUTE,
+    });
+
+    // Half of the delta falls inside the range
+    expect(result.totals.kwh).toBeCloseTo(0.1);
+  });
+});
+
+describe("computeCost", () => {
+  test("agrees with the report for the same plug and days", () => {
+    logEnergy("plug-1", [
+      [DAY_START - HOUR, 1],
+      [DAY_START + 23 * HOUR, 2.2],
+      // A reset overnight, then a gap
+      [DAY_START + 25 * HOUR, 0.3],
+      [DAY_START + 30 * HOUR, 0.9],
+    ]);
+    const range = {
+      store,
+      deviceId: "plug-1",
+      tariff: FLAT,
+      from: DAY_START,
+      to: DAY_START + 48 * HOUR,
+      now: DAY_START + 30 * HOUR,
+    };
+
+    const cost = computeCost(range);
+    const report = deviceEnergy({ ...range, bucket: "day" });
+
+    expect(cost.total).toEqual(report.totals);
+    expect(cost.days).toEqual(
+      report.buckets.map(({ label, kwh, cost: price, estimated }) => ({
+        date: label,
+        kwh,
+        cost: price,
+        estimated,
+      }))
+    );
+    expect(cost.today).toEqual({
+      kwh: report.buckets[1].kwh,
+      cost: report.buckets[1].cost,
+    });
+    expect(cost.resets).toBe(1);
+  });
+});
+
+describe("resolveRange", () => {
+  test("covers the current week from Monday, with last week before it", () => {
+    const { current, previous, bucket } = resolveRange(
+      { range: "week" },
+      DAY_START + 12 * HOUR
+    );
+
+    expect(new Date(current.from).getDay()).toBe(1);
+    expect(current.from).toBe(new Date(2024, 2, 4).getTime());
+    expect(current.to).toBe(new Date(2024, 2, 11).getTime());
+    expect(previous).toEqual({
+      from: new Date(2024, 1, 26).getTime(),
+      to: current.from,
+    });
+    expect(bucket).toBe("day");
+  });
+
+  test("compares a custom range with the same span before it", () => {
+    const from = DAY_START;
+    const to = DAY_START + 6 * HOUR;
+
+    expect(resolveRange({ from, to })).toEqual({
+      current: { from, to },
+      previous: { from: from - 6 * HOUR, to: from },
+      bucket: "hour",
+    });
+  });
+
+  test("rejects unknown ranges and buckets", () => {
+    expect(() => resolveRange({ range: "decade" })).toThrow(/range/);
+    expect(() => resolveRange({ range: "week", bucket: "minute" })).toThrow(
+      /bucket/
+    );
+    expect(() => resolveRange({ from: 2, to: 1 })).toThrow(/before/);
+  });
+});
+
+describe("compareReports", () => {
+  const connections = [
+    {
+      id: "plug-1",
+      name: "Desk",
+      profile: { dps: { 17: { metric: "energy" } } },
+    },
+    {
+      id: "plug-2",
+      name: "Lamp",
+      profile: { dps: { 1: { metric: "power_state" } } },
+    },
+  ];
+
+  test("compares today so far with yesterday up to the same time", () => {
+    const now = DAY_START + 12 * HOUR;
+    const yesterday = DAY_START - 24 * HOUR;
+    // Yesterday: 0.1 kWh an hour all day; today: 0.2 kWh an hour
+    logEnergy("plug-1", [
+      ...steady(yesterday, DAY_START - 10 * MINUTE, 0.1, 1),
+      ...steady(DAY_START, now, 0.2, 1 + (24 * HOUR - 10 * MINUTE) / HOUR / 10),
+    ]);
+
+    const report = compareReports({
+      store,
+      tariff: FLAT,
+      connections,
+      query: { range: "day", compare: true },
+      now,
+    });
+
+    expect(report.devices.map((device) => device.deviceId)).toEqual(["plug-1"]);
+    expect(report.buckets).toHaveLength(24);
+    expect(report.totals.kwh).toBeCloseTo(2.4, 1);
+    expect(report.previous.totals.kwh).toBeCloseTo(2.4, 1);
+    expect(report.previous.toDate.kwh).toBeCloseTo(1.2, 1);
+    expect(report.change.percent).toBeCloseTo(100, -1);
+  });
+
+  test("leaves the comparison out when not asked for", () => {
+    const report = compareReports({
+      store,
+      tariff: FLAT,
+      connections,
+      query: { range: "month", compare: false },
+      now: DAY_START,
+    });
+
+    expect(report.previous).toBeUndefined();
+    expect(report.bucket).toBe("day");
+    expect(report.totals).toEqual({ kwh: 0, cost: 0 });
+  });
+});
+
+describe("renderReportHtml", () => {
+  test("renders a standalone page with a chart and escaped names", () => {
+    logEnergy("plug-1", steady(DAY_START, DAY_START + 2 * HOUR, 0.3));
+    const report = compareReports({
+      store,
+      tariff: FLAT,
+      connections: [
+        {
+          id: "plug-1",
+          name: "<Desk>",
+          profile: { dps: { 17: { metric: "energy" } } },
+        },
+      ],
+      query: { range: "day", compare: true },
+      now: DAY_START + 2 * HOUR,
+    });
+
+    const html = renderReportHtml(report);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain("<svg");
+    expect(html).toContain("&lt;Desk&gt;");
+    expect(html).not.toContain("<Desk>");
+    expect(html).not.toMatch(/<script/);
+  });
+});
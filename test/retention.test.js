@@ -0,0 +1,224 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const ReadingStore = require("../lib/store");
+const {
+  RetentionManager,
+  retentionConfigFromEnv,
+  DEFAULT_CONFIG,
+} = require("../lib/retention");
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse("2024-03-01T00:00:00Z");
+
+let store;
+let archiveDir;
+
+beforeEach(() => {
+  store = new ReadingStore(":memory:");
+  archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-"));
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+// A reading every `step` ms for `span` ms from `from`: power ramps with the
+// index and energy counts up
+function feed(from, span, step = 10 * 1000) {
+  for (let ts = from, i = 0; ts < from + span; ts += step, i += 1) {
+    store.insertReading("plug-1", {
+      timestamp: new Date(ts).toISOString(),
+      power: i % 100,
+      energy: i,
+    });
+  }
+}
+
+const tier = (name) => store.usage().tiers.find((t) => t.name === name);
+
+describe("ReadingStore tiers", () => {
+  test("rolls raw samples up without changing the history", () => {
+    feed(START, 3 * HOUR);
+    const query = {
+      deviceId: "plug-1",
+      metrics: ["power"],
+      from: START,
+      to: START + 3 * HOUR,
+      bucket: HOUR,
+    };
+    const before = store.queryHistory(query);
+
+    const result = store.compact({
+      rawBefore: START + HOUR + 30 * 1000,
+      minuteBefore: START,
+    });
+
+    // Cut at the minute: one hour of raw samples in 60 minute buckets
+    expect(result).toEqual({ raw: 720, minute: 0, hour: 0 });
+    expect(tier("minute")).toMatchObject({ rows: 120, first: START });
+    expect(store.queryHistory(query)).toEqual(before);
+  });
+
+  test("keeps the last value of each bucket for counters", () => {
+    feed(START, 2 * HOUR);
+    store.compact({ rawBefore: START + 2 * HOUR, minuteBefore: START + HOUR });
+
+    expect(tier("raw").rows).toBe(0);
+    expect(tier("hour")).toMatchObject({ rows: 2, first: START });
+    expect(
+      store.lastBefore({ deviceId: "plug-1", metric: "energy", ts: START + 1 })
+    ).toEqual({ ts: START, value: 359 });
+    expect(store.timeBounds("plug-1")).toEqual({
+      first: START,
+      last: START + 2 * HOUR - 60 * 1000,
+    });
+  });
+
+  test("merges later samples into an existing bucket", () => {
+    feed(START, HOUR);
+    store.compact({ rawBefore: START + 30 * 60 * 1000, minuteBefore: START });
+    store.compact({ rawBefore: START + HOUR, minuteBefore: START + HOUR });
+
+    const [point] = store.queryHistory({
+      deviceId: "plug-1",
+      metrics: ["power"],
+      from: START,
+      to: START + HOUR,
+      bucket: HOUR,
+    }).power;
+    expect(point).toMatchObject({ min: 0, max: 99, count: 360 });
+    expect(tier("hour").rows).toBe(2);
+    expect(tier("minute").rows).toBe(0);
+  });
+
+  test("keeps the newest value when an older sample is merged later", () => {
+    const insert = (seconds, energy) =>
+      store.insertReading("plug-1", {
+        timestamp: new Date(START + seconds * 1000).toISOString(),
+        energy,
+      });
+    insert(50, 10);
+    store.compact({ rawBefore: START + 60 * 1000, minuteBefore: START });
+    insert(20, 3);
+    store.compact({ rawBefore: START + 60 * 1000, minuteBefore: START });
+
+    expect(
+      store.lastBefore({ deviceId: "plug-1", metric: "energy", ts: START + 1 })
+    ).toEqual({ ts: START, value: 10 });
+  });
+
+  test("purges every tier before a time", () => {
+    feed(START, 2 * HOUR);
+    store.compact({ rawBefore: START + HOUR, minuteBefore: START });
+    store.insertReading("plug-2", {
+      timestamp: new Date(START).toISOString(),
+      power: 1,
+    });
+
+    expect(
+      store.purge({ before: START + 90 * 60 * 1000, deviceId: "plug-1" })
+    ).toBe(60 * 2 + 180 * 2);
+    expect(store.timeBounds("plug-1").first).toBe(START + 90 * 60 * 1000);
+    expect(store.timeBounds("plug-2")).not.toBeNull();
+  });
+});
+
+describe("RetentionManager", () => {
+  const manager = (config) =>
+    new RetentionManager({ store, config, archiveDir });
+
+  test("compacts by age in days", () => {
+    feed(START, 2 * HOUR, 60 * 1000);
+    const retention = manager({ rawDays: 1, minuteDays: 2, hourDays: 3 });
+
+    retention.run(START + DAY + 2 * HOUR);
+    expect(tier("raw").rows).toBe(0);
+    expect(tier("minute").rows).toBe(240);
+
+    retention.run(START + 2 * DAY + 2 * HOUR);
+    expect(tier("hour").rows).toBe(4);
+
+    const { compacted } = retention.run(START + 4 * DAY);
+    expect(compacted.hour).toBe(4);
+    expect(store.timeBounds("plug-1")).toBeNull();
+  });
+
+  test("archives raw samples by day and rotates old archives", () => {
+    // Archives are per local day
+    const morning = new Date(2024, 2, 1, 8).getTime();
+    feed(morning, 2 * HOUR, 10 * 60 * 1000);
+    const retention = manager({ rawDays: 1, archiveDays: 3 });
+
+    expect(retention.run(morning + 2 * DAY).archived).toBe(24);
+    const [archive] = retention.archives();
+    expect(archive.date).toBe("2024-03-01");
+    const lines = zlib
+      .gunzipSync(fs.readFileSync(path.join(archiveDir, archive.file)))
+      .toString()
+      .trim()
+      .split("\n");
+    expect(lines[0]).toBe("timestamp,device_id,metric,value");
+    expect(lines).toHaveLength(25);
+    expect(lines).toContain(
+      `${new Date(morning + 10 * 60 * 1000).toISOString()},plug-1,power,1`
+    );
+
+    expect(retention.run(morning + 10 * DAY).rotated).toEqual([archive.file]);
+    expect(retention.archives()).toEqual([]);
+  });
+
+  test("archives each sample once when the cutoff is within a minute", () => {
+    const morning = new Date(2024, 2, 1, 8).getTime();
+    feed(morning, 10 * 60 * 1000);
+    const retention = manager({ rawDays: 1, archiveDays: 3 });
+
+    // 5 minutes 30 seconds in: the last half minute stays raw for now
+    const now = morning + DAY + 5.5 * 60 * 1000;
+    expect(retention.run(now).archived).toBe(5 * 6 * 2);
+    expect(retention.run(now + 60 * 1000).archived).toBe(6 * 2);
+
+    const [archive] = retention.archives();
+    const lines = zlib
+      .gunzipSync(fs.readFileSync(path.join(archiveDir, archive.file)))
+      .toString()
+      .trim()
+      .split("\n");
+    expect(new Set(lines).size).toBe(lines.length);
+  });
+
+  test("deletes the oldest days over the size cap", () => {
+    feed(START, 3 * DAY, 60 * 1000);
+    const retention = manager({ rawDays: 30, maxMb: 0.05 });
+
+    const { purged } = retention.run(START + 3 * DAY);
+    expect(purged).toBeGreaterThan(0);
+    expect(store.timeBounds("plug-1").first).toBeGreaterThan(START);
+    // The last day is kept whatever its size
+    expect(store.timeBounds("plug-1").last).toBe(START + 3 * DAY - 60 * 1000);
+  });
+
+  test("reports usage with the settings and archives", () => {
+    const usage = manager({ rawDays: 2 }).usage();
+    expect(usage.config).toEqual({ ...DEFAULT_CONFIG, rawDays: 2 });
+    expect(usage.tiers.map((t) => t.name)).toEqual(["raw", "minute", "hour"]);
+    expect(usage).toMatchObject({
+      archives: [],
+      archiveBytes: 0,
+      lastRun: null,
+    });
+  });
+
+  test("reads its settings from the environment", () => {
+    expect(
+      retentionConfigFromEnv({
+        RETENTION_RAW_DAYS: "3",
+        RETENTION_HOUR_DAYS: "365",
+        RETENTION_MAX_MB: "nope",
+      })
+    ).toEqual({ ...DEFAULT_CONFIG, rawDays: 3, hourDays: 365 });
+  });
+});
@@ -0,0 +1,230 @@
+const { openDatabase } = require("../lib/db");
+const { RuleEngine } = require("../lib/rules");
+
+const START = Date.parse("2024-03-06T08:00:00Z");
+const SECOND = 1000;
+
+let db;
+let connection;
+let engine;
+let alerts;
+
+beforeEach(() => {
+  db = openDatabase(":memory:");
+  connection = {
+    id: "kettle",
+    name: "Kettle",
+    connected: true,
+    setPower: jest.fn((state) => Promise.resolve(state)),
+  };
+  engine = new RuleEngine({
+    db,
+    devices: new Map([["kettle", connection]]),
+    fetch: jest.fn(() => Promise.resolve({ ok: true, status: 200 })),
+  });
+  alerts = [];
+  engine.on("alert", (alert) => alerts.push(alert));
+});
+
+afterEach(() => {
+  db.close();
+});
+
+// Feed power readings `seconds` apart, starting at START + `offset` seconds
+function feed(powers, { offset = 0, seconds = 10 } = {}) {
+  powers.forEach((power, index) => {
+    engine.evaluate(
+      "kettle",
+      { power },
+      START + (offset + index * seconds) * SECOND
+    );
+  });
+}
+
+const states = () => alerts.map((alert) => alert.state);
+
+describe("RuleEngine", () => {
+  test("fires once a condition has held for its duration and resolves", () => {
+    engine.create({
+      name: "Too much",
+      condition: {
+        type: "above",
+        metric: "power",
+        value: 2000,
+        forSeconds: 30,
+      },
+      actions: ["broadcast"],
+    });
+
+    // 40 s above the limit, but only 20 s of it in one stretch
+    feed([2500, 2500, 2500, 100, 2500]);
+    expect(alerts).toEqual([]);
+
+    feed([2500, 2500, 2500], { offset: 50 });
+    expect(alerts).toEqual([
+      expect.objectContaining({
+        deviceId: "kettle",
+        state: "triggered",
+        ts: START + 70 * SECOND,
+        value: 2500,
+        message:
+          "Too much triggered on Kettle: power above 2000 for 30 s (2500)",
+      }),
+    ]);
+
+    feed([100], { offset: 80 });
+    expect(states()).toEqual(["triggered", "resolved"]);
+  });
+
+  test("only resolves once the reading is back past the hysteresis", () => {
+    engine.create({
+      name: "Hot",
+      condition: {
+        type: "above",
+        metric: "power",
+        value: 2000,
+        hysteresis: 100,
+      },
+      actions: ["broadcast"],
+      cooldownSeconds: 0,
+    });
+
+    // Hovering just under the limit keeps the alert active
+    feed([2100, 1950, 1920, 2050, 1800]);
+
+    expect(states()).toEqual(["triggered", "resolved"]);
+    expect(alerts[1].ts).toBe(START + 40 * SECOND);
+  });
+
+  test("checks both limits of an outside condition", () => {
+    engine.create({
+      name: "Odd draw",
+      condition: { type: "outside", metric: "power", min: 10, max: 100 },
+      actions: ["broadcast"],
+      cooldownSeconds: 0,
+    });
+
+    feed([50, 5, 50, 150, 50]);
+
+    expect(alerts.map(({ state, value }) => [state, value])).toEqual([
+      ["triggered", 5],
+      ["resolved", 50],
+      ["triggered", 150],
+      ["resolved", 50],
+    ]);
+  });
+
+  test("waits out the cooldown before firing again", () => {
+    engine.create({
+      name: "Spike",
+      condition: { type: "above", metric: "power", value: 2000 },
+      actions: ["broadcast"],
+      cooldownSeconds: 60,
+    });
+
+    // Back over the limit 20 s after it fired, and still over it at 60 s
+    feed([2500, 100, 2500, 2500, 2500, 2500, 2500]);
+
+    expect(alerts.map(({ state, ts }) => [state, ts - START])).toEqual([
+      ["triggered", 0],
+      ["resolved", 10 * SECOND],
+      ["triggered", 60 * SECOND],
+    ]);
+  });
+
+  test("ignores other devices, other metrics and disabled rules", () => {
+    engine.create({
+      name: "Other plug",
+      deviceId: "kettle",
+      condition: { type: "below", metric: "voltage", value: 200 },
+      actions: ["broadcast"],
+    });
+    const rule = engine.create({
+      name: "Spike",
+      condition: { type: "above", metric: "power", value: 2000 },
+      actions: ["broadcast"],
+      enabled: false,
+    });
+
+    engine.evaluate("desk", { voltage: 180 }, START);
+    feed([2500]);
+    expect(alerts).toEqual([]);
+
+    engine.update(rule.id, { enabled: true });
+    feed([2500], { offset: 10 });
+    expect(alerts).toEqual([
+      expect.objectContaining({ ruleName: "Spike", state: "triggered" }),
+    ]);
+  });
+
+  test("fires disconnected rules from the timer", () => {
+    engine.create({
+      name: "Gone",
+      condition: { type: "disconnected", forSeconds: 60 },
+      actions: ["broadcast"],
+    });
+
+    connection.connected = false;
+    engine.tick(START);
+    engine.tick(START + 30 * SECOND);
+    expect(alerts).toEqual([]);
+    engine.tick(START + 60 * SECOND);
+    connection.connected = true;
+    engine.tick(START + 65 * SECOND);
+
+    expect(alerts.map(({ state, message }) => [state, message])).toEqual([
+      ["triggered", "Gone triggered on Kettle: disconnected for 60 s"],
+      ["resolved", "Gone resolved on Kettle: disconnected for 60 s"],
+    ]);
+  });
+
+  test("logs alerts, switches the plug off and calls webhooks", async () => {
+    const switchedOff = [];
+    engine.on("switchOff", (alert) => switchedOff.push(alert));
+    const rule = engine.create({
+      name: "Runaway",
+      condition: { type: "above", metric: "power", value: 2000 },
+      actions: [
+        "broadcast",
+        "switchOff",
+        { type: "webhook", url: "http://hooks.local/alert" },
+        "log",
+      ],
+    });
+
+    feed([2500, 100]);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // The plug is only switched off when the rule triggers
+    expect(connection.setPower).toHaveBeenCalledTimes(1);
+    expect(connection.setPower).toHaveBeenCalledWith(false);
+    expect(switchedOff).toHaveLength(1);
+    expect(engine.alerts()).toEqual([
+      expect.objectContaining({ ruleId: rule.id, state: "resolved" }),
+      expect.objectContaining({ ruleId: rule.id, state: "triggered" }),
+    ]);
+    // Logged before it was broadcast, so the broadcast carries the id
+    expect(alerts[0].id).toBe(engine.alerts()[1].id);
+    expect(engine.fetch).toHaveBeenCalledTimes(2);
+    const [url, request] = engine.fetch.mock.calls[0];
+    expect(url).toBe("http://hooks.local/alert");
+    expect(JSON.parse(request.body)).toMatchObject({
+      ruleName: "Runaway",
+      state: "triggered",
+    });
+  });
+
+  test("starts over when a rule is changed", () => {
+    const rule = engine.create({
+      name: "Spike",
+      condition: { type: "above", metric: "power", value: 2000 },
+      actions: ["broadcast"],
+    });
+    feed([2500]);
+
+    engine.update(rule.id, { cooldownSeconds: 0 });
+    feed([2500], { offset: 10 });
+
+    expect(states()).toEqual(["triggered", "triggered"]);
+  });
+});
@@ -0,0 +1,80 @@
+const { EventEmitter } = require("events");
+const { openDatabase } = require("../lib/db");
+const { Scheduler } = require("../lib/scheduler");
+
+function createPlug() {
+  const plug = new EventEmitter();
+  plug.connected = true;
+  plug.setPower = jest.fn().mockResolvedValue(true);
+  plug.toggle = jest.fn().mockResolvedValue(true);
+  return plug;
+}
+
+let db;
+let devices;
+let scheduler;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  db = openDatabase(":memory:");
+  devices = new Map([
+    ["plug-1", createPlug()],
+    ["plug-2", createPlug()],
+  ]);
+  scheduler = new Scheduler({ db, devices });
+});
+
+afterEach(() => {
+  scheduler.stop();
+  db.close();
+  jest.useRealTimers();
+});
+
+const flushPromises = () =>
+  new Promise(jest.requireActual("timers").setImmediate);
+
+describe("Scheduler", () => {
+  test("runs due timers and records the result", async () => {
+    const onRun = jest.fn();
+    scheduler.on("run", onRun);
+    const { id } = scheduler.create({
+      deviceId: "plug-1",
+      type: "timer",
+      action: "off",
+      inMinutes: 1,
+    });
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+
+    expect(devices.get("plug-1").setPower).toHaveBeenCalledWith(false);
+    expect(onRun).toHaveBeenCalledWith(expect.objectContaining({ ok: true }));
+    expect(scheduler.get(id)).toMatchObject({ nextRun: null });
+  });
+
+  test("keeps running the other schedules when one of them throws", async () => {
+    const onRun = jest.fn().mockImplementationOnce(() => {
+      throw new Error("broadcast failed");
+    });
+    scheduler.on("run", onRun);
+    for (const deviceId of ["plug-1", "plug-2"]) {
+      scheduler.create({ deviceId, type: "timer", action: "on", inMinutes: 1 });
+    }
+    const later = scheduler.create({
+      deviceId: "plug-1",
+      type: "timer",
+      action: "toggle",
+      inMinutes: 2,
+    });
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(devices.get("plug-2").setPower).toHaveBeenCalledWith(true);
+
+    // The timer is armed again for the next one
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(devices.get("plug-1").toggle).toHaveBeenCalled();
+    expect(scheduler.get(later.id).lastRun).not.toBeNull();
+  });
+});
@@ -0,0 +1,6 @@
+// The server logs every reading, connection attempt and socket close; keep
+// test output to the results. Tests that care about logging can still spy on
+// console themselves.
+for (const method of ["log", "warn", "error"]) {
+  jest.spyOn(console, method).mockImplementation(() => {});
+}
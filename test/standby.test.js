@@ -0,0 +1,163 @@
+const path = require("path");
+const { openDatabase } = require("../lib/db");
+const { StandbyKiller } = require("../lib/standby");
+const { loadProfiles } = require("../lib/profiles");
+const { normalizeTariff } = require("../lib/tariff");
+
+const NO_CONFIG = path.join(__dirname, "helpers", "missing.json");
+// Local time, so the active hours below mean what they say in any zone
+const START = new Date(2024, 2, 6, 22, 0).getTime();
+const MINUTE = 60 * 1000;
+
+let db;
+let connection;
+let killer;
+let cutoffs;
+
+beforeEach(() => {
+  db = openDatabase(":memory:");
+  connection = {
+    id: "tv",
+    name: "TV",
+    connected: true,
+    profile: loadProfiles(NO_CONFIG).get("standard"),
+    setPower: jest.fn((state) => Promise.resolve(state)),
+  };
+  killer = new StandbyKiller({
+    db,
+    devices: new Map([["tv", connection]]),
+    tariff: normalizeTariff({ type: "flat", rate: 0.3, currency: "EUR" }),
+    options: { warmup: 1 },
+  });
+  cutoffs = [];
+  killer.on("cutoff", (event) => cutoffs.push(event));
+});
+
+afterEach(() => {
+  db.close();
+});
+
+// Feed one reading a minute from START + `offset` minutes: a number is the
+// power of a plug that is on, null a plug that is off
+async function feed(powers, offset = 0) {
+  powers.forEach((power, index) => {
+    killer.process("tv", {
+      timestamp: new Date(START + (offset + index) * MINUTE).toISOString(),
+      power_state: power !== null,
+      power: power === null ? 0 : power,
+    });
+  });
+  // Let a cutoff's write settle
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("StandbyKiller", () => {
+  test("learns the standby band from low readings", async () => {
+    await feed([0.8, 0.9, 0.8, 6, 0.7, 0.8, 120]);
+
+    // The brief 6 W draw does not widen the band; 120 W is not standby
+    expect(killer.band("tv")).toEqual({
+      watts: 0.8,
+      low: 0.3,
+      high: 1.3,
+      samples: 6,
+    });
+  });
+
+  test("switches a plug off once it has idled in the band long enough", async () => {
+    killer.updateSettings("tv", { enabled: true, idleMinutes: 10 });
+
+    await feed(Array(10).fill(0.8));
+    expect(connection.setPower).not.toHaveBeenCalled();
+
+    await feed([0.8], 10);
+    expect(connection.setPower).toHaveBeenCalledWith(false);
+    expect(cutoffs[0]).toMatchObject({
+      deviceId: "tv",
+      cutoff: { ts: START + 10 * MINUTE, watts: 0.8, restoredAt: null },
+      message: "TV switched off after 10 min in standby at 0.8 W",
+    });
+    expect(killer.status("tv").cutoff).toEqual(cutoffs[0].cutoff);
+  });
+
+  test("starts the wait over when the plug is used", async () => {
+    killer.updateSettings("tv", { enabled: true, idleMinutes: 10 });
+
+    await feed([...Array(8).fill(0.8), 95, ...Array(8).fill(0.8)]);
+
+    expect(connection.setPower).not.toHaveBeenCalled();
+    expect(killer.status("tv").idleSince).toBe(START + 9 * MINUTE);
+  });
+
+  test("leaves plugs alone when disabled or outside the active hours", async () => {
+    await feed(Array(40).fill(0.8));
+    expect(connection.setPower).not.toHaveBeenCalled();
+
+    // START is 22:00: the wait is over at 22:10, the window opens at 23:00
+    killer.updateSettings("tv", {
+      enabled: true,
+      idleMinutes: 10,
+      activeFrom: "23:00",
+      activeTo: "06:30",
+    });
+    await feed(Array(20).fill(0.8), 40);
+    expect(connection.setPower).not.toHaveBeenCalled();
+
+    await feed([0.8], 60);
+    expect(cutoffs).toHaveLength(1);
+  });
+
+  test("counts energy and money saved until the plug is back on", async () => {
+    killer.updateSettings("tv", { enabled: true, idleMinutes: 5 });
+    await feed(Array(6).fill(1.2));
+
+    // Off for two hours, then switched back on
+    await feed([null, null], 6);
+    await feed([50], 125);
+
+    const [cutoff] = killer.cutoffs({ deviceId: "tv" });
+    expect(cutoff.restoredAt).toBe(START + 125 * MINUTE);
+    expect(killer.savings({ deviceId: "tv" })).toEqual({
+      cutoffs: 1,
+      hours: 2,
+      kwh: 0.0024,
+      cost: 0.0007,
+      currency: "EUR",
+    });
+    // Only the part of the cutoff inside the range counts
+    expect(
+      killer.savings({ from: START + 65 * MINUTE, to: START + 95 * MINUTE })
+    ).toMatchObject({ hours: 0.5, kwh: 0.0006 });
+  });
+
+  test("picks up plugs still switched off after a restart", async () => {
+    killer.updateSettings("tv", { enabled: true, idleMinutes: 5 });
+    await feed(Array(6).fill(1.2));
+
+    const restarted = new StandbyKiller({
+      db,
+      devices: new Map([["tv", connection]]),
+      tariff: normalizeTariff({ type: "flat", rate: 0.3 }),
+    });
+
+    expect(restarted.settingsFor("tv")).toMatchObject({ idleMinutes: 5 });
+    expect(restarted.status("tv").cutoff).toMatchObject({ watts: 1.2 });
+  });
+
+  test("rejects bad settings", () => {
+    expect(() => killer.updateSettings("tv", { idleMinutes: 0 })).toThrow(
+      /idleMinutes must be at least 1/
+    );
+    expect(() => killer.updateSettings("tv", { activeFrom: "23:00" })).toThrow(
+      /both activeFrom and activeTo/
+    );
+    expect(() =>
+      killer.updateSettings("tv", { activeFrom: "late", activeTo: "06:00" })
+    ).toThrow(/activeFrom must look like/);
+
+    connection.profile = loadProfiles(NO_CONFIG).get("switch");
+    expect(() => killer.updateSettings("tv", { enabled: true })).toThrow(
+      /TV does not report power/
+    );
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  normalizeTariff,
+  rateAt,
+  priceEnergy,
+  describeTariff,
+} = require("../lib/tariff");
+
+// Local time, so the bands below mean what they say in any zone
+const at = (day, hour, minute = 0) =>
+  new Date(2024, 2, day, hour, minute).getTime();
+// 2024-03-04 is a Monday
+const MONDAY = 4;
+const SATURDAY = 9;
+
+describe("time-of-use tariffs", () => {
+  const tariff = normalizeTariff({
+    type: "tou",
+    rate: 0.2,
+    currency: "EUR",
+    bands: [
+      {
+        name: "peak",
+        days: ["mon", "tue", "wed", "thu", "fri"],
+        from: "07:00",
+        to: "19:00",
+        rate: 0.35,
+      },
+      { name: "night", from: "22:00", to: "06:00", rate: 0.1 },
+    ],
+  });
+
+  test("price each instant by the band it falls in", () => {
+    expect(rateAt(tariff, at(MONDAY, 6, 59))).toBe(0.2);
+    expect(rateAt(tariff, at(MONDAY, 7))).toBe(0.35);
+    expect(rateAt(tariff, at(MONDAY, 18, 59))).toBe(0.35);
+    expect(rateAt(tariff, at(MONDAY, 19))).toBe(0.2);
+    // Weekdays only
+    expect(rateAt(tariff, at(SATURDAY, 12))).toBe(0.2);
+
+    expect(priceEnergy(tariff, 2, at(MONDAY, 8))).toBeCloseTo(0.7);
+    expect(priceEnergy(tariff, 2, at(SATURDAY, 8))).toBeCloseTo(0.4);
+  });
+
+  test("carry a band across midnight into the next day", () => {
+    expect(rateAt(tariff, at(MONDAY, 22))).toBe(0.1);
+    expect(rateAt(tariff, at(MONDAY, 23, 59))).toBe(0.1);
+    expect(rateAt(tariff, at(MONDAY + 1, 5, 59))).toBe(0.1);
+    expect(rateAt(tariff, at(MONDAY + 1, 6))).toBe(0.2);
+  });
+
+  test("describe bands with day names and clock times", () => {
+    expect(describeTariff(tariff).bands[1]).toEqual({
+      name: "night",
+      days: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+      from: "22:00",
+      to: "06:00",
+      rate: 0.1,
+    });
+  });
+});
+
+describe("tiered tariffs", () => {
+  const tariff = normalizeTariff({
+    type: "tiered",
+    tiers: [
+      { upToKwh: 100, rate: 0.1 },
+      { upToKwh: 300, rate: 0.2 },
+      { rate: 0.3 },
+    ],
+  });
+
+  test("price energy by what the month has used so far", () => {
+    const ms = at(MONDAY, 12);
+
+    expect(priceEnergy(tariff, 50, ms)).toBeCloseTo(5);
+    // 20 kWh at 0.10, then 30 kWh at 0.20
+    expect(priceEnergy(tariff, 50, ms, 80)).toBeCloseTo(8);
+    // Across all three tiers
+    expect(priceEnergy(tariff, 400, ms, 50)).toBeCloseTo(5 + 40 + 45);
+    expect(priceEnergy(tariff, 10, ms, 1000)).toBeCloseTo(3);
+    expect(priceEnergy(tariff, 0, ms, 80)).toBe(0);
+  });
+
+  test("quote the first tier as the current rate", () => {
+    expect(rateAt(tariff, at(MONDAY, 12))).toBe(0.1);
+    expect(describeTariff(tariff).tiers[2]).toEqual({
+      rate: 0.3,
+      upToKwh: null,
+    });
+  });
+});
+
+describe("normalizeTariff", () => {
+  test("rejects tariffs it cannot price", () => {
+    expect(() => normalizeTariff({ type: "spot" })).toThrow(
+      "Unknown tariff type: spot"
+    );
+    expect(() => normalizeTariff({ type: "flat", rate: -1 })).toThrow(
+      "Tariff needs a non-negative numeric rate"
+    );
+    expect(() =>
+      normalizeTariff({
+        type: "tou",
+        rate: 0.2,
+        bands: [{ from: "7am", to: "19:00", rate: 0.3 }],
+      })
+    ).toThrow('Tariff band from must look like "07:30"');
+    expect(() =>
+      normalizeTariff({
+        type: "tou",
+        rate: 0.2,
+        bands: [{ days: ["funday"], from: "07:00", to: "19:00", rate: 0.3 }],
+      })
+    ).toThrow("Tariff band has an unknown day: funday");
+    expect(() =>
+      normalizeTariff({
+        type: "tiered",
+        tiers: [
+          { upToKwh: 100, rate: 0.1 },
+          { upToKwh: 50, rate: 0.2 },
+          { rate: 0.3 },
+        ],
+      })
+    ).toThrow("Tariff tiers must have increasing upToKwh limits");
+    expect(() => normalizeTariff({ type: "tiered", tiers: [] })).toThrow(
+      "A tiered tariff needs at least one tier"
+    );
+  });
+});
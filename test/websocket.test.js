@@ -0,0 +1,499 @@
+jest.mock("tuyapi", () => require("./helpers/fakeTuya"));
+
+const { once } = require("events");
+const {
+  createTestApp,
+  loginAs,
+  markConnected,
+  openSocket,
+  nextMessage,
+  sendRequest,
+} = require("./helpers/testApp");
+
+let server;
+let operator;
+let viewer;
+let sockets = [];
+
+function open(token, options) {
+  const ws = openSocket(server, token, options);
+  sockets.push(ws);
+  return ws;
+}
+
+// Open a socket and wait for the greeting, so requests can be sent
+async function connect(token) {
+  const ws = open(token);
+  await nextMessage(ws, "devices");
+  return ws;
+}
+
+// Resolves once the server has let go of every client
+function serverClientsClosed() {
+  return new Promise((resolve) => {
+    const check = () =>
+      server.wss.clients.size === 0 ? resolve() : setImmediate(check);
+    check();
+  });
+}
+
+beforeAll(async () => {
+  server = await createTestApp();
+  operator = await loginAs(server, "operator");
+  viewer = await loginAs(server, "viewer");
+});
+
+afterEach(async () => {
+  await Promise.all(
+    sockets.map((ws) => {
+      if (ws.readyState === ws.CLOSED) return null;
+      const closed = new Promise((resolve) => ws.once("close", resolve));
+      ws.terminate();
+      return closed;
+    })
+  );
+  sockets = [];
+  await serverClientsClosed();
+});
+
+afterAll(async () => {
+  server.stop();
+  await once(server.wss, "close");
+});
+
+describe("handshake", () => {
+  test("refuses a client without a session", async () => {
+    const ws = open(null);
+    const [, res] = await once(ws, "unexpected-response");
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("refuses a malformed cookie without crashing", async () => {
+    const ws = open(null, { headers: { Cookie: "foo=%; tuya_session=%E0" } });
+    const [, res] = await once(ws, "unexpected-response");
+    expect(res.statusCode).toBe(401);
+
+    // A valid session next to a malformed cookie still gets in
+    const ok = open(null, {
+      headers: { Cookie: `foo=%; tuya_session=${viewer.token}` },
+    });
+    await nextMessage(ok, "devices");
+  });
+
+  test("greets with the protocol version, then sends every device", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: true, 19: 1121 });
+    const ws = open(viewer.token);
+
+    const hello = await nextMessage(ws, "hello");
+    expect(hello).toMatchObject({
+      v: 1,
+      data: { protocol: 1, user: { username: "viewer", role: "viewer" } },
+    });
+
+    const devices = await nextMessage(ws, "devices");
+    expect(devices.data.map((device) => device.id)).toEqual([
+      "plug-1",
+      "plug-2",
+    ]);
+    expect(devices.data[0]).toMatchObject({ power: 112.1, connected: true });
+  });
+});
+
+describe("broadcasts", () => {
+  test("sends new readings to every client", async () => {
+    const first = await connect(viewer.token);
+    const second = await connect(operator.token);
+
+    server.devices.get("plug-2").handleData({ dps: { 5: 184 } });
+
+    for (const ws of [first, second]) {
+      const message = await nextMessage(ws, "data");
+      expect(message).toMatchObject({
+        v: 1,
+        deviceId: "plug-2",
+        data: { power: 18.4 },
+      });
+    }
+  });
+
+  test("sends connection and state changes", async () => {
+    const ws = await connect(viewer.token);
+
+    server.devices.get("plug-2").setState("degraded", "3 polls failed");
+
+    expect(await nextMessage(ws, "state")).toMatchObject({
+      deviceId: "plug-2",
+      data: { state: "degraded", reason: "3 polls failed" },
+    });
+
+    server.devices.get("plug-2").emit("connection", { connected: false });
+    expect(await nextMessage(ws, "connection")).toEqual({
+      v: 1,
+      type: "connection",
+      deviceId: "plug-2",
+      data: { connected: false },
+    });
+  });
+});
+
+describe("requests", () => {
+  test("answers ping with pong", async () => {
+    const ws = await connect(viewer.token);
+    expect(await sendRequest(ws, "ping")).toMatchObject({ type: "pong" });
+  });
+
+  test("acknowledges a toggle with the new state", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: false });
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "toggle", { deviceId: "plug-1" });
+
+    expect(reply).toMatchObject({
+      type: "ack",
+      data: { deviceId: "plug-1", power_state: true },
+    });
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 1, set: true });
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      username: "operator",
+      source: "websocket",
+      action: "toggle",
+    });
+  });
+
+  test("refuses a toggle from a viewer", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: false });
+    connection.device.set.mockClear();
+    const ws = await connect(viewer.token);
+
+    const reply = await sendRequest(ws, "toggle", { deviceId: "plug-1" });
+
+    expect(reply).toMatchObject({
+      type: "nack",
+      error: { code: "forbidden" },
+    });
+    expect(connection.device.set).not.toHaveBeenCalled();
+  });
+
+  test("refuses a toggle for a plug that is not connected", async () => {
+    server.devices.get("plug-2").setState("disconnected");
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "toggle", { deviceId: "plug-2" });
+
+    expect(reply.error).toEqual({
+      code: "not_connected",
+      message: "Kettle is not connected",
+    });
+  });
+
+  test("reports a toggle the plug rejects", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: false });
+    connection.device.set.mockRejectedValueOnce(new Error("Timeout"));
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "toggle", { deviceId: "plug-1" });
+
+    expect(reply.error).toEqual({
+      code: "device_error",
+      message: "Failed to toggle device: Timeout",
+    });
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      source: "websocket",
+      action: "toggle",
+      detail: { ok: false, error: "Timeout" },
+    });
+  });
+
+  test("switches a plug on and off explicitly", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: true });
+    const ws = await connect(operator.token);
+
+    const on = await sendRequest(ws, "on", { deviceId: "plug-1" });
+    const off = await sendRequest(ws, "off", { deviceId: "plug-1" });
+
+    expect(on.data).toEqual({ deviceId: "plug-1", power_state: true });
+    expect(off.data).toEqual({ deviceId: "plug-1", power_state: false });
+    expect(connection.device.set).toHaveBeenLastCalledWith({
+      dps: 1,
+      set: false,
+    });
+  });
+
+  test("sets a writable DP", async () => {
+    const connection = server.devices.get("plug-1");
+    markConnected(connection, { 1: true, 9: 0 });
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "set", {
+      deviceId: "plug-1",
+      dp: 9,
+      value: 600,
+    });
+
+    expect(reply.data).toEqual({
+      deviceId: "plug-1",
+      dp: "9",
+      metric: "countdown",
+      value: 600,
+    });
+    expect(connection.device.set).toHaveBeenCalledWith({ dps: 9, set: 600 });
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      source: "websocket",
+      action: "set",
+      detail: { metric: "countdown", value: 600 },
+    });
+  });
+
+  test("switches a group and acknowledges each member", async () => {
+    const group = server.groups.createGroup({
+      name: "Both",
+      deviceIds: ["plug-1", "plug-2"],
+    });
+    markConnected(server.devices.get("plug-1"), { 1: true });
+    server.devices.get("plug-2").setState("disconnected");
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "group", {
+      groupId: group.id,
+      action: "toggle",
+    });
+
+    expect(reply).toMatchObject({ type: "ack" });
+    expect(reply.data).toEqual({
+      groupId: group.id,
+      action: "off",
+      results: [
+        { deviceId: "plug-1", ok: true, power_state: false },
+        { deviceId: "plug-2", ok: false, error: "Kettle is not connected" },
+      ],
+    });
+    const broadcast = await nextMessage(ws, "group");
+    expect(broadcast.data).toMatchObject({ id: group.id, action: "off" });
+  });
+
+  test("activates a scene and rejects unknown ones", async () => {
+    const scene = server.groups.createScene({
+      name: "Desk on",
+      actions: [{ deviceId: "plug-1", values: { power_state: true } }],
+    });
+    markConnected(server.devices.get("plug-1"), { 1: false });
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "scene", { sceneId: scene.id });
+    expect(reply.data.results).toEqual([
+      { deviceId: "plug-1", ok: true, values: { power_state: true } },
+    ]);
+
+    const unknown = await sendRequest(ws, "scene", { sceneId: 999 });
+    expect(unknown).toMatchObject({
+      type: "nack",
+      error: { code: "unknown_scene" },
+    });
+  });
+
+  test("refuses group control from a viewer", async () => {
+    const ws = await connect(viewer.token);
+    const reply = await sendRequest(ws, "group", {
+      groupId: 1,
+      action: "on",
+    });
+    expect(reply).toMatchObject({
+      type: "nack",
+      error: { code: "forbidden" },
+    });
+  });
+
+  test("rejects values the DP schema does not allow", async () => {
+    markConnected(server.devices.get("plug-1"), { 1: true, 41: false });
+    const ws = await connect(operator.token);
+
+    const wrongType = await sendRequest(ws, "set", {
+      deviceId: "plug-1",
+      dp: "child_lock",
+      value: "yes",
+    });
+    const unknown = await sendRequest(ws, "set", {
+      deviceId: "plug-1",
+      dp: "brightness",
+      value: 1,
+    });
+
+    expect(wrongType.error).toEqual({
+      code: "invalid_value",
+      message: "Child lock must be true or false",
+    });
+    expect(server.auditLog.list({ deviceId: "plug-1" })[0]).toMatchObject({
+      action: "set",
+      detail: {
+        dp: "41",
+        value: "yes",
+        ok: false,
+        error: "Child lock must be true or false",
+      },
+    });
+    expect(unknown.error.code).toBe("unknown_metric");
+  });
+
+  test("refreshes every plug", async () => {
+    const ws = await connect(viewer.token);
+    for (const connection of server.devices.values()) {
+      connection.device.get.mockResolvedValueOnce({ dps: { 1: true } });
+    }
+
+    const reply = await sendRequest(ws, "refresh");
+
+    expect(reply.data).toEqual({ deviceIds: ["plug-1", "plug-2"] });
+    for (const connection of server.devices.values()) {
+      expect(connection.device.get).toHaveBeenCalledWith({ schema: true });
+    }
+  });
+
+  test("rejects unknown devices", async () => {
+    const ws = await connect(operator.token);
+    const reply = await sendRequest(ws, "toggle", { deviceId: "nope" });
+    expect(reply.error).toEqual({
+      code: "unknown_device",
+      message: "Unknown device: nope",
+    });
+  });
+
+  test("rejects messages that do not match the schema", async () => {
+    const ws = await connect(operator.token);
+
+    const reply = await sendRequest(ws, "toggle");
+
+    expect(reply.error).toEqual({
+      code: "invalid_message",
+      message: "message must have required property 'deviceId'",
+    });
+  });
+
+  test("rejects other protocol versions", async () => {
+    const ws = await connect(operator.token);
+    ws.send(JSON.stringify({ v: 2, type: "ping", id: "old" }));
+
+    const reply = await nextMessage(ws, "nack");
+
+    expect(reply).toMatchObject({
+      id: "old",
+      error: { code: "unsupported_version" },
+    });
+  });
+
+  test("rejects malformed JSON without an id", async () => {
+    const ws = await connect(operator.token);
+    ws.send("not json");
+
+    expect(await nextMessage(ws, "nack")).toEqual({
+      v: 1,
+      type: "nack",
+      id: null,
+      error: { code: "invalid_json", message: "Message is not JSON" },
+    });
+  });
+});
+
+describe("subscriptions", () => {
+  test("limit readings to the subscribed devices and metrics", async () => {
+    const ws = await connect(viewer.token);
+    await sendRequest(ws, "unsubscribe");
+    const reply = await sendRequest(ws, "subscribe", {
+      deviceId: "plug-2",
+      metrics: ["power"],
+    });
+    expect(reply.data).toEqual({ subscriptions: { "plug-2": ["power"] } });
+
+    server.devices.get("plug-1").handleData({ dps: { 19: 500 } });
+    server.devices.get("plug-2").handleData({ dps: { 5: 184, 6: 2290 } });
+
+    const message = await nextMessage(ws, "data");
+    expect(message.deviceId).toBe("plug-2");
+    expect(Object.keys(message.data).sort()).toEqual([
+      "connected",
+      "power",
+      "timestamp",
+    ]);
+    expect(ws.buffer.filter((m) => m.deviceId === "plug-1")).toEqual([]);
+  });
+
+  test("can leave out a single device", async () => {
+    const ws = await connect(viewer.token);
+    const reply = await sendRequest(ws, "unsubscribe", { deviceId: "plug-1" });
+    expect(reply.data).toEqual({
+      subscriptions: { "*": null, "plug-1": false },
+    });
+
+    server.devices.get("plug-1").handleData({ dps: { 19: 500 } });
+    server.devices.get("plug-2").handleData({ dps: { 5: 184 } });
+
+    expect((await nextMessage(ws, "data")).deviceId).toBe("plug-2");
+    expect(ws.buffer.filter((m) => m.deviceId === "plug-1")).toEqual([]);
+  });
+
+  test("rejects metrics the device does not have", async () => {
+    const ws = await connect(viewer.token);
+    const reply = await sendRequest(ws, "subscribe", {
+      deviceId: "plug-1",
+      metrics: ["temperature"],
+    });
+    expect(reply.error.code).toBe("unknown_metric");
+  });
+});
+
+test("closes the socket when its session logs out", async () => {
+  const { agent, token } = await loginAs(server, "operator", "leaving");
+  const ws = await connect(token);
+
+  await agent.post("/api/auth/logout").expect(204);
+
+  const [code] = await once(ws, "close");
+  expect(code).toBe(4001);
+});
+
+test("closes the sockets of users whose sessions are revoked", async () => {
+  const admin = await loginAs(server, "admin", "boss");
+  const renamed = await loginAs(server, "viewer", "renamed");
+  const removed = await loginAs(server, "viewer", "removed");
+  const [renamedWs, removedWs, viewerWs] = await Promise.all([
+    connect(renamed.token),
+    connect(removed.token),
+    connect(viewer.token),
+  ]);
+  const idOf = (username) =>
+    server.auth.listUsers().find((user) => user.username === username).id;
+
+  await admin.agent
+    .put(`/api/users/${idOf("renamed")}`)
+    .send({ password: "another-password" })
+    .expect(200);
+  expect((await once(renamedWs, "close"))[0]).toBe(4001);
+
+  await admin.agent.delete(`/api/users/${idOf("removed")}`).expect(204);
+  expect((await once(removedWs, "close"))[0]).toBe(4001);
+
+  expect(viewerWs.readyState).toBe(viewerWs.OPEN);
+});
+
+test("drops clients that stop answering pings", async () => {
+  const fast = await createTestApp({ heartbeatInterval: 50 });
+  try {
+    const { token } = await loginAs(fast, "viewer");
+    const alive = openSocket(fast, token);
+    const dead = openSocket(fast, token, { autoPong: false });
+    await Promise.all([
+      nextMessage(alive, "devices"),
+      nextMessage(dead, "devices"),
+    ]);
+
+    await once(dead, "close");
+    expect(alive.readyState).toBe(alive.OPEN);
+    alive.terminate();
+  } finally {
+    fast.stop();
+    await once(fast.wss, "close");
+  }
+});